@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Rive file structure dump
+ * Parses one or more .riv files with the Rive WASM runtime and prints the same JSON the
+ * JSON Inspector shows, for scripting and CI checks.
+ *
+ * Usage: node scripts/parse-riv.js <file.riv>... [--out-dir <dir>] [--verbose]
+ *        node scripts/parse-riv.js --schema
+ *
+ * With one file the result is written to stdout; with several, an object keyed by file path.
+ * --out-dir writes <name>.json per file instead. --schema prints the JSON Schema the output
+ * follows. Exits 1 if any file fails to parse or its output does not match the schema.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, "..");
+
+const usage =
+	"Usage: node scripts/parse-riv.js <file.riv>... [--out-dir <dir>] [--verbose]\n" +
+	"       node scripts/parse-riv.js --schema";
+
+// Keep stdout for JSON; the runtime and the parser logger write through console
+console.log = console.error;
+console.info = console.error;
+console.debug = console.error;
+console.warn = console.error;
+
+/**
+ * Parses the command line arguments
+ * @param {string[]} args - Arguments after the script path.
+ * @returns {{files: string[], outDir: string | null, verbose: boolean, schema: boolean}} The parsed options.
+ */
+function parseArgs(args) {
+	const options = { files: [], outDir: null, verbose: false, schema: false };
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (arg === "--out-dir") {
+			options.outDir = args[++i];
+			if (!options.outDir) {
+				throw new Error("--out-dir needs a directory");
+			}
+		} else if (arg === "--verbose") {
+			options.verbose = true;
+		} else if (arg === "--schema") {
+			options.schema = true;
+		} else if (arg === "--help" || arg === "-h") {
+			console.error(usage);
+			process.exit(0);
+		} else if (arg.startsWith("--")) {
+			throw new Error(`Unknown option: ${arg}`);
+		} else {
+			options.files.push(arg);
+		}
+	}
+	if (options.files.length === 0 && !options.schema) {
+		throw new Error("No .riv files given");
+	}
+	return options;
+}
+
+let options;
+try {
+	options = parseArgs(process.argv.slice(2));
+} catch (error) {
+	console.error(`❌ ${error.message}`);
+	console.error(usage);
+	process.exit(2);
+}
+
+const { LoggerAPI, LogLevel } = await import("../src/utils/debugger/debugLogger.js");
+const { parseRiveBytes } = await import("../src/utils/riveFileExtractor.js");
+const { PARSER_SCHEMA_VERSION, parserOutputSchema, validateParserOutput } = await import(
+	"../src/utils/parserOutputSchema.js"
+);
+
+if (options.schema) {
+	process.stdout.write(JSON.stringify(parserOutputSchema, null, 2) + "\n");
+	process.exit(0);
+}
+
+if (options.verbose) {
+	LoggerAPI.setModuleLevel("parser", LogLevel.DEBUG);
+}
+
+// The UMD build runs under Node; load the wasm next to it instead of from the CDN
+const require = createRequire(import.meta.url);
+const riveDir = path.join(projectRoot, "node_modules", "@rive-app", "webgl2");
+const rive = require(path.join(riveDir, "rive.js"));
+const wasm = fs.readFileSync(path.join(riveDir, "rive.wasm"));
+rive.RuntimeLoader.setWasmUrl(`data:application/wasm;base64,${wasm.toString("base64")}`);
+
+const results = {};
+let failed = 0;
+
+for (const file of options.files) {
+	try {
+		const result = await parseRiveBytes(rive, new Uint8Array(fs.readFileSync(file)));
+		result.defaultElements.src = file;
+		results[file] = result;
+
+		const validation = validateParserOutput(result);
+		if (!validation.valid) {
+			failed++;
+			console.error(`❌ ${file}: output does not match parser output schema ${PARSER_SCHEMA_VERSION}`);
+			validation.errors.forEach((error) => console.error(`   ${error.path}: ${error.message}`));
+		}
+	} catch (error) {
+		failed++;
+		console.error(`❌ ${file}: ${error.message}`);
+		continue;
+	}
+
+	if (options.outDir) {
+		fs.mkdirSync(options.outDir, { recursive: true });
+		const outFile = path.join(options.outDir, `${path.basename(file, path.extname(file))}.json`);
+		fs.writeFileSync(outFile, JSON.stringify(results[file], null, 2) + "\n");
+		console.error(`✅ ${file} → ${outFile}`);
+	}
+}
+
+if (!options.outDir && Object.keys(results).length > 0) {
+	const output = options.files.length === 1 ? results[options.files[0]] : results;
+	process.stdout.write(JSON.stringify(output, null, 2) + "\n");
+}
+
+process.exit(failed > 0 ? 1 : 0);
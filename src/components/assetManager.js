@@ -4,6 +4,21 @@
  */
 
 import { createLogger } from "../utils/debugger/debugLogger.js";
+import { readFontNames, detectFontFormat, getSfntBytes } from "../utils/fontNameReader.js";
+import { readAudioInfo, detectAudioFormat } from "../utils/audioInfoReader.js";
+import { createZip } from "../utils/zipArchive.js";
+import {
+	isFolderPickerSupported,
+	setAssetFolderFiles,
+	clearAssetFolder,
+	getAssetFolder,
+	chooseAssetFolder,
+	readDataTransferFiles,
+	loadAssetFromFolder,
+	getAssetResolution,
+	setResolutionListener,
+} from "../utils/assetFolder.js";
+import { buildAssetProfileBar, applyActiveAssetProfile } from "./assetProfiles.js";
 
 // Create a logger for this module with debug levels
 const logger = createLogger("assetManager");
@@ -20,6 +35,22 @@ const DEBUG_LEVELS = {
 let currentRiveInstance = null;
 let assetManagerContainer = null;
 let assetMap = new Map(); // Store assets captured during loading
+let embeddedAssetBytes = new Map(); // Bytes of embedded assets, by asset name
+let audioVolume = 1; // Playback volume, 0-1, kept across file loads
+let audioMuted = false;
+let folderDropTargetReady = false;
+let activeReplacements = new Map(); // Asset name -> {assetName, url} or {assetName, fileName, file}
+let currentFileName = ""; // Name of the loaded .riv file, used to name exports
+
+// Lets asset profiles read and apply replacements
+const profileCallbacks = {
+	getReplacements: () => Array.from(activeReplacements.values()),
+	apply: applyAssetReplacements,
+	reset: resetAssetReplacements,
+	getAssetNames: () => Array.from(assetMap.keys()),
+};
+
+setResolutionListener(handleAssetResolution);
 
 /**
  * Initialize the asset manager with a Rive instance
@@ -32,6 +63,8 @@ export function initializeAssetManager(riveInstance) {
 
 	currentRiveInstance = riveInstance;
 	assetManagerContainer = document.getElementById("assetManagerContainer");
+	applyAudioVolume();
+	setupAssetFolderDropTarget();
 
 	if (!assetManagerContainer) {
 		logger.error("[INIT] Asset manager container not found");
@@ -46,16 +79,21 @@ export function initializeAssetManager(riveInstance) {
 
 	logger.debug("[INIT] Building Asset Manager UI");
 	buildAssetManagerUI();
+	applyActiveAssetProfile(profileCallbacks);
 }
 
 /**
  * Set the asset map from the assetLoader callback
  * @param {Map} assets - Map of asset name to asset object
+ * @param {Map<string, Uint8Array>} [embeddedBytes] - Bytes of embedded assets by name. Assets
+ *   without bytes are referenced or hosted on the CDN.
  */
-export function setAssetMap(assets) {
+export function setAssetMap(assets, embeddedBytes = new Map()) {
 	logger.debug("[ASSET_MAP] Setting asset map", { assetCount: assets.size });
 
 	assetMap = assets;
+	embeddedAssetBytes = embeddedBytes;
+	activeReplacements = new Map();
 	logger.info(`[ASSET_MAP] Asset map updated with ${assetMap.size} assets`);
 
 	// Log asset details at trace level
@@ -66,6 +104,7 @@ export function setAssetMap(assets) {
 				name,
 				isImage: asset.isImage,
 				isFont: asset.isFont,
+				isAudio: asset.isAudio,
 				fileExtension: asset.fileExtension,
 			})),
 		);
@@ -78,6 +117,14 @@ export function setAssetMap(assets) {
 	}
 }
 
+/**
+ * Set the name of the loaded .riv file
+ * @param {string} fileName - The file name, or an empty string when no file is loaded
+ */
+export function setAssetManagerFileName(fileName) {
+	currentFileName = fileName || "";
+}
+
 /**
  * Get the current asset map
  * @returns {Map} The current asset map
@@ -133,8 +180,16 @@ function buildAssetManagerUI() {
             <h3>Asset Manager</h3>
             <div class="asset-count">${assetCount} asset${assetCount !== 1 ? "s" : ""}</div>
         `;
+		const hasAudio = Array.from(assetMap.values()).some(
+			(asset) => getAssetType(asset) === "Audio",
+		);
+		if (hasAudio) {
+			header.insertBefore(createAudioControls(), header.lastElementChild);
+		}
+		header.insertBefore(createExportAllButton(), header.lastElementChild);
 
 		// Create asset list
+		const folderBar = createAssetFolderBar();
 		const assetList = document.createElement("div");
 		assetList.className = "asset-list";
 
@@ -160,7 +215,10 @@ function buildAssetManagerUI() {
 		// Clear container and add new content
 		assetManagerContainer.innerHTML = "";
 		assetManagerContainer.appendChild(header);
+		assetManagerContainer.appendChild(folderBar);
+		assetManagerContainer.appendChild(buildAssetProfileBar(profileCallbacks));
 		assetManagerContainer.appendChild(assetList);
+		renderAssetFolderBar();
 	} catch (error) {
 		logger.error("Error building asset manager UI:", error);
 		assetManagerContainer.innerHTML = `
@@ -196,6 +254,8 @@ function createAssetItem(asset, assetName, index) {
 	const cdnUuid = asset.cdnUuid || "No CDN UUID";
 	const fileExtension =
 		asset.fileExtension || getExtensionFromName(assetName);
+	const embeddedBytes = embeddedAssetBytes.get(assetName);
+	const embeddedLabel = { Font: "Embedded Font", Audio: "Embedded Audio" }[assetType];
 
 	assetItem.innerHTML = `
         <div class="asset-header">
@@ -205,10 +265,11 @@ function createAssetItem(asset, assetName, index) {
                 <div class="asset-details">
                     <span class="asset-type">${assetType}</span>
                     ${fileExtension !== "Unknown" ? `<span class="asset-extension">.${fileExtension}</span>` : ""}
+                    ${embeddedLabel ? `<span class="asset-summary"></span>` : ""}
                 </div>
             </div>
             <div class="asset-status">
-                <span class="status-indicator embedded" title="Embedded in Rive file">📎</span>
+                <span class="status-indicator"></span>
             </div>
         </div>
         
@@ -217,6 +278,10 @@ function createAssetItem(asset, assetName, index) {
                 <label>Asset Name:</label>
                 <span>${assetName}</span>
             </div>
+            <div class="metadata-item">
+                <label>Source:</label>
+                <span class="asset-source"></span>
+            </div>
             ${
 				assetId !== "Unknown ID"
 					? `
@@ -237,6 +302,20 @@ function createAssetItem(asset, assetName, index) {
             `
 					: ""
 			}
+            ${
+				embeddedLabel
+					? `
+                <div class="metadata-item">
+                    <label>${embeddedLabel}:</label>
+                    <span class="asset-embedded-summary">${embeddedBytes ? "Reading..." : "Not embedded in the file"}</span>
+                </div>
+                <div class="metadata-item asset-replacement" hidden>
+                    <label>Replaced With:</label>
+                    <span class="asset-replacement-summary"></span>
+                </div>
+            `
+					: ""
+			}
         </div>
         
         <div class="asset-controls">
@@ -282,13 +361,25 @@ function createAssetItem(asset, assetName, index) {
                         title="Show detailed asset information">
                     ℹ️ Info
                 </button>
+                <button class="export-btn" 
+                        data-asset-name="${assetName}" 
+                        data-asset-index="${index}" 
+                        ${embeddedBytes ? `title="Save the embedded ${assetType.toLowerCase()} to disk"` : `title="Not embedded in the file" disabled`}>
+                    💾 Export
+                </button>
             </div>
         </div>
     `;
 
+	showAssetSource(assetItem, asset, assetName);
+
 	// Add event listeners
 	setupAssetItemEventListeners(assetItem, asset, assetName, index);
 
+	if (embeddedLabel && embeddedBytes) {
+		showEmbeddedSummary(assetItem, assetType, embeddedBytes, assetName);
+	}
+
 	// Add click-to-expand functionality
 	const assetHeader = assetItem.querySelector(".asset-header");
 	if (assetHeader) {
@@ -377,6 +468,14 @@ function setupAssetItemEventListeners(assetItem, asset, assetName, index) {
 			showAssetInfo(asset, assetName, index);
 		}, { passive: true });
 	}
+
+	// Export button
+	const exportBtn = assetItem.querySelector(".export-btn");
+	if (exportBtn) {
+		exportBtn.addEventListener("click", () => {
+			exportEmbeddedAsset(asset, assetName);
+		}, { passive: true });
+	}
 }
 
 /**
@@ -423,12 +522,9 @@ function handleFileReplacement(event, asset, assetName, index) {
 	});
 
 	try {
-		// Create a URL for the file
-		const fileUrl = URL.createObjectURL(file);
-		logger.trace("[FILE_REPLACE] Created blob URL:", fileUrl);
-
 		// Apply the replacement using the pattern from the user's example
-		substituteImage(assetName, fileUrl);
+		substituteAssetFile(assetName, file);
+		activeReplacements.set(assetName, { assetName, fileName: file.name, file });
 
 		// Update UI to show replacement status
 		updateAssetStatus(index, "file", file.name);
@@ -477,7 +573,8 @@ function handleUrlReplacement(url, asset, assetName, index) {
 		});
 
 		// Apply the replacement using the pattern from the user's example
-		substituteImage(assetName, url);
+		substituteAsset(assetName, url);
+		activeReplacements.set(assetName, { assetName, url });
 
 		// Update UI to show replacement status
 		updateAssetStatus(index, "url", url);
@@ -502,26 +599,65 @@ function handleUrlReplacement(url, asset, assetName, index) {
 }
 
 /**
- * Substitute an image asset (following the user's example pattern)
- * @param {string} name - The asset name
+ * Decode image bytes with the Rive runtime
+ * @param {Uint8Array} bytes - The encoded image bytes
+ * @returns {Promise<Object>} The decoded image; call unref() once it has been applied
+ */
+export function decodeImageBytes(bytes) {
+	if (window.rive && window.rive.decodeImage) {
+		return window.rive.decodeImage(bytes);
+	}
+	return Promise.reject(new Error("Rive decodeImage not available"));
+}
+
+/**
+ * Fetch an image and decode it with the Rive runtime
  * @param {string} url - The URL or blob URL to load
+ * @param {string} label - Name used in log messages
+ * @returns {Promise<Object>} The decoded image; call unref() once it has been applied
  */
-function substituteImage(name, url) {
-	const asset = assetMap.get(name);
-	if (!asset || !url) {
-		logger.error(
-			`[SUBSTITUTE] Cannot substitute image: asset "${name}" not found or no URL provided`,
-		);
-		return;
+export function decodeImageFromUrl(url, label = url) {
+	return fetchAssetBytes(url, label).then((bytes) => {
+		logger.trace(`[SUBSTITUTE] Decoding image for "${label}"`);
+		return decodeImageBytes(bytes);
+	});
+}
+
+/**
+ * Decode font bytes with the Rive runtime. The runtime only reads TTF and OTF data, so WOFF is
+ * unwrapped first and WOFF2 is rejected.
+ * @param {Uint8Array} bytes - The font file bytes (TTF, OTF or WOFF)
+ * @returns {Promise<Object>} The decoded font; call unref() once it has been applied
+ */
+export function decodeFontBytes(bytes) {
+	if (window.rive && window.rive.decodeFont) {
+		return getSfntBytes(bytes).then((sfnt) => window.rive.decodeFont(sfnt));
 	}
+	return Promise.reject(new Error("Rive decodeFont not available"));
+}
 
-	logger.debug(
-		`[SUBSTITUTE] Starting image substitution for "${name}" from URL: ${url}`,
-	);
+/**
+ * Decode audio bytes with the Rive runtime
+ * @param {Uint8Array} bytes - The audio file bytes (WAV, MP3 or FLAC)
+ * @returns {Promise<Object>} The decoded audio; call unref() once it has been applied
+ */
+export function decodeAudioBytes(bytes) {
+	if (window.rive && window.rive.decodeAudio) {
+		return window.rive.decodeAudio(bytes);
+	}
+	return Promise.reject(new Error("Rive decodeAudio not available"));
+}
 
-	fetch(url)
+/**
+ * Fetch the bytes of a replacement asset
+ * @param {string} url - The URL or blob URL to load
+ * @param {string} label - Name used in log messages
+ * @returns {Promise<Uint8Array>} The file bytes
+ */
+function fetchAssetBytes(url, label = url) {
+	return fetch(url)
 		.then((response) => {
-			logger.trace(`[SUBSTITUTE] Fetch response for "${name}":`, {
+			logger.trace(`[SUBSTITUTE] Fetch response for "${label}":`, {
 				status: response.status,
 				statusText: response.statusText,
 				contentType: response.headers.get("content-type"),
@@ -537,16 +673,109 @@ function substituteImage(name, url) {
 		})
 		.then((buf) => {
 			logger.debug(
-				`[SUBSTITUTE] Received ${buf.byteLength} bytes for "${name}"`,
+				`[SUBSTITUTE] Received ${buf.byteLength} bytes for "${label}"`,
 			);
+			return new Uint8Array(buf);
+		});
+}
 
-			if (window.rive && window.rive.decodeImage) {
-				logger.trace(`[SUBSTITUTE] Decoding image for "${name}"`);
-				return window.rive.decodeImage(new Uint8Array(buf));
-			} else {
-				throw new Error("Rive decodeImage not available");
-			}
-		})
+/**
+ * Apply several replacements at once, e.g. from an asset profile
+ * @param {Array<{assetName: string, url?: string, fileName?: string, bytes?: Uint8Array}>} replacements -
+ *   Each replacement has a URL, or a file name and bytes
+ * @returns {{applied: number, skipped: string[]}} How many were applied, and the asset names this
+ *   file doesn't have
+ */
+function applyAssetReplacements(replacements) {
+	const skipped = [];
+	let applied = 0;
+	replacements.forEach((replacement) => {
+		const { assetName } = replacement;
+		if (!assetMap.has(assetName)) {
+			skipped.push(assetName);
+			return;
+		}
+		const index = getAssetIndex(assetName);
+		if (replacement.url) {
+			substituteAsset(assetName, replacement.url);
+			updateAssetStatus(index, "url", replacement.url);
+			activeReplacements.set(assetName, { assetName, url: replacement.url });
+		} else {
+			const file = new File([replacement.bytes], replacement.fileName);
+			substituteAssetFile(assetName, file);
+			updateAssetStatus(index, "file", replacement.fileName);
+			activeReplacements.set(assetName, { assetName, fileName: replacement.fileName, file });
+		}
+		applied++;
+	});
+	return { applied, skipped };
+}
+
+/**
+ * Reset every replaced asset to its original
+ */
+function resetAssetReplacements() {
+	Array.from(activeReplacements.keys()).forEach((assetName) => {
+		const asset = assetMap.get(assetName);
+		if (asset) {
+			handleAssetReset(asset, assetName, getAssetIndex(assetName));
+		}
+	});
+	activeReplacements.clear();
+}
+
+/**
+ * Substitute an asset with the file at a URL, using the decoder for its type
+ * @param {string} name - The asset name
+ * @param {string} url - The URL or blob URL to load
+ * @returns {Promise<void>} Settles once the asset is replaced or the error is reported
+ */
+function substituteAsset(name, url) {
+	const asset = assetMap.get(name);
+	switch (asset && getAssetType(asset)) {
+		case "Font":
+			return substituteFont(name, url);
+		case "Audio":
+			return substituteAudio(name, url);
+		default:
+			return substituteImage(name, url);
+	}
+}
+
+/**
+ * Substitute an asset with a local file. The file is read through a blob URL, which is released
+ * once it has been decoded so replaced files aren't kept alive.
+ * @param {string} name - The asset name
+ * @param {File} file - The replacement file
+ * @returns {Promise<void>} Settles once the asset is replaced or the error is reported
+ */
+function substituteAssetFile(name, file) {
+	const url = URL.createObjectURL(file);
+	logger.trace(`[SUBSTITUTE] Created blob URL for "${name}":`, url);
+	return substituteAsset(name, url).finally(() => URL.revokeObjectURL(url));
+}
+
+/**
+ * Substitute an image asset (following the user's example pattern)
+ * @param {string} name - The asset name
+ * @param {string} url - The URL or blob URL to load
+
+ * @returns {Promise<void>} Settles once the asset is replaced or the error is reported
+ */
+function substituteImage(name, url) {
+	const asset = assetMap.get(name);
+	if (!asset || !url) {
+		logger.error(
+			`[SUBSTITUTE] Cannot substitute image: asset "${name}" not found or no URL provided`,
+		);
+		return Promise.resolve();
+	}
+
+	logger.debug(
+		`[SUBSTITUTE] Starting image substitution for "${name}" from URL: ${url}`,
+	);
+
+	return decodeImageFromUrl(url, name)
 		.then((img) => {
 			if (asset.setRenderImage) {
 				logger.debug(`[SUBSTITUTE] Setting render image for "${name}"`);
@@ -575,13 +804,7 @@ function substituteImage(name, url) {
 				`[SUBSTITUTE] Image decode/replacement error for "${name}":`,
 				error,
 			);
-			// Find the asset index for error display
-			let index = 0;
-			for (const [mapName] of assetMap) {
-				if (mapName === name) break;
-				index++;
-			}
-			showAssetError(index, error.message);
+			showAssetError(getAssetIndex(name), error.message);
 
 			// Log asset event
 			logAssetEvent("AssetImageSubstitutionError", {
@@ -592,6 +815,678 @@ function substituteImage(name, url) {
 		});
 }
 
+/**
+ * Substitute a font asset, e.g. to test fallback fonts for other scripts against the real layout
+ * @param {string} name - The asset name
+ * @param {string} url - The URL or blob URL of a TTF, OTF or WOFF file
+
+ * @returns {Promise<void>} Settles once the asset is replaced or the error is reported
+ */
+function substituteFont(name, url) {
+	const asset = assetMap.get(name);
+	if (!asset || !url) {
+		logger.error(
+			`[SUBSTITUTE] Cannot substitute font: asset "${name}" not found or no URL provided`,
+		);
+		return Promise.resolve();
+	}
+
+	logger.debug(`[SUBSTITUTE] Starting font substitution for "${name}" from URL: ${url}`);
+
+	return fetchAssetBytes(url, name)
+		.then((bytes) =>
+			Promise.all([decodeFontBytes(bytes), readFontNames(bytes)]),
+		)
+		.then(([font, names]) => {
+			if (!asset.setFont) {
+				font.unref();
+				throw new Error("Asset does not support setFont");
+			}
+			asset.setFont(font);
+			font.unref(); // The asset keeps its own reference
+			logger.info(`[SUBSTITUTE] Successfully replaced font "${name}"`);
+			showReplacementSummary(name, formatFontNames(names));
+
+			logAssetEvent("AssetFontSubstitution", {
+				assetName: name,
+				assetType: getAssetType(asset),
+				fontFamily: names?.family,
+				fontStyle: names?.style,
+				fontFormat: names?.format,
+			});
+		})
+		.catch((error) => {
+			logger.error(`[SUBSTITUTE] Font decode/replacement error for "${name}":`, error);
+			showAssetError(getAssetIndex(name), error.message);
+
+			logAssetEvent("AssetFontSubstitutionError", {
+				assetName: name,
+				assetType: getAssetType(asset),
+				error: error.message,
+			});
+		});
+}
+
+/**
+ * Substitute an audio asset, e.g. to try a new sound effect without re-exporting the file
+ * @param {string} name - The asset name
+ * @param {string} url - The URL or blob URL of a WAV, MP3 or FLAC file
+
+ * @returns {Promise<void>} Settles once the asset is replaced or the error is reported
+ */
+function substituteAudio(name, url) {
+	const asset = assetMap.get(name);
+	if (!asset || !url) {
+		logger.error(
+			`[SUBSTITUTE] Cannot substitute audio: asset "${name}" not found or no URL provided`,
+		);
+		return Promise.resolve();
+	}
+
+	logger.debug(`[SUBSTITUTE] Starting audio substitution for "${name}" from URL: ${url}`);
+
+	return fetchAssetBytes(url, name)
+		.then((bytes) =>
+			Promise.all([decodeAudioBytes(bytes), readAudioInfo(bytes)]),
+		)
+		.then(([audio, info]) => {
+			if (!asset.setAudioSource) {
+				audio.unref();
+				throw new Error("Asset does not support setAudioSource");
+			}
+			asset.setAudioSource(audio);
+			audio.unref(); // The asset keeps its own reference
+			logger.info(`[SUBSTITUTE] Successfully replaced audio "${name}"`);
+			showReplacementSummary(name, formatAudioInfo(info));
+
+			logAssetEvent("AssetAudioSubstitution", {
+				assetName: name,
+				assetType: getAssetType(asset),
+				duration: info?.duration,
+				audioFormat: info?.format,
+			});
+		})
+		.catch((error) => {
+			logger.error(`[SUBSTITUTE] Audio decode/replacement error for "${name}":`, error);
+			showAssetError(getAssetIndex(name), error.message);
+
+			logAssetEvent("AssetAudioSubstitutionError", {
+				assetName: name,
+				assetType: getAssetType(asset),
+				error: error.message,
+			});
+		});
+}
+
+/**
+ * Restore a replaced font or audio asset from the bytes embedded in the file
+ * @param {Object} asset - The font or audio asset
+ * @param {string} assetName - The asset name
+ * @returns {Promise<void>}
+ * @throws {Error} If the asset isn't embedded, so there is nothing to restore
+ */
+function restoreEmbeddedAsset(asset, assetName) {
+	const bytes = embeddedAssetBytes.get(assetName);
+	const assetType = getAssetType(asset);
+	if (!bytes) {
+		return Promise.reject(
+			new Error(`${assetType} is not embedded in the file, reload the file to restore it`),
+		);
+	}
+	const restored =
+		assetType === "Font"
+			? decodeFontBytes(bytes).then((font) => {
+					asset.setFont(font);
+					font.unref();
+				})
+			: decodeAudioBytes(bytes).then((audio) => {
+					asset.setAudioSource(audio);
+					audio.unref();
+				});
+	return restored.then(() => showReplacementSummary(assetName, null));
+}
+
+/**
+ * Find the UI index of an asset by name
+ * @param {string} assetName - The asset name
+ * @returns {number} The asset index, or -1 if it isn't listed
+ */
+function getAssetIndex(assetName) {
+	const assetItem = Array.from(document.querySelectorAll(".asset-item")).find(
+		(item) => item.getAttribute("data-asset-name") === assetName,
+	);
+	return assetItem ? Number(assetItem.getAttribute("data-asset-index")) : -1;
+}
+
+/**
+ * Describe font names for display
+ * @param {{format: string, family?: string, style?: string, fullName?: string} | null} names - Names from readFontNames
+ * @returns {string} E.g. "Noto Sans JP Bold (OpenType)"
+ */
+function formatFontNames(names) {
+	if (!names) return "Not a recognised font file";
+	const name = [names.family, names.style].filter(Boolean).join(" ") || names.fullName;
+	return name ? `${name} (${names.format})` : `${names.format}, names unavailable`;
+}
+
+/**
+ * Describe audio details for display
+ * @param {{format: string, duration?: number, channels?: number} | null} info - Details from readAudioInfo
+ * @returns {string} E.g. "0:03.25, MP3, stereo"
+ */
+function formatAudioInfo(info) {
+	if (!info) return "Not a recognised audio file";
+	if (info.duration === undefined) return `${info.format}, could not be decoded`;
+	const channels = { 1: "mono", 2: "stereo" }[info.channels] || `${info.channels} channels`;
+	return `${formatDuration(info.duration)}, ${info.format}, ${channels}`;
+}
+
+/**
+ * Format a duration as minutes and seconds
+ * @param {number} seconds - The duration
+ * @returns {string} E.g. "1:04.50"
+ */
+function formatDuration(seconds) {
+	const minutes = Math.floor(seconds / 60);
+	return `${minutes}:${(seconds - minutes * 60).toFixed(2).padStart(5, "0")}`;
+}
+
+/**
+ * Read and show what an embedded font or audio file contains
+ * @param {HTMLElement} assetItem - The asset item element
+ * @param {string} assetType - "Font" or "Audio"
+ * @param {Uint8Array} bytes - The embedded bytes
+ * @param {string} assetName - The asset name
+ */
+function showEmbeddedSummary(assetItem, assetType, bytes, assetName) {
+	const summary =
+		assetType === "Font"
+			? readFontNames(bytes).then((names) => ({
+					details: names,
+					text: formatFontNames(names),
+					headline: names?.family,
+				}))
+			: readAudioInfo(bytes).then((info) => ({
+					details: info,
+					text: formatAudioInfo(info),
+					headline: info?.duration !== undefined ? formatDuration(info.duration) : undefined,
+				}));
+
+	summary.then(({ details, text, headline }) => {
+		const textEl = assetItem.querySelector(".asset-embedded-summary");
+		if (textEl) textEl.textContent = text;
+		const headlineEl = assetItem.querySelector(".asset-summary");
+		if (headlineEl && headline) headlineEl.textContent = headline;
+		logger.debug(`[${assetType.toUpperCase()}] Details for "${assetName}":`, details);
+	});
+}
+
+/**
+ * Show what replaced an asset, or hide it once the original is restored
+ * @param {string} assetName - The asset name
+ * @param {string | null} text - Description of the replacement, or null to hide
+ */
+function showReplacementSummary(assetName, text) {
+	const assetItem = document.querySelector(
+		`.asset-item[data-asset-index="${getAssetIndex(assetName)}"]`,
+	);
+	const row = assetItem && assetItem.querySelector(".asset-replacement");
+	if (!row) return;
+	row.hidden = text === null;
+	const textEl = row.querySelector(".asset-replacement-summary");
+	if (textEl && text !== null) textEl.textContent = text;
+}
+
+/**
+ * Work out where an asset's contents come from
+ * @param {Object} asset - The asset object
+ * @param {string} assetName - The asset name
+ * @returns {{type: string, text: string, fileName?: string}} The status type, as used by
+ *   updateAssetStatus, and a description
+ */
+function getAssetSource(asset, assetName) {
+	const resolution = getAssetResolution(assetName);
+	if (resolution) {
+		switch (resolution.status) {
+			case "loading":
+				return { type: "folder", fileName: resolution.fileName, text: `Asset folder: ${resolution.fileName} (loading...)` };
+			case "error":
+				return { type: "missing", fileName: resolution.fileName, text: `Asset folder: ${resolution.fileName} failed (${resolution.error})` };
+			default:
+				return { type: "folder", fileName: resolution.fileName, text: `Asset folder: ${resolution.fileName}` };
+		}
+	}
+	if (embeddedAssetBytes.has(assetName)) {
+		return { type: "embedded", text: "Embedded in the file" };
+	}
+	if (asset.cdnUuid) {
+		return { type: "cdn", text: "Rive CDN" };
+	}
+	return { type: "missing", text: "Missing: not embedded and not in the asset folder" };
+}
+
+/**
+ * Show where an asset comes from in its status indicator and Source row
+ * @param {HTMLElement} assetItem - The asset item element
+ * @param {Object} asset - The asset object
+ * @param {string} assetName - The asset name
+ */
+function showAssetSource(assetItem, asset, assetName) {
+	const source = getAssetSource(asset, assetName);
+	const statusIndicator = assetItem.querySelector(".status-indicator");
+	if (statusIndicator) {
+		renderStatusIndicator(
+			statusIndicator,
+			source.type,
+			source.fileName,
+			source.type === "missing" ? "error" : "success",
+		);
+	}
+	const sourceEl = assetItem.querySelector(".asset-source");
+	if (sourceEl) sourceEl.textContent = source.text;
+}
+
+/**
+ * Update the UI when an asset is resolved from the asset folder
+ * @param {string} assetName - The asset name
+ * @param {{fileName: string, status: string, error?: string}} resolution - The resolution
+ */
+function handleAssetResolution(assetName, resolution) {
+	const asset = assetMap.get(assetName);
+	const assetItem = document.querySelector(
+		`.asset-item[data-asset-index="${getAssetIndex(assetName)}"]`,
+	);
+	if (asset && assetItem) {
+		showAssetSource(assetItem, asset, assetName);
+	}
+	renderAssetFolderBar();
+
+	// The folder file would otherwise overwrite a replacement applied while it was loading
+	const replacement = activeReplacements.get(assetName);
+	if (resolution.status === "loaded" && replacement) {
+		if (replacement.url) {
+			substituteAsset(assetName, replacement.url);
+		} else {
+			substituteAssetFile(assetName, replacement.file);
+		}
+	}
+
+	if (resolution.status === "loaded") {
+		logAssetEvent("AssetFolderResolution", {
+			assetName: assetName,
+			assetType: asset ? getAssetType(asset) : "Unknown",
+			fileName: resolution.fileName,
+		});
+	} else if (resolution.status === "error") {
+		logAssetEvent("AssetFolderResolutionError", {
+			assetName: assetName,
+			assetType: asset ? getAssetType(asset) : "Unknown",
+			error: resolution.error,
+		});
+	}
+}
+
+/**
+ * Build the bar for choosing the folder that referenced and CDN assets are loaded from
+ * @returns {HTMLElement} The bar
+ */
+function createAssetFolderBar() {
+	const bar = document.createElement("div");
+	bar.className = "asset-folder-bar";
+	bar.innerHTML = `
+        <span class="asset-folder-name"></span>
+        <span class="asset-folder-summary"></span>
+        <button class="asset-folder-choose" title="Load referenced and CDN assets from a local folder">📂 Choose Folder</button>
+        <input type="file" class="asset-folder-input" webkitdirectory multiple hidden>
+        <button class="asset-folder-clear" title="Stop using this folder">✕</button>
+    `;
+
+	const folderInput = bar.querySelector(".asset-folder-input");
+	bar.querySelector(".asset-folder-choose").addEventListener("click", () => {
+		if (!isFolderPickerSupported()) {
+			folderInput.click();
+			return;
+		}
+		chooseAssetFolder()
+			.then((chosen) => {
+				if (chosen) applyAssetFolder();
+			})
+			.catch((error) => {
+				logger.error("[FOLDER] Error opening asset folder:", error);
+				showStatus(`Could not open folder: ${error.message}`);
+			});
+	}, { passive: true });
+	folderInput.addEventListener("change", () => {
+		const files = Array.from(folderInput.files);
+		folderInput.value = "";
+		if (files.length === 0) return;
+		const relativePath = files[0].webkitRelativePath || "";
+		setAssetFolderFiles(files, relativePath.split("/")[0] || "Selected files");
+		applyAssetFolder();
+	}, { passive: true });
+	bar.querySelector(".asset-folder-clear").addEventListener("click", () => {
+		clearAssetFolder();
+		renderAssetFolderBar();
+		showStatus("Asset folder cleared. Reload the file to drop assets already loaded from it.");
+	}, { passive: true });
+
+	return bar;
+}
+
+/**
+ * Show the current folder and how many assets were resolved or are still missing
+ */
+function renderAssetFolderBar() {
+	const bar = assetManagerContainer && assetManagerContainer.querySelector(".asset-folder-bar");
+	if (!bar) return;
+
+	const folder = getAssetFolder();
+	bar.querySelector(".asset-folder-name").textContent = folder
+		? `📂 ${folder.name} (${folder.fileCount} file${folder.fileCount !== 1 ? "s" : ""})`
+		: "No asset folder";
+	bar.querySelector(".asset-folder-clear").hidden = !folder;
+
+	const counts = { folder: 0, cdn: 0, missing: 0 };
+	assetMap.forEach((asset, assetName) => {
+		const { type } = getAssetSource(asset, assetName);
+		if (type in counts) counts[type]++;
+	});
+	bar.querySelector(".asset-folder-summary").textContent = [
+		counts.folder > 0 ? `${counts.folder} from folder` : "",
+		counts.cdn > 0 ? `${counts.cdn} on CDN` : "",
+		counts.missing > 0 ? `${counts.missing} missing` : "",
+	]
+		.filter(Boolean)
+		.join(" · ");
+	bar.classList.toggle("has-missing", counts.missing > 0);
+}
+
+/**
+ * Load the assets the file doesn't embed from the current folder, without reloading the file
+ */
+function applyAssetFolder() {
+	let requested = 0;
+	assetMap.forEach((asset, assetName) => {
+		if (!embeddedAssetBytes.has(assetName) && loadAssetFromFolder(asset)) {
+			requested++;
+		}
+	});
+	const folder = getAssetFolder();
+	logger.info(`[FOLDER] Loading ${requested} asset(s) from "${folder?.name}"`);
+	showStatus(`Asset folder "${folder?.name}": found ${requested} of the file's referenced assets.`);
+	if (assetManagerContainer) {
+		buildAssetManagerUI();
+	}
+}
+
+/**
+ * Lets files or folders dropped on the Asset Manager panel be used as the asset folder. Listens
+ * on the document so the handlers survive the panel being closed and restored.
+ */
+function setupAssetFolderDropTarget() {
+	if (folderDropTargetReady) return;
+	folderDropTargetReady = true;
+
+	const getDropPanel = (event) =>
+		event.target instanceof Element ? event.target.closest("#assetManagerComponent") : null;
+	const hasFiles = (event) =>
+		event.dataTransfer && Array.from(event.dataTransfer.types).includes("Files");
+
+	// dragover and drop must call preventDefault to accept the drop, so they can't be passive
+	document.addEventListener("dragover", (event) => {
+		const panel = getDropPanel(event);
+		if (!panel || !hasFiles(event)) return;
+		event.preventDefault();
+		event.dataTransfer.dropEffect = "copy";
+		panel.classList.add("asset-drop-active");
+	});
+	document.addEventListener("dragleave", (event) => {
+		const panel = getDropPanel(event);
+		if (panel && !panel.contains(event.relatedTarget)) {
+			panel.classList.remove("asset-drop-active");
+		}
+	}, { passive: true });
+	document.addEventListener("drop", (event) => {
+		const panel = getDropPanel(event);
+		if (!panel || !hasFiles(event)) return;
+		event.preventDefault();
+		panel.classList.remove("asset-drop-active");
+
+		const items = Array.from(event.dataTransfer.items || []);
+		const firstEntry = items[0] && items[0].webkitGetAsEntry ? items[0].webkitGetAsEntry() : null;
+		const name = items.length === 1 && firstEntry?.isDirectory ? firstEntry.name : "Dropped files";
+		readDataTransferFiles(event.dataTransfer)
+			.then((files) => {
+				setAssetFolderFiles(files, name);
+				applyAssetFolder();
+			})
+			.catch((error) => {
+				logger.error("[FOLDER] Error reading dropped files:", error);
+				showStatus(`Could not read dropped files: ${error.message}`);
+			});
+	});
+}
+
+/**
+ * Show a short message in the status bar
+ * @param {string} message - The message
+ */
+function showStatus(message) {
+	const statusMessageDiv = document.getElementById("statusMessage");
+	if (statusMessageDiv) {
+		statusMessageDiv.textContent = message;
+	}
+}
+
+/**
+ * Build the header button that exports every embedded asset as a zip
+ * @returns {HTMLElement} The button
+ */
+function createExportAllButton() {
+	const embeddedCount = Array.from(assetMap.keys()).filter((name) =>
+		embeddedAssetBytes.has(name),
+	).length;
+	const button = document.createElement("button");
+	button.className = "asset-export-all-btn";
+	button.textContent = "💾 Export All";
+	button.disabled = embeddedCount === 0;
+	button.title =
+		embeddedCount > 0
+			? `Save the ${embeddedCount} embedded asset${embeddedCount !== 1 ? "s" : ""} as a zip`
+			: "No assets are embedded in the file";
+	button.addEventListener("click", exportAllEmbeddedAssets, { passive: true });
+	return button;
+}
+
+/**
+ * Identify a file extension from an embedded file's signature
+ * @param {Uint8Array} bytes - The file bytes
+ * @returns {string | null} The extension, or null if the format isn't recognised
+ */
+function detectExtension(bytes) {
+	if (!bytes || bytes.length < 12) return null;
+	const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+	if (bytes[0] === 0x89 && tag(1).startsWith("PNG")) return "png";
+	if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return "jpg";
+	if (tag(0) === "RIFF" && tag(8) === "WEBP") return "webp";
+	if (tag(0) === "GIF8") return "gif";
+
+	const fontExtensions = { TrueType: "ttf", OpenType: "otf", Collection: "ttc", WOFF: "woff", WOFF2: "woff2" };
+	const audioExtensions = { WAV: "wav", MP3: "mp3", AAC: "aac", M4A: "m4a", Ogg: "ogg", FLAC: "flac" };
+	return fontExtensions[detectFontFormat(bytes)] || audioExtensions[detectAudioFormat(bytes)] || null;
+}
+
+/**
+ * Build the file name an embedded asset is exported as
+ * @param {Object} asset - The asset object
+ * @param {string} assetName - The asset name
+ * @param {Uint8Array} bytes - The embedded bytes
+ * @returns {string} The file name, with an extension
+ */
+function getExportFileName(asset, assetName, bytes) {
+	const nameExtension = getExtensionFromName(assetName);
+	let extension = asset.fileExtension || nameExtension;
+	if (extension === "Unknown") {
+		extension = detectExtension(bytes) || "bin";
+	}
+	const fileName =
+		nameExtension.toLowerCase() === extension.toLowerCase()
+			? assetName
+			: `${assetName || "asset"}.${extension}`;
+	return fileName.replace(/[\\/:*?"<>|]/g, "_");
+}
+
+/**
+ * Download a blob as a file
+ * @param {Blob} blob - The contents
+ * @param {string} fileName - The download's file name
+ */
+function downloadBlob(blob, fileName) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = fileName;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(url);
+}
+
+/**
+ * Save an asset's embedded bytes to disk. Replacements aren't exported: this is always the
+ * version stored in the .riv file.
+ * @param {Object} asset - The asset object
+ * @param {string} assetName - The asset name
+ */
+function exportEmbeddedAsset(asset, assetName) {
+	const assetType = getAssetType(asset);
+	const bytes = embeddedAssetBytes.get(assetName);
+	if (!bytes) {
+		logger.warn(`[EXPORT] "${assetName}" is not embedded, nothing to export`);
+		return;
+	}
+
+	try {
+		const fileName = getExportFileName(asset, assetName, bytes);
+		downloadBlob(new Blob([bytes]), fileName);
+		logger.info(`[EXPORT] Exported "${assetName}" as ${fileName} (${bytes.length} bytes)`);
+		showStatus(`Exported ${fileName}`);
+		logAssetEvent("AssetExport", {
+			assetName: assetName,
+			assetType: assetType,
+			fileName: fileName,
+			fileSize: bytes.length,
+		});
+	} catch (error) {
+		logger.error(`[EXPORT] Error exporting "${assetName}":`, error);
+		showStatus(`Could not export ${assetName}: ${error.message}`);
+		logAssetEvent("AssetExportError", {
+			assetName: assetName,
+			assetType: assetType,
+			error: error.message,
+		});
+	}
+}
+
+/**
+ * Save every embedded asset to disk as a zip named after the .riv file
+ */
+function exportAllEmbeddedAssets() {
+	const usedNames = new Set();
+	const entries = [];
+	assetMap.forEach((asset, assetName) => {
+		const bytes = embeddedAssetBytes.get(assetName);
+		if (!bytes) return;
+
+		// Assets can share a name, so number repeats instead of overwriting them in the zip
+		const fileName = getExportFileName(asset, assetName, bytes);
+		let name = fileName;
+		for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+			name = fileName.replace(/(\.[^.]*)?$/, ` (${n})$1`);
+		}
+		usedNames.add(name.toLowerCase());
+		entries.push({ name, bytes });
+	});
+	if (entries.length === 0) {
+		logger.warn("[EXPORT] No embedded assets to export");
+		return;
+	}
+
+	const zipName = `${currentFileName.replace(/\.riv$/i, "") || "rive"}_assets.zip`.replace(/[\\/:*?"<>|]/g, "_");
+	try {
+		const zip = createZip(entries);
+		downloadBlob(zip, zipName);
+		logger.info(`[EXPORT] Exported ${entries.length} embedded asset(s) as ${zipName}`);
+		showStatus(`Exported ${entries.length} asset${entries.length !== 1 ? "s" : ""} to ${zipName}`);
+		logAssetEvent("AssetExportAll", {
+			fileName: zipName,
+			assetCount: entries.length,
+			fileSize: zip.size,
+		});
+	} catch (error) {
+		logger.error("[EXPORT] Error exporting embedded assets:", error);
+		showStatus(`Could not export assets: ${error.message}`);
+		logAssetEvent("AssetExportError", {
+			assetName: zipName,
+			error: error.message,
+		});
+	}
+}
+
+/**
+ * Build the mute button and volume slider shown when the file has audio
+ * @returns {HTMLElement} The controls
+ */
+function createAudioControls() {
+	const controls = document.createElement("div");
+	controls.className = "asset-audio-controls";
+	controls.innerHTML = `
+        <button class="audio-mute-btn"></button>
+        <input type="range" class="audio-volume-range" min="0" max="100" step="1" title="Volume">
+        <span class="audio-volume-value"></span>
+    `;
+
+	const muteBtn = controls.querySelector(".audio-mute-btn");
+	const volumeRange = controls.querySelector(".audio-volume-range");
+	const volumeValue = controls.querySelector(".audio-volume-value");
+	const render = () => {
+		muteBtn.textContent = audioMuted || audioVolume === 0 ? "🔇" : "🔊";
+		muteBtn.title = audioMuted ? "Unmute" : "Mute";
+		volumeRange.value = Math.round(audioVolume * 100);
+		volumeValue.textContent = `${Math.round(audioVolume * 100)}%`;
+		controls.classList.toggle("muted", audioMuted);
+	};
+
+	muteBtn.addEventListener("click", () => {
+		audioMuted = !audioMuted;
+		applyAudioVolume();
+		render();
+		logger.info(`[AUDIO] ${audioMuted ? "Muted" : "Unmuted"}`);
+	}, { passive: true });
+	volumeRange.addEventListener("input", () => {
+		audioVolume = Number(volumeRange.value) / 100;
+		audioMuted = false;
+		applyAudioVolume();
+		render();
+	}, { passive: true });
+
+	render();
+	return controls;
+}
+
+/**
+ * Apply the volume and mute setting to the Rive instance
+ */
+function applyAudioVolume() {
+	if (!currentRiveInstance) return;
+	try {
+		currentRiveInstance.volume = audioMuted ? 0 : audioVolume;
+		logger.debug(`[AUDIO] Volume set to ${audioMuted ? 0 : audioVolume}`);
+	} catch (error) {
+		logger.warn("[AUDIO] Could not set volume:", error);
+	}
+}
+
 /**
  * Reset an asset to its original embedded version
  * @param {Object} asset - The asset object
@@ -600,10 +1495,24 @@ function substituteImage(name, url) {
  */
 function handleAssetReset(asset, assetName, index) {
 	logger.info(`[RESET] Resetting asset "${assetName}" to original`);
+	activeReplacements.delete(assetName);
 
 	try {
 		// Reset the asset to its original embedded version
-		if (asset && asset.setRenderImage) {
+		const assetType = asset && getAssetType(asset);
+		if (getAssetResolution(assetName) && loadAssetFromFolder(asset)) {
+			// The original came from the asset folder, so load it from there again
+			logger.info(`[RESET] Reloading "${assetName}" from the asset folder`);
+		} else if (assetType === "Font" || assetType === "Audio") {
+			restoreEmbeddedAsset(asset, assetName)
+				.then(() => {
+					logger.info(`[RESET] Restored embedded ${assetType.toLowerCase()} for "${assetName}"`);
+				})
+				.catch((error) => {
+					logger.error(`[RESET] Could not restore ${assetType.toLowerCase()} "${assetName}":`, error);
+					showAssetError(index, error.message);
+				});
+		} else if (asset && asset.setRenderImage) {
 			// Passing null to setRenderImage should reset to the original embedded asset
 			asset.setRenderImage(null);
 			logger.info(`[RESET] Successfully reset asset "${assetName}" to original embedded version`);
@@ -618,14 +1527,12 @@ function handleAssetReset(asset, assetName, index) {
 			logger.warn(`[RESET] Asset "${assetName}" does not support setRenderImage - cannot reset`);
 		}
 
-		// Update UI
-		updateAssetStatus(index, "embedded", "Original");
-
-		// Clear input values
+		// Update UI and clear input values
 		const assetItem = document.querySelector(
 			`[data-asset-index="${index}"]`,
 		);
 		if (assetItem) {
+			showAssetSource(assetItem, asset, assetName);
 			const fileInput = assetItem.querySelector(".file-input");
 			const urlInput = assetItem.querySelector(".url-input");
 			if (fileInput) {
@@ -642,7 +1549,10 @@ function handleAssetReset(asset, assetName, index) {
 		logAssetEvent("AssetReset", {
 			assetName: assetName,
 			assetType: getAssetType(asset),
-			resetMethod: "setRenderImage(null)"
+			resetMethod: getAssetResolution(assetName) ? "decode(folder)" : {
+				Font: "setFont(embedded)",
+				Audio: "setAudioSource(embedded)",
+			}[getAssetType(asset)] || "setRenderImage(null)"
 		});
 	} catch (error) {
 		logger.error(`[RESET] Error resetting asset:`, error);
@@ -676,7 +1586,19 @@ function showAssetInfo(asset, assetName, index) {
 			asset.fileExtension || getExtensionFromName(assetName),
 		"Is Image": asset.isImage ? "Yes" : "No",
 		"Is Font": asset.isFont ? "Yes" : "No",
+		"Is Audio": asset.isAudio ? "Yes" : "No",
 	};
+	if (assetType === "Font" || assetType === "Audio") {
+		const assetItem = document.querySelector(`.asset-item[data-asset-index="${index}"]`);
+		details[`Embedded ${assetType}`] =
+			assetItem?.querySelector(".asset-embedded-summary")?.textContent || "N/A";
+	}
+	details["Embedded Size"] = embeddedAssetBytes.has(assetName)
+		? `${embeddedAssetBytes.get(assetName).length} bytes`
+		: "Not embedded";
+	if (embeddedAssetBytes.has(assetName)) {
+		details["Exports As"] = getExportFileName(asset, assetName, embeddedAssetBytes.get(assetName));
+	}
 
 	let detailsText = `Asset Information for "${assetName}":\n\n`;
 	Object.entries(details).forEach(([key, value]) => {
@@ -710,11 +1632,25 @@ function updateAssetStatus(index, type, displayName, status = "success") {
 	const statusIndicator = assetItem.querySelector(".status-indicator");
 	if (!statusIndicator) return;
 
+	renderStatusIndicator(statusIndicator, type, displayName, status);
+}
+
+/**
+ * Set the icon, title and classes of a status indicator
+ * @param {HTMLElement} statusIndicator - The indicator element
+ * @param {string} type - The status type ('embedded', 'file', 'url', 'folder', 'cdn', 'missing', 'error')
+ * @param {string} displayName - The display name
+ * @param {string} status - The status ('success', 'error', etc.)
+ */
+function renderStatusIndicator(statusIndicator, type, displayName, status = "success") {
 	// Remove existing classes
 	statusIndicator.classList.remove(
 		"embedded",
 		"file",
 		"url",
+		"folder",
+		"cdn",
+		"missing",
 		"success",
 		"error",
 	);
@@ -736,6 +1672,18 @@ function updateAssetStatus(index, type, displayName, status = "success") {
 			statusIndicator.textContent = "🔗";
 			statusIndicator.title = `Replaced with URL: ${displayName}`;
 			break;
+		case "folder":
+			statusIndicator.textContent = "📂";
+			statusIndicator.title = `Loaded from asset folder: ${displayName}`;
+			break;
+		case "cdn":
+			statusIndicator.textContent = "☁️";
+			statusIndicator.title = "Hosted on the Rive CDN";
+			break;
+		case "missing":
+			statusIndicator.textContent = "❓";
+			statusIndicator.title = "Referenced asset not found: map an asset folder to load it";
+			break;
 	}
 }
 
@@ -769,6 +1717,7 @@ function showAssetError(index, message) {
 function getAssetType(asset) {
 	if (asset.isImage) return "Image";
 	if (asset.isFont) return "Font";
+	if (asset.isAudio) return "Audio";
 	if (asset.fileExtension) {
 		const ext = asset.fileExtension.toLowerCase();
 		if (["jpg", "jpeg", "png", "gif", "webp", "svg"].includes(ext))
@@ -821,9 +1770,9 @@ function getAcceptTypes(assetType) {
 		case "Image":
 			return "image/*";
 		case "Font":
-			return ".ttf,.otf,.woff,.woff2";
+			return ".ttf,.otf,.woff";
 		case "Audio":
-			return "audio/*";
+			return "audio/*,.wav,.mp3,.flac";
 		case "Video":
 			return "video/*";
 		default:
@@ -0,0 +1,410 @@
+/**
+ * @file assetProfiles.js
+ * Asset profiles for the Asset Manager: named sets of asset replacements, such as one per brand
+ * skin, saved per file in IndexedDB. Choosing a profile applies all of its replacements at once, and
+ * the active profile is applied again whenever the file loads. Profiles export as a zip holding a
+ * manifest and the replacement files, or as a JSON manifest on its own.
+ */
+
+import { createLogger } from "../utils/debugger/debugLogger.js";
+import {
+	isAssetProfileStoreAvailable,
+	listAssetProfiles,
+	saveAssetProfile,
+	openAssetProfile,
+	deleteAssetProfile,
+} from "../utils/assetProfileStore.js";
+import { createZip, readZip } from "../utils/zipArchive.js";
+
+const logger = createLogger("assetManager");
+
+const ACTIVE_STORAGE_KEY = "riveActiveAssetProfiles";
+const EXPORT_FORMAT = "rive-tester-asset-profile";
+const EXPORT_VERSION = 1;
+const MANIFEST_NAME = "manifest.json";
+
+let currentFileName = "";
+
+/**
+ * Sets the file that profiles are saved for and listed from
+ * @param {string} fileName - Name of the loaded .riv file
+ */
+function setAssetProfileFileName(fileName) {
+	currentFileName = fileName || "";
+}
+
+/**
+ * Reads the id of the current file's active profile
+ * @returns {number | null}
+ */
+function getActiveProfileId() {
+	try {
+		const active = JSON.parse(localStorage.getItem(ACTIVE_STORAGE_KEY)) || {};
+		return active[currentFileName] ?? null;
+	} catch (e) {
+		logger.warn("[PROFILE] Error reading active profiles from localStorage:", e);
+		return null;
+	}
+}
+
+/**
+ * Sets or clears the current file's active profile
+ * @param {number | null} id - Profile id, or null for none
+ */
+function setActiveProfileId(id) {
+	try {
+		const active = JSON.parse(localStorage.getItem(ACTIVE_STORAGE_KEY)) || {};
+		if (id === null) {
+			delete active[currentFileName];
+		} else {
+			active[currentFileName] = id;
+		}
+		localStorage.setItem(ACTIVE_STORAGE_KEY, JSON.stringify(active));
+	} catch (e) {
+		logger.error("[PROFILE] Error saving active profile to localStorage:", e);
+	}
+}
+
+/**
+ * Shows a short message in the status bar
+ * @param {string} message - The message
+ */
+function showStatus(message) {
+	const statusMessageDiv = document.getElementById("statusMessage");
+	if (statusMessageDiv) {
+		statusMessageDiv.textContent = message;
+	}
+}
+
+/**
+ * Applies a saved profile, replacing any replacements made before
+ * @param {number} id - Profile id
+ * @param {object} callbacks - See buildAssetProfileBar
+ * @returns {Promise<object | null>} The profile, or null if it no longer exists
+ */
+async function applyProfile(id, { apply, reset }) {
+	const profile = await openAssetProfile(id);
+	if (!profile) return null;
+
+	reset();
+	const { applied, skipped } = apply(profile.entries);
+	if (skipped.length > 0) {
+		logger.warn(`[PROFILE] "${profile.name}" has no asset(s) named ${skipped.join(", ")} in ${currentFileName}`);
+	}
+	logger.info(`[PROFILE] Applied "${profile.name}" (${applied} replacement(s))`);
+	showStatus(
+		`Applied asset profile "${profile.name}" (${applied} replacement${applied !== 1 ? "s" : ""}` +
+			(skipped.length > 0 ? `, ${skipped.length} not in this file).` : ")."),
+	);
+	return profile;
+}
+
+/**
+ * Applies the current file's active profile, if it has one. Called whenever the file loads.
+ * @param {object} callbacks - See buildAssetProfileBar
+ */
+function applyActiveAssetProfile(callbacks) {
+	const id = getActiveProfileId();
+	if (id === null || !currentFileName || !isAssetProfileStoreAvailable()) return;
+
+	applyProfile(id, callbacks)
+		.then((profile) => {
+			if (!profile) setActiveProfileId(null);
+		})
+		.catch((error) => {
+			logger.error("[PROFILE] Error applying active profile:", error);
+		});
+}
+
+/**
+ * Describes a profile in the export manifest format
+ * @param {object} profile - A profile from openAssetProfile
+ * @returns {object} The manifest
+ */
+function createManifest(profile) {
+	return {
+		format: EXPORT_FORMAT,
+		version: EXPORT_VERSION,
+		file: profile.file,
+		name: profile.name,
+		replacements: profile.entries.map((entry) =>
+			entry.url
+				? { asset: entry.assetName, url: entry.url }
+				: { asset: entry.assetName, file: `assets/${entry.fileName}` },
+		),
+	};
+}
+
+/**
+ * Downloads a blob
+ * @param {Blob} blob - The contents
+ * @param {string} fileName - The download's file name
+ */
+function downloadBlob(blob, fileName) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = fileName;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(url);
+}
+
+/**
+ * Downloads a profile as a zip with its manifest and replacement files, or as the manifest alone
+ * @param {number} id - Profile id
+ * @param {"zip" | "json"} format - Export format. JSON manifests list file replacements by name only.
+ */
+async function exportProfile(id, format) {
+	const profile = await openAssetProfile(id);
+	if (!profile) return;
+
+	const manifest = createManifest(profile);
+	const baseName = `${profile.file.replace(/\.riv$/i, "") || "rive"}_${profile.name}`.replace(/[\\/:*?"<>|]/g, "_");
+	if (format === "json") {
+		downloadBlob(
+			new Blob([JSON.stringify(manifest, null, 2)], { type: "application/json" }),
+			`${baseName}.json`,
+		);
+	} else {
+		// Assets replaced with the same file share one copy of it
+		const files = new Map();
+		profile.entries
+			.filter((entry) => !entry.url)
+			.forEach((entry) => files.set(`assets/${entry.fileName}`, new Uint8Array(entry.bytes)));
+		const manifestBytes = new TextEncoder().encode(JSON.stringify(manifest, null, 2));
+		const entries = Array.from(files, ([name, bytes]) => ({ name, bytes }));
+		downloadBlob(createZip([{ name: MANIFEST_NAME, bytes: manifestBytes }, ...entries]), `${baseName}.zip`);
+	}
+	logger.info(`[PROFILE] Exported "${profile.name}" as ${format}`);
+}
+
+/**
+ * Gets the last segment of a path
+ * @param {string} path - The path
+ * @returns {string}
+ */
+function getBaseName(path) {
+	return path.split("/").pop();
+}
+
+/**
+ * Reads a profile from imported files: a zip, a JSON manifest, asset files, or a mix. With a
+ * manifest, its file replacements are looked up among the other files by name. Without one, each
+ * file replaces the asset with the same name, ignoring case and extension.
+ * @param {File[]} selectedFiles - The chosen files
+ * @param {string[]} assetNames - Names of the current file's assets
+ * @returns {Promise<{name: string, replacements: Array<object>}>} The profile to save
+ * @throws {Error} If the files don't describe any replacements
+ */
+async function readImportedProfile(selectedFiles, assetNames) {
+	let files = [];
+	for (const file of selectedFiles) {
+		const bytes = new Uint8Array(await file.arrayBuffer());
+		if (/\.zip$/i.test(file.name)) {
+			files = files.concat(await readZip(bytes));
+		} else {
+			files.push({ name: file.name, bytes });
+		}
+	}
+
+	const manifestFile = files.find((file) => /\.json$/i.test(file.name));
+	const assetFiles = files.filter((file) => file !== manifestFile);
+	const zipName = selectedFiles.find((file) => /\.zip$/i.test(file.name))?.name;
+	let manifest = null;
+	if (manifestFile) {
+		try {
+			manifest = JSON.parse(new TextDecoder().decode(manifestFile.bytes));
+		} catch (e) {
+			throw new Error(`${getBaseName(manifestFile.name)} is not valid JSON`);
+		}
+		if (!manifest || manifest.format !== EXPORT_FORMAT || !Array.isArray(manifest.replacements)) {
+			throw new Error(`${getBaseName(manifestFile.name)} is not an asset profile manifest`);
+		}
+		if (manifest.version > EXPORT_VERSION) {
+			throw new Error(`${getBaseName(manifestFile.name)} is from a newer version (${manifest.version})`);
+		}
+	}
+
+	const replacements = [];
+	if (manifest) {
+		manifest.replacements.forEach((entry) => {
+			if (!entry || typeof entry.asset !== "string") return;
+			if (typeof entry.url === "string") {
+				replacements.push({ assetName: entry.asset, url: entry.url });
+				return;
+			}
+			const file =
+				assetFiles.find((candidate) => candidate.name === entry.file) ||
+				assetFiles.find((candidate) => getBaseName(candidate.name) === getBaseName(String(entry.file)));
+			if (file) {
+				replacements.push({ assetName: entry.asset, fileName: getBaseName(file.name), bytes: file.bytes });
+			} else {
+				logger.warn(`[PROFILE] ${entry.file} for "${entry.asset}" was not among the imported files`);
+			}
+		});
+	} else {
+		const stem = (name) => getBaseName(name).replace(/\.[^.]*$/, "").toLowerCase();
+		assetFiles.forEach((file) => {
+			const assetName = assetNames.find((name) => stem(name) === stem(file.name));
+			if (assetName) {
+				replacements.push({ assetName, fileName: getBaseName(file.name), bytes: file.bytes });
+			}
+		});
+	}
+
+	if (replacements.length === 0) {
+		throw new Error(
+			manifest
+				? "the manifest's files were not included"
+				: "no file is named after an asset in this file",
+		);
+	}
+	const name = manifest?.name || (zipName ? zipName.replace(/\.zip$/i, "") : "Imported profile");
+	return { name, replacements };
+}
+
+/**
+ * Builds the asset profile bar of the Asset Manager
+ * @param {object} callbacks
+ * @param {function(): Array<{assetName: string, url?: string, fileName?: string, file?: Blob}>} callbacks.getReplacements -
+ *   Returns the replacements currently applied
+ * @param {function(Array<object>): {applied: number, skipped: string[]}} callbacks.apply - Applies replacements,
+ *   each with a URL or a file name and bytes, returning how many were applied and the asset names not found
+ * @param {function(): void} callbacks.reset - Resets every replaced asset
+ * @param {function(): string[]} callbacks.getAssetNames - Returns the names of the file's assets
+ * @returns {HTMLElement} The bar
+ */
+function buildAssetProfileBar(callbacks) {
+	const bar = document.createElement("div");
+	bar.className = "asset-profile-bar";
+
+	if (!isAssetProfileStoreAvailable()) {
+		bar.innerHTML = `<span class="asset-profile-note">Asset profiles need IndexedDB, which this browser has disabled.</span>`;
+		return bar;
+	}
+
+	bar.innerHTML = `
+        <div class="asset-profile-row">
+            <label>Profile:</label>
+            <select class="asset-profile-select" title="Apply a profile; it is applied again whenever this file loads"></select>
+            <button class="asset-profile-delete" title="Delete the selected profile">🗑️</button>
+            <button class="asset-profile-export" data-format="zip" title="Export the selected profile with its files">⬇️ Zip</button>
+            <button class="asset-profile-export" data-format="json" title="Export the selected profile's manifest only">⬇️ JSON</button>
+        </div>
+        <div class="asset-profile-row">
+            <input type="text" class="asset-profile-name" placeholder="Profile name, e.g. Brand B">
+            <button class="asset-profile-save" title="Save the current replacements as a profile">Save Current</button>
+            <button class="asset-profile-import" title="Import a zip, a JSON manifest with its files, or files named after assets">Import</button>
+            <input type="file" class="asset-profile-input" accept=".zip,.json,image/*,audio/*,.ttf,.otf,.woff" multiple hidden>
+        </div>
+    `;
+
+	const select = bar.querySelector(".asset-profile-select");
+	const nameInput = bar.querySelector(".asset-profile-name");
+	const importInput = bar.querySelector(".asset-profile-input");
+	const selectionButtons = bar.querySelectorAll(".asset-profile-delete, .asset-profile-export");
+
+	const renderProfiles = async () => {
+		const profiles = await listAssetProfiles(currentFileName);
+		const activeId = getActiveProfileId();
+		select.innerHTML = "";
+		select.appendChild(new Option("None", ""));
+		profiles.forEach((profile) => {
+			const option = new Option(
+				`${profile.name} (${profile.entries.length})`,
+				String(profile.id),
+			);
+			option.selected = profile.id === activeId;
+			select.appendChild(option);
+		});
+		selectionButtons.forEach((button) => {
+			button.disabled = select.value === "";
+		});
+	};
+	const fail = (action) => (error) => {
+		logger.error(`[PROFILE] Could not ${action}:`, error);
+		showStatus(`Could not ${action}: ${error.message}`);
+	};
+
+	select.addEventListener("change", () => {
+		const id = select.value === "" ? null : Number(select.value);
+		setActiveProfileId(id);
+		selectionButtons.forEach((button) => {
+			button.disabled = id === null;
+		});
+		if (id === null) {
+			callbacks.reset();
+			showStatus("Asset profile turned off; replaced assets were reset.");
+			return;
+		}
+		applyProfile(id, callbacks).catch(fail("apply profile"));
+	}, { passive: true });
+
+	bar.querySelector(".asset-profile-delete").addEventListener("click", () => {
+		const id = Number(select.value);
+		if (!id) return;
+		if (getActiveProfileId() === id) setActiveProfileId(null);
+		deleteAssetProfile(id).then(renderProfiles).catch(fail("delete profile"));
+	}, { passive: true });
+
+	bar.querySelectorAll(".asset-profile-export").forEach((button) => {
+		button.addEventListener("click", () => {
+			const id = Number(select.value);
+			if (id) exportProfile(id, button.dataset.format).catch(fail("export profile"));
+		}, { passive: true });
+	});
+
+	const saveProfile = async () => {
+		const name = nameInput.value.trim();
+		if (!name) {
+			nameInput.focus();
+			return;
+		}
+		const current = callbacks.getReplacements();
+		if (current.length === 0) {
+			showStatus("Replace some assets first, then save them as a profile.");
+			return;
+		}
+		const replacements = await Promise.all(
+			current.map(async (replacement) =>
+				replacement.url
+					? replacement
+					: { ...replacement, bytes: new Uint8Array(await replacement.file.arrayBuffer()) },
+			),
+		);
+		const profile = await saveAssetProfile(currentFileName, name, replacements);
+		setActiveProfileId(profile.id);
+		nameInput.value = "";
+		await renderProfiles();
+		logger.info(`[PROFILE] Saved "${name}" for ${currentFileName}`);
+		showStatus(`Saved asset profile "${name}" (${replacements.length} replacements).`);
+	};
+	bar.querySelector(".asset-profile-save").addEventListener("click", () => {
+		saveProfile().catch(fail("save profile"));
+	}, { passive: true });
+	nameInput.addEventListener("keydown", (event) => {
+		if (event.key === "Enter") saveProfile().catch(fail("save profile"));
+	}, { passive: true });
+
+	bar.querySelector(".asset-profile-import").addEventListener("click", () => importInput.click(), { passive: true });
+	importInput.addEventListener("change", () => {
+		const files = Array.from(importInput.files);
+		importInput.value = "";
+		if (files.length === 0) return;
+		readImportedProfile(files, callbacks.getAssetNames())
+			.then(async ({ name, replacements }) => {
+				const profile = await saveAssetProfile(currentFileName, name, replacements);
+				setActiveProfileId(profile.id);
+				await renderProfiles();
+				await applyProfile(profile.id, callbacks);
+			})
+			.catch(fail("import profile"));
+	}, { passive: true });
+
+	renderProfiles().catch(fail("list profiles"));
+	return bar;
+}
+
+export { setAssetProfileFileName, applyActiveAssetProfile, buildAssetProfileBar };
@@ -0,0 +1,72 @@
+/**
+ * @file audioUnlockPrompt.js
+ * Browsers keep audio muted until the page has been clicked or tapped. The Rive runtime waits for
+ * that click before it plays a file's audio and then fires `audiostatuschange`, so a file loaded by
+ * drag and drop can look silent. This shows a prompt over the canvas while audio is locked.
+ */
+
+import { createLogger } from "../utils/debugger/debugLogger.js";
+
+const logger = createLogger("audioUnlock");
+
+let onUnlock = null;
+
+/**
+ * Checks whether the browser would still block audio playback
+ * @returns {boolean}
+ */
+function isAudioLocked() {
+	if (navigator.userActivation) {
+		return !navigator.userActivation.hasBeenActive;
+	}
+	const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+	if (!AudioContextClass) return false;
+	const context = new AudioContextClass();
+	const locked = context.state !== "running";
+	context.close();
+	return locked;
+}
+
+/**
+ * Hides the prompt and reports that audio is available
+ */
+function unlock() {
+	const prompt = document.getElementById("audioUnlockPrompt");
+	if (!prompt || prompt.hidden) return;
+
+	hideAudioUnlockPrompt();
+	logger.info("Audio unlocked by user interaction");
+	if (onUnlock) onUnlock();
+}
+
+/**
+ * Shows the prompt if the loaded file has audio and the browser hasn't unlocked it yet, and hides
+ * it otherwise
+ * @param {boolean} hasAudio - Whether the loaded file has audio assets
+ * @param {function(): void} [callback] - Called once audio is unlocked
+ */
+function updateAudioUnlockPrompt(hasAudio, callback = null) {
+	const prompt = document.getElementById("audioUnlockPrompt");
+	if (!prompt) return;
+
+	onUnlock = callback;
+	if (!hasAudio || !isAudioLocked()) {
+		hideAudioUnlockPrompt();
+		return;
+	}
+	prompt.hidden = false;
+	// The runtime unlocks audio on the first pointerdown anywhere on the page, not just here
+	document.addEventListener("pointerdown", unlock, { capture: true, passive: true });
+	logger.info("File has audio but the browser has not unlocked it yet");
+}
+
+/**
+ * Hides the prompt without reporting, e.g. when the runtime reports the audio status itself
+ */
+function hideAudioUnlockPrompt() {
+	document.removeEventListener("pointerdown", unlock, true);
+	const prompt = document.getElementById("audioUnlockPrompt");
+	if (prompt) prompt.hidden = true;
+}
+
+export { updateAudioUnlockPrompt, hideAudioUnlockPrompt };
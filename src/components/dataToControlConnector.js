@@ -215,6 +215,41 @@ export function processDataForControls(parsedData, riveInstance) {
 		});
 	}
 
+	// Named text runs of the active artboard, including those inside nested artboards
+	const textRunControls = [];
+	const activeArtboardData =
+		parsedData.artboards &&
+		parsedData.artboards.find((a) => a.name === activeArtboardName);
+	if (activeArtboardData && Array.isArray(activeArtboardData.textRuns)) {
+		activeArtboardData.textRuns.forEach((run) => {
+			textRunControls.push({
+				name: run.name,
+				path: run.path || null,
+				parsedText: run.text,
+			});
+		});
+	}
+	logger.info(`Found ${textRunControls.length} text runs for the Text section`);
+
+	// State machine inputs reachable through nested artboards, set at runtime by path
+	const nestedInputControls = [];
+	const collectNestedInputs = (nestedArtboards) => {
+		nestedArtboards.forEach((nested) => {
+			if (nested.inputs && nested.inputs.length > 0) {
+				nestedInputControls.push({
+					path: nested.path,
+					artboardName: nested.artboardName,
+					inputs: nested.inputs,
+				});
+			}
+			collectNestedInputs(nested.nestedArtboards || []);
+		});
+	};
+	if (activeArtboardData && Array.isArray(activeArtboardData.nestedArtboards)) {
+		collectNestedInputs(activeArtboardData.nestedArtboards);
+	}
+	logger.info(`Found ${nestedInputControls.length} nested artboards with inputs`);
+
 	// Structure for ViewModel controls with direct live property references
 	const viewModelControls = [];
 
@@ -379,6 +414,24 @@ export function processDataForControls(parsedData, riveInstance) {
 								? mainViewModelInstance.enum(prop.name)
 								: mainViewModelInstance.string(prop.name);
 							break;
+						case "list":
+							vmProperty =
+								typeof mainViewModelInstance.list === "function"
+									? mainViewModelInstance.list(prop.name)
+									: null;
+							break;
+						case "image":
+							vmProperty =
+								typeof mainViewModelInstance.image === "function"
+									? mainViewModelInstance.image(prop.name)
+									: null;
+							break;
+						case "artboard":
+							vmProperty =
+								typeof mainViewModelInstance.artboard === "function"
+									? mainViewModelInstance.artboard(prop.name)
+									: null;
+							break;
 						case "trigger":
 							// Special handling for triggers if needed
 							logger.debug(`[DataConnector] Processing trigger property: ${prop.name}`);
@@ -443,6 +496,9 @@ export function processDataForControls(parsedData, riveInstance) {
 							type: prop.type, // This is Rive's type for the property kind
 							liveProperty: vmProperty,
 						};
+						if (prop.type === "artboard") {
+							propertyEntry.artboardTargets = findArtboardTargets(parsedData);
+						}
 						if (prop.type === "enumType") {
 							const parsedVmBlueprint = findViewModelInParsedData(
 								parsedData,
@@ -489,6 +545,13 @@ export function processDataForControls(parsedData, riveInstance) {
 						}
 						mainVmInfo.properties.push(propertyEntry);
 						// logger.debug(`Added main VM property: ${prop.name} (${prop.type})`); // Already a debug log
+					} else if (isRuntimeTooOldFor(mainViewModelInstance, prop.type)) {
+						mainVmInfo.properties.push({
+							name: prop.name,
+							type: prop.type,
+							liveProperty: null,
+							runtimeTooOld: true,
+						});
 					}
 				} catch (e) {
 					logger.warn(`Error accessing property ${prop.name}:`, e);
@@ -568,6 +631,7 @@ export function processDataForControls(parsedData, riveInstance) {
 								name: input.name,
 								type: input.type,
 								value: input.value,
+								artboardTargets: input.artboardTargets,
 								isPlaceholder: true,
 							});
 						});
@@ -587,6 +651,7 @@ export function processDataForControls(parsedData, riveInstance) {
 										name: input.name,
 										type: input.type,
 										value: input.value,
+										artboardTargets: input.artboardTargets,
 										isPlaceholder: true,
 									}),
 								),
@@ -640,14 +705,22 @@ export function processDataForControls(parsedData, riveInstance) {
 		activeStateMachineNames,
 		activeViewModelName,
 		stateMachineControls,
+		nestedInputControls,
+		textRunControls,
 		viewModelControls,
 	};
 }
 
 /**
- * Recursively build nested VM controls following the exampleIndex.mjs pattern
+ * Recursively build nested VM controls following the exampleIndex.mjs pattern.
+ * Also used for ViewModel list items, which are standalone instances.
+ *
+ * @param {Object} vmInstance - The live ViewModel instance
+ * @param {string} instanceName - Display name for the instance
+ * @param {Object} parsedData - The parsed data from parser.js
+ * @return {Object|null} Control structure for the instance
  */
-function buildNestedVMControls(vmInstance, instanceName, parsedData) {
+export function buildNestedVMControls(vmInstance, instanceName, parsedData) {
 	if (!vmInstance) return null;
 
 	const result = {
@@ -747,6 +820,21 @@ function buildNestedVMControls(vmInstance, instanceName, parsedData) {
 							liveProperty = vmInstance.trigger(prop.name);
 						}
 						break;
+					case "list":
+						if (typeof vmInstance.list === "function") {
+							liveProperty = vmInstance.list(prop.name);
+						}
+						break;
+					case "image":
+						if (typeof vmInstance.image === "function") {
+							liveProperty = vmInstance.image(prop.name);
+						}
+						break;
+					case "artboard":
+						if (typeof vmInstance.artboard === "function") {
+							liveProperty = vmInstance.artboard(prop.name);
+						}
+						break;
 				}
 
 				if (liveProperty) {
@@ -758,6 +846,9 @@ function buildNestedVMControls(vmInstance, instanceName, parsedData) {
 						type: prop.type,
 						liveProperty: liveProperty,
 					};
+					if (prop.type === "artboard") {
+						nestedPropEntry.artboardTargets = findArtboardTargets(parsedData);
+					}
 					if (prop.type === "enumType") {
 						let parsedVmBlueprint = null;
 						if (
@@ -809,6 +900,13 @@ function buildNestedVMControls(vmInstance, instanceName, parsedData) {
 					logger.debug(
 						`[buildNestedVMControls] Added nested property ${instanceName}.${prop.name} (${prop.type}) to result`,
 					);
+				} else if (isRuntimeTooOldFor(vmInstance, prop.type)) {
+					result.properties.push({
+						name: prop.name,
+						type: prop.type,
+						liveProperty: null,
+						runtimeTooOld: true,
+					});
 				} else {
 					logger.warn(
 						`[buildNestedVMControls] Failed to get liveProperty for '${prop.name}' in VM '${instanceName}' - property will be skipped`,
@@ -881,6 +979,47 @@ function findStateMachineInParsedData(
 	return artboard.stateMachines.find((sm) => sm.name === stateMachineName);
 }
 
+/**
+ * Whether the loaded runtime is too old to bind a property of this type. List, image and
+ * artboard properties need the ViewModelInstance accessors added in @rive-app/webgl2 2.35.
+ *
+ * @param {Object} vmInstance - The live ViewModel instance
+ * @param {string} type - The property type reported by the runtime
+ * @return {boolean} True if the accessor for the type is missing
+ */
+function isRuntimeTooOldFor(vmInstance, type) {
+	return (
+		["list", "image", "artboard"].includes(type) &&
+		typeof vmInstance[type] !== "function"
+	);
+}
+
+/**
+ * Find the artboards that can be bound to artboard properties. The parser lists every artboard
+ * in the file on each artboard property; the control leaves out the one being played.
+ *
+ * @param {Object} parsedData - The parsed data from parser.js
+ * @return {Array<string>} Artboard names, empty if the file has no artboard properties
+ */
+function findArtboardTargets(parsedData) {
+	const instances = [
+		...(parsedData?.artboards || []).flatMap((artboard) => artboard.viewModels || []),
+		...(parsedData?.allViewModelDefinitionsAndInstances || []).map((entry) => entry.parsedData),
+	];
+	while (instances.length > 0) {
+		const instance = instances.shift();
+		if (!instance) continue;
+		for (const input of instance.inputs || []) {
+			if (input.type === "artboard" && Array.isArray(input.artboardTargets)) {
+				return input.artboardTargets;
+			}
+			if (input.listItems) instances.push(...input.listItems);
+		}
+		instances.push(...(instance.nestedViewModels || []));
+	}
+	return [];
+}
+
 /**
  * Find a specific ViewModel within the parsed data structure.
  *
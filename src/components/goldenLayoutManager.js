@@ -112,7 +112,7 @@ function getLayoutConfig() {
 			// Validate the configuration for known component names
 			const validComponents = [
 				"controls", "canvas", "dynamicControls", "jsonInspector", 
-				"assetManager", "eventConsole", "graphVisualizer"
+				"assetManager", "eventConsole", "graphVisualizer", "stateMachineDiagram", "riveCompare"
 			];
 			
 			// Check if the saved config contains invalid component names
@@ -546,6 +546,77 @@ const componentFactories = {
 			logger.error("Error creating graphVisualizer component:", error);
 		}
 	},
+
+	stateMachineDiagram: function (container, componentState) {
+		try {
+			const template = document.getElementById("stateMachineDiagramTemplate");
+			if (!template) {
+				logger.error("stateMachineDiagramTemplate not found");
+				return;
+			}
+
+			const content = template.cloneNode(true);
+			content.style.display = "block";
+			content.id = "stateMachineDiagramComponent";
+
+			// Get the DOM element from jQuery wrapper
+			const element = container.getElement();
+			if (element && element.length > 0) {
+				element[0].appendChild(content);
+			} else if (element && element.appendChild) {
+				element.appendChild(content);
+			}
+
+			// Initialize once the panel has been laid out
+			setTimeout(() => {
+				if (window.stateMachineDiagram) {
+					try {
+						window.stateMachineDiagram.initialize(content);
+					} catch (error) {
+						logger.error("Failed to initialize state machine diagram:", error);
+					}
+				}
+			}, 300);
+
+			logger.info("State Machine Diagram component created");
+		} catch (error) {
+			logger.error("Error creating stateMachineDiagram component:", error);
+		}
+	},
+
+	riveCompare: function (container, componentState) {
+		try {
+			const template = document.getElementById("riveCompareTemplate");
+			if (!template) {
+				logger.error("riveCompareTemplate not found");
+				return;
+			}
+
+			const content = template.cloneNode(true);
+			content.style.display = "block";
+			content.id = "riveCompareComponent";
+
+			// Get the DOM element from jQuery wrapper
+			const element = container.getElement();
+			if (element && element.length > 0) {
+				element[0].appendChild(content);
+			} else if (element && element.appendChild) {
+				element.appendChild(content);
+			}
+
+			if (window.riveCompare) {
+				try {
+					window.riveCompare.initialize(content);
+				} catch (error) {
+					logger.error("Failed to initialize compare panel:", error);
+				}
+			}
+
+			logger.info("Compare component created");
+		} catch (error) {
+			logger.error("Error creating riveCompare component:", error);
+		}
+	},
 };
 
 /**
@@ -599,6 +670,14 @@ export function initializeGoldenLayout() {
 			"graphVisualizer",
 			componentFactories.graphVisualizer,
 		);
+		goldenLayout.registerComponent(
+			"stateMachineDiagram",
+			componentFactories.stateMachineDiagram,
+		);
+		goldenLayout.registerComponent(
+			"riveCompare",
+			componentFactories.riveCompare,
+		);
 
 		logger.info("All components registered successfully");
 
@@ -754,6 +833,8 @@ export function initializeGoldenLayout() {
 				goldenLayout.registerComponent("assetManager", componentFactories.assetManager);
 				goldenLayout.registerComponent("eventConsole", componentFactories.eventConsole);
 				goldenLayout.registerComponent("graphVisualizer", componentFactories.graphVisualizer);
+				goldenLayout.registerComponent("stateMachineDiagram", componentFactories.stateMachineDiagram);
+				goldenLayout.registerComponent("riveCompare", componentFactories.riveCompare);
 				
 				// Set up basic event handlers
 				goldenLayout.on("initialised", () => {
@@ -1088,6 +1169,8 @@ function addRestoreMenu() {
 		"assetManager",
 		"eventConsole",
 		"graphVisualizer",
+		"stateMachineDiagram",
+		"riveCompare",
 	];
 	const missingComponents = [];
 	const foundComponents = [];
@@ -1246,6 +1329,8 @@ function getComponentDisplayName(componentName) {
 		assetManager: "Asset Manager",
 		eventConsole: "Event Console",
 		graphVisualizer: "Graph Visualizer",
+		stateMachineDiagram: "State Machine Diagram",
+		riveCompare: "Compare",
 	};
 	return names[componentName] || componentName;
 }
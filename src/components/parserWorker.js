@@ -0,0 +1,90 @@
+/**
+ * @file parserWorker.js
+ * Web Worker that parses a Rive file off the main thread. It loads the low-level Rive runtime
+ * without a canvas, builds the same result object as runOriginalClientParser with parseRiveBytes
+ * from riveFileExtractor.js, and posts it back to runWorkerParser (parser.js) with progress
+ * messages along the way.
+ *
+ * Messages received: { type: "parse", src: string } with an absolute URL (blob: URLs included).
+ * Messages posted:
+ *   { type: "progress", progress: { stage, message, completed?, total? } }
+ *   { type: "result", data: object }
+ *   { type: "error", error: { error: string, details: object | string } }
+ */
+
+importScripts("../../node_modules/@rive-app/webgl2/rive.js");
+
+// Load the wasm that ships with the runtime script above rather than the CDN copy
+rive.RuntimeLoader.setWasmUrl(
+	new URL("../../node_modules/@rive-app/webgl2/rive.wasm", self.location.href).href,
+);
+
+/**
+ * Posts a progress message to the main thread
+ * @param {{stage: string, message: string, completed?: number, total?: number}} progress - The progress update.
+ */
+function postProgress(progress) {
+	self.postMessage({ type: "progress", progress: progress });
+}
+
+/**
+ * Loads and parses a Rive file, posting progress and then the result or an error
+ * @param {string} src - Absolute URL of the .riv file.
+ */
+async function parseRiveFile(src) {
+	// Classic workers can't import modules statically, so the extractor loads on first use
+	const { parseRiveBytes } = await import("../utils/riveFileExtractor.js");
+
+	let bytes;
+	try {
+		const response = await fetch(src);
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}`);
+		}
+		bytes = new Uint8Array(await response.arrayBuffer());
+	} catch (fetchError) {
+		self.postMessage({
+			type: "error",
+			error: { error: "Problem loading file; may be corrupt!", details: String(fetchError) },
+		});
+		return;
+	}
+
+	try {
+		const result = await parseRiveBytes(rive, bytes, postProgress);
+		self.postMessage({ type: "result", data: result });
+	} catch (error) {
+		if (error.phase === "load") {
+			self.postMessage({
+				type: "error",
+				error: { error: "Problem loading file; may be corrupt!", details: error.message },
+			});
+			return;
+		}
+		self.postMessage({
+			type: "error",
+			error: {
+				error: "Critical parsing error - see console for details",
+				details: {
+					message: error.message,
+					stack: error.stack,
+					phase: "parsing",
+					riveFileSource: src,
+					timestamp: new Date().toISOString(),
+				},
+			},
+		});
+	}
+}
+
+self.addEventListener("message", (event) => {
+	const message = event.data || {};
+	if (message.type === "parse") {
+		parseRiveFile(message.src).catch((error) => {
+			self.postMessage({
+				type: "error",
+				error: { error: "Parser worker failed", details: String(error), workerFailed: true },
+			});
+		});
+	}
+});
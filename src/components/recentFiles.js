@@ -0,0 +1,212 @@
+/**
+ * @file recentFiles.js
+ * Recent Files list in the Controls panel. Local .riv files are kept in IndexedDB (see
+ * recentFilesStore.js) with the settings last used with them, so they can be reopened with one
+ * click after a reload. Entries can be pinned to keep them from being evicted, or deleted.
+ */
+
+import { createLogger } from "../utils/debugger/debugLogger.js";
+import {
+	isRecentFilesStoreAvailable,
+	listRecentFiles,
+	saveRecentFile,
+	openRecentFile,
+	updateRecentFileSettings,
+	setRecentFilePinned,
+	deleteRecentFile,
+} from "../utils/recentFilesStore.js";
+
+const logger = createLogger("recentFiles");
+
+let listElement = null;
+let openHandler = null;
+let activeFileId = null;
+
+/**
+ * Sets up the Recent Files list
+ * @param {{onOpen: function({entry: object, bytes: ArrayBuffer}): void}} options - `onOpen` loads a file
+ *   picked from the list, with the settings stored in `entry.settings`.
+ */
+function initializeRecentFiles({ onOpen }) {
+	openHandler = onOpen;
+	listElement = document.getElementById("recentFilesList");
+	if (!listElement) {
+		logger.warn("Recent files list element not found");
+		return;
+	}
+
+	if (!isRecentFilesStoreAvailable()) {
+		const section = document.getElementById("recentFilesSection");
+		if (section) {
+			section.style.display = "none";
+		}
+		logger.warn("IndexedDB is not available; recent files are disabled");
+		return;
+	}
+
+	listElement.addEventListener("click", handleListClick, { passive: true });
+	renderRecentFiles();
+}
+
+/**
+ * Stores a local file in the library
+ * @param {File} file - The file that was just opened
+ * @returns {Promise<object | null>} The library entry, or null if the file could not be stored
+ */
+async function rememberRecentFile(file) {
+	if (!isRecentFilesStoreAvailable()) return null;
+	try {
+		const entry = await saveRecentFile(file.name, await file.arrayBuffer());
+		activeFileId = entry.id;
+		await renderRecentFiles();
+		return entry;
+	} catch (error) {
+		logger.warn(`Could not add ${file.name} to recent files:`, error);
+		return null;
+	}
+}
+
+/**
+ * Stores the settings in use with a library file
+ * @param {number} id - Library entry id
+ * @param {object} settings - Settings to merge into the saved ones
+ */
+async function rememberRecentFileSettings(id, settings) {
+	try {
+		await updateRecentFileSettings(id, settings);
+	} catch (error) {
+		logger.warn("Could not save recent file settings:", error);
+	}
+}
+
+/**
+ * Marks which library file is loaded, or none
+ * @param {number | null} id - Library entry id
+ */
+function setActiveRecentFile(id) {
+	activeFileId = id;
+	if (!listElement) return;
+	listElement.querySelectorAll(".recent-file-item").forEach((item) => {
+		item.classList.toggle("active", Number(item.dataset.id) === id);
+	});
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "340 KB" or "2.4 MB"
+ */
+function formatSize(bytes) {
+	if (bytes < 1024 * 1024) {
+		return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+	}
+	return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Redraws the list from the library
+ */
+async function renderRecentFiles() {
+	if (!listElement) return;
+
+	let entries;
+	try {
+		entries = await listRecentFiles();
+	} catch (error) {
+		logger.error("Could not read recent files:", error);
+		listElement.innerHTML = '<div class="recent-files-empty">Recent files unavailable</div>';
+		return;
+	}
+
+	listElement.innerHTML = "";
+	if (entries.length === 0) {
+		listElement.innerHTML = '<div class="recent-files-empty">Files you open appear here</div>';
+		return;
+	}
+
+	entries.forEach((entry) => {
+		const item = document.createElement("div");
+		item.className = "recent-file-item";
+		item.classList.toggle("pinned", entry.pinned);
+		item.classList.toggle("active", entry.id === activeFileId);
+		item.dataset.id = entry.id;
+
+		const openBtn = document.createElement("button");
+		openBtn.className = "recent-file-open";
+		openBtn.dataset.action = "open";
+		openBtn.title = entry.settings.artboard
+			? `Open ${entry.name} (${entry.settings.artboard})`
+			: `Open ${entry.name}`;
+
+		const name = document.createElement("span");
+		name.className = "recent-file-name";
+		name.textContent = entry.name;
+		const size = document.createElement("span");
+		size.className = "recent-file-size";
+		size.textContent = formatSize(entry.size);
+		openBtn.append(name, size);
+
+		const pinBtn = document.createElement("button");
+		pinBtn.className = "recent-file-action recent-file-pin";
+		pinBtn.dataset.action = "pin";
+		pinBtn.title = entry.pinned ? "Unpin" : "Pin (pinned files are never removed automatically)";
+		pinBtn.innerHTML = '<i class="fas fa-thumbtack"></i>';
+
+		const deleteBtn = document.createElement("button");
+		deleteBtn.className = "recent-file-action recent-file-delete";
+		deleteBtn.dataset.action = "delete";
+		deleteBtn.title = "Remove from recent files";
+		deleteBtn.innerHTML = '<i class="fas fa-times"></i>';
+
+		item.append(openBtn, pinBtn, deleteBtn);
+		listElement.appendChild(item);
+	});
+}
+
+/**
+ * Handles clicks on the open, pin and delete buttons of list items
+ * @param {MouseEvent} event - The click event
+ */
+async function handleListClick(event) {
+	const button = event.target.closest("button[data-action]");
+	const item = button ? button.closest(".recent-file-item") : null;
+	if (!item) return;
+	const id = Number(item.dataset.id);
+
+	try {
+		switch (button.dataset.action) {
+			case "open": {
+				const file = await openRecentFile(id);
+				if (!file) {
+					logger.warn(`Recent file ${id} is no longer stored`);
+					break;
+				}
+				activeFileId = id;
+				logger.info(`Opening recent file ${file.entry.name}`);
+				if (openHandler) {
+					openHandler(file);
+				}
+				break;
+			}
+			case "pin":
+				await setRecentFilePinned(id, !item.classList.contains("pinned"));
+				break;
+			case "delete":
+				await deleteRecentFile(id);
+				if (activeFileId === id) {
+					activeFileId = null;
+				}
+				break;
+		}
+	} catch (error) {
+		logger.error(`Recent file ${button.dataset.action} failed:`, error);
+	}
+	renderRecentFiles();
+}
+
+export {
+	initializeRecentFiles,
+	rememberRecentFile,
+	rememberRecentFileSettings,
+	setActiveRecentFile,
+};
@@ -0,0 +1,313 @@
+/**
+ * @file riveCompare.js
+ * Compare panel: parses two .riv files with the parser and shows a tree of what changed between
+ * them (artboards, animations, state machine inputs, ViewModel properties and enum values).
+ * The diff can be exported as JSON or Markdown.
+ */
+
+import { createLogger } from "../utils/debugger/debugLogger.js";
+import { DIFF_STATUS, diffParsedData, formatDiffAsMarkdown } from "../utils/riveDiff.js";
+
+const logger = createLogger("riveCompare");
+
+const KIND_LABELS = {
+	artboard: "Artboard",
+	animation: "Animation",
+	stateMachine: "State Machine",
+	input: "Input",
+	viewModel: "ViewModel",
+	property: "Property",
+	enum: "Enum",
+	enumValue: "Value",
+};
+
+let panelElement = null;
+let currentDiff = null;
+
+/**
+ * Binds the compare panel to a panel created from riveCompareTemplate
+ * @param {HTMLElement} panel - The cloned template content
+ */
+function initialize(panel) {
+	panelElement = panel;
+	const beforeInput = panel.querySelector("#compareBeforeInput");
+	const afterInput = panel.querySelector("#compareAfterInput");
+	const runButton = panel.querySelector("#compareRunBtn");
+
+	const updateRunButton = () => {
+		runButton.disabled = !(beforeInput.files[0] && afterInput.files[0]);
+	};
+	beforeInput.addEventListener("change", updateRunButton, { passive: true });
+	afterInput.addEventListener("change", updateRunButton, { passive: true });
+	runButton.addEventListener("click", () => compareFiles(beforeInput.files[0], afterInput.files[0]), {
+		passive: true,
+	});
+
+	panel.querySelector("#compareShowUnchanged").addEventListener("change", () => renderDiff(), { passive: true });
+	panel.querySelector("#compareExportJsonBtn").addEventListener("click", exportJson, { passive: true });
+	panel.querySelector("#compareExportMarkdownBtn").addEventListener("click", exportMarkdown, { passive: true });
+
+	// Golden Layout recreates the panel when it is restored, so redraw any earlier result
+	if (currentDiff) {
+		renderDiff();
+	} else {
+		showMessage("Choose the earlier revision as Before and the later one as After, then compare.");
+	}
+	logger.info("Compare panel initialized");
+}
+
+/**
+ * Parses a .riv file with the parser, in a worker when possible
+ * @param {File} file - The file to parse
+ * @returns {Promise<object>} The parsed data
+ */
+function parseFile(file) {
+	return new Promise((resolve, reject) => {
+		const url = URL.createObjectURL(file);
+		const finish = (error, parsedData) => {
+			URL.revokeObjectURL(url);
+			if (error || !parsedData) {
+				reject(new Error(error ? error.error || "Unknown error" : "Parser returned no data"));
+			} else {
+				resolve(parsedData);
+			}
+		};
+
+		// Main thread fallback gets its own canvas so the visible animation is left alone
+		const parseOnMainThread = () => {
+			if (typeof runOriginalClientParser !== "function") {
+				finish({ error: "Parser function not found." }, null);
+				return;
+			}
+			runOriginalClientParser(window.rive, document.createElement("canvas"), url, finish);
+		};
+
+		const startedWorker =
+			typeof runWorkerParser === "function" &&
+			runWorkerParser(
+				url,
+				(error, parsedData) => {
+					if (error && error.workerFailed) {
+						logger.warn(`Parser worker failed for ${file.name}, parsing on the main thread instead`);
+						parseOnMainThread();
+						return;
+					}
+					finish(error, parsedData);
+				},
+				null,
+				{ exclusive: false },
+			);
+		if (!startedWorker) {
+			parseOnMainThread();
+		}
+	});
+}
+
+/**
+ * Parses both files and shows their diff
+ * @param {File} beforeFile - The earlier revision
+ * @param {File} afterFile - The later revision
+ */
+async function compareFiles(beforeFile, afterFile) {
+	if (!beforeFile || !afterFile) return;
+
+	setExportEnabled(false);
+	showMessage(`Parsing ${beforeFile.name} and ${afterFile.name}...`);
+	try {
+		const [beforeData, afterData] = await Promise.all([parseFile(beforeFile), parseFile(afterFile)]);
+		currentDiff = diffParsedData(beforeData, afterData, {
+			before: beforeFile.name,
+			after: afterFile.name,
+		});
+		logger.info("Diff complete:", currentDiff.summary);
+		renderDiff();
+		setExportEnabled(true);
+	} catch (error) {
+		logger.error("Compare failed:", error);
+		currentDiff = null;
+		showMessage(`Could not compare files: ${error.message}`);
+	}
+}
+
+/**
+ * Draws the current diff as a tree, hiding unchanged items unless "Show unchanged" is on
+ */
+function renderDiff() {
+	if (!panelElement || !currentDiff) return;
+
+	const content = panelElement.querySelector("#compareContent");
+	const showUnchanged = panelElement.querySelector("#compareShowUnchanged").checked;
+	const { summary } = currentDiff;
+	panelElement.querySelector("#compareSummary").textContent =
+		`+${summary.added} −${summary.removed} ~${summary.renamed} Δ${summary.changed}`;
+
+	content.innerHTML = "";
+	[
+		["Artboards", currentDiff.artboards],
+		["ViewModels", currentDiff.viewModels],
+		["Enums", currentDiff.enums],
+	].forEach(([title, nodes]) => {
+		const section = document.createElement("div");
+		section.className = "compare-section";
+
+		const heading = document.createElement("div");
+		heading.className = "compare-section-title";
+		heading.textContent = title;
+		section.appendChild(heading);
+
+		const list = buildNodeList(nodes, showUnchanged);
+		if (list) {
+			section.appendChild(list);
+		} else {
+			const empty = document.createElement("div");
+			empty.className = "compare-empty";
+			empty.textContent = nodes.length === 0 ? "None in either file" : "No changes";
+			section.appendChild(empty);
+		}
+		content.appendChild(section);
+	});
+}
+
+/**
+ * Builds the list for one level of the diff tree
+ * @param {Array<object>} nodes - Diff nodes
+ * @param {boolean} showUnchanged - Whether to include unchanged nodes
+ * @returns {HTMLUListElement | null} The list, or null if no node is shown
+ */
+function buildNodeList(nodes, showUnchanged) {
+	const visible = nodes.filter((node) => showUnchanged || node.status !== DIFF_STATUS.UNCHANGED);
+	if (visible.length === 0) return null;
+
+	const list = document.createElement("ul");
+	list.className = "compare-tree";
+	visible.forEach((node) => {
+		const item = document.createElement("li");
+		const row = buildNodeRow(node);
+		const childList = buildNodeList(node.children, showUnchanged);
+
+		if (childList) {
+			// Changed branches start open; added/removed ones only repeat their status
+			const details = document.createElement("details");
+			details.open = node.status === DIFF_STATUS.CHANGED || node.status === DIFF_STATUS.RENAMED;
+			const summary = document.createElement("summary");
+			summary.appendChild(row);
+			details.appendChild(summary);
+			details.appendChild(childList);
+			item.appendChild(details);
+		} else {
+			item.appendChild(row);
+		}
+		list.appendChild(item);
+	});
+	return list;
+}
+
+/**
+ * Builds the row describing a diff node: status badge, kind, name and field changes
+ * @param {object} node - A diff node
+ * @returns {HTMLElement} The row
+ */
+function buildNodeRow(node) {
+	const row = document.createElement("span");
+	row.className = `compare-node compare-${node.status}`;
+
+	const badge = document.createElement("span");
+	badge.className = "compare-badge";
+	badge.textContent = node.status;
+	row.appendChild(badge);
+
+	const kind = document.createElement("span");
+	kind.className = "compare-kind";
+	kind.textContent = KIND_LABELS[node.kind] || node.kind;
+	row.appendChild(kind);
+
+	const name = document.createElement("span");
+	name.className = "compare-name";
+	name.textContent = node.status === DIFF_STATUS.RENAMED ? `${node.previousName} → ${node.name}` : node.name;
+	row.appendChild(name);
+
+	if (node.changes.length > 0) {
+		const changes = document.createElement("span");
+		changes.className = "compare-changes";
+		changes.textContent = node.changes
+			.map((change) => `${change.field}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`)
+			.join(", ");
+		row.appendChild(changes);
+	}
+	return row;
+}
+
+/**
+ * Shows a message in place of the diff tree
+ * @param {string} message - The message
+ */
+function showMessage(message) {
+	if (!panelElement) return;
+	panelElement.querySelector("#compareSummary").textContent = "";
+	const content = panelElement.querySelector("#compareContent");
+	content.innerHTML = "";
+	const messageEl = document.createElement("div");
+	messageEl.className = "compare-message";
+	messageEl.textContent = message;
+	content.appendChild(messageEl);
+}
+
+/**
+ * Enables or disables the export buttons
+ * @param {boolean} enabled - Whether a diff is available to export
+ */
+function setExportEnabled(enabled) {
+	if (!panelElement) return;
+	panelElement.querySelector("#compareExportJsonBtn").disabled = !enabled;
+	panelElement.querySelector("#compareExportMarkdownBtn").disabled = !enabled;
+}
+
+/**
+ * Builds an export filename from the compared file names
+ * @param {string} extension - File extension without the dot
+ * @returns {string} e.g. "button-v1_vs_button-v2_diff.md"
+ */
+function getExportFilename(extension) {
+	const baseName = (name) => (name || "file").replace(/\.riv$/i, "");
+	return `${baseName(currentDiff.files.before)}_vs_${baseName(currentDiff.files.after)}_diff.${extension}`;
+}
+
+/**
+ * Downloads text as a file
+ * @param {string} text - The file contents
+ * @param {string} type - MIME type
+ * @param {string} filename - Suggested filename
+ */
+function downloadText(text, type, filename) {
+	const url = URL.createObjectURL(new Blob([text], { type }));
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(url);
+}
+
+/**
+ * Exports the current diff as JSON
+ */
+function exportJson() {
+	if (!currentDiff) return;
+	downloadText(JSON.stringify(currentDiff, null, 2), "application/json", getExportFilename("json"));
+	logger.info("Diff exported as JSON");
+}
+
+/**
+ * Exports the current diff as a Markdown report
+ */
+function exportMarkdown() {
+	if (!currentDiff) return;
+	downloadText(formatDiffAsMarkdown(currentDiff), "text/markdown", getExportFilename("md"));
+	logger.info("Diff exported as Markdown");
+}
+
+// Expose globally for the Golden Layout component factory
+window.riveCompare = { initialize };
+
+export { initialize };
@@ -4,14 +4,30 @@
  * with live Rive animations (State Machine inputs, ViewModel properties).
  */
 
-import { processDataForControls } from "./dataToControlConnector.js";
+import {
+	processDataForControls,
+	buildNestedVMControls,
+} from "./dataToControlConnector.js";
 import { createLogger, LoggerAPI } from "../utils/debugger/debugLogger.js";
-import { setAssetMap } from "./assetManager.js";
+import {
+	setAssetMap,
+	decodeImageBytes,
+	decodeImageFromUrl,
+} from "./assetManager.js";
 import { 
 	formatRiveEvent, 
 	shouldLogEvent,
 	getEventCategoryColor 
 } from "../utils/riveEventMapper.js";
+import { buildSnapshotPresetControls } from "./snapshotPresets.js";
+import {
+	recordInteraction,
+	recordRiveEvent,
+	notifyInstanceLoaded,
+	buildSessionRecorderControls,
+} from "./sessionRecorder.js";
+import { updateAudioUnlockPrompt, hideAudioUnlockPrompt } from "./audioUnlockPrompt.js";
+import { loadAssetFromFolder, resetAssetResolutions } from "../utils/assetFolder.js";
 
 // Expose LoggerAPI globally for debugging
 window.LoggerAPI = LoggerAPI;
@@ -24,7 +40,11 @@ let riveInstance = null;
 let parsedRiveData = null;
 let dynamicControlsInitialized = false;
 let structuredControlData = null; // Will store the processed data from dataToControlConnector
-let uiUpdateInterval = null; // <<< ADDED: For polling interval ID
+let uiUpdateInterval = null; // Fallback polling for properties without change callbacks
+let controlBindings = []; // Controls kept in sync with their live property or input
+let pendingControlUpdates = new Set(); // Bindings to refresh on the next animation frame
+let controlUpdateFrame = null;
+const CONTROL_POLL_INTERVAL_MS = 250;
 // Event logging configuration
 let displayRiveEvents = false; // Track whether to display Rive events in status bar - DEFAULT OFF
 let logCustomEvents = false; // Track whether to log custom Rive events - DEFAULT OFF
@@ -34,6 +54,7 @@ let logPlaybackEvents = false; // Track whether to log playback events (Play, Pa
 let logSystemEvents = false; // Track whether to log system events - DEFAULT OFF
 let logFrameEvents = false; // Track whether to log frame-level events (Draw, Advance) - DEFAULT OFF
 let eventConsoleMessages = []; // Store event console messages
+let embeddedImageBytes = new Map(); // Encoded bytes of images embedded in the file, by asset name
 
 // Performance monitoring configuration
 let fpsCounterEnabled = false; // Track whether FPS counter is enabled - DEFAULT OFF
@@ -96,6 +117,27 @@ function simpleFmt(val) {
 	}
 }
 
+/**
+ * Splits the state names of a statechange event by the state machine that reported them. The
+ * event merges the names of every playing state machine, so they are read again from each one;
+ * within a state machine the runtime lists them in layer order.
+ * @param {string[]} stateNames The state names carried by the event
+ * @return {Array<{stateMachines: string[], states: string[]}>} One report per state machine, or a
+ *   single report naming every playing state machine if they can't be told apart
+ */
+function getStateChangeReports(stateNames) {
+	const playing = (riveInstance.animator?.stateMachines || []).filter((machine) => machine.playing);
+	try {
+		const reports = playing
+			.map((machine) => ({ stateMachines: [machine.name], states: machine.statesChanged }))
+			.filter((report) => report.states.length > 0);
+		if (reports.length > 0) return reports;
+	} catch (e) {
+		logger.debug("[controlInterface] Could not read state changes per state machine:", e);
+	}
+	return [{ stateMachines: riveInstance.playingStateMachineNames || [], states: stateNames }];
+}
+
 function handleConstructorStateChange(sm, st) {
 	logger.debug("onStateChange Fired");
 	logger.debug("SM:", simpleFmt(sm));
@@ -104,9 +146,21 @@ function handleConstructorStateChange(sm, st) {
 	// Log the state change event
 	logRiveEvent("StateChange", { 
 		stateMachine: simpleFmt(sm), 
-		state: simpleFmt(st) 
+		state: simpleFmt(st)
 	});
-	
+
+	// Let the state machine diagram highlight the states that became active
+	if (sm && Array.isArray(sm.data) && riveInstance) {
+		document.dispatchEvent(
+			new CustomEvent("riveStateChanged", {
+				detail: {
+					artboard: riveInstance.activeArtboard,
+					reports: getStateChangeReports(sm.data),
+				},
+			}),
+		);
+	}
+
 	// Call updateControlsFromRive() to sync UI based on state machine changes.
 	logger.debug("onStateChange: Calling updateControlsFromRive()");
 	updateControlsFromRive();
@@ -118,6 +172,9 @@ function handleConstructorStateChange(sm, st) {
  * @param {Object} eventData - The event data object
  */
 function logRiveEvent(eventType, eventData) {
+	// Session recordings need every change, whether or not it is displayed
+	recordRiveEvent(eventType, eventData);
+
 	if (!displayRiveEvents || emergencyShutdown) return;
 	
 	// Event throttling to prevent browser crashes
@@ -954,6 +1011,18 @@ function createControlForProperty(property, vmContext = null) {
 					}, { passive: true });
 				}
 				break;
+
+			case "list":
+				ctrl = createListPropertyControl(property, vmContext);
+				break;
+
+			case "image":
+				ctrl = createImagePropertyControl(property, vmContext);
+				break;
+
+			case "artboard":
+				ctrl = createArtboardPropertyControl(property, vmContext);
+				break;
 		}
 	} catch (e) {
 		logger.error(`Error creating control for property ${name}:`, e);
@@ -963,6 +1032,955 @@ function createControlForProperty(property, vmContext = null) {
 	return ctrl;
 }
 
+/**
+ * Gets the names of all ViewModel definitions in the loaded file
+ * @return {Array<string>} ViewModel blueprint names
+ */
+function getViewModelDefinitionNames() {
+	const names = [];
+	if (!riveInstance || typeof riveInstance.viewModelByIndex !== "function") {
+		return names;
+	}
+
+	try {
+		const count =
+			typeof riveInstance.viewModelCount === "function"
+				? riveInstance.viewModelCount()
+				: riveInstance.viewModelCount || 0;
+		for (let i = 0; i < count; i++) {
+			const vmDef = riveInstance.viewModelByIndex(i);
+			if (vmDef && vmDef.name) {
+				names.push(vmDef.name);
+			}
+		}
+	} catch (e) {
+		logger.warn("[List] Error reading ViewModel definitions:", e);
+	}
+
+	return names;
+}
+
+/**
+ * Gets the ViewModel blueprint name of a live instance, if the runtime exposes it
+ * @param {Object} vmInstance The live ViewModel instance
+ * @return {string|null} The blueprint name
+ */
+function getInstanceBlueprintName(vmInstance) {
+	if (!vmInstance) return null;
+	return vmInstance.viewModelName || vmInstance.name || null;
+}
+
+/**
+ * Copies property values from one ViewModel instance to another of the same blueprint.
+ * Nested ViewModels are copied recursively; lists and images are left untouched.
+ * @param {Object} source The instance to copy from
+ * @param {Object} target The instance to copy into
+ */
+function copyViewModelInstanceValues(source, target) {
+	if (!source || !target || !Array.isArray(source.properties)) return;
+
+	source.properties.forEach((prop) => {
+		try {
+			switch (prop.type) {
+				case "boolean":
+				case "number":
+				case "string":
+				case "color": {
+					const from = source[prop.type](prop.name);
+					const to = target[prop.type](prop.name);
+					if (from && to) to.value = from.value;
+					break;
+				}
+				case "enumType": {
+					const from = source.enum(prop.name);
+					const to = target.enum(prop.name);
+					if (from && to) to.value = from.value;
+					break;
+				}
+				case "viewModel":
+					copyViewModelInstanceValues(
+						source.viewModel(prop.name),
+						target.viewModel(prop.name),
+					);
+					break;
+				default:
+					logger.debug(
+						`[List] Skipping ${prop.type} property '${prop.name}' while duplicating item`,
+					);
+					break;
+			}
+		} catch (e) {
+			logger.warn(`[List] Error copying property '${prop.name}':`, e);
+		}
+	});
+}
+
+/**
+ * Records the property values of a ViewModel instance as a plain object, so they can be put back
+ * after the instance is gone (e.g. when a watched file reloads). Nested ViewModels become nested
+ * objects; lists, images and triggers are skipped.
+ * @param {Object} vmInstance The instance to read
+ * @return {Object} Values keyed by property name
+ */
+function snapshotViewModelValues(vmInstance) {
+	const values = {};
+	if (!vmInstance || !Array.isArray(vmInstance.properties)) return values;
+
+	vmInstance.properties.forEach((prop) => {
+		try {
+			switch (prop.type) {
+				case "boolean":
+				case "number":
+				case "string":
+				case "color": {
+					const liveProp = vmInstance[prop.type](prop.name);
+					if (liveProp) values[prop.name] = { type: prop.type, value: liveProp.value };
+					break;
+				}
+				case "enumType": {
+					const liveProp = vmInstance.enum(prop.name);
+					if (liveProp) values[prop.name] = { type: prop.type, value: liveProp.value };
+					break;
+				}
+				case "viewModel":
+					values[prop.name] = {
+						type: prop.type,
+						value: snapshotViewModelValues(vmInstance.viewModel(prop.name)),
+					};
+					break;
+				default:
+					break;
+			}
+		} catch (e) {
+			logger.warn(`[controlInterface] Error reading property '${prop.name}':`, e);
+		}
+	});
+	return values;
+}
+
+/**
+ * Applies values recorded by snapshotViewModelValues to a ViewModel instance. Properties that no
+ * longer exist or changed type are skipped, as are enum values the enum no longer has.
+ * @param {Object} vmInstance The instance to write
+ * @param {Object} values Values keyed by property name
+ * @return {number} The number of properties restored
+ */
+function applyViewModelValues(vmInstance, values) {
+	if (!vmInstance || !Array.isArray(vmInstance.properties) || !values) return 0;
+
+	let restored = 0;
+	vmInstance.properties.forEach((prop) => {
+		const saved = values[prop.name];
+		if (!saved || saved.type !== prop.type) return;
+		try {
+			switch (prop.type) {
+				case "boolean":
+				case "number":
+				case "string":
+				case "color": {
+					const liveProp = vmInstance[prop.type](prop.name);
+					if (liveProp) {
+						liveProp.value = saved.value;
+						restored++;
+					}
+					break;
+				}
+				case "enumType": {
+					const liveProp = vmInstance.enum(prop.name);
+					if (liveProp && (!liveProp.values || liveProp.values.includes(saved.value))) {
+						liveProp.value = saved.value;
+						restored++;
+					}
+					break;
+				}
+				case "viewModel":
+					restored += applyViewModelValues(vmInstance.viewModel(prop.name), saved.value);
+					break;
+			}
+		} catch (e) {
+			logger.warn(`[controlInterface] Error restoring property '${prop.name}':`, e);
+		}
+	});
+	return restored;
+}
+
+/**
+ * Records the current ViewModel property values of the live Rive instance
+ * @return {Object|null} Values for initDynamicControls' `viewModelValues` option, or null without a ViewModel
+ */
+export function captureViewModelValues() {
+	if (!riveInstance || !riveInstance.viewModelInstance) return null;
+	return snapshotViewModelValues(riveInstance.viewModelInstance);
+}
+
+/**
+ * Records the current boolean and number input values of the running state machines
+ * @return {Object|null} Values by state machine and input name, for initDynamicControls'
+ *   `stateMachineInputValues` option, or null before the controls are built
+ */
+export function captureStateMachineInputValues() {
+	if (!structuredControlData || !structuredControlData.stateMachineControls) return null;
+
+	const triggerType = (window.rive && window.rive.StateMachineInputType || {}).Trigger;
+	const values = {};
+	structuredControlData.stateMachineControls.forEach((sm) => {
+		(sm.inputs || []).forEach(({ name, type, liveInput }) => {
+			if (!liveInput || type === triggerType || type === "trigger") return;
+			values[sm.name] = values[sm.name] || {};
+			values[sm.name][name] = liveInput.value;
+		});
+	});
+	return values;
+}
+
+/**
+ * Applies values recorded by captureStateMachineInputValues to the running state machines.
+ * Inputs that no longer exist or changed between boolean and number are skipped.
+ * @param {Object} values Values by state machine and input name
+ * @return {number} The number of inputs restored
+ */
+function applyStateMachineInputValues(values) {
+	if (!values || !structuredControlData || !structuredControlData.stateMachineControls) return 0;
+
+	let restored = 0;
+	structuredControlData.stateMachineControls.forEach((sm) => {
+		const savedInputs = values[sm.name];
+		if (!savedInputs) return;
+		(sm.inputs || []).forEach(({ name, liveInput }) => {
+			if (!liveInput || !(name in savedInputs)) return;
+			if (typeof liveInput.value !== typeof savedInputs[name]) return;
+			liveInput.value = savedInputs[name];
+			restored++;
+		});
+	});
+	return restored;
+}
+
+/**
+ * Reads the value of a state machine input inside a nested artboard. The path setters don't
+ * report values, so this reads it from the artboard.
+ * @param {Object} input The input ({name, type})
+ * @param {string} path The nested artboard path
+ * @return {boolean|number|undefined} The value, or undefined if it can't be read
+ */
+function readNestedInputValue(input, path) {
+	try {
+		const smiInput =
+			riveInstance.artboard && riveInstance.artboard.inputByPath(input.name, path);
+		if (!smiInput) return undefined;
+		if (input.type === "boolean") return smiInput.asBool().value;
+		if (input.type === "number") return smiInput.asNumber().value;
+	} catch (e) {
+		logger.warn(`[Nested] Could not read input ${input.name} at ${path}:`, e);
+	}
+	return undefined;
+}
+
+/**
+ * Reads the current text of a named text run
+ * @param {Object} run The text run ({name, path})
+ * @return {string|undefined} The text, or undefined if it can't be read
+ */
+function readTextRunValue(run) {
+	try {
+		return run.path
+			? riveInstance.getTextRunValueAtPath(run.name, run.path)
+			: riveInstance.getTextRunValue(run.name);
+	} catch (e) {
+		logger.warn(`[Text] Could not read text run ${run.name}:`, e);
+		return undefined;
+	}
+}
+
+/**
+ * Records every value the Dynamic Controls panel can set, for presets
+ * @return {{viewModel: Object, inputs: Object, nestedInputs: Object, textRuns: Object}} Values keyed by
+ *   property name, by state machine and input name, by nested path and input name, and by path ("" for
+ *   the active artboard) and run name
+ */
+function captureControlSnapshot() {
+	const nestedInputs = {};
+	(structuredControlData?.nestedInputControls || []).forEach((nested) => {
+		nested.inputs.forEach((input) => {
+			const value = readNestedInputValue(input, nested.path);
+			if (value === undefined) return;
+			nestedInputs[nested.path] = nestedInputs[nested.path] || {};
+			nestedInputs[nested.path][input.name] = value;
+		});
+	});
+
+	const textRuns = {};
+	(structuredControlData?.textRunControls || []).forEach((run) => {
+		const text = readTextRunValue(run);
+		if (text === undefined) return;
+		const path = run.path || "";
+		textRuns[path] = textRuns[path] || {};
+		textRuns[path][run.name] = text;
+	});
+
+	return {
+		viewModel: captureViewModelValues() || {},
+		inputs: captureStateMachineInputValues() || {},
+		nestedInputs,
+		textRuns,
+	};
+}
+
+/**
+ * Applies a snapshot from captureControlSnapshot to the live instance and rebuilds the controls so
+ * they show the new values. Values the current file no longer has are skipped.
+ * @param {Object} snapshot The snapshot
+ * @return {number} The number of values applied
+ */
+function applyControlSnapshot(snapshot) {
+	if (!riveInstance || !snapshot) return 0;
+
+	let restored =
+		applyViewModelValues(riveInstance.viewModelInstance, snapshot.viewModel) +
+		applyStateMachineInputValues(snapshot.inputs);
+
+	(structuredControlData?.nestedInputControls || []).forEach((nested) => {
+		const savedInputs = (snapshot.nestedInputs || {})[nested.path];
+		if (!savedInputs) return;
+		nested.inputs.forEach(({ name, type }) => {
+			const value = savedInputs[name];
+			try {
+				if (type === "boolean" && typeof value === "boolean") {
+					riveInstance.setBooleanStateAtPath(name, value, nested.path);
+					restored++;
+				} else if (type === "number" && typeof value === "number") {
+					riveInstance.setNumberStateAtPath(name, value, nested.path);
+					restored++;
+				}
+			} catch (e) {
+				logger.warn(`[Nested] Could not set input ${name} at ${nested.path}:`, e);
+			}
+		});
+	});
+
+	(structuredControlData?.textRunControls || []).forEach((run) => {
+		const text = ((snapshot.textRuns || {})[run.path || ""] || {})[run.name];
+		if (typeof text !== "string") return;
+		try {
+			if (run.path) {
+				riveInstance.setTextRunValueAtPath(run.name, text, run.path);
+			} else {
+				riveInstance.setTextRunValue(run.name, text);
+			}
+			restored++;
+		} catch (e) {
+			logger.warn(`[Text] Could not set text run ${run.name}:`, e);
+		}
+	});
+
+	buildControlsUI();
+	return restored;
+}
+
+/**
+ * Applies an interaction recorded by the session recorder to the live instance
+ * @param {Object} entry The recorded interaction ({kind: "input" | "viewModel" | "nestedInput" | "textRun", ...})
+ * @return {boolean} True if it was applied, false if the file no longer has its target
+ */
+function applyRecordedInteraction(entry) {
+	if (!riveInstance) return false;
+	try {
+		switch (entry.kind) {
+			case "input": {
+				const sm = (structuredControlData?.stateMachineControls || []).find(
+					(s) => s.name === entry.stateMachine
+				);
+				const input = sm && sm.inputs.find((i) => i.name === entry.name);
+				if (!input || !input.liveInput) return false;
+				if (entry.type === "trigger") {
+					input.liveInput.fire();
+				} else {
+					if (typeof input.liveInput.value !== typeof entry.value) return false;
+					input.liveInput.value = entry.value;
+				}
+				return true;
+			}
+			case "viewModel": {
+				// Walk nested ViewModels down to the one that owns the property
+				const segments = String(entry.path).split("/");
+				const propName = segments.pop();
+				let vmInstance = riveInstance.viewModelInstance;
+				segments.forEach((segment) => {
+					vmInstance = vmInstance && vmInstance.viewModel(segment);
+				});
+				if (!vmInstance) return false;
+
+				const liveProp =
+					entry.type === "enumType"
+						? vmInstance.enum(propName)
+						: vmInstance[entry.type] && vmInstance[entry.type](propName);
+				if (!liveProp) return false;
+				if (entry.type === "trigger") {
+					if (typeof liveProp.trigger === "function") liveProp.trigger();
+					else liveProp.fire();
+				} else if (entry.type === "color") {
+					liveProp.value =
+						typeof entry.value === "string" ? hexToArgb(entry.value) : entry.value;
+				} else {
+					liveProp.value = entry.value;
+				}
+				return true;
+			}
+			case "nestedInput":
+				if (entry.type === "boolean") {
+					riveInstance.setBooleanStateAtPath(entry.name, !!entry.value, entry.path);
+				} else if (entry.type === "number") {
+					riveInstance.setNumberStateAtPath(entry.name, Number(entry.value) || 0, entry.path);
+				} else if (entry.type === "trigger") {
+					riveInstance.fireStateAtPath(entry.name, entry.path);
+				} else {
+					return false;
+				}
+				return true;
+			case "textRun":
+				if (entry.path) {
+					riveInstance.setTextRunValueAtPath(entry.name, String(entry.value), entry.path);
+				} else {
+					riveInstance.setTextRunValue(entry.name, String(entry.value));
+				}
+				return true;
+			default:
+				return false;
+		}
+	} catch (e) {
+		logger.warn(`[controlInterface] Could not replay ${entry.kind} event:`, e);
+		return false;
+	}
+}
+
+/**
+ * Creates the note shown in place of a property control when the loaded runtime lacks the
+ * ViewModelInstance accessor for the property type
+ * @param {string} type The property type
+ * @return {HTMLElement} The note element
+ */
+function createRuntimeTooOldNote(type) {
+	const note = document.createElement("p");
+	note.className = "info-note";
+	note.textContent = `Runtime too old: ${type} properties need @rive-app/webgl2 2.35 or later`;
+	return note;
+}
+
+/**
+ * Creates an editor for a ViewModel list property. Each item is rendered as a
+ * nested ViewModel with its own controls, and items can be added, removed,
+ * reordered and duplicated on the live list.
+ * @param {Object} property The list property with name, type, and liveProperty reference
+ * @param {Object} vmContext Optional context about the ViewModel this property belongs to
+ * @return {HTMLElement} The list editor element
+ */
+function createListPropertyControl(property, vmContext = null) {
+	const { name, type } = property;
+	const liveList = property.liveProperty;
+	const listPath = `${vmContext?.path || "ViewModel"}/${name}`;
+	const depth = (vmContext?.depth || 0) + 1;
+
+	const listDetails = document.createElement("details");
+	listDetails.className = "control-subsection list-property-editor";
+	listDetails.open = false;
+
+	const listSummary = document.createElement("summary");
+	listDetails.appendChild(listSummary);
+
+	if (property.isPlaceholder || !liveList) {
+		const count = typeof property.value === "number" ? property.value : 0;
+		listSummary.textContent = property.runtimeTooOld
+			? `List: ${name}`
+			: `List: ${name} (${count} items)`;
+		if (property.runtimeTooOld) {
+			listDetails.open = true;
+			listDetails.appendChild(createRuntimeTooOldNote(type));
+			return listDetails;
+		}
+		const note = document.createElement("p");
+		note.className = "info-note";
+		note.textContent =
+			"List items can only be edited on a live ViewModel instance";
+		listDetails.appendChild(note);
+		return listDetails;
+	}
+
+	const logListChange = (action) => {
+		logRiveEvent("ViewModelPropertyChanged", {
+			property: name,
+			type: type,
+			value: `${action} (${liveList.length} items)`,
+			viewModel: vmContext?.instanceName || vmContext?.blueprintName || "ViewModel",
+			vmPath: vmContext?.path || "ViewModel",
+			isNested: vmContext?.isNested || false,
+			blueprintName: vmContext?.blueprintName
+		});
+	};
+
+	// Toolbar for adding new items
+	const toolbar = document.createElement("div");
+	toolbar.className = "list-toolbar";
+
+	const blueprintSelect = document.createElement("select");
+	blueprintSelect.title = "ViewModel to create new items from";
+	getViewModelDefinitionNames().forEach((vmName) => {
+		blueprintSelect.appendChild(new Option(vmName, vmName));
+	});
+
+	const addBtn = document.createElement("button");
+	addBtn.textContent = "Add Item";
+	addBtn.disabled = blueprintSelect.options.length === 0;
+
+	toolbar.appendChild(blueprintSelect);
+	toolbar.appendChild(addBtn);
+	listDetails.appendChild(toolbar);
+
+	const itemsContainer = document.createElement("div");
+	itemsContainer.className = "list-items";
+	listDetails.appendChild(itemsContainer);
+
+	/**
+	 * Creates a new instance of the given blueprint
+	 * @param {string} blueprintName The ViewModel name
+	 * @return {Object|null} The new instance
+	 */
+	const createItemInstance = (blueprintName) => {
+		if (!blueprintName || typeof riveInstance?.viewModelByName !== "function") {
+			return null;
+		}
+		const vmDef = riveInstance.viewModelByName(blueprintName);
+		return vmDef && typeof vmDef.instance === "function"
+			? vmDef.instance()
+			: null;
+	};
+
+	const makeItemButton = (label, title, onClick) => {
+		const btn = document.createElement("button");
+		btn.textContent = label;
+		btn.title = title;
+		btn.addEventListener(
+			"click",
+			() => {
+				try {
+					onClick();
+				} catch (error) {
+					logger.error(`[List] '${title}' failed for ${listPath}:`, error);
+				}
+			},
+			{ passive: true },
+		);
+		return btn;
+	};
+
+	/**
+	 * Re-renders all items from the live list
+	 * @param {number} openIndex Index of the item to leave expanded, if any
+	 */
+	const renderItems = (openIndex = -1) => {
+		itemsContainer.innerHTML = "";
+		const itemCount = liveList.length || 0;
+		listSummary.textContent = `List: ${name} (${itemCount} items)`;
+
+		if (itemCount === 0) {
+			const empty = document.createElement("p");
+			empty.className = "info-note";
+			empty.textContent = "This list is empty";
+			itemsContainer.appendChild(empty);
+			return;
+		}
+
+		for (let index = 0; index < itemCount; index++) {
+			const itemInstance = liveList.instanceAt(index);
+			if (!itemInstance) continue;
+
+			const itemName = `${name}[${index}]`;
+			const itemPath = `${listPath}[${index}]`;
+			const blueprintName = getInstanceBlueprintName(itemInstance);
+
+			if (index === 0 && blueprintName) {
+				blueprintSelect.value = blueprintName;
+			}
+
+			const itemDetails = document.createElement("details");
+			itemDetails.className = `control-subsection nested-level-${depth} list-item`;
+			itemDetails.open = index === openIndex;
+
+			const itemSummary = document.createElement("summary");
+			itemSummary.textContent = `#${index}${blueprintName ? ` (${blueprintName})` : ""}`;
+			itemDetails.appendChild(itemSummary);
+
+			const actions = document.createElement("div");
+			actions.className = "list-item-actions";
+
+			const upBtn = makeItemButton("▲", "Move up", () => {
+				liveList.swap(index, index - 1);
+				logListChange(`Moved item ${index} up`);
+				renderItems(index - 1);
+			});
+			upBtn.disabled = index === 0;
+
+			const downBtn = makeItemButton("▼", "Move down", () => {
+				liveList.swap(index, index + 1);
+				logListChange(`Moved item ${index} down`);
+				renderItems(index + 1);
+			});
+			downBtn.disabled = index === itemCount - 1;
+
+			const duplicateBtn = makeItemButton("Duplicate", "Duplicate item", () => {
+				const copy = createItemInstance(blueprintName);
+				if (!copy) {
+					logger.warn(`[List] Could not create a copy of ${itemName}`);
+					return;
+				}
+				copyViewModelInstanceValues(itemInstance, copy);
+				if (typeof liveList.addInstanceAt === "function") {
+					liveList.addInstanceAt(copy, index + 1);
+				} else {
+					liveList.addInstance(copy);
+					for (let i = liveList.length - 1; i > index + 1; i--) {
+						liveList.swap(i, i - 1);
+					}
+				}
+				logListChange(`Duplicated item ${index}`);
+				renderItems(index + 1);
+			});
+			duplicateBtn.disabled = !blueprintName;
+
+			const removeBtn = makeItemButton("Remove", "Remove item", () => {
+				liveList.removeInstanceAt(index);
+				logListChange(`Removed item ${index}`);
+				renderItems();
+			});
+
+			actions.appendChild(upBtn);
+			actions.appendChild(downBtn);
+			actions.appendChild(duplicateBtn);
+			actions.appendChild(removeBtn);
+			itemDetails.appendChild(actions);
+
+			const itemInfo = buildNestedVMControls(
+				itemInstance,
+				itemName,
+				parsedRiveData,
+			);
+			const itemContext = {
+				instanceName: itemName,
+				blueprintName: blueprintName || itemName,
+				path: itemPath,
+				isNested: true,
+				depth: depth,
+			};
+
+			// List item controls are rebuilt on every change, so their rows carry no property path
+			if (itemInfo && itemInfo.properties.length > 0) {
+				itemInfo.properties.forEach((prop) => {
+					const ctrl = createControlForProperty(prop, itemContext);
+					if (ctrl) {
+						appendPropertyControl(itemDetails, prop, ctrl, null);
+					}
+				});
+			}
+
+			if (itemInfo && itemInfo.nestedViewModels.length > 0) {
+				buildNestedViewModelControls(
+					itemDetails,
+					itemInfo.nestedViewModels,
+					itemPath,
+					depth + 1,
+					false,
+				);
+			}
+
+			itemsContainer.appendChild(itemDetails);
+		}
+	};
+
+	addBtn.addEventListener("click", () => {
+		try {
+			const newItem = createItemInstance(blueprintSelect.value);
+			if (!newItem) {
+				logger.warn(
+					`[List] Could not create a '${blueprintSelect.value}' instance for ${listPath}`,
+				);
+				return;
+			}
+			liveList.addInstance(newItem);
+			logListChange(`Added ${blueprintSelect.value} item`);
+			renderItems(liveList.length - 1);
+		} catch (error) {
+			logger.error(`[List] Error adding item to ${listPath}:`, error);
+		}
+	}, { passive: true });
+
+	renderItems();
+	return listDetails;
+}
+
+/**
+ * Creates a control for a ViewModel image property. The image can be set from a
+ * local file, a URL or one of the file's embedded images, and is decoded through
+ * the same decodeImage path the Asset Manager uses.
+ * @param {Object} property The image property with name, type, and liveProperty reference
+ * @param {Object} vmContext Optional context about the ViewModel this property belongs to
+ * @return {HTMLElement} The image control element
+ */
+function createImagePropertyControl(property, vmContext = null) {
+	const { name, type } = property;
+	const liveProperty = property.liveProperty;
+
+	const ctrl = document.createElement("div");
+	ctrl.className = "image-property-control";
+
+	const fileInput = document.createElement("input");
+	fileInput.type = "file";
+	fileInput.accept = "image/*";
+
+	const thumb = document.createElement("div");
+	thumb.className = "image-property-thumb";
+	thumb.textContent = "Default";
+
+	if (property.runtimeTooOld) {
+		ctrl.appendChild(createRuntimeTooOldNote(type));
+		return ctrl;
+	}
+
+	if (property.isPlaceholder || !liveProperty) {
+		fileInput.disabled = true;
+		ctrl.appendChild(fileInput);
+		ctrl.appendChild(thumb);
+		return ctrl;
+	}
+
+	const urlInput = document.createElement("input");
+	urlInput.type = "url";
+	urlInput.placeholder = "https://example.com/image.png";
+
+	const urlApplyBtn = document.createElement("button");
+	urlApplyBtn.textContent = "Apply";
+
+	const embeddedSelect = document.createElement("select");
+	embeddedSelect.appendChild(new Option("Embedded image...", ""));
+	embeddedImageBytes.forEach((bytes, assetName) => {
+		embeddedSelect.appendChild(new Option(assetName, assetName));
+	});
+	embeddedSelect.disabled = embeddedImageBytes.size === 0;
+
+	// The runtime does not say which embedded image a property starts with, so this
+	// clears the property rather than restoring its default
+	const clearBtn = document.createElement("button");
+	clearBtn.textContent = "Clear";
+	clearBtn.title = "Remove the image from the property";
+
+	let previewUrl = null;
+
+	/**
+	 * Shows a preview of the applied image
+	 * @param {string|null} url Preview URL, or null to show the default label
+	 * @param {boolean} ownsUrl Whether the URL is a blob URL this control must revoke
+	 */
+	const setPreview = (url, ownsUrl = false) => {
+		if (previewUrl) {
+			URL.revokeObjectURL(previewUrl);
+			previewUrl = null;
+		}
+		thumb.innerHTML = "";
+		if (!url) {
+			thumb.textContent = "Default";
+			return;
+		}
+		if (ownsUrl) previewUrl = url;
+		const img = document.createElement("img");
+		img.src = url;
+		img.alt = name;
+		thumb.appendChild(img);
+	};
+
+	/**
+	 * Applies a decoded image to the live property
+	 * @param {Promise<Object>} decoding Promise resolving to a decoded Rive image
+	 * @param {string} source Description of the image source for logging
+	 * @param {string} previewSrc URL used for the thumbnail
+	 * @param {boolean} ownsUrl Whether the preview URL is a blob URL owned by this control
+	 */
+	const applyImage = (decoding, source, previewSrc, ownsUrl) => {
+		decoding
+			.then((img) => {
+				liveProperty.value = img;
+				img.unref(); // The property keeps its own reference
+				setPreview(previewSrc, ownsUrl);
+				logger.info(`[Image] Set ${name} from ${source}`);
+
+				logRiveEvent("ViewModelPropertyChanged", {
+					property: name,
+					type: type,
+					value: source,
+					viewModel: vmContext?.instanceName || vmContext?.blueprintName || "ViewModel",
+					vmPath: vmContext?.path || "ViewModel",
+					isNested: vmContext?.isNested || false,
+					blueprintName: vmContext?.blueprintName
+				});
+			})
+			.catch((error) => {
+				logger.error(`[Image] Failed to set ${name} from ${source}:`, error);
+				if (ownsUrl) URL.revokeObjectURL(previewSrc);
+				thumb.textContent = "Error";
+				thumb.title = error.message;
+			});
+	};
+
+	fileInput.addEventListener("change", () => {
+		const file = fileInput.files[0];
+		if (!file) return;
+		const fileUrl = URL.createObjectURL(file);
+		applyImage(decodeImageFromUrl(fileUrl, file.name), file.name, fileUrl, true);
+		fileInput.value = "";
+	}, { passive: true });
+
+	urlApplyBtn.addEventListener("click", () => {
+		const url = urlInput.value.trim();
+		if (!url) return;
+		applyImage(decodeImageFromUrl(url), url, url, false);
+	}, { passive: true });
+
+	embeddedSelect.addEventListener("change", () => {
+		const assetName = embeddedSelect.value;
+		const bytes = embeddedImageBytes.get(assetName);
+		embeddedSelect.value = "";
+		if (!bytes) return;
+		const blobUrl = URL.createObjectURL(new Blob([bytes]));
+		applyImage(decodeImageBytes(bytes), `embedded image ${assetName}`, blobUrl, true);
+	}, { passive: true });
+
+	clearBtn.addEventListener("click", () => {
+		try {
+			liveProperty.value = null;
+			setPreview(null);
+			thumb.title = "";
+			logRiveEvent("ViewModelPropertyChanged", {
+				property: name,
+				type: type,
+				value: "cleared",
+				viewModel: vmContext?.instanceName || vmContext?.blueprintName || "ViewModel",
+				vmPath: vmContext?.path || "ViewModel",
+				isNested: vmContext?.isNested || false,
+				blueprintName: vmContext?.blueprintName
+			});
+		} catch (error) {
+			logger.error(`[Image] Failed to clear ${name}:`, error);
+		}
+	}, { passive: true });
+
+	const sourceRow = document.createElement("div");
+	sourceRow.className = "image-property-sources";
+	sourceRow.appendChild(fileInput);
+	sourceRow.appendChild(embeddedSelect);
+
+	const urlRow = document.createElement("div");
+	urlRow.className = "image-property-sources";
+	urlRow.appendChild(urlInput);
+	urlRow.appendChild(urlApplyBtn);
+	urlRow.appendChild(clearBtn);
+
+	ctrl.appendChild(thumb);
+	ctrl.appendChild(sourceRow);
+	ctrl.appendChild(urlRow);
+	return ctrl;
+}
+
+/**
+ * Creates a dropdown for a ViewModel artboard property that swaps the bound
+ * artboard at runtime
+ * @param {Object} property The artboard property with name, type, liveProperty reference, and the
+ *   artboardTargets the parser found for it
+ * @param {Object} vmContext Optional context about the ViewModel this property belongs to
+ * @return {HTMLElement} The select element
+ */
+function createArtboardPropertyControl(property, vmContext = null) {
+	const { name, type } = property;
+	const liveProperty = property.liveProperty;
+
+	if (property.runtimeTooOld) {
+		return createRuntimeTooOldNote(type);
+	}
+
+	const ctrl = document.createElement("select");
+	const defaultOption = new Option("Default (from file)", "");
+	defaultOption.disabled = true;
+	ctrl.appendChild(defaultOption);
+	// The artboard being played hosts the ViewModel and can't be nested inside itself
+	const activeArtboardName = structuredControlData?.activeArtboardName;
+	(property.artboardTargets || [])
+		.filter((artboardName) => artboardName !== activeArtboardName)
+		.forEach((artboardName) => {
+			ctrl.appendChild(new Option(artboardName, artboardName));
+		});
+	ctrl.value = "";
+
+	if (property.isPlaceholder || !liveProperty) {
+		ctrl.disabled = true;
+		return ctrl;
+	}
+
+	ctrl.addEventListener("change", () => {
+		const artboardName = ctrl.value;
+		if (!artboardName) return;
+		logger.debug(`[App] Event: Attempting to bind artboard ${artboardName} to ${name}`);
+
+		try {
+			let bindable = null;
+			if (typeof riveInstance?.getBindableArtboard === "function") {
+				bindable = riveInstance.getBindableArtboard(artboardName);
+			} else if (typeof riveInstance?.getArtboard === "function") {
+				bindable = riveInstance.getArtboard(artboardName);
+			}
+
+			if (!bindable) {
+				logger.warn(`[Artboard] Runtime could not provide a bindable artboard for '${artboardName}'`);
+				return;
+			}
+
+			liveProperty.value = bindable;
+
+			logRiveEvent("ViewModelPropertyChanged", {
+				property: name,
+				type: type,
+				value: artboardName,
+				viewModel: vmContext?.instanceName || vmContext?.blueprintName || "ViewModel",
+				vmPath: vmContext?.path || "ViewModel",
+				isNested: vmContext?.isNested || false,
+				blueprintName: vmContext?.blueprintName
+			});
+		} catch (error) {
+			logger.error(`[Artboard] Failed to bind '${artboardName}' to ${name}:`, error);
+		}
+	}, { passive: true });
+
+	return ctrl;
+}
+
+/**
+ * Appends a property control to a ViewModel section. List editors carry their
+ * own layout; every other control is wrapped in a labelled row.
+ * @param {HTMLElement} container The ViewModel section element
+ * @param {Object} prop The property control data
+ * @param {HTMLElement} ctrl The control created for the property
+ * @param {string|null} propPath Path used to sync the row from Rive, if any
+ */
+function appendPropertyControl(container, prop, ctrl, propPath) {
+	if (prop.type === "list") {
+		container.appendChild(ctrl);
+		return;
+	}
+	// Image and artboard properties are write-only, so there is no Rive value to sync back
+	const syncPath =
+		prop.type === "image" || prop.type === "artboard" ? null : propPath;
+	const row = makeRow(prop.name, ctrl, prop.type, syncPath);
+	container.appendChild(row);
+	if (syncPath) {
+		bindControl(row, prop.liveProperty, syncPath);
+	}
+}
+
 /**
  * Applies the FPS counter setting to a Rive instance if it was previously enabled
  * @param {Object} rive - The Rive instance to apply settings to
@@ -1078,8 +2096,11 @@ function applyFpsCounterSetting(rive) {
  * This function will now create its own Rive instance.
  *
  * @param {object} parsedDataFromHandler - The structured data object from parser.js.
+ * @param {{viewModelValues?: object, stateMachineInputValues?: object}} [options] - `viewModelValues` from
+ *   captureViewModelValues and `stateMachineInputValues` from captureStateMachineInputValues are applied to
+ *   the new instance once it loads, for properties and inputs that still exist.
  */
-export function initDynamicControls(parsedDataFromHandler) {
+export function initDynamicControls(parsedDataFromHandler, options = {}) {
 	logger.info(
 		"Initializing dynamic controls with parsed data:",
 		parsedDataFromHandler
@@ -1150,16 +2171,12 @@ export function initDynamicControls(parsedDataFromHandler) {
 	// Note: Event console initialization is now handled by Golden Layout component factory
 	// to prevent timing conflicts and flicker
 
-	// Clear previous instance and polling interval
+	// Stop syncing controls and clear the previous instance
+	clearControlBindings();
 	if (riveInstance && typeof riveInstance.cleanup === "function") {
 		logger.debug("[controlInterface] Cleaning up previous Rive instance");
 		riveInstance.cleanup();
 	}
-	if (uiUpdateInterval) {
-		clearInterval(uiUpdateInterval);
-		uiUpdateInterval = null;
-		logger.debug("[controlInterface] Cleared UI update interval");
-	}
 
 	// Clear global references
 	if (
@@ -1267,6 +2284,9 @@ export function initDynamicControls(parsedDataFromHandler) {
 
 	// Create asset map for Asset Manager
 	const assetMap = new Map();
+	const embeddedAssetBytes = new Map();
+	embeddedImageBytes = new Map();
+	resetAssetResolutions();
 
 	const riveOptions = {
 		src: src,
@@ -1277,12 +2297,27 @@ export function initDynamicControls(parsedDataFromHandler) {
 		autoBind: true,
 		onStateChange: handleConstructorStateChange,
 		// Capture assets for the Asset Manager
-		assetLoader: (asset) => {
+		assetLoader: (asset, bytes) => {
+			const isEmbedded = bytes && bytes.length > 0;
 			if (asset.isImage) {
 				assetMap.set(asset.name, asset);
 				logger.debug(`Captured image asset: ${asset.name}`);
+				// Keep a copy of embedded bytes so image properties can reuse them
+				if (isEmbedded) {
+					embeddedImageBytes.set(asset.name, new Uint8Array(bytes));
+					embeddedAssetBytes.set(asset.name, embeddedImageBytes.get(asset.name));
+				}
+			} else if (asset.isFont || asset.isAudio) {
+				assetMap.set(asset.name, asset);
+				logger.debug(`Captured ${asset.isFont ? "font" : "audio"} asset: ${asset.name}`);
+				// Keep the embedded file so the Asset Manager can describe and restore it
+				if (isEmbedded) {
+					embeddedAssetBytes.set(asset.name, new Uint8Array(bytes));
+				}
 			}
-			return false; // Let Rive handle the loading
+			// Referenced and CDN assets come from the asset folder when it has them,
+			// otherwise Rive handles the loading
+			return isEmbedded ? false : loadAssetFromFolder(asset);
 		},
 	};
 
@@ -1396,6 +2431,17 @@ export function initDynamicControls(parsedDataFromHandler) {
 			return;
 		}
 
+		// Put back values carried over from a previous instance before the controls read them
+		if (options.viewModelValues && riveInstance.viewModelInstance) {
+			const restored = applyViewModelValues(
+				riveInstance.viewModelInstance,
+				options.viewModelValues
+			);
+			logger.info(
+				`[controlInterface] Restored ${restored} ViewModel property value(s)`
+			);
+		}
+
 		// Check for ViewModel existence after load and autoBind
 		if (!riveInstance.viewModelInstance && !parsedViewModelName) {
 			logger.info(
@@ -1455,6 +2501,21 @@ export function initDynamicControls(parsedDataFromHandler) {
 			}
 		}
 
+		// Put back input values carried over from a previous instance or a shared link
+		if (options.stateMachineInputValues) {
+			const restored = applyStateMachineInputValues(
+				options.stateMachineInputValues
+			);
+			logger.info(
+				`[controlInterface] Restored ${restored} state machine input value(s)`
+			);
+		}
+
+		notifyInstanceLoaded({
+			artboard: parsedRiveData?.defaultElements?.artboardName || null,
+			stateMachines: parsedRiveData?.defaultElements?.stateMachineNames || [],
+		});
+
 		setupEventListeners();
 		buildControlsUI();
 
@@ -1475,7 +2536,11 @@ export function initDynamicControls(parsedDataFromHandler) {
 			logger.info(
 				`[controlInterface] Initializing Asset Manager with ${assetMap.size} captured assets`
 			);
-			setAssetMap(assetMap);
+			setAssetMap(assetMap, embeddedAssetBytes);
+			updateAudioUnlockPrompt(
+				Array.from(assetMap.values()).some((asset) => asset.isAudio),
+				() => logRiveEvent("AudioStatusChange", { status: "AVAILABLE" }),
+			);
 
 			// Also initialize with the Rive instance for compatibility
 			import("./assetManager.js")
@@ -1671,6 +2736,16 @@ function setupEventListeners() {
 			logRiveEvent("LoadError", event);
 		});
 	}
+	if (EventType.AudioStatusChange) {
+		riveInstance.on(EventType.AudioStatusChange, (event) => {
+			logger.debug(
+				"[controlInterface] RIVE JS EVENT: AudioStatusChange Fired",
+				event,
+			);
+			hideAudioUnlockPrompt();
+			logRiveEvent("AudioStatusChange", event);
+		});
+	}
 	// Frame events are disabled by default due to high frequency
 	// Only enable if explicitly requested
 	if (logFrameEvents) {
@@ -1741,6 +2816,7 @@ function buildControlsUI() {
 		return;
 	}
 
+	clearControlBindings();
 	controlsContainer.innerHTML = ""; // Clear previous controls
 
 	if (!structuredControlData) {
@@ -2292,6 +3368,20 @@ Tips for Better Performance:
 
 	controlsContainer.appendChild(infoDiv);
 
+	// Named snapshots of every value below
+	buildSnapshotPresetControls(controlsContainer, {
+		capture: captureControlSnapshot,
+		apply: applyControlSnapshot,
+	});
+
+	// Record interactions and replay them on a fresh instance
+	buildSessionRecorderControls(controlsContainer, {
+		reload: () => initDynamicControls(parsedRiveData),
+		apply: applyRecordedInteraction,
+		refresh: buildControlsUI,
+		getRiveInstance: () => riveInstance,
+	});
+
 	// Build State Machine Controls
 	if (
 		structuredControlData.stateMachineControls &&
@@ -2307,6 +3397,28 @@ Tips for Better Performance:
 		// controlsContainer.appendChild(noSmMsg);
 	}
 
+	// Build Nested Artboard Input Controls
+	if (
+		structuredControlData.nestedInputControls &&
+		structuredControlData.nestedInputControls.length > 0
+	) {
+		buildNestedInputControls(
+			controlsContainer,
+			structuredControlData.nestedInputControls,
+		);
+	}
+
+	// Build Text Run Controls
+	if (
+		structuredControlData.textRunControls &&
+		structuredControlData.textRunControls.length > 0
+	) {
+		buildTextRunControls(
+			controlsContainer,
+			structuredControlData.textRunControls,
+		);
+	}
+
 	// Create a dedicated section for ViewModel Controls for clarity
 	const vmSection = document.createElement("div");
 	vmSection.id = "viewmodel-controls-section";
@@ -2331,6 +3443,8 @@ Tips for Better Performance:
 			"No ViewModel properties available for control in this Rive file.";
 		vmSection.appendChild(noVmMsg);
 	}
+
+	startFallbackPolling();
 }
 
 /**
@@ -2374,7 +3488,10 @@ function buildStateMachineControls(container, stateMachines) {
 					ctrl.checked = !!liveInput.value;
 					ctrl.addEventListener(
 						"change",
-						() => (liveInput.value = ctrl.checked),
+						() => {
+							liveInput.value = ctrl.checked;
+							recordInteraction({ kind: "input", stateMachine: sm.name, name, type: "boolean", value: ctrl.checked });
+						},
 						{ passive: true },
 					);
 				} else if (type === SMInputType.Number || type === "number") {
@@ -2383,18 +3500,26 @@ function buildStateMachineControls(container, stateMachines) {
 					ctrl.value = liveInput.value || 0;
 					ctrl.addEventListener(
 						"input",
-						() => (liveInput.value = parseFloat(ctrl.value) || 0),
+						() => {
+							liveInput.value = parseFloat(ctrl.value) || 0;
+							recordInteraction({ kind: "input", stateMachine: sm.name, name, type: "number", value: liveInput.value });
+						},
 						{ passive: true },
 					);
 				} else if (type === SMInputType.Trigger || type === "trigger") {
 					ctrl = document.createElement("button");
 					ctrl.textContent = "Fire";
-					ctrl.addEventListener("click", () => liveInput.fire(), { passive: true,
-					});
+					ctrl.addEventListener("click", () => {
+						liveInput.fire();
+						recordInteraction({ kind: "input", stateMachine: sm.name, name, type: "trigger" });
+					}, { passive: true });
 				}
 
 				if (ctrl) {
-					smDetails.appendChild(makeRow(name, ctrl, notes));
+					const row = makeRow(name, ctrl, notes);
+					smDetails.appendChild(row);
+					// Inputs have no change callbacks; state changes refresh them
+					bindControl(row, liveInput, `${sm.name}/${name}`, { listen: false });
 				}
 			});
 		} else {
@@ -2410,6 +3535,180 @@ function buildStateMachineControls(container, stateMachines) {
 	container.appendChild(smSection);
 }
 
+/**
+ * Builds controls for state machine inputs inside nested artboards, one subsection per path
+ * @param {HTMLElement} container The container element
+ * @param {Array} nestedArtboards The nested input controls data ({path, artboardName, inputs})
+ */
+function buildNestedInputControls(container, nestedArtboards) {
+	const nestedSection = document.createElement("details");
+	nestedSection.className = "control-section";
+	nestedSection.open = false;
+
+	const nestedSummary = document.createElement("summary");
+	nestedSummary.textContent = "Nested Artboard Inputs";
+	nestedSection.appendChild(nestedSummary);
+
+	const logNestedChange = (input, path, previousValue, currentValue) => {
+		logRiveEvent("NestedArtboardStateChanged", {
+			eventSource: "Nested Input Control",
+			nestedPath: path,
+			inputName: input.name,
+			inputType: input.type,
+			stateMachineName: input.stateMachine,
+			previousValue: previousValue,
+			currentValue: currentValue,
+		});
+	};
+
+	nestedArtboards.forEach((nested) => {
+		const nestedDetails = document.createElement("details");
+		nestedDetails.className = "control-subsection";
+		nestedDetails.open = false;
+
+		const pathSummary = document.createElement("summary");
+		pathSummary.textContent = `Nested: ${nested.path} (${nested.artboardName})`;
+		nestedDetails.appendChild(pathSummary);
+
+		nested.inputs.forEach((input) => {
+			const { name, type, stateMachine } = input;
+			const path = nested.path;
+			let ctrl = null;
+
+			try {
+				if (type === "boolean") {
+					ctrl = document.createElement("input");
+					ctrl.type = "checkbox";
+					ctrl.checked = !!readNestedInputValue(input, path);
+					ctrl.addEventListener("change", () => {
+						riveInstance.setBooleanStateAtPath(name, ctrl.checked, path);
+						logNestedChange(input, path, !ctrl.checked, ctrl.checked);
+					}, { passive: true });
+				} else if (type === "number") {
+					ctrl = document.createElement("input");
+					ctrl.type = "number";
+					ctrl.value = readNestedInputValue(input, path) || 0;
+					let previousValue = parseFloat(ctrl.value) || 0;
+					ctrl.addEventListener("input", () => {
+						const value = parseFloat(ctrl.value) || 0;
+						riveInstance.setNumberStateAtPath(name, value, path);
+						logNestedChange(input, path, previousValue, value);
+						previousValue = value;
+					}, { passive: true });
+				} else if (type === "trigger") {
+					ctrl = document.createElement("button");
+					ctrl.textContent = "Fire";
+					ctrl.addEventListener("click", () => {
+						riveInstance.fireStateAtPath(name, path);
+						logNestedChange(input, path, "", "fired");
+					}, { passive: true });
+				}
+			} catch (e) {
+				logger.error(`[Nested] Error creating control for input ${name} at ${path}:`, e);
+			}
+
+			if (ctrl) {
+				nestedDetails.appendChild(makeRow(name, ctrl, `${type} · SM: ${stateMachine}`));
+			}
+		});
+
+		nestedSection.appendChild(nestedDetails);
+	});
+
+	container.appendChild(nestedSection);
+}
+
+/**
+ * Builds the Text section for editing named text runs, grouped by nested artboard path
+ * @param {HTMLElement} container The container element
+ * @param {Array} textRuns The text run controls data ({name, path, parsedText})
+ */
+function buildTextRunControls(container, textRuns) {
+	const textSection = document.createElement("details");
+	textSection.className = "control-section";
+	textSection.open = false;
+
+	const textSummary = document.createElement("summary");
+	textSummary.textContent = "Text";
+	textSection.appendChild(textSummary);
+
+	const writeText = (run, value) => {
+		try {
+			if (run.path) {
+				riveInstance.setTextRunValueAtPath(run.name, value, run.path);
+			} else {
+				riveInstance.setTextRunValue(run.name, value);
+			}
+			logRiveEvent("TextRunChanged", {
+				textRun: run.name,
+				path: run.path || "",
+				value: value,
+			});
+		} catch (e) {
+			logger.error(`[Text] Could not set text run ${run.name}:`, e);
+		}
+	};
+
+	// Top-level runs first, then one subsection per nested artboard path
+	const groups = new Map();
+	textRuns.forEach((run) => {
+		const key = run.path || "";
+		if (!groups.has(key)) groups.set(key, []);
+		groups.get(key).push(run);
+	});
+
+	const resetActions = [];
+
+	groups.forEach((runs, path) => {
+		let groupContainer = textSection;
+		if (path) {
+			groupContainer = document.createElement("details");
+			groupContainer.className = "control-subsection";
+			groupContainer.open = false;
+			const pathSummary = document.createElement("summary");
+			pathSummary.textContent = `Nested: ${path}`;
+			groupContainer.appendChild(pathSummary);
+			textSection.appendChild(groupContainer);
+		}
+
+		runs.forEach((run) => {
+			const currentText = readTextRunValue(run);
+			const ctrl = document.createElement("textarea");
+			ctrl.value = currentText !== undefined ? currentText : run.parsedText || "";
+			if (currentText === undefined) {
+				ctrl.disabled = true;
+			}
+
+			const row = makeRow(run.name, ctrl, `${ctrl.value.length} chars`);
+			const notes = row.querySelector(".control-notes");
+
+			ctrl.addEventListener("input", () => {
+				writeText(run, ctrl.value);
+				if (notes) notes.textContent = ` (${ctrl.value.length} chars)`;
+			}, { passive: true });
+
+			resetActions.push(() => {
+				if (ctrl.disabled || run.parsedText === undefined) return;
+				ctrl.value = run.parsedText;
+				writeText(run, run.parsedText);
+				if (notes) notes.textContent = ` (${ctrl.value.length} chars)`;
+			});
+
+			groupContainer.appendChild(row);
+		});
+	});
+
+	const resetBtn = document.createElement("button");
+	resetBtn.textContent = "Reset Text";
+	resetBtn.title = "Restore every text run to the text stored in the file";
+	resetBtn.addEventListener("click", () => {
+		resetActions.forEach((reset) => reset());
+	}, { passive: true });
+	textSection.appendChild(makeRow("All runs", resetBtn));
+
+	container.appendChild(textSection);
+}
+
 /**
  * Builds controls for ViewModels
  * @param {HTMLElement} container The container element
@@ -2445,13 +3744,12 @@ function buildViewModelControls(container, viewModels, parentPath = "") {
 					instanceName: vm.instanceName,
 					blueprintName: vm.blueprintName,
 					path: currentVmPath,
-					isNested: parentPath !== ""
+					isNested: parentPath !== "",
+					depth: 0
 				};
 				const ctrl = createControlForProperty(prop, vmContext);
 				if (ctrl) {
-					vmDetails.appendChild(
-						makeRow(prop.name, ctrl, prop.type, propPath),
-					);
+					appendPropertyControl(vmDetails, prop, ctrl, propPath);
 				}
 			});
 		} else {
@@ -2484,12 +3782,14 @@ function buildViewModelControls(container, viewModels, parentPath = "") {
  * @param {Array} nestedViewModels The nested ViewModel controls data
  * @param {string} parentPath The current path to the nested ViewModel
  * @param {number} depth Current nesting depth (for styling)
+ * @param {boolean} trackPaths Whether rows get a property path for syncing from Rive
  */
 function buildNestedViewModelControls(
 	container,
 	nestedViewModels,
 	parentPath,
 	depth = 1,
+	trackPaths = true,
 ) {
 	nestedViewModels.forEach((vm) => {
 		const currentVmPath = `${parentPath}/${vm.instanceName}`;
@@ -2508,12 +3808,16 @@ function buildNestedViewModelControls(
 					instanceName: vm.instanceName,
 					blueprintName: vm.blueprintName || vm.instanceName,
 					path: currentVmPath,
-					isNested: true
+					isNested: true,
+					depth: depth
 				};
 				const ctrl = createControlForProperty(prop, vmContext);
 				if (ctrl) {
-					nestedDetails.appendChild(
-						makeRow(prop.name, ctrl, prop.type, propPath),
+					appendPropertyControl(
+						nestedDetails,
+						prop,
+						ctrl,
+						trackPaths ? propPath : null,
 					);
 				}
 			});
@@ -2531,6 +3835,7 @@ function buildNestedViewModelControls(
 				vm.nestedViewModels,
 				currentVmPath,
 				depth + 1,
+				trackPaths,
 			);
 		}
 
@@ -2539,37 +3844,113 @@ function buildNestedViewModelControls(
 }
 
 /**
- * Updates UI controls to reflect current Rive property values
- * This ensures bidirectional feedback when properties change internally
+ * Keeps a control row in sync with a live ViewModel property or state machine input. Properties
+ * report their changes through on(); anything without callbacks is refreshed by
+ * updateControlsFromRive and, for ViewModel properties, by fallback polling.
+ * @param {HTMLElement} row The control row
+ * @param {Object} liveProperty The live property or input
+ * @param {string} path Path of the property, for logging
+ * @param {{listen?: boolean}} [options] `listen: false` skips change callbacks and polling
  */
-function updateControlsFromRive() {
-	// logger.debug('Updating controls from Rive...'); // Keep this commented unless needed for extreme verbosity
+function bindControl(row, liveProperty, path, { listen = true } = {}) {
+	const controlElement = row.querySelector("input, select, textarea");
+	if (!controlElement || !liveProperty) return;
+
+	const binding = { path, controlElement, liveProperty, callback: null, polled: false };
+	if (listen && typeof liveProperty.on === "function") {
+		binding.callback = () => queueControlUpdate(binding);
+		try {
+			liveProperty.on(binding.callback);
+		} catch (e) {
+			logger.warn(`[controlInterface] Could not listen for changes to '${path}', polling instead:`, e);
+			binding.callback = null;
+		}
+	}
+	binding.polled = listen && !binding.callback;
+	controlBindings.push(binding);
+}
+
+/**
+ * Removes every control binding, its change callback and the fallback polling
+ */
+function clearControlBindings() {
+	controlBindings.forEach((binding) => {
+		if (!binding.callback) return;
+		try {
+			binding.liveProperty.off(binding.callback);
+		} catch (e) {
+			// The property may already be gone with its instance
+		}
+	});
+	controlBindings = [];
+	pendingControlUpdates.clear();
+	if (controlUpdateFrame !== null) {
+		cancelAnimationFrame(controlUpdateFrame);
+		controlUpdateFrame = null;
+	}
+	if (uiUpdateInterval) {
+		clearInterval(uiUpdateInterval);
+		uiUpdateInterval = null;
+	}
+}
 
-	const allControlRows = document.querySelectorAll(
-		"#dynamicControlsContainer .control-row",
+/**
+ * Polls the bound properties that can't report their changes, if there are any
+ */
+function startFallbackPolling() {
+	const polled = controlBindings.filter((binding) => binding.polled);
+	if (polled.length === 0) return;
+	logger.info(
+		`[controlInterface] Polling ${polled.length} propert${polled.length === 1 ? "y" : "ies"} without change callbacks`
+	);
+	uiUpdateInterval = setInterval(
+		() => polled.forEach(queueControlUpdate),
+		CONTROL_POLL_INTERVAL_MS
 	);
+}
 
-	allControlRows.forEach((row) => {
-		const path = row.getAttribute("data-property-path");
-		const labelEl = row.querySelector("label");
-		const controlEl = row.querySelector("input, select, textarea");
-
-		if (path && labelEl && controlEl) {
-			// Extract the base property name from the label, as before
-			// This is mostly for logging/debugging, path is the primary lookup key now.
-			const propNameFromLabel = labelEl.childNodes[0].nodeValue
-				.trim()
-				.replace(/:$/, "");
-			updateControlValueFromRive(propNameFromLabel, controlEl, path);
-		} else {
-			// logger.warn('[Polling] Found a control row without full path/label/control', row);
+/**
+ * Schedules a control to be refreshed on the next animation frame. Changes arriving in the same
+ * frame are refreshed once.
+ * @param {Object} binding The control binding
+ */
+function queueControlUpdate(binding) {
+	pendingControlUpdates.add(binding);
+	if (controlUpdateFrame === null) {
+		controlUpdateFrame = requestAnimationFrame(flushControlUpdates);
+	}
+}
+
+/**
+ * Refreshes the controls queued since the last animation frame
+ */
+function flushControlUpdates() {
+	controlUpdateFrame = null;
+	const bindings = Array.from(pendingControlUpdates);
+	pendingControlUpdates.clear();
+	bindings.forEach((binding) => {
+		if (binding.controlElement.isConnected) {
+			syncControlElement(binding.controlElement, binding.liveProperty);
 		}
 	});
 }
 
-function updateControlValueFromRive(propNameForLogging, controlElement, path) {
-	if (!structuredControlData || !structuredControlData.viewModelControls)
-		return;
+/**
+ * Refreshes the controls that can't report their own changes: state machine inputs and any
+ * polled ViewModel properties. Called when Rive reports a state or value change.
+ */
+function updateControlsFromRive() {
+	controlBindings.forEach((binding) => {
+		if (!binding.callback) queueControlUpdate(binding);
+	});
+}
+
+/**
+ * Updates a control to show its property's current value. Controls being edited are left alone.
+ * @param {HTMLElement} controlElement The input, select or textarea
+ * @param {Object} liveProperty The live property or input
+ */
+function syncControlElement(controlElement, liveProperty) {
 	if (
 		document.activeElement === controlElement &&
 		controlElement.type !== "checkbox" &&
@@ -2578,134 +3959,46 @@ function updateControlValueFromRive(propNameForLogging, controlElement, path) {
 		return;
 	}
 
-	const findPropertyByPath = (rootVmArray, pathString) => {
-		if (!pathString) return null;
-		const segments = pathString.split("/");
-		if (segments.length === 0) return null;
-
-		let currentVmLevel = rootVmArray;
-		let targetVm = null;
-
-		// Find the root VM if the path starts with its instanceName
-		// Assumes rootVmArray contains the top-level VM(s)
-		const rootVmInstanceName = segments[0];
-		targetVm = currentVmLevel.find(
-			(vm) => vm.instanceName === rootVmInstanceName,
-		);
-
-		if (!targetVm) {
-			// logger.warn(`[findPropertyByPath] Root VM '${rootVmInstanceName}' not found in path: ${pathString}`);
-			return null;
+	if (controlElement.type === "checkbox") {
+		const riveValueBool = !!liveProperty.value;
+		if (controlElement.checked !== riveValueBool) {
+			controlElement.checked = riveValueBool;
 		}
-
-		// Navigate through nested VMs for segments between root and the final property name
-		for (let i = 1; i < segments.length - 1; i++) {
-			const nestedVmName = segments[i];
-			if (
-				targetVm &&
-				targetVm.nestedViewModels &&
-				targetVm.nestedViewModels.length > 0
-			) {
-				const foundNestedVm = targetVm.nestedViewModels.find(
-					(nvm) => nvm.instanceName === nestedVmName,
-				);
-				if (foundNestedVm) {
-					targetVm = foundNestedVm;
-				} else {
-					// logger.warn(`[findPropertyByPath] Nested VM '${nestedVmName}' not found in path: ${pathString}`);
-					targetVm = null;
-					break;
-				}
-			} else {
-				// logger.warn(`[findPropertyByPath] No nested VMs in '${targetVm?.instanceName}' to find '${nestedVmName}' in path: ${pathString}`);
-				targetVm = null;
-				break;
-			}
+	} else if (controlElement.type === "number") {
+		const controlValueNum = parseFloat(controlElement.value);
+		const riveValueNum =
+			liveProperty.value === null || liveProperty.value === undefined
+				? NaN
+				: parseFloat(liveProperty.value);
+		if (isNaN(controlValueNum) && isNaN(riveValueNum)) {
+			/* Both NaN */
+		} else if (controlValueNum !== riveValueNum) {
+			controlElement.value =
+				riveValueNum !== undefined && !isNaN(riveValueNum)
+					? riveValueNum
+					: "";
 		}
-
-		if (!targetVm) {
-			// logger.warn(`[findPropertyByPath] Could not navigate to target VM for path: ${pathString}`);
-			return null;
+	} else if (controlElement.type === "color") {
+		const riveHexValue = argbToHex(liveProperty.value);
+		if (controlElement.value.toUpperCase() !== riveHexValue) {
+			controlElement.value = riveHexValue;
 		}
-
-		// The last segment is the property name
-		const targetPropName = segments[segments.length - 1];
-		const finalProp = targetVm.properties?.find(
-			(p) => p.name === targetPropName,
-		);
-
-		if (finalProp && finalProp.liveProperty) {
-			return finalProp.liveProperty;
-		} else {
-			// logger.warn(`[findPropertyByPath] Property '${targetPropName}' not found in VM '${targetVm.instanceName}' for path: ${pathString}`);
-			return null;
+	} else if (controlElement.type === "select-one") {
+		const riveValueString =
+			liveProperty.value === null || liveProperty.value === undefined
+				? ""
+				: String(liveProperty.value);
+		if (controlElement.value !== riveValueString) {
+			controlElement.value = riveValueString;
 		}
-	};
-
-	const liveProperty = findPropertyByPath(
-		structuredControlData.viewModelControls,
-		path,
-	);
-
-	if (liveProperty) {
-		// logger.debug(`[Polling Path] Checking UI for '${path}', Rive value:`, liveProperty.value);
-
-		if (controlElement.type === "checkbox") {
-			const riveValueBool = !!liveProperty.value;
-			if (controlElement.checked !== riveValueBool) {
-				// console.log(`[Polling Path] Updating CHECKBOX for '${path}' from ${controlElement.checked} to ${riveValueBool}`);
-				controlElement.checked = riveValueBool;
-			}
-		} else if (controlElement.type === "number") {
-			// ... (robust number comparison as before) ...
-			const controlValueNum = parseFloat(controlElement.value);
-			const riveValueNum =
-				liveProperty.value === null || liveProperty.value === undefined
-					? NaN
-					: parseFloat(liveProperty.value);
-			if (isNaN(controlValueNum) && isNaN(riveValueNum)) {
-				/* Both NaN */
-			} else if (controlValueNum !== riveValueNum) {
-				// console.log(`[Polling Path] Updating NUMBER for '${path}'...`);
-				controlElement.value =
-					riveValueNum !== undefined && !isNaN(riveValueNum)
-						? riveValueNum
-						: "";
-			}
-		} else if (controlElement.type === "color") {
-			// ... (robust color comparison as before) ...
-			const riveHexValue = argbToHex(liveProperty.value);
-			if (controlElement.value.toUpperCase() !== riveHexValue) {
-				// console.log(`[Polling Path] Updating COLOR for '${path}'...`);
-				controlElement.value = riveHexValue;
-			}
-		} else if (controlElement.type === "select-one") {
-			// ... (robust select comparison as before) ...
-			const riveValueString =
-				liveProperty.value === null || liveProperty.value === undefined
-					? ""
-					: String(liveProperty.value);
-			if (controlElement.value !== riveValueString) {
-				// console.log(`[Polling Path] Updating SELECT for '${path}'...`);
-				controlElement.value = riveValueString;
-			}
-		} else if (controlElement.tagName.toLowerCase() === "textarea") {
-			// ... (robust textarea comparison as before) ...
-			const riveTextValue = (
-				liveProperty.value === null || liveProperty.value === undefined
-					? ""
-					: String(liveProperty.value)
-			);
-			if (controlElement.value !== riveTextValue) {
-				// console.log(`[Polling Path] Updating TEXTAREA for '${path}'...`);
-				controlElement.value = riveTextValue;
-			}
+	} else if (controlElement.tagName.toLowerCase() === "textarea") {
+		const riveTextValue =
+			liveProperty.value === null || liveProperty.value === undefined
+				? ""
+				: String(liveProperty.value);
+		if (controlElement.value !== riveTextValue) {
+			controlElement.value = riveTextValue;
 		}
-	} else {
-		// This warning is now more significant as path-based lookup should be precise.
-		logger.warn(
-			`[Polling Path] Property for path '${path}' (label: '${propNameForLogging}') not found in structuredControlData.`,
-		);
 	}
 }
 
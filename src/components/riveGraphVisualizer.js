@@ -383,6 +383,8 @@ class RiveTreeNode extends window.G6.Rect {
     if (data.stateMachines && Array.isArray(data.stateMachines)) counts.push(`${data.stateMachines.length} state machines`);
     if (data.viewModels && Array.isArray(data.viewModels)) counts.push(`${data.viewModels.length} view models`);
     if (data.nestedViewModels && Array.isArray(data.nestedViewModels)) counts.push(`${data.nestedViewModels.length} nested VMs`);
+    if (data.events && Array.isArray(data.events)) counts.push(`${data.events.length} events`);
+    if (data.customProperties && Array.isArray(data.customProperties)) counts.push(`${data.customProperties.length} custom properties`);
     if (counts.length > 0) sections.push(`📊 ${counts.join(' • ')}`);
     
     return sections.length > 0 ? sections.join('\n\n') : 'No detailed information available';
@@ -415,6 +417,10 @@ class RiveTreeNode extends window.G6.Rect {
       viewModelsCollection: '📋',
       inputsCollection: '📥',
       nestedViewModelsCollection: '🔗',
+      riveEvent: '📣',
+      eventsCollection: '📣',
+      nestedArtboard: '🧩',
+      nestedArtboardsCollection: '🧩',
       defaultElements: '⚙️',
       blueprintProperties: '🛠️',
       instanceNames: '🏷️',
@@ -459,6 +465,10 @@ class RiveTreeNode extends window.G6.Rect {
       viewModelsCollection: { fill: '#b91c1c', stroke: '#dc2626', shadow: '#991b1b' },
       inputsCollection: { fill: '#0f766e', stroke: '#0d9488', shadow: '#134e4a' },
       nestedViewModelsCollection: { fill: '#9f1239', stroke: '#be185d', shadow: '#831843' },
+      riveEvent: { fill: '#c2410c', stroke: '#ea580c', shadow: '#9a3412' },
+      eventsCollection: { fill: '#9a3412', stroke: '#c2410c', shadow: '#7c2d12' },
+      nestedArtboard: { fill: '#1d4ed8', stroke: '#60a5fa', shadow: '#1e3a8a' },
+      nestedArtboardsCollection: { fill: '#1e3a8a', stroke: '#3b82f6', shadow: '#172554' },
       defaultElements: { fill: '#475569', stroke: '#64748b', shadow: '#334155' },
       blueprintProperties: { fill: '#7e22ce', stroke: '#a855f7', shadow: '#6b21a8' },
       instanceNames: { fill: '#be123c', stroke: '#e11d48', shadow: '#9f1239' },
@@ -801,11 +811,13 @@ export class RiveGraphVisualizer {
     
     // Specific data structure patterns from Rive parsed data
     if (data.name && data.fps && data.duration) return 'animation';
+    if (data.path && data.artboardName && Array.isArray(data.nestedArtboards)) return 'nestedArtboard';
     if (data.name && data.inputs && Array.isArray(data.inputs)) return 'stateMachine';
     if (data.instanceName && data.sourceBlueprintName) return 'viewModel';
     if (data.blueprintName && data.blueprintProperties) return 'viewModelDefinition';
     if (data.name && data.cdnUuid !== undefined) return 'asset';
     if (data._dataEnum && data._dataEnum.values) return 'globalEnum';
+    if (data.name && data.customProperties && Array.isArray(data.customProperties)) return 'riveEvent';
     if (data.type && data.value !== undefined) return 'property';
     if (data.type && data.name) return 'input';
     if (data.type === 'trigger') return 'trigger';
@@ -829,6 +841,8 @@ export class RiveGraphVisualizer {
     if (nameLower === 'viewmodels' && Array.isArray(data)) return 'viewModelsCollection';
     if (nameLower === 'inputs' && Array.isArray(data)) return 'inputsCollection';
     if (nameLower === 'nestedviewmodels' && Array.isArray(data)) return 'nestedViewModelsCollection';
+    if (nameLower === 'events' && Array.isArray(data)) return 'eventsCollection';
+    if (nameLower === 'nestedartboards' && Array.isArray(data)) return 'nestedArtboardsCollection';
     
     // Content within structures
     if (data.name && data.animations && data.stateMachines) return 'artboard';
@@ -975,6 +989,8 @@ export class RiveGraphVisualizer {
         if (data.animations) counts.push(`${data.animations.length} animations`);
         if (data.stateMachines) counts.push(`${data.stateMachines.length} state machines`);
         if (data.viewModels) counts.push(`${data.viewModels.length} view models`);
+        if (data.events && data.events.length > 0) counts.push(`${data.events.length} events`);
+        if (data.nestedArtboards && data.nestedArtboards.length > 0) counts.push(`${data.nestedArtboards.length} nested artboards`);
         details.push(...counts);
         break;
         
@@ -995,6 +1011,18 @@ export class RiveGraphVisualizer {
         details.push('Trigger input');
         break;
         
+      case 'nestedArtboard':
+        details.push(`Artboard: ${data.artboardName}`);
+        details.push(`${data.inputs.length} inputs`);
+        if (data.nestedArtboards.length > 0) details.push(`${data.nestedArtboards.length} nested`);
+        break;
+        
+      case 'riveEvent':
+        details.push(data.type === 'openUrl' ? 'Open URL' : 'General');
+        if (data.url) details.push(`URL: ${data.url.length > 20 ? data.url.substring(0, 20) + '...' : data.url}`);
+        details.push(`${data.customProperties.length} custom properties`);
+        break;
+        
       default:
         // Generic details extraction
         if (data.type) details.push(`Type: ${data.type}`);
@@ -1023,7 +1051,9 @@ export class RiveGraphVisualizer {
     const priorityOrder = [
       'name', 'instanceName', 'sourceBlueprintName', 'blueprintName',
       'type', 'value', 'enumTypeName',
-      'animations', 'stateMachines', 'viewModels', 'inputs', 'nestedViewModels',
+      'animations', 'stateMachines', 'viewModels', 'inputs', 'nestedViewModels', 'events',
+      'nestedArtboards', 'path', 'stateMachine',
+      'url', 'target', 'customProperties',
       'blueprintProperties', 'instanceNamesFromDefinition',
       'fps', 'duration', 'workStart', 'workEnd',
       'cdnUuid', 'values', '_dataEnum',
@@ -1060,7 +1090,7 @@ export class RiveGraphVisualizer {
     }
     
     // Skip technical properties
-    const skipKeys = ['__proto__', 'constructor', 'parsedInstances'];
+    const skipKeys = ['__proto__', 'constructor', 'parsedInstances', 'schemaVersion'];
     if (skipKeys.includes(key)) return false;
     
     // Limit depth for very nested structures
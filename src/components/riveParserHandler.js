@@ -5,7 +5,11 @@
  * It orchestrates calls to the Rive parser and updates the UI accordingly.
  */
 
-import { initDynamicControls } from "./riveControlInterface.js";
+import {
+	initDynamicControls,
+	captureViewModelValues,
+	captureStateMachineInputValues,
+} from "./riveControlInterface.js";
 import { processDataForControls } from "./dataToControlConnector.js";
 import { createLogger } from "../utils/debugger/debugLogger.js";
 import {
@@ -13,7 +17,40 @@ import {
 	updateJSONEditor,
 	getGoldenLayout,
 } from "./goldenLayoutManager.js";
-import { initializeAssetManager, clearAssetManager } from "./assetManager.js";
+import {
+	initializeAssetManager,
+	clearAssetManager,
+	setAssetManagerFileName,
+} from "./assetManager.js";
+import {
+	PARSER_SCHEMA_VERSION,
+	validateParserOutput,
+} from "../utils/parserOutputSchema.js";
+import {
+	initializeRecentFiles,
+	rememberRecentFile,
+	rememberRecentFileSettings,
+	setActiveRecentFile,
+} from "./recentFiles.js";
+import {
+	isFileWatchingSupported,
+	watchFileHandle,
+} from "../utils/fileHandleWatcher.js";
+import { setPresetFileName } from "./snapshotPresets.js";
+import { setSessionFileName } from "./sessionRecorder.js";
+import { setAssetProfileFileName } from "./assetProfiles.js";
+import { hideAudioUnlockPrompt } from "./audioUnlockPrompt.js";
+import { setAssetFolderFiles, readDataTransferFiles } from "../utils/assetFolder.js";
+import {
+	getAnimationTiming,
+	initializeTimelineScrubber,
+	setScrubberAnimation,
+} from "./timelineScrubber.js";
+import {
+	SESSION_PARAM,
+	buildSessionLink,
+	readSessionParameter,
+} from "../utils/sessionLink.js";
 
 // Create a logger for this module
 const logger = createLogger("parserHandler");
@@ -68,6 +105,20 @@ let currentPlaybackMode = "none"; // 'timeline', 'stateMachine', 'none'
 // Window resize handler
 let resizeHandler = null;
 
+// Recent files and watched file state
+let currentRecentFileId = null; // Library entry of the loaded file, if it is in Recent Files
+let pendingRestoreSettings = null; // Selection to restore once a reopened or reloaded file is parsed
+let pendingViewModelValues = null; // ViewModel values carried over to a reloaded file, kept until the next load
+let pendingStateMachineInputValues = null; // State machine input values from a shared link, applied once
+let loadSequence = 0; // Incremented on every load, so a slow library write can't attach to a newer file
+let fileWatcher = null; // Polls the watched file handle, if a file is being watched
+
+// Shared link state
+let currentFileName = ""; // Display name of the loaded file
+let currentRemoteSrc = null; // URL of the loaded file, if it was loaded from one
+let currentBlobUrl = null; // Blob URL of the loaded local file, revoked when the next file loads
+let pendingSharedSession = null; // Session from a link made with a local file, applied to the next local file
+
 /**
  * Updates the JSONEditor with new data using Golden Layout manager
  * @param {object | null} jsonData - The JSON data to display
@@ -387,6 +438,8 @@ document.addEventListener("DOMContentLoaded", () => {
 			}
 
 			setupWindowResizeListener();
+			setupCanvasDropTarget();
+			initializeRecentFiles({ onOpen: openRecentFileEntry });
 
 			// Expose resize function globally for Golden Layout
 			window.resizeCanvasToAnimationAspectRatio =
@@ -405,6 +458,9 @@ document.addEventListener("DOMContentLoaded", () => {
 			// Initialize with default message
 			setupJsonEditor({ message: "Please select a Rive file to parse." });
 
+			// Open the file from a ?src= deep link, if any
+			loadFromQueryParameter();
+
 			logger.info("Application initialized with Golden Layout");
 		}, 100);
 	} else {
@@ -420,6 +476,33 @@ function setupEventListeners() {
 	if (riveFilePicker) {
 		riveFilePicker.addEventListener("change", handleFileSelect, { passive: true });
 	}
+
+	// Event listeners for loading from a URL
+	const loadUrlBtn = document.getElementById("loadUrlBtn");
+	if (loadUrlBtn) {
+		loadUrlBtn.addEventListener("click", handleLoadFromUrl, { passive: true });
+	}
+
+	// Event listener for copying a link to the current session
+	const copyLinkBtn = document.getElementById("copyLinkBtn");
+	if (copyLinkBtn) {
+		copyLinkBtn.addEventListener("click", handleCopyLink, { passive: true });
+	}
+
+	// Event listener for watching a file (File System Access API only)
+	const watchFileBtn = document.getElementById("watchFileBtn");
+	if (watchFileBtn && isFileWatchingSupported()) {
+		watchFileBtn.style.display = "";
+		watchFileBtn.addEventListener("click", handleWatchFile, { passive: true });
+	}
+	const riveUrlInput = document.getElementById("riveUrlInput");
+	if (riveUrlInput) {
+		riveUrlInput.addEventListener("keydown", (event) => {
+			if (event.key === "Enter") {
+				handleLoadFromUrl();
+			}
+		}, { passive: true });
+	}
 	if (artboardSelector) {
 		artboardSelector.addEventListener("change", handleArtboardChange, { passive: true });
 	}
@@ -444,6 +527,11 @@ function setupEventListeners() {
 	if (pauseTimelineBtn) {
 		pauseTimelineBtn.addEventListener("click", handlePauseTimeline, { passive: true });
 	}
+	initializeTimelineScrubber({
+		getRiveInstance: getLiveRiveInstance,
+		onPause: pauseTimelineForScrubbing,
+		onResize: resizeCanvasToContainer,
+	});
 	if (toggleStateMachineBtn) {
 		toggleStateMachineBtn.addEventListener(
 			"click",
@@ -462,8 +550,17 @@ function setupEventListeners() {
 			handleCanvasBackgroundChange,
 			{ passive: true },
 		);
+		canvasBackgroundColor.addEventListener("change", saveRecentFileSettings, { passive: true });
 	}
 
+	// Remember fit and alignment with the loaded recent file
+	["riveFitSelect", "riveAlignmentSelect"].forEach((id) => {
+		const select = document.getElementById(id);
+		if (select) {
+			select.addEventListener("change", saveRecentFileSettings, { passive: true });
+		}
+	});
+
 	// Event listener for clear file button
 	const clearFileBtn = document.getElementById("clearFileBtn");
 	if (clearFileBtn) {
@@ -563,6 +660,7 @@ function populateAnimationSelector(artboardName) {
 		option.textContent = "No Timelines";
 		animationSelector.appendChild(option);
 		selectedAnimation = null;
+		updateTimelineScrubber();
 		logger.info(`No timelines found for artboard: ${artboardName}`);
 		return;
 	}
@@ -571,7 +669,7 @@ function populateAnimationSelector(artboardName) {
 	selectedArtboardData.animations.forEach((animation, index) => {
 		const option = document.createElement("option");
 		option.value = animation.name;
-		option.textContent = `${animation.name} (${animation.duration.toFixed(2)}s)`;
+		option.textContent = `${animation.name} (${getAnimationTiming(animation).seconds.toFixed(2)}s)`;
 
 		// Select the first timeline by default
 		if (index === 0) {
@@ -581,6 +679,7 @@ function populateAnimationSelector(artboardName) {
 
 		animationSelector.appendChild(option);
 	});
+	updateTimelineScrubber();
 
 	logger.info(
 		`Populated timeline selector with ${selectedArtboardData.animations.length} timelines for artboard ${artboardName}. Selected: ${selectedAnimation}`,
@@ -694,6 +793,7 @@ function handleAnimationChange() {
 
 	// Reset playback states when timeline changes
 	resetPlaybackStates();
+	updateTimelineScrubber();
 }
 
 /**
@@ -729,6 +829,7 @@ function handleApplySelection() {
 
 	// Reinitialize the dynamic controls with the updated selection
 	initDynamicControls(currentParsedData);
+	saveRecentFileSettings();
 
 	if (statusMessageDiv) {
 		statusMessageDiv.textContent = `Applied selection - Artboard: ${selectedArtboard}${selectedAnimation ? `, Timeline: ${selectedAnimation}` : ""}${selectedStateMachine ? `, State Machine: ${selectedStateMachine}` : ""}`;
@@ -913,6 +1014,48 @@ function handlePauseTimeline() {
 	}
 }
 
+/**
+ * Shows the timeline scrubber for the selected timeline, or hides it when there is none
+ */
+function updateTimelineScrubber() {
+	const artboardData = currentParsedData?.artboards?.find(
+		(ab) => ab.name === selectedArtboard,
+	);
+	const animationData = artboardData?.animations?.find(
+		(animation) => animation.name === selectedAnimation,
+	);
+	setScrubberAnimation(animationData || null);
+}
+
+/**
+ * Pauses the selected timeline so the scrubber can seek it, stopping the state machine first
+ * @returns {boolean} True if the timeline is paused
+ */
+function pauseTimelineForScrubbing() {
+	const riveInstance = getLiveRiveInstance();
+	if (!riveInstance || !selectedAnimation) {
+		return false;
+	}
+	if (timelineState === "paused") {
+		return true;
+	}
+
+	try {
+		if (stateMachineState === "playing" && selectedStateMachine) {
+			riveInstance.stop(selectedStateMachine);
+			stateMachineState = "stopped";
+		}
+		riveInstance.pause(selectedAnimation);
+		timelineState = "paused";
+		currentPlaybackMode = "timeline";
+		updateButtonStates();
+		return true;
+	} catch (error) {
+		logger.error("Error pausing timeline for scrubbing:", error);
+		return false;
+	}
+}
+
 /**
  * Handles state machine play/stop toggle
  */
@@ -984,20 +1127,497 @@ function handleToggleStateMachine() {
 
 /**
  * Handles the Rive file selection event.
- * It reads the selected file, determines which parser to use (original or modular),
- * calls the appropriate parser function, and then updates the JSONEditor with the result.
+ * It loads the selected file with loadLocalFile.
  * @param {Event} event - The file input change event.
  */
 function handleFileSelect(event) {
 	const file = event.target.files[0];
+	if (file) {
+		loadLocalFile(file);
+	} else {
+		loadRiveSource(null, ""); // Parser.js handles its default
+	}
+}
+
+/**
+ * Loads a local file (picked or dropped) and adds it to Recent Files.
+ * @param {File} file - The .riv file
+ */
+function loadLocalFile(file) {
+	if (pendingSharedSession) {
+		const session = pendingSharedSession;
+		pendingSharedSession = null;
+		if (session.file && session.file !== file.name) {
+			logger.warn(`Shared link was made with ${session.file}; applying it to ${file.name}`);
+		}
+		loadSharedSession(URL.createObjectURL(file), file.name, session, {});
+	} else {
+		loadRiveSource(URL.createObjectURL(file), file.name);
+	}
+
+	const loadId = loadSequence;
+	rememberRecentFile(file).then((entry) => {
+		if (entry && loadId === loadSequence) {
+			currentRecentFileId = entry.id;
+			saveRecentFileSettings();
+		}
+	});
+}
+
+/**
+ * Reopens a file from Recent Files with the artboard, state machine and display settings last
+ * used with it.
+ * @param {{entry: object, bytes: ArrayBuffer}} recentFile - The library entry and its bytes
+ */
+function openRecentFileEntry({ entry, bytes }) {
+	const settings = entry.settings || {};
+	const riveUrlInput = document.getElementById("riveUrlInput");
+	if (riveUrlInput) {
+		riveUrlInput.value = "";
+	}
+	loadRiveSource(URL.createObjectURL(new Blob([bytes])), entry.name, {
+		recentFileId: entry.id,
+		restoreSettings: settings,
+	});
+	// After loading starts, so the change events save to this file's entry and not the previous one
+	restoreDisplaySettings(settings);
+}
+
+/**
+ * Applies saved fit, alignment and background through their controls, so RiveControlInterface
+ * picks them up the same way as a user change.
+ * @param {{fit?: string, alignment?: string, scale?: number, background?: string}} settings - Saved settings
+ */
+function restoreDisplaySettings(settings) {
+	const setControlValue = (id, value, eventTypes) => {
+		const control = document.getElementById(id);
+		if (!control || value === undefined || value === null) return;
+		if (control.value === String(value)) return;
+		control.value = value;
+		eventTypes.forEach((type) => control.dispatchEvent(new Event(type)));
+	};
+	setControlValue("riveFitSelect", settings.fit, ["change"]);
+	setControlValue("riveAlignmentSelect", settings.alignment, ["change"]);
+	setControlValue("layoutScaleInput", settings.scale, ["input"]);
+	setControlValue("canvasBackgroundColor", settings.background, ["input", "change"]);
+}
+
+/**
+ * Selects the saved artboard, timeline and state machine of a reopened or reloaded file, if the
+ * file still has them, and makes them the ones the live instance is created with.
+ * @param {object} parsedData - The parsed Rive data
+ * @param {{artboard?: string, animation?: string, stateMachine?: string}} settings - Saved settings
+ */
+function restoreSelection(parsedData, settings) {
+	const artboard = (parsedData.artboards || []).find((ab) => ab.name === settings.artboard);
+	if (!artboard) return;
+
+	selectedArtboard = artboard.name;
+	artboardSelector.value = selectedArtboard;
+	populateAnimationSelector(selectedArtboard);
+	populateStateMachineSelector(selectedArtboard);
+
+	if ((artboard.animations || []).some((animation) => animation.name === settings.animation)) {
+		selectedAnimation = settings.animation;
+		animationSelector.value = selectedAnimation;
+	}
+	if ((artboard.stateMachines || []).some((sm) => sm.name === settings.stateMachine)) {
+		selectedStateMachine = settings.stateMachine;
+		stateMachineSelector.value = selectedStateMachine;
+	}
 
+	if (parsedData.defaultElements) {
+		parsedData.defaultElements.artboardName = selectedArtboard;
+		parsedData.defaultElements.stateMachineNames = selectedStateMachine
+			? [selectedStateMachine]
+			: [];
+	}
+	logger.info(
+		`Restored selection - Artboard: ${selectedArtboard}, State Machine: ${selectedStateMachine || "None"}`,
+	);
+}
+
+/**
+ * Saves the current selection and display settings with the loaded recent file, if any
+ */
+function saveRecentFileSettings() {
+	if (currentRecentFileId === null) return;
+
+	const settings = {};
+	if (currentParsedData) {
+		settings.artboard = selectedArtboard;
+		settings.animation = selectedAnimation;
+		settings.stateMachine = selectedStateMachine;
+	}
+	[
+		["fit", "riveFitSelect"],
+		["alignment", "riveAlignmentSelect"],
+		["background", "canvasBackgroundColor"],
+	].forEach(([key, id]) => {
+		const control = document.getElementById(id);
+		if (control) {
+			settings[key] = control.value;
+		}
+	});
+	rememberRecentFileSettings(currentRecentFileId, settings);
+}
+
+/**
+ * Opens a file to watch with the File System Access API, or stops watching the current one.
+ */
+async function handleWatchFile() {
+	if (fileWatcher) {
+		stopWatchingFile();
+		if (statusMessageDiv)
+			statusMessageDiv.textContent = "Stopped watching file for changes.";
+		return;
+	}
+
+	let handle;
+	try {
+		[handle] = await window.showOpenFilePicker({
+			types: [
+				{
+					description: "Rive files",
+					accept: { "application/octet-stream": [".riv"] },
+				},
+			],
+		});
+	} catch (error) {
+		if (error.name === "AbortError") {
+			logger.info("Watch file selection cancelled by user");
+		} else {
+			logger.error("Error opening file to watch:", error);
+		}
+		return;
+	}
+
+	let file;
+	try {
+		file = await handle.getFile();
+	} catch (error) {
+		logger.error(`Error reading ${handle.name}:`, error);
+		if (statusMessageDiv)
+			statusMessageDiv.textContent = `Could not read ${handle.name}: ${error.message}`;
+		return;
+	}
+	loadLocalFile(file);
+	fileWatcher = watchFileHandle(handle, file, {
+		onChange: reloadWatchedFile,
+		onError: () => {
+			stopWatchingFile();
+			if (statusMessageDiv)
+				statusMessageDiv.textContent = `Stopped watching ${handle.name}: it can no longer be read.`;
+		},
+	});
+	updateWatchButton(handle.name);
+}
+
+/**
+ * Reloads the watched file after it changed on disk, keeping the selected artboard, timeline,
+ * state machine and ViewModel property values where the new version still has them.
+ * @param {File} file - The updated file
+ */
+function reloadWatchedFile(file) {
+	// If the previous version is still parsing or loading, carry its pending state forward instead
+	const restoreSettings = currentParsedData
+		? {
+				artboard: selectedArtboard,
+				animation: selectedAnimation,
+				stateMachine: selectedStateMachine,
+			}
+		: pendingRestoreSettings;
+	const viewModelValues = captureViewModelValues() || pendingViewModelValues;
+
+	logger.info(`Reloading watched file ${file.name}`);
+	loadRiveSource(URL.createObjectURL(file), file.name, {
+		isWatched: true,
+		recentFileId: currentRecentFileId,
+		restoreSettings,
+		viewModelValues,
+	});
+}
+
+/**
+ * Stops polling the watched file, if any
+ */
+function stopWatchingFile() {
+	if (!fileWatcher) return;
+	fileWatcher.stop();
+	fileWatcher = null;
+	updateWatchButton(null);
+}
+
+/**
+ * Shows whether a file is being watched on the watch button
+ * @param {string | null} fileName - The watched file's name, or null when not watching
+ */
+function updateWatchButton(fileName) {
+	const watchFileBtn = document.getElementById("watchFileBtn");
+	if (!watchFileBtn) return;
+	watchFileBtn.classList.toggle("ctrl-btn-primary", !fileName);
+	watchFileBtn.classList.toggle("ctrl-btn-success", !!fileName);
+	watchFileBtn.title = fileName
+		? `Watching ${fileName} for changes. Click to stop.`
+		: "Open a file and reload it when it changes";
+}
+
+/**
+ * Copies a link that reopens the playground with the current file, selection, display settings,
+ * ViewModel property values and state machine input values. Local files can't be put in a link,
+ * so links made with one ask for the file when opened.
+ */
+async function handleCopyLink() {
+	if (!currentParsedData) {
+		if (statusMessageDiv)
+			statusMessageDiv.textContent = "Load a Rive file before copying a link.";
+		return;
+	}
+
+	const displayState = window.riveControlInterface
+		? window.riveControlInterface.state
+		: {};
+	const link = buildSessionLink(window.location.href, currentRemoteSrc, {
+		file: currentFileName,
+		artboard: selectedArtboard,
+		animation: selectedAnimation,
+		stateMachine: selectedStateMachine,
+		fit: displayState.fitMode,
+		alignment: displayState.alignment,
+		scale: displayState.scale,
+		background: displayState.backgroundColor,
+		viewModel: captureViewModelValues(),
+		inputs: captureStateMachineInputValues(),
+	});
+
+	try {
+		await navigator.clipboard.writeText(link);
+	} catch (error) {
+		logger.warn("Clipboard unavailable, showing link instead:", error);
+		window.prompt("Copy this link:", link);
+	}
+	logger.info(`Session link copied (${link.length} characters)`);
+
+	if (statusMessageDiv) {
+		statusMessageDiv.textContent = currentRemoteSrc
+			? "Link copied."
+			: `Link copied, but ${currentFileName} is a local file and can't be included: whoever opens the link will be asked to choose it.`;
+	}
+}
+
+/**
+ * Loads a file and restores a session from a shared link once it is parsed
+ * @param {string} riveSrc - URL of the .riv file
+ * @param {string} displayName - Name shown in the file indicator and status messages
+ * @param {object} session - The session read from the link
+ * @param {{isRemote?: boolean}} options - Passed on to loadRiveSource
+ */
+function loadSharedSession(riveSrc, displayName, session, options) {
+	loadRiveSource(riveSrc, displayName, {
+		...options,
+		restoreSettings: {
+			artboard: session.artboard,
+			animation: session.animation,
+			stateMachine: session.stateMachine,
+		},
+		viewModelValues: session.viewModel,
+		stateMachineInputValues: session.inputs,
+	});
+	restoreDisplaySettings(session);
+}
+
+/**
+ * Loads a Rive file from a URL typed or pasted into the URL field.
+ */
+function handleLoadFromUrl() {
+	const urlInput = document.getElementById("riveUrlInput");
+	const url = urlInput ? urlInput.value.trim() : "";
+	if (!url) {
+		if (statusMessageDiv)
+			statusMessageDiv.textContent = "Enter the URL of a .riv file to load.";
+		return;
+	}
+	loadRiveSource(url, getFileNameFromUrl(url), { isRemote: true });
+}
+
+/**
+ * Loads the file named by the ?src= query parameter, so links can open the playground on a file.
+ * @returns {boolean} True if a file was requested.
+ */
+function loadFromQueryParameter() {
+	const src = new URLSearchParams(window.location.search).get("src");
+
+	let session = null;
+	try {
+		session = readSessionParameter(window.location.search);
+	} catch (error) {
+		logger.warn("Ignoring session link:", error);
+		if (statusMessageDiv) statusMessageDiv.textContent = `${error.message}; ignoring it.`;
+	}
+
+	if (!src) {
+		if (session) {
+			// The link was made with a local file, which can't travel in a URL
+			pendingSharedSession = session;
+			updateSrcQueryParameter(null);
+			if (statusMessageDiv)
+				statusMessageDiv.textContent = `This link was made with a local file. Choose ${session.file || "the .riv file"} to restore the shared session.`;
+			logger.info("Session link without a file; waiting for a local file");
+		}
+		return false;
+	}
+
+	logger.info(`Loading file from ?src= parameter: ${src}`);
+	const urlInput = document.getElementById("riveUrlInput");
+	if (urlInput) {
+		urlInput.value = src;
+	}
+	if (session) {
+		loadSharedSession(src, getFileNameFromUrl(src), session, { isRemote: true });
+	} else {
+		loadRiveSource(src, getFileNameFromUrl(src), { isRemote: true });
+	}
+	return true;
+}
+
+/**
+ * Sets up loading by dropping a .riv file anywhere on the canvas panel. Listens on the
+ * document so the handlers survive the panel being closed and restored.
+ */
+function setupCanvasDropTarget() {
+	const getDropPanel = (event) =>
+		event.target instanceof Element ? event.target.closest("#canvasComponent") : null;
+	const hasFiles = (event) =>
+		event.dataTransfer && Array.from(event.dataTransfer.types).includes("Files");
+	const setDropActive = (panel, active) => {
+		if (panel) {
+			panel.classList.toggle("canvas-drop-active", active);
+		}
+	};
+
+	// dragover and drop must call preventDefault to accept the drop, so they can't be passive
+	document.addEventListener("dragover", (event) => {
+		const panel = getDropPanel(event);
+		if (!panel || !hasFiles(event)) return;
+		event.preventDefault();
+		event.dataTransfer.dropEffect = "copy";
+		setDropActive(panel, true);
+	});
+	document.addEventListener("dragleave", (event) => {
+		const panel = getDropPanel(event);
+		if (panel && !panel.contains(event.relatedTarget)) {
+			setDropActive(panel, false);
+		}
+	}, { passive: true });
+	document.addEventListener("drop", (event) => {
+		const panel = getDropPanel(event);
+		if (!panel || !hasFiles(event)) return;
+		event.preventDefault();
+		setDropActive(panel, false);
+
+		// Files and folders dropped with the .riv become its asset folder
+		readDataTransferFiles(event.dataTransfer)
+			.then((droppedFiles) => {
+				const file = droppedFiles.find((droppedFile) =>
+					droppedFile.name.toLowerCase().endsWith(".riv"),
+				);
+				if (!file) {
+					if (statusMessageDiv)
+						statusMessageDiv.textContent = "Drop a .riv file to load it.";
+					return;
+				}
+				const assetFiles = droppedFiles.filter((droppedFile) => droppedFile !== file);
+				if (assetFiles.length > 0) {
+					setAssetFolderFiles(assetFiles, `Dropped with ${file.name}`);
+				}
+				logger.info(`File dropped on canvas: ${file.name}`);
+				loadLocalFile(file);
+			})
+			.catch((error) => {
+				logger.error("Error reading dropped files:", error);
+				if (statusMessageDiv)
+					statusMessageDiv.textContent = `Could not read dropped files: ${error.message}`;
+			});
+	});
+}
+
+/**
+ * Returns the file name at the end of a URL, for display
+ * @param {string} url - The URL
+ * @returns {string} The last path segment, or the URL itself if it has none
+ */
+function getFileNameFromUrl(url) {
+	try {
+		const segments = new URL(url, document.baseURI).pathname.split("/").filter(Boolean);
+		return segments.length > 0 ? decodeURIComponent(segments[segments.length - 1]) : url;
+	} catch (e) {
+		return url;
+	}
+}
+
+/**
+ * Keeps the ?src= query parameter in step with the loaded file, so the address bar can be
+ * shared to reopen a remote file. Local files can't be reopened from a link, so they clear it.
+ * A shared session parameter only describes the file it was opened with, so it is always removed.
+ * @param {string | null} remoteSrc - The URL of a remote file, or null for a local file.
+ */
+function updateSrcQueryParameter(remoteSrc) {
+	const pageUrl = new URL(window.location.href);
+	pageUrl.searchParams.delete(SESSION_PARAM);
+	if (remoteSrc) {
+		pageUrl.searchParams.set("src", remoteSrc);
+	} else {
+		pageUrl.searchParams.delete("src");
+	}
+	if (pageUrl.href !== window.location.href) {
+		window.history.replaceState(window.history.state, "", pageUrl.href);
+	}
+}
+
+/**
+ * Loads a Rive file from any source: it resets the application, parses the file and
+ * rebuilds the selectors and dynamic controls from the result. File selection, URLs,
+ * the ?src= query parameter and dropped files all load through here.
+ * @param {string | null} riveSrc - URL of the .riv file (blob URLs included), or null for the parser's default file.
+ * @param {string} displayName - Name shown in the file indicator and status messages.
+ * @param {{isRemote?: boolean, isWatched?: boolean, recentFileId?: number, restoreSettings?: object,
+ *   viewModelValues?: object, stateMachineInputValues?: object}} [options] - Set `isRemote` for files loaded
+ *   from a URL, so the ?src= parameter links to them, and `isWatched` for reloads of the watched file, so
+ *   watching continues. Files reopened from Recent Files pass their library entry id. `restoreSettings`
+ *   (artboard, animation, stateMachine), `viewModelValues` and `stateMachineInputValues` are applied once the
+ *   file is parsed, where the file still has them.
+ */
+function loadRiveSource(riveSrc, displayName, options = {}) {
 	// Reset all state when a new file is selected
 	resetApplicationState();
 
+	// The previous file's parser and Rive instance are gone, so its blob URL can go too
+	if (currentBlobUrl && currentBlobUrl !== riveSrc) {
+		URL.revokeObjectURL(currentBlobUrl);
+	}
+	currentBlobUrl = riveSrc?.startsWith("blob:") ? riveSrc : null;
+
+	if (!options.isWatched) {
+		stopWatchingFile();
+	}
+	loadSequence++;
+	currentRecentFileId = options.recentFileId ?? null;
+	pendingRestoreSettings = options.restoreSettings || null;
+	pendingViewModelValues = options.viewModelValues || null;
+	pendingStateMachineInputValues = options.stateMachineInputValues || null;
+	currentFileName = displayName;
+	currentRemoteSrc = options.isRemote ? riveSrc : null;
+	setPresetFileName(displayName);
+	setSessionFileName(displayName);
+	setAssetProfileFileName(displayName);
+	setAssetManagerFileName(displayName);
+	setActiveRecentFile(currentRecentFileId);
+
 	// Update file selection UI
-	if (file) {
-		updateFileSelectionUI(true, file.name);
+	if (riveSrc) {
+		updateFileSelectionUI(true, displayName);
 	}
+	updateSrcQueryParameter(options.isRemote ? riveSrc : null);
 
 	if (!window.rive) {
 		logger.error("Rive engine (window.rive) not found!");
@@ -1013,10 +1633,16 @@ function handleFileSelect(event) {
 	let riveSrcForOriginal = null;
 	let messageForOriginal = "using internal default Rive file path";
 
-	if (file && file.name) {
-		riveSrcForOriginal = URL.createObjectURL(file);
-		messageForOriginal = `using selected file '${file.name}'`;
-		logger.info(`Will use selected file: ${file.name}`);
+	if (riveSrc) {
+		riveSrcForOriginal = riveSrc;
+		if (options.isRemote) {
+			messageForOriginal = `using file from URL '${displayName}'`;
+		} else if (options.isWatched) {
+			messageForOriginal = `reloading changed file '${displayName}'`;
+		} else {
+			messageForOriginal = `using selected file '${displayName}'`;
+		}
+		logger.info(`Will use file: ${displayName} (${riveSrc})`);
 	} else {
 		riveSrcForOriginal = null; // Parser.js handles its default
 	}
@@ -1024,74 +1650,103 @@ function handleFileSelect(event) {
 		statusMessageDiv.textContent = `Running Rive parser (${messageForOriginal})...`;
 
 	const riveCanvas = document.getElementById("rive-canvas");
-	logger.debug("riveCanvas element fetched in handleFileSelect:", riveCanvas);
+	logger.debug("riveCanvas element fetched in loadRiveSource:", riveCanvas);
 	if (!riveCanvas) {
 		logger.error("Canvas element with ID 'rive-canvas' not found in DOM!");
 		// Optionally, update UI to reflect this critical error
 		// return; // Might be too early to return, let parser.js handle its internal fallback for now
 	}
 
-	if (typeof runOriginalClientParser === "function") {
+	const handleParserResult = function (error, parsedData) {
+		if (error) {
+			logger.error("Parser reported error:", error);
+			if (statusMessageDiv)
+				statusMessageDiv.textContent = `Error from parser: ${error.error || "Unknown error"}`;
+			setupJsonEditor({
+				error: `Parser error: ${error.error || "Unknown error"}`,
+				details: error.details,
+			});
+			initDynamicControls(null); // Pass null as riveControlInterface will create its own instance
+
+			// Hide artboard/state machine controls on error
+			if (artboardStateMachineControls) {
+				artboardStateMachineControls.style.display = "none";
+			}
+		} else if (parsedData) {
+			// Still display output that breaks the schema, but flag it since saved exports rely on it
+			const validation = validateParserOutput(parsedData);
+			if (validation.valid) {
+				if (statusMessageDiv)
+					statusMessageDiv.textContent = `Successfully parsed. Displaying data.`;
+			} else {
+				logger.warn(
+					`Parsed data does not match parser output schema ${PARSER_SCHEMA_VERSION}:`,
+					validation.errors,
+				);
+				if (statusMessageDiv)
+					statusMessageDiv.textContent = `Parsed with ${validation.errors.length} schema issue(s) (first: ${validation.errors[0].path} ${validation.errors[0].message}). See console.`;
+			}
+			setupJsonEditor(parsedData);
+
+			// Store the parsed data for artboard/state machine selection
+			currentParsedData = parsedData;
+
+			// Populate and show artboard/timeline/state machine selectors
+			populateArtboardSelector(parsedData);
+			if (selectedArtboard) {
+				populateAnimationSelector(selectedArtboard);
+				populateStateMachineSelector(selectedArtboard);
+			}
+			if (pendingRestoreSettings) {
+				restoreSelection(parsedData, pendingRestoreSettings);
+				pendingRestoreSettings = null;
+			}
+			saveRecentFileSettings();
+
+			// Set initial playback states based on what's auto-playing
+			initializePlaybackStates(parsedData);
+
+			// Controls are now always visible in the new layout
+
+			// MODIFIED: Call initDynamicControls with only parsedData
+			// riveControlInterface will be responsible for creating the Rive instance.
+			initDynamicControls(parsedData, {
+				viewModelValues: pendingViewModelValues,
+				stateMachineInputValues: pendingStateMachineInputValues,
+			});
+			pendingStateMachineInputValues = null;
+
+			// Trigger canvas resize to match animation aspect ratio after load
+			setTimeout(() => {
+				resizeCanvasToAnimationAspectRatio();
+			}, 500);
+		} else {
+			if (statusMessageDiv)
+				statusMessageDiv.textContent =
+					"Parser finished with no data.";
+			setupJsonEditor({
+				message: "Parser returned no data.",
+			});
+			initDynamicControls(null);
+
+			// Controls are now always visible in the new layout
+		}
+	};
+
+	const runMainThreadParser = () => {
+		if (typeof runOriginalClientParser !== "function") {
+			logger.error("runOriginalClientParser function not found.");
+			if (statusMessageDiv)
+				statusMessageDiv.textContent = "Error: Parser function not found.";
+			setupJsonEditor({ error: "Parser function not found." });
+			return;
+		}
 		try {
 			runOriginalClientParser(
 				riveEngine,
 				riveCanvas,
 				riveSrcForOriginal,
-				function (error, parsedData) {
-					if (error) {
-						logger.error("Parser reported error:", error);
-						if (statusMessageDiv)
-							statusMessageDiv.textContent = `Error from parser: ${error.error || "Unknown error"}`;
-						setupJsonEditor({
-							error: `Parser error: ${error.error || "Unknown error"}`,
-							details: error.details,
-						});
-						initDynamicControls(null); // Pass null as riveControlInterface will create its own instance
-
-						// Hide artboard/state machine controls on error
-						if (artboardStateMachineControls) {
-							artboardStateMachineControls.style.display = "none";
-						}
-					} else if (parsedData) {
-						if (statusMessageDiv)
-							statusMessageDiv.textContent = `Successfully parsed. Displaying data.`;
-						setupJsonEditor(parsedData);
-
-						// Store the parsed data for artboard/state machine selection
-						currentParsedData = parsedData;
-
-						// Populate and show artboard/timeline/state machine selectors
-						populateArtboardSelector(parsedData);
-						if (selectedArtboard) {
-							populateAnimationSelector(selectedArtboard);
-							populateStateMachineSelector(selectedArtboard);
-						}
-
-						// Set initial playback states based on what's auto-playing
-						initializePlaybackStates(parsedData);
-
-						// Controls are now always visible in the new layout
-
-						// MODIFIED: Call initDynamicControls with only parsedData
-						// riveControlInterface will be responsible for creating the Rive instance.
-						initDynamicControls(parsedData);
-
-						// Trigger canvas resize to match animation aspect ratio after load
-						setTimeout(() => {
-							resizeCanvasToAnimationAspectRatio();
-						}, 500);
-					} else {
-						if (statusMessageDiv)
-							statusMessageDiv.textContent =
-								"Parser finished with no data.";
-						setupJsonEditor({
-							message: "Parser returned no data.",
-						});
-						initDynamicControls(null);
-
-						// Controls are now always visible in the new layout
-					}
-				},
+				handleParserResult,
 			);
 		} catch (e) {
 			logger.error("Error calling runOriginalClientParser:", e);
@@ -1100,11 +1755,35 @@ function handleFileSelect(event) {
 					"Error running parser. Check console.";
 			setupJsonEditor({ error: `Error calling parser: ${e.message}` });
 		}
-	} else {
-		logger.error("runOriginalClientParser function not found.");
-		if (statusMessageDiv)
-			statusMessageDiv.textContent = "Error: Parser function not found.";
-		setupJsonEditor({ error: "Parser function not found." });
+	};
+
+	// Parse in a worker when possible so large files don't block the layout or the canvas
+	const startedWorker =
+		typeof runWorkerParser === "function" &&
+		runWorkerParser(
+			riveSrcForOriginal,
+			(error, parsedData) => {
+				if (error && error.workerFailed) {
+					logger.warn(
+						"Parser worker failed, parsing on the main thread instead:",
+						error.details,
+					);
+					runMainThreadParser();
+					return;
+				}
+				handleParserResult(error, parsedData);
+			},
+			(progress) => {
+				if (!statusMessageDiv) return;
+				const count =
+					progress.total !== undefined
+						? ` (${progress.completed}/${progress.total})`
+						: "";
+				statusMessageDiv.textContent = `Parsing: ${progress.message}${count}...`;
+			},
+		);
+	if (!startedWorker) {
+		runMainThreadParser();
 	}
 }
 
@@ -1236,6 +1915,25 @@ function handleClearFile() {
 	if (riveFilePicker) {
 		riveFilePicker.value = "";
 	}
+	const riveUrlInput = document.getElementById("riveUrlInput");
+	if (riveUrlInput) {
+		riveUrlInput.value = "";
+	}
+	updateSrcQueryParameter(null);
+	currentRecentFileId = null;
+	pendingRestoreSettings = null;
+	pendingViewModelValues = null;
+	pendingStateMachineInputValues = null;
+	currentFileName = "";
+	currentRemoteSrc = null;
+	setPresetFileName("");
+	setSessionFileName("");
+	setAssetProfileFileName("");
+	setAssetManagerFileName("");
+	setScrubberAnimation(null);
+	hideAudioUnlockPrompt();
+	setActiveRecentFile(null);
+	stopWatchingFile();
 
 	// Show file picker, hide file selected indicator
 	updateFileSelectionUI(false);
@@ -0,0 +1,597 @@
+/**
+ * @file sessionRecorder.js
+ * Records what happens in the playground (state machine input changes, trigger fires, ViewModel
+ * property writes, nested input and text run edits, and pointer events on the canvas) with
+ * timestamps relative to when the Rive instance loaded. Recordings save as JSON and replay against
+ * a freshly loaded instance, so a bug can be reproduced step by step from a ticket attachment.
+ * Replay takes over the instance's render loop and advances it in fixed steps, so every event
+ * lands on the same frame each time the session is replayed.
+ */
+
+import { createLogger } from "../utils/debugger/debugLogger.js";
+
+const logger = createLogger("sessionRecorder");
+
+const EXPORT_FORMAT = "rive-tester-session";
+const EXPORT_VERSION = 1;
+const POINTER_EVENTS = ["mouseover", "mouseout", "mousemove", "mousedown", "mouseup"];
+const VIEW_MODEL_TYPES = ["boolean", "number", "string", "color", "enumType", "trigger"];
+const REPLAY_FRAME_MS = 1000 / 60;
+const MAX_REPLAY_STEPS_PER_FRAME = 4; // Catch-up limit when the browser drops frames
+// Replay clock that leaves rendering to the runtime's own loop, see createReplayClock
+const RUNTIME_CLOCK = { deterministic: false, pause() {}, drawFrame() {}, resume() {} };
+
+let currentFileName = "";
+let mode = "idle"; // idle | recordPending | recording | replayPending | replaying
+let loadTime = 0;
+let entries = [];
+let session = null; // The last recorded or loaded session
+let sessionContext = null; // Artboard and state machines when recording started
+let replayHandlers = null;
+let replay = null; // {clock, frameRequest, startTime, step, nextEvent, skipped} while replaying
+let pointerCanvas = null;
+let renderControls = null; // Refreshes the section when the state changes
+
+/**
+ * Sets the file that recordings are made for. Switching files stops any recording or replay.
+ * @param {string} fileName - Name of the loaded .riv file
+ */
+function setSessionFileName(fileName) {
+	if ((fileName || "") === currentFileName) return;
+	if (mode === "recording") {
+		finishRecording();
+	} else if (mode === "recordPending") {
+		mode = "idle";
+	} else if (mode === "replaying" || mode === "replayPending") {
+		cancelReplay();
+	}
+	currentFileName = fileName || "";
+}
+
+/**
+ * Shows a short message in the status bar
+ * @param {string} message - The message
+ */
+function showStatus(message) {
+	const statusMessageDiv = document.getElementById("statusMessage");
+	if (statusMessageDiv) {
+		statusMessageDiv.textContent = message;
+	}
+}
+
+/**
+ * Milliseconds since the Rive instance loaded
+ * @returns {number}
+ */
+function elapsed() {
+	return Math.round(performance.now() - loadTime);
+}
+
+/**
+ * Adds an interaction to the recording, if one is running
+ * @param {{kind: string}} interaction - The interaction; `kind` is "input", "viewModel",
+ *   "nestedInput", "textRun" or "pointer"
+ */
+function recordInteraction(interaction) {
+	if (mode !== "recording") return;
+	entries.push({ t: elapsed(), ...interaction });
+}
+
+/**
+ * Records a change reported to the event log. Receives every event logRiveEvent sees, before
+ * its display filters, and keeps the ones made from the controls that can be replayed.
+ * @param {string} eventType - The logged event type
+ * @param {object} eventData - The logged event data
+ */
+function recordRiveEvent(eventType, eventData) {
+	if (mode !== "recording" || !eventData) return;
+
+	if (eventType === "ViewModelPropertyChanged") {
+		// List items can be reordered, so their index paths don't identify them on replay
+		if (!VIEW_MODEL_TYPES.includes(eventData.type) || String(eventData.vmPath).includes("[")) {
+			logger.debug(`Not recording ${eventData.type} property ${eventData.property}`);
+			return;
+		}
+		// The first path segment is the root instance, which a fresh instance may name differently
+		const vmPath = String(eventData.vmPath || "").split("/").slice(1);
+		const interaction = {
+			kind: "viewModel",
+			path: [...vmPath, eventData.property].join("/"),
+			type: eventData.type,
+		};
+		if (eventData.type !== "trigger") interaction.value = eventData.value;
+		recordInteraction(interaction);
+	} else if (eventType === "NestedArtboardStateChanged") {
+		const interaction = {
+			kind: "nestedInput",
+			path: eventData.nestedPath,
+			name: eventData.inputName,
+			type: eventData.inputType,
+		};
+		if (eventData.inputType !== "trigger") interaction.value = eventData.currentValue;
+		recordInteraction(interaction);
+	} else if (eventType === "TextRunChanged") {
+		recordInteraction({
+			kind: "textRun",
+			path: eventData.path || "",
+			name: eventData.textRun,
+			value: eventData.value,
+		});
+	}
+}
+
+/**
+ * Records a user's pointer event on the canvas, as a fraction of the canvas size so it replays
+ * at the same spot whatever size the canvas is
+ * @param {MouseEvent} event - The pointer event
+ */
+function recordPointerEvent(event) {
+	if (!event.isTrusted) return; // Skip events dispatched by a replay
+	const rect = event.currentTarget.getBoundingClientRect();
+	if (rect.width === 0 || rect.height === 0) return;
+	recordInteraction({
+		kind: "pointer",
+		type: event.type,
+		x: Number(((event.clientX - rect.left) / rect.width).toFixed(4)),
+		y: Number(((event.clientY - rect.top) / rect.height).toFixed(4)),
+	});
+}
+
+/**
+ * Starts or stops listening for pointer events on the canvas
+ * @param {boolean} listen - Whether to listen
+ */
+function listenToPointer(listen) {
+	if (pointerCanvas) {
+		POINTER_EVENTS.forEach((type) => pointerCanvas.removeEventListener(type, recordPointerEvent));
+		pointerCanvas = null;
+	}
+	if (!listen) return;
+	pointerCanvas = document.getElementById("rive-canvas");
+	if (!pointerCanvas) {
+		logger.warn("Canvas not found, pointer events won't be recorded");
+		return;
+	}
+	POINTER_EVENTS.forEach((type) =>
+		pointerCanvas.addEventListener(type, recordPointerEvent, { passive: true }),
+	);
+}
+
+/**
+ * Dispatches a recorded pointer event on the canvas
+ * @param {{type: string, x: number, y: number}} entry - The recorded event
+ * @returns {boolean} True if it was dispatched
+ */
+function replayPointerEvent(entry) {
+	const canvas = document.getElementById("rive-canvas");
+	if (!canvas || !POINTER_EVENTS.includes(entry.type)) return false;
+	const rect = canvas.getBoundingClientRect();
+	canvas.dispatchEvent(
+		new MouseEvent(entry.type, {
+			bubbles: true,
+			cancelable: true,
+			clientX: rect.left + entry.x * rect.width,
+			clientY: rect.top + entry.y * rect.height,
+			buttons: entry.type === "mousedown" ? 1 : 0,
+		}),
+	);
+	return true;
+}
+
+/**
+ * Called by the control interface each time a Rive instance finishes loading. Starts a recording
+ * or replay waiting for a fresh instance; any other reload ends the one in progress, since its
+ * timeline no longer matches.
+ * @param {{artboard?: string, stateMachines?: Array<string>}} context - What the instance is playing
+ */
+function notifyInstanceLoaded(context) {
+	if (mode === "recording") {
+		finishRecording();
+		showStatus("Recording stopped because the animation reloaded.");
+	}
+	loadTime = performance.now();
+
+	if (mode === "recordPending") {
+		mode = "recording";
+		entries = [];
+		sessionContext = context;
+		listenToPointer(true);
+		logger.info(`Recording started for ${currentFileName}`);
+		showStatus("Recording. Interact with the animation, then press Stop.");
+	} else if (mode === "replayPending") {
+		startReplay(context);
+	} else if (mode === "replaying") {
+		cancelReplay();
+		showStatus("Replay stopped because the animation reloaded.");
+	}
+}
+
+/**
+ * Ends the recording and keeps it as the current session
+ */
+function finishRecording() {
+	listenToPointer(false);
+	mode = "idle";
+	session = {
+		format: EXPORT_FORMAT,
+		version: EXPORT_VERSION,
+		file: currentFileName,
+		artboard: sessionContext?.artboard || null,
+		stateMachines: sessionContext?.stateMachines || [],
+		recordedAt: new Date().toISOString(),
+		duration: elapsed(),
+		events: entries,
+	};
+	entries = [];
+	logger.info(`Recorded ${session.events.length} event(s) over ${session.duration} ms`);
+	showStatus(`Recorded ${session.events.length} event(s). Save it as JSON to attach it to a ticket.`);
+	if (renderControls) renderControls();
+}
+
+/**
+ * Wraps the Rive instance's render loop for a replay. The runtime has no public way to advance by
+ * a given time, so a fixed clock relies on three private members: `draw(time)`, its frame
+ * function, called with the replay clock; `lastRenderTime`, reset so no frame advances by the gap
+ * between clocks; and `runtime.resolveAnimationFrame()`, which flushes the queued WebGL draws.
+ * These are the only places the replay touches them.
+ *
+ * If the runtime no longer has `draw` or `resolveAnimationFrame`, the returned clock leaves the
+ * runtime's own loop running instead. Events are still applied at their recorded times, but
+ * frames follow the browser, so two replays can land events on different frames.
+ * @param {object} riveInstance - The Rive instance
+ * @returns {{deterministic: boolean, pause: function(): void, drawFrame: function(number): void, resume: function(): void}}
+ */
+function createReplayClock(riveInstance) {
+	const deterministic =
+		typeof riveInstance.draw === "function" &&
+		typeof riveInstance.runtime?.resolveAnimationFrame === "function";
+	if (!deterministic) {
+		return RUNTIME_CLOCK;
+	}
+	return {
+		deterministic,
+		// Stops the runtime's loop before it draws a frame, so the replay clock drives every frame
+		pause() {
+			riveInstance.stopRendering();
+			riveInstance.lastRenderTime = 0;
+		},
+		// Draws one frame at a replay time in milliseconds, then cancels the frame it requests for itself
+		drawFrame(time) {
+			riveInstance.draw(time);
+			riveInstance.stopRendering();
+			riveInstance.runtime.resolveAnimationFrame();
+		},
+		resume() {
+			riveInstance.lastRenderTime = 0;
+			riveInstance.startRendering();
+		},
+	};
+}
+
+/**
+ * Switches a running replay to the runtime's own loop after the fixed clock failed
+ * @param {Error} error - Why the fixed clock failed
+ */
+function fallBackToRuntimeClock(error) {
+	logger.warn("Replay can't drive the animation frame by frame, continuing on the runtime's clock:", error);
+	try {
+		replay.clock.resume();
+	} catch (resumeError) {
+		logger.warn("Could not resume rendering:", resumeError);
+	}
+	replay.clock = RUNTIME_CLOCK;
+	showStatus("Replaying session... Frame timing now follows the browser, so it may differ from other replays.");
+}
+
+/**
+ * Advances the replay to the current time in fixed frames. Events are applied before the first
+ * frame at or after their recorded time, so they land on the same frame on every replay.
+ * @param {number} now - The animation frame timestamp
+ */
+function stepReplay(now) {
+	replay.frameRequest = requestAnimationFrame(stepReplay);
+	if (replay.startTime === null) replay.startTime = now;
+
+	const events = session.events;
+	const dueSteps = Math.floor((now - replay.startTime) / REPLAY_FRAME_MS) + 1;
+	// On the runtime's clock nothing is drawn here, so there is no reason to hold events back
+	const maxSteps = replay.clock.deterministic ? MAX_REPLAY_STEPS_PER_FRAME : Infinity;
+	for (let i = 0; i < maxSteps && replay.step < dueSteps; i++) {
+		replay.step++;
+		const time = replay.step * REPLAY_FRAME_MS;
+		while (replay.nextEvent < events.length && events[replay.nextEvent].t <= time) {
+			const entry = events[replay.nextEvent++];
+			const applied =
+				entry.kind === "pointer" ? replayPointerEvent(entry) : replayHandlers.apply(entry);
+			if (!applied) {
+				replay.skipped++;
+				logger.warn(`Could not replay ${entry.kind} event at ${entry.t} ms:`, entry);
+			}
+		}
+		if (replay.clock.deterministic) {
+			try {
+				replay.clock.drawFrame(time);
+			} catch (error) {
+				fallBackToRuntimeClock(error);
+			}
+		}
+
+		if (replay.nextEvent >= events.length && time >= session.duration) {
+			finishReplay();
+			return;
+		}
+	}
+}
+
+/**
+ * Replays the current session against the instance that just loaded
+ * @param {{artboard?: string, stateMachines?: Array<string>}} context - What the instance is playing
+ */
+function startReplay(context) {
+	const riveInstance = replayHandlers.getRiveInstance();
+	if (!riveInstance) {
+		mode = "idle";
+		showStatus("Replay failed: no animation is loaded.");
+		if (renderControls) renderControls();
+		return;
+	}
+	mode = "replaying";
+	if (session.artboard && context.artboard && session.artboard !== context.artboard) {
+		logger.warn(`Session was recorded on artboard ${session.artboard}, replaying on ${context.artboard}`);
+	}
+
+	const clock = createReplayClock(riveInstance);
+	clock.pause();
+	replay = {
+		clock,
+		frameRequest: requestAnimationFrame(stepReplay),
+		startTime: null,
+		step: 0,
+		nextEvent: 0,
+		skipped: 0,
+	};
+	logger.info(`Replaying ${session.events.length} event(s) over ${session.duration} ms`);
+	if (clock.deterministic) {
+		showStatus("Replaying session...");
+	} else {
+		logger.warn("This Rive runtime can't be driven frame by frame, replaying on its own clock");
+		showStatus("Replaying session... This runtime can't be driven frame by frame, so frame timing may differ from other replays.");
+	}
+	if (renderControls) renderControls();
+}
+
+/**
+ * Ends a replay that reached the end of the session
+ */
+function finishReplay() {
+	const { skipped } = replay;
+	stopReplayLoop();
+	mode = "idle";
+	const replayed = session.events.length - skipped;
+	logger.info(`Replayed ${replayed} of ${session.events.length} event(s)`);
+	showStatus(
+		skipped > 0
+			? `Replay finished. ${skipped} event(s) no longer match this file and were skipped.`
+			: `Replay finished (${replayed} events).`,
+	);
+	replayHandlers.refresh();
+}
+
+/**
+ * Stops driving the instance and lets it render on its own again
+ */
+function stopReplayLoop() {
+	if (!replay) return;
+	cancelAnimationFrame(replay.frameRequest);
+	try {
+		replay.clock.resume();
+	} catch (error) {
+		logger.warn("Could not resume rendering after replay:", error);
+	}
+	replay = null;
+}
+
+/**
+ * Stops a replay, leaving the animation where it got to
+ */
+function cancelReplay() {
+	stopReplayLoop();
+	mode = "idle";
+	if (renderControls) renderControls();
+}
+
+/**
+ * Downloads the current session as JSON
+ */
+function exportSession() {
+	const url = URL.createObjectURL(
+		new Blob([JSON.stringify(session, null, 2)], { type: "application/json" }),
+	);
+	const link = document.createElement("a");
+	link.href = url;
+	const recordedAt = String(session.recordedAt || new Date().toISOString());
+	link.download = `${(session.file || "rive").replace(/\.riv$/i, "")}_session_${recordedAt.replace(/[:.]/g, "-")}.json`;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(url);
+	logger.info(`Exported session with ${session.events.length} event(s)`);
+}
+
+/**
+ * Reads a session from a saved JSON file
+ * @param {File} file - The JSON file
+ * @returns {Promise<object>} The session
+ * @throws {Error} If the file isn't a saved session
+ */
+async function importSession(file) {
+	let data;
+	try {
+		data = JSON.parse(await file.text());
+	} catch (e) {
+		throw new Error(`${file.name} is not valid JSON`);
+	}
+	if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.events)) {
+		throw new Error(`${file.name} is not a saved session`);
+	}
+	if (data.version > EXPORT_VERSION) {
+		throw new Error(`${file.name} is from a newer version (${data.version})`);
+	}
+
+	const events = data.events
+		.filter((entry) => entry && typeof entry.kind === "string" && Number.isFinite(entry.t))
+		.sort((a, b) => a.t - b.t);
+	if (events.length < data.events.length) {
+		logger.warn(`Skipped ${data.events.length - events.length} malformed event(s) in ${file.name}`);
+	}
+	const lastEvent = events.length > 0 ? events[events.length - 1].t : 0;
+	return {
+		...data,
+		// Hand-written sessions may leave out when they were recorded; the export name needs it
+		recordedAt:
+			typeof data.recordedAt === "string"
+				? data.recordedAt
+				: new Date(file.lastModified || Date.now()).toISOString(),
+		duration: Math.max(Number(data.duration) || 0, lastEvent),
+		events,
+	};
+}
+
+/**
+ * Describes a session for the status line
+ * @param {object} recorded - The session
+ * @returns {string}
+ */
+function describeSession(recorded) {
+	const seconds = (recorded.duration / 1000).toFixed(1);
+	const file = recorded.file && recorded.file !== currentFileName ? `, recorded on ${recorded.file}` : "";
+	return `${recorded.events.length} event(s) over ${seconds} s${file}`;
+}
+
+/**
+ * Builds the Session Recording section of the Dynamic Controls panel. Recording and replaying both
+ * start by reloading the animation, so every session runs from a fresh instance.
+ * @param {HTMLElement} container - The controls container
+ * @param {object} handlers
+ * @param {function(): void} handlers.reload - Loads a fresh Rive instance of the current selection
+ * @param {function(object): boolean} handlers.apply - Applies a recorded non-pointer event to the
+ *   live instance, returning false if the file no longer has its target
+ * @param {function(): void} handlers.refresh - Updates the controls once a replay finishes
+ * @param {function(): object} handlers.getRiveInstance - Returns the live Rive instance
+ */
+function buildSessionRecorderControls(container, handlers) {
+	replayHandlers = handlers;
+
+	const section = document.createElement("details");
+	section.className = "control-section";
+	section.open = mode !== "idle" || session !== null;
+
+	const summary = document.createElement("summary");
+	summary.textContent = "Session Recording";
+	section.appendChild(summary);
+
+	const status = document.createElement("p");
+	status.className = "info-note session-recorder-status";
+	section.appendChild(status);
+
+	const controlRow = document.createElement("div");
+	controlRow.className = "list-toolbar";
+	const recordBtn = document.createElement("button");
+	const replayBtn = document.createElement("button");
+	controlRow.appendChild(recordBtn);
+	controlRow.appendChild(replayBtn);
+	section.appendChild(controlRow);
+
+	const fileRow = document.createElement("div");
+	fileRow.className = "list-toolbar";
+	const saveBtn = document.createElement("button");
+	saveBtn.textContent = "Save JSON";
+	const loadInput = document.createElement("input");
+	loadInput.type = "file";
+	loadInput.accept = ".json,application/json";
+	loadInput.style.display = "none";
+	const loadBtn = document.createElement("button");
+	loadBtn.textContent = "Load JSON";
+	fileRow.appendChild(saveBtn);
+	fileRow.appendChild(loadBtn);
+	fileRow.appendChild(loadInput);
+	section.appendChild(fileRow);
+
+	const render = () => {
+		const recording = mode === "recording" || mode === "recordPending";
+		const replaying = mode === "replaying" || mode === "replayPending";
+		recordBtn.textContent = recording ? "Stop Recording" : "Record";
+		recordBtn.classList.toggle("session-recording", recording);
+		recordBtn.disabled = replaying;
+		replayBtn.textContent = replaying ? "Stop Replay" : "Replay";
+		replayBtn.disabled = recording || (!replaying && (!session || session.events.length === 0));
+		saveBtn.disabled = recording || !session;
+		loadBtn.disabled = recording || replaying;
+
+		if (recording) {
+			status.textContent = "Recording...";
+		} else if (replaying) {
+			status.textContent = `Replaying ${describeSession(session)}...`;
+		} else if (session) {
+			status.textContent = describeSession(session);
+		} else {
+			status.textContent = "Record your interactions to save them as JSON and replay them later.";
+		}
+	};
+	renderControls = render;
+
+	recordBtn.addEventListener("click", () => {
+		if (mode === "recording") {
+			finishRecording();
+		} else if (mode === "recordPending") {
+			mode = "idle";
+			render();
+		} else {
+			mode = "recordPending";
+			render();
+			handlers.reload();
+		}
+	}, { passive: true });
+
+	replayBtn.addEventListener("click", () => {
+		if (mode === "replaying" || mode === "replayPending") {
+			cancelReplay();
+			showStatus("Replay stopped.");
+			return;
+		}
+		if (session.file && session.file !== currentFileName) {
+			logger.warn(`Session was recorded on ${session.file}, replaying on ${currentFileName}`);
+		}
+		mode = "replayPending";
+		render();
+		handlers.reload();
+	}, { passive: true });
+
+	saveBtn.addEventListener("click", exportSession, { passive: true });
+	loadBtn.addEventListener("click", () => loadInput.click(), { passive: true });
+	loadInput.addEventListener("change", async () => {
+		const file = loadInput.files[0];
+		loadInput.value = "";
+		if (!file) return;
+		try {
+			session = await importSession(file);
+			logger.info(`Loaded session from ${file.name}: ${describeSession(session)}`);
+			showStatus(`Loaded session from ${file.name}. Press Replay to run it.`);
+			render();
+		} catch (error) {
+			logger.error("Session import failed:", error);
+			showStatus(`Could not load session: ${error.message}`);
+		}
+	}, { passive: true });
+
+	render();
+	container.appendChild(section);
+}
+
+export {
+	setSessionFileName,
+	recordInteraction,
+	recordRiveEvent,
+	notifyInstanceLoaded,
+	buildSessionRecorderControls,
+};
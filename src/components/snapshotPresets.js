@@ -0,0 +1,298 @@
+/**
+ * @file snapshotPresets.js
+ * Named presets for the Dynamic Controls panel. A preset is a snapshot of every value the panel
+ * controls (ViewModel properties, state machine inputs, nested artboard inputs and text runs),
+ * saved per file in localStorage so configurations like "empty state" or "error state" can be
+ * switched with one click. Presets can be exported and imported as JSON.
+ */
+
+import { createLogger } from "../utils/debugger/debugLogger.js";
+
+const logger = createLogger("presets");
+
+const STORAGE_KEY = "riveSnapshotPresets";
+const EXPORT_FORMAT = "rive-tester-presets";
+const EXPORT_VERSION = 1;
+
+let currentFileName = "";
+
+/**
+ * Sets the file that presets are saved for and listed from
+ * @param {string} fileName - Name of the loaded .riv file
+ */
+function setPresetFileName(fileName) {
+	currentFileName = fileName || "";
+}
+
+/**
+ * Reads every file's presets from localStorage
+ * @returns {Object<string, Array<{name: string, savedAt: number, values: object}>>} Presets by file name
+ */
+function readAllPresets() {
+	try {
+		return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+	} catch (e) {
+		logger.warn("Error reading presets from localStorage:", e);
+		return {};
+	}
+}
+
+/**
+ * Reads the presets of the current file
+ * @returns {Array<{name: string, savedAt: number, values: object}>}
+ */
+function getPresets() {
+	return readAllPresets()[currentFileName] || [];
+}
+
+/**
+ * Replaces the presets of the current file
+ * @param {Array<{name: string, savedAt: number, values: object}>} presets - The presets
+ * @returns {boolean} True if they were saved
+ */
+function setPresets(presets) {
+	const all = readAllPresets();
+	if (presets.length > 0) {
+		all[currentFileName] = presets;
+	} else {
+		delete all[currentFileName];
+	}
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+		return true;
+	} catch (e) {
+		logger.error("Error saving presets to localStorage:", e);
+		return false;
+	}
+}
+
+/**
+ * Adds presets to the current file, replacing any with the same name
+ * @param {Array<{name: string, savedAt: number, values: object}>} newPresets - Presets to add
+ * @returns {boolean} True if they were saved
+ */
+function mergePresets(newPresets) {
+	const presets = getPresets().filter(
+		(preset) => !newPresets.some((newPreset) => newPreset.name === preset.name),
+	);
+	return setPresets([...presets, ...newPresets]);
+}
+
+/**
+ * Checks the shape of an imported preset
+ * @param {*} preset - A parsed preset
+ * @returns {boolean}
+ */
+function isValidPreset(preset) {
+	return (
+		preset !== null &&
+		typeof preset === "object" &&
+		typeof preset.name === "string" &&
+		preset.name.trim() !== "" &&
+		preset.values !== null &&
+		typeof preset.values === "object"
+	);
+}
+
+/**
+ * Shows a short message in the status bar
+ * @param {string} message - The message
+ */
+function showStatus(message) {
+	const statusMessageDiv = document.getElementById("statusMessage");
+	if (statusMessageDiv) {
+		statusMessageDiv.textContent = message;
+	}
+}
+
+/**
+ * Downloads the current file's presets as JSON
+ */
+function exportPresets() {
+	const data = {
+		format: EXPORT_FORMAT,
+		version: EXPORT_VERSION,
+		file: currentFileName,
+		presets: getPresets(),
+	};
+	const url = URL.createObjectURL(
+		new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }),
+	);
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = `${currentFileName.replace(/\.riv$/i, "") || "rive"}_presets.json`;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(url);
+	logger.info(`Exported ${data.presets.length} preset(s) for ${currentFileName}`);
+}
+
+/**
+ * Imports presets from an exported JSON file into the current file's presets
+ * @param {File} file - The JSON file
+ * @returns {Promise<number>} The number of presets imported
+ * @throws {Error} If the file isn't a presets export
+ */
+async function importPresets(file) {
+	let data;
+	try {
+		data = JSON.parse(await file.text());
+	} catch (e) {
+		throw new Error(`${file.name} is not valid JSON`);
+	}
+	if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.presets)) {
+		throw new Error(`${file.name} is not a presets export`);
+	}
+	if (data.version > EXPORT_VERSION) {
+		throw new Error(`${file.name} is from a newer version (${data.version})`);
+	}
+
+	const presets = data.presets.filter(isValidPreset);
+	if (presets.length < data.presets.length) {
+		logger.warn(`Skipped ${data.presets.length - presets.length} malformed preset(s) in ${file.name}`);
+	}
+	if (data.file && data.file !== currentFileName) {
+		logger.info(`Importing presets made for ${data.file} into ${currentFileName}`);
+	}
+	if (!mergePresets(presets)) {
+		throw new Error("presets could not be saved");
+	}
+	return presets.length;
+}
+
+/**
+ * Builds the Presets section of the Dynamic Controls panel
+ * @param {HTMLElement} container - The controls container
+ * @param {object} callbacks
+ * @param {function(): object} callbacks.capture - Returns a snapshot of the current control values
+ * @param {function(object): number} callbacks.apply - Applies a snapshot, returning how many values were set
+ */
+function buildSnapshotPresetControls(container, { capture, apply }) {
+	const section = document.createElement("details");
+	section.className = "control-section";
+	section.open = getPresets().length > 0;
+
+	const summary = document.createElement("summary");
+	summary.textContent = "Presets";
+	section.appendChild(summary);
+
+	if (!currentFileName) {
+		const note = document.createElement("p");
+		note.className = "info-note";
+		note.textContent = "Presets are saved per file. Load a file to use them.";
+		section.appendChild(note);
+		container.appendChild(section);
+		return;
+	}
+
+	const list = document.createElement("div");
+	list.className = "preset-list";
+	section.appendChild(list);
+
+	const renderList = () => {
+		list.innerHTML = "";
+		const presets = getPresets();
+		if (presets.length === 0) {
+			const note = document.createElement("p");
+			note.className = "info-note";
+			note.textContent = "No presets saved for this file yet.";
+			list.appendChild(note);
+			return;
+		}
+		presets.forEach((preset) => {
+			const item = document.createElement("div");
+			item.className = "preset-item";
+
+			const applyBtn = document.createElement("button");
+			applyBtn.className = "preset-apply";
+			applyBtn.textContent = preset.name;
+			applyBtn.title = `Apply "${preset.name}" (saved ${new Date(preset.savedAt).toLocaleString()})`;
+			applyBtn.addEventListener("click", () => {
+				const restored = apply(preset.values);
+				logger.info(`Applied preset "${preset.name}" (${restored} values)`);
+				showStatus(`Applied preset "${preset.name}" (${restored} values).`);
+			}, { passive: true });
+
+			const deleteBtn = document.createElement("button");
+			deleteBtn.className = "preset-delete";
+			deleteBtn.textContent = "×";
+			deleteBtn.title = `Delete "${preset.name}"`;
+			deleteBtn.addEventListener("click", () => {
+				setPresets(getPresets().filter((p) => p.name !== preset.name));
+				renderList();
+			}, { passive: true });
+
+			item.appendChild(applyBtn);
+			item.appendChild(deleteBtn);
+			list.appendChild(item);
+		});
+	};
+
+	// Save the current values under a name; saving an existing name replaces it
+	const saveRow = document.createElement("div");
+	saveRow.className = "list-toolbar";
+	const nameInput = document.createElement("input");
+	nameInput.type = "text";
+	nameInput.placeholder = "Preset name, e.g. Error state";
+	const saveBtn = document.createElement("button");
+	saveBtn.textContent = "Save Current";
+	const savePreset = () => {
+		const name = nameInput.value.trim();
+		if (!name) {
+			nameInput.focus();
+			return;
+		}
+		if (mergePresets([{ name, savedAt: Date.now(), values: capture() }])) {
+			logger.info(`Saved preset "${name}" for ${currentFileName}`);
+			showStatus(`Saved preset "${name}".`);
+			nameInput.value = "";
+			renderList();
+		} else {
+			showStatus("Could not save preset. See console.");
+		}
+	};
+	saveBtn.addEventListener("click", savePreset, { passive: true });
+	nameInput.addEventListener("keydown", (event) => {
+		if (event.key === "Enter") savePreset();
+	}, { passive: true });
+	saveRow.appendChild(nameInput);
+	saveRow.appendChild(saveBtn);
+	section.appendChild(saveRow);
+
+	// Share presets between machines and teammates as JSON
+	const fileRow = document.createElement("div");
+	fileRow.className = "list-toolbar";
+	const exportBtn = document.createElement("button");
+	exportBtn.textContent = "Export JSON";
+	exportBtn.addEventListener("click", exportPresets, { passive: true });
+	const importInput = document.createElement("input");
+	importInput.type = "file";
+	importInput.accept = ".json,application/json";
+	importInput.style.display = "none";
+	const importBtn = document.createElement("button");
+	importBtn.textContent = "Import JSON";
+	importBtn.addEventListener("click", () => importInput.click(), { passive: true });
+	importInput.addEventListener("change", async () => {
+		const file = importInput.files[0];
+		importInput.value = "";
+		if (!file) return;
+		try {
+			const count = await importPresets(file);
+			showStatus(`Imported ${count} preset(s) from ${file.name}.`);
+			renderList();
+		} catch (error) {
+			logger.error("Preset import failed:", error);
+			showStatus(`Could not import presets: ${error.message}`);
+		}
+	}, { passive: true });
+	fileRow.appendChild(exportBtn);
+	fileRow.appendChild(importBtn);
+	fileRow.appendChild(importInput);
+	section.appendChild(fileRow);
+
+	renderList();
+	container.appendChild(section);
+}
+
+export { setPresetFileName, buildSnapshotPresetControls };
@@ -0,0 +1,638 @@
+// State Machine Diagram for Golden Layout
+// Draws the layers/states/transitions from the parsed data with G6 and
+// highlights the active state of the playing state machine live
+
+import { createLogger } from "../utils/debugger/debugLogger.js";
+const logger = createLogger("stateMachineDiagram");
+
+const FIRED_HIGHLIGHT_MS = 1200;
+
+const STATE_COLORS = {
+	entry: "#059669",
+	exit: "#dc2626",
+	any: "#7c3aed",
+	animation: "#2563eb",
+	blend: "#0d9488",
+	default: "#4b5563",
+};
+
+// Transition edge that runs a dash animation while in the "fired" state
+class RiveTransitionEdge extends window.G6.Quadratic {
+	render(attributes = this.parsedAttributes, container = this) {
+		super.render(attributes, container);
+
+		const keyShape = this.shapeMap.key;
+		if (!keyShape) return;
+
+		if (attributes.fired && !this.firedAnimation) {
+			this.firedAnimation = keyShape.animate(
+				[{ lineDashOffset: 24 }, { lineDashOffset: 0 }],
+				{
+					duration: 400,
+					iterations: Math.ceil(FIRED_HIGHLIGHT_MS / 400),
+				},
+			);
+			if (this.firedAnimation) {
+				this.firedAnimation.onfinish = () => {
+					this.firedAnimation = null;
+				};
+			}
+		} else if (!attributes.fired && this.firedAnimation) {
+			this.firedAnimation.cancel();
+			this.firedAnimation = null;
+		}
+	}
+}
+
+// Register the custom edge type only once
+if (
+	typeof window.G6 !== "undefined" &&
+	!window.G6._riveTransitionEdgeRegistered
+) {
+	window.G6.register(
+		window.G6.ExtensionCategory.EDGE,
+		"rive-transition-edge",
+		RiveTransitionEdge,
+	);
+	window.G6._riveTransitionEdgeRegistered = true;
+	logger.debug("Registered rive-transition-edge component");
+}
+
+class StateMachineDiagram {
+	constructor() {
+		this.panel = null;
+		this.container = null;
+		this.graph = null;
+		this.resizeObserver = null;
+		this.currentData = null;
+		this.selectedKey = null; // "artboard/stateMachine"
+		this.selectedLayerIndex = 0;
+		// Active state index per layer, keyed by "artboard/stateMachine"
+		this.activeStates = new Map();
+		// State indices per layer that a reported name could refer to, same keys
+		this.ambiguousStates = new Map();
+		this.firedTimers = new Map();
+		this.listenersAttached = false;
+	}
+
+	/**
+	 * Binds the diagram to a panel created from stateMachineDiagramTemplate
+	 * @param {HTMLElement} panel - The cloned template content
+	 */
+	initialize(panel) {
+		if (this.graph) {
+			this.destroyGraph();
+		}
+
+		this.panel = panel;
+		this.container = panel.querySelector("#stateMachineDiagramContent");
+		if (!this.container) {
+			throw new Error("State machine diagram container not found");
+		}
+
+		const smSelect = panel.querySelector("#smDiagramStateMachineSelect");
+		const layerSelect = panel.querySelector("#smDiagramLayerSelect");
+		const fitBtn = panel.querySelector("#smDiagramFitBtn");
+
+		if (smSelect) {
+			smSelect.addEventListener(
+				"change",
+				() => {
+					this.selectStateMachine(smSelect.value);
+				},
+				{ passive: true },
+			);
+		}
+		if (layerSelect) {
+			layerSelect.addEventListener(
+				"change",
+				() => {
+					this.selectedLayerIndex =
+						parseInt(layerSelect.value, 10) || 0;
+					this.renderLayer();
+				},
+				{ passive: true },
+			);
+		}
+		if (fitBtn) {
+			fitBtn.addEventListener(
+				"click",
+				() => {
+					if (this.graph) this.graph.fitView();
+				},
+				{ passive: true },
+			);
+		}
+
+		if (!this.listenersAttached) {
+			document.addEventListener("jsonEditorUpdated", (event) => {
+				if (event.detail && event.detail.data) {
+					this.setData(event.detail.data);
+				}
+			});
+			document.addEventListener("riveStateChanged", (event) => {
+				if (event.detail) {
+					this.handleStateChange(event.detail);
+				}
+			});
+			this.listenersAttached = true;
+		}
+
+		this.setData(window.currentParsedData || null);
+		logger.info("State machine diagram initialized");
+	}
+
+	setData(data) {
+		this.currentData =
+			data && typeof data === "object" && Array.isArray(data.artboards)
+				? data
+				: null;
+		this.activeStates.clear();
+		this.ambiguousStates.clear();
+		this.populateStateMachineSelect();
+	}
+
+	getStateMachineEntries() {
+		if (!this.currentData) return [];
+
+		const entries = [];
+		this.currentData.artboards.forEach((artboard) => {
+			(artboard.stateMachines || []).forEach((sm) => {
+				entries.push({
+					key: `${artboard.name}/${sm.name}`,
+					artboardName: artboard.name,
+					stateMachine: sm,
+				});
+			});
+		});
+		return entries;
+	}
+
+	populateStateMachineSelect() {
+		const smSelect = this.panel?.querySelector(
+			"#smDiagramStateMachineSelect",
+		);
+		if (!smSelect) return;
+
+		const entries = this.getStateMachineEntries();
+		smSelect.innerHTML = "";
+
+		if (entries.length === 0) {
+			smSelect.disabled = true;
+			this.selectedKey = null;
+			this.populateLayerSelect(null);
+			this.showMessage(
+				"Load a Rive file with state machines to see its diagram.",
+			);
+			return;
+		}
+
+		entries.forEach((entry) => {
+			const option = document.createElement("option");
+			option.value = entry.key;
+			option.textContent = `${entry.artboardName} › ${entry.stateMachine.name}`;
+			smSelect.appendChild(option);
+		});
+		smSelect.disabled = false;
+
+		// Prefer the state machine that is currently playing
+		const riveInstance = window.riveInstanceGlobal;
+		let preferredKey = entries.some(
+			(entry) => entry.key === this.selectedKey,
+		)
+			? this.selectedKey
+			: null;
+		if (!preferredKey && riveInstance) {
+			try {
+				const playing = riveInstance.playingStateMachineNames || [];
+				const activeArtboard = riveInstance.activeArtboard;
+				const match = entries.find(
+					(entry) =>
+						entry.artboardName === activeArtboard &&
+						playing.includes(entry.stateMachine.name),
+				);
+				if (match) preferredKey = match.key;
+			} catch (error) {
+				logger.debug(
+					"Could not read playing state machines:",
+					error.message,
+				);
+			}
+		}
+
+		smSelect.value = preferredKey || entries[0].key;
+		this.selectStateMachine(smSelect.value);
+	}
+
+	selectStateMachine(key) {
+		this.selectedKey = key;
+		this.selectedLayerIndex = 0;
+		const entry = this.getStateMachineEntries().find((e) => e.key === key);
+		this.populateLayerSelect(entry ? entry.stateMachine : null);
+		this.renderLayer();
+	}
+
+	populateLayerSelect(stateMachine) {
+		const layerSelect = this.panel?.querySelector("#smDiagramLayerSelect");
+		if (!layerSelect) return;
+
+		layerSelect.innerHTML = "";
+		const layers = stateMachine?.layers || [];
+		layers.forEach((layer, index) => {
+			const option = document.createElement("option");
+			option.value = String(index);
+			option.textContent = layer.name || `Layer ${index + 1}`;
+			layerSelect.appendChild(option);
+		});
+		layerSelect.disabled = layers.length <= 1;
+	}
+
+	getSelectedStateMachine() {
+		const entry = this.getStateMachineEntries().find(
+			(e) => e.key === this.selectedKey,
+		);
+		return entry?.stateMachine || null;
+	}
+
+	getSelectedLayer() {
+		return (
+			this.getSelectedStateMachine()?.layers?.[this.selectedLayerIndex] ||
+			null
+		);
+	}
+
+	// Summarizes a transition's conditions for the edge label
+	formatTransitionLabel(transition) {
+		const parts = (transition.conditions || []).map((condition) => {
+			if (condition.op === "fired") return `${condition.input} ⚡`;
+			if (condition.inputType === "boolean") {
+				return condition.value
+					? condition.input
+					: `!${condition.input}`;
+			}
+			return `${condition.input} ${condition.op} ${condition.value}`;
+		});
+		if (transition.exitTime !== undefined) {
+			parts.push(`exit ${transition.exitTime}${transition.exitTimeUnit}`);
+		}
+		return parts.join(" && ");
+	}
+
+	buildGraphData(layer) {
+		const nodes = layer.states.map((state) => ({
+			id: `state-${state.index}`,
+			data: {
+				name: state.name,
+				kind: state.kind,
+				animationName: state.animationName,
+			},
+		}));
+
+		const edges = [];
+		layer.states.forEach((state) => {
+			state.transitions.forEach((transition, transitionIndex) => {
+				if (
+					transition.targetStateIndex === null ||
+					transition.targetStateIndex === undefined
+				)
+					return;
+				edges.push({
+					id: `transition-${state.index}-${transitionIndex}`,
+					source: `state-${state.index}`,
+					target: `state-${transition.targetStateIndex}`,
+					data: {
+						label: this.formatTransitionLabel(transition),
+						disabled: transition.disabled,
+					},
+				});
+			});
+		});
+
+		return { nodes, edges };
+	}
+
+	async renderLayer() {
+		const layer = this.getSelectedLayer();
+		if (!layer) {
+			this.showMessage(
+				this.getSelectedStateMachine()?.layersPartial
+					? "The layers of this state machine could not be read: the file uses properties the reader doesn't know."
+					: "No layers found for this state machine. The file's state machine structure may not be readable.",
+			);
+			return;
+		}
+		if (typeof window.G6 === "undefined") {
+			this.showMessage("G6 library not available.");
+			return;
+		}
+
+		const graphData = this.buildGraphData(layer);
+
+		try {
+			if (!this.graph) {
+				this.createGraph();
+			}
+			this.graph.setData(graphData);
+			await this.graph.render();
+			this.graph.fitView();
+			this.applyActiveState();
+			logger.debug(
+				`Rendered layer ${layer.name} with ${graphData.nodes.length} states`,
+			);
+		} catch (error) {
+			logger.error("Failed to render state machine diagram:", error);
+			this.showMessage(`Failed to draw diagram: ${error.message}`);
+		}
+	}
+
+	createGraph() {
+		this.container.innerHTML = "";
+		const rect = this.container.getBoundingClientRect();
+		const width = Math.max(rect.width || 400, 300);
+		const height = Math.max(rect.height || 300, 200);
+
+		this.graph = new window.G6.Graph({
+			container: this.container,
+			width,
+			height,
+			data: { nodes: [], edges: [] },
+
+			node: {
+				type: "rect",
+				style: {
+					size: [140, 40],
+					radius: 6,
+					fill: (d) =>
+						STATE_COLORS[d.data.kind] || STATE_COLORS.default,
+					stroke: "#1f2937",
+					lineWidth: 1,
+					labelText: (d) => d.data.name,
+					labelPlacement: "center",
+					labelFill: "#fff",
+					labelFontSize: 12,
+				},
+				state: {
+					active: {
+						stroke: "#facc15",
+						lineWidth: 3,
+						halo: true,
+						haloStroke: "#facc15",
+					},
+					ambiguous: {
+						stroke: "#facc15",
+						lineWidth: 2,
+						lineDash: [4, 3],
+					},
+				},
+			},
+
+			edge: {
+				type: "rive-transition-edge",
+				style: {
+					stroke: "#6b7280",
+					lineWidth: 1.5,
+					endArrow: true,
+					lineDash: (d) => (d.data.disabled ? [4, 4] : 0),
+					labelText: (d) => d.data.label,
+					labelFill: "#d1d5db",
+					labelFontSize: 10,
+					labelBackground: true,
+					labelBackgroundFill: "#111827",
+					labelBackgroundOpacity: 0.8,
+				},
+				state: {
+					fired: {
+						stroke: "#f59e0b",
+						lineWidth: 3,
+						lineDash: [8, 4],
+						fired: true,
+					},
+				},
+			},
+
+			layout: {
+				type: "dagre",
+				rankdir: "LR",
+				nodesep: 40,
+				ranksep: 80,
+			},
+
+			transforms: ["process-parallel-edges"],
+			behaviors: ["zoom-canvas", "drag-canvas", "drag-element"],
+		});
+
+		if (window.ResizeObserver) {
+			this.resizeObserver = new ResizeObserver((entries) => {
+				for (const entry of entries) {
+					const { width: newWidth, height: newHeight } =
+						entry.contentRect;
+					if (newWidth >= 100 && newHeight >= 100 && this.graph) {
+						this.graph.resize(newWidth, newHeight);
+					}
+				}
+			});
+			this.resizeObserver.observe(this.container);
+		}
+	}
+
+	/**
+	 * Tracks the states reported by a statechange event and highlights them. The runtime only
+	 * reports state names, so each name is matched within the state machine that reported it,
+	 * and there only in the layers its position allows: a state machine lists at most one change
+	 * per layer, in layer order. A name that still matches several states marks them all as
+	 * ambiguous instead of guessing.
+	 * @param {{artboard: string, reports: Array<{stateMachines: string[], states: string[]}>}} detail
+	 */
+	handleStateChange(detail) {
+		const entries = this.getStateMachineEntries().filter(
+			(entry) => entry.artboardName === detail.artboard,
+		);
+		// Ambiguous matches from this event, by entry key and layer index
+		const ambiguous = new Map();
+
+		(detail.reports || []).forEach((report) => {
+			const reporting = entries.filter((entry) =>
+				report.stateMachines.includes(entry.stateMachine.name),
+			);
+			// Layer order only tells layers apart within a single state machine
+			const ordered = reporting.length === 1;
+
+			report.states.forEach((stateName, position) => {
+				const candidates = [];
+				reporting.forEach((entry) => {
+					const layers = entry.stateMachine.layers || [];
+					const lastLayer =
+						layers.length - report.states.length + position;
+					layers.forEach((layer, layerIndex) => {
+						if (
+							ordered &&
+							(layerIndex < position || layerIndex > lastLayer)
+						)
+							return;
+						layer.states
+							.filter((state) => state.name === stateName)
+							.forEach((state) => {
+								candidates.push({
+									entry,
+									layer,
+									layerIndex,
+									state,
+								});
+							});
+					});
+				});
+
+				if (candidates.length === 1) {
+					this.setActiveState(candidates[0]);
+					return;
+				}
+				candidates.forEach(({ entry, layerIndex, state }) => {
+					const layersByIndex = ambiguous.get(entry.key) || {};
+					(layersByIndex[layerIndex] ||= []).push(state.index);
+					ambiguous.set(entry.key, layersByIndex);
+				});
+			});
+		});
+
+		ambiguous.forEach((layersByIndex, key) => {
+			this.ambiguousStates.set(key, {
+				...this.ambiguousStates.get(key),
+				...layersByIndex,
+			});
+		});
+
+		this.applyActiveState();
+	}
+
+	/**
+	 * Makes a state the active one of its layer and animates the transition into it
+	 * @param {{entry: Object, layer: Object, layerIndex: number, state: Object}} match
+	 */
+	setActiveState({ entry, layer, layerIndex, state }) {
+		const active = this.activeStates.get(entry.key) || {};
+		const previousIndex = active[layerIndex];
+		active[layerIndex] = state.index;
+		this.activeStates.set(entry.key, active);
+		delete this.ambiguousStates.get(entry.key)?.[layerIndex];
+
+		if (
+			entry.key === this.selectedKey &&
+			layerIndex === this.selectedLayerIndex
+		) {
+			this.animateTransition(layer, previousIndex, state.index);
+		}
+	}
+
+	// Finds the transition that moved the layer from one state to another, directly or via "any"
+	findFiredTransitionId(layer, fromIndex, toIndex) {
+		const candidates = [];
+		if (fromIndex !== undefined) {
+			candidates.push(layer.states[fromIndex]);
+		}
+		candidates.push(...layer.states.filter((s) => s.kind === "any"));
+
+		for (const state of candidates) {
+			if (!state) continue;
+			const transitionIndex = state.transitions.findIndex(
+				(t) => t.targetStateIndex === toIndex,
+			);
+			if (transitionIndex !== -1) {
+				return `transition-${state.index}-${transitionIndex}`;
+			}
+		}
+		return null;
+	}
+
+	animateTransition(layer, fromIndex, toIndex) {
+		if (!this.graph) return;
+
+		const edgeId = this.findFiredTransitionId(layer, fromIndex, toIndex);
+		if (!edgeId) return;
+
+		try {
+			this.graph.setElementState(edgeId, ["fired"]);
+		} catch (error) {
+			logger.debug("Could not mark transition as fired:", error.message);
+			return;
+		}
+
+		clearTimeout(this.firedTimers.get(edgeId));
+		this.firedTimers.set(
+			edgeId,
+			setTimeout(() => {
+				this.firedTimers.delete(edgeId);
+				if (this.graph) {
+					try {
+						this.graph.setElementState(edgeId, []);
+					} catch (error) {
+						logger.debug(
+							"Could not clear fired transition:",
+							error.message,
+						);
+					}
+				}
+			}, FIRED_HIGHLIGHT_MS),
+		);
+	}
+
+	applyActiveState() {
+		if (!this.graph) return;
+
+		const layer = this.getSelectedLayer();
+		if (!layer) return;
+
+		const activeIndex = (this.activeStates.get(this.selectedKey) || {})[
+			this.selectedLayerIndex
+		];
+		const ambiguousIndices =
+			(this.ambiguousStates.get(this.selectedKey) || {})[
+				this.selectedLayerIndex
+			] || [];
+		const states = {};
+		layer.states.forEach((state) => {
+			if (state.index === activeIndex) {
+				states[`state-${state.index}`] = ["active"];
+			} else if (ambiguousIndices.includes(state.index)) {
+				states[`state-${state.index}`] = ["ambiguous"];
+			} else {
+				states[`state-${state.index}`] = [];
+			}
+		});
+
+		try {
+			this.graph.setElementState(states);
+		} catch (error) {
+			logger.debug("Could not update active state:", error.message);
+		}
+	}
+
+	showMessage(message) {
+		if (!this.container) return;
+		this.destroyGraph();
+
+		this.container.innerHTML = "";
+		const messageEl = document.createElement("div");
+		messageEl.className = "sm-diagram-message";
+		messageEl.textContent = message;
+		this.container.appendChild(messageEl);
+	}
+
+	destroyGraph() {
+		this.firedTimers.forEach((timer) => clearTimeout(timer));
+		this.firedTimers.clear();
+
+		if (this.resizeObserver) {
+			this.resizeObserver.disconnect();
+			this.resizeObserver = null;
+		}
+		if (this.graph) {
+			this.graph.destroy();
+			this.graph = null;
+		}
+	}
+}
+
+// Create global instance
+window.stateMachineDiagram = new StateMachineDiagram();
+
+export default StateMachineDiagram;
@@ -0,0 +1,343 @@
+/**
+ * @file timelineScrubber.js
+ * Scrubber bar under the canvas for the selected timeline. Seeks the live instance to exact frames
+ * using the fps, duration and work area captured by the parser, steps frame by frame, loops a
+ * region and plays back at other speeds.
+ *
+ * Durations and work area bounds are in frames; the runtime's animation time is in seconds.
+ */
+
+import { createLogger } from "../utils/debugger/debugLogger.js";
+
+const logger = createLogger("timelineScrubber");
+
+const UNSET_WORK_AREA = 4294967295; // The runtime reports an unset work area bound as -1 in a uint32
+const LOOP_ONE_SHOT = 0;
+const LOOP_PING_PONG = 2;
+
+let animation = null; // {name, fps, duration, workStart, workEnd} from the parser
+let options = { getRiveInstance: () => null, onPause: () => false, onResize: () => {} };
+let currentSeconds = 0;
+let direction = 1; // Playback direction while driving a ping-pong timeline
+let playbackSpeed = 1;
+let loopRegion = { enabled: false, inFrame: 0, outFrame: 0 };
+let frameRequest = null;
+let lastTickTime = null;
+
+/**
+ * Converts a timeline's parsed data into frame and second bounds
+ * @param {{fps?: number, duration?: number, workStart?: number, workEnd?: number}} animationData - Parsed animation
+ * @returns {{fps: number, frames: number, seconds: number, workStart: number | null, workEnd: number | null}}
+ */
+function getAnimationTiming(animationData) {
+	const fps = animationData.fps > 0 ? animationData.fps : 60;
+	const frames = Math.max(0, Number(animationData.duration) || 0);
+	const hasWorkArea =
+		Number.isFinite(animationData.workStart) &&
+		Number.isFinite(animationData.workEnd) &&
+		animationData.workStart !== UNSET_WORK_AREA &&
+		animationData.workEnd !== UNSET_WORK_AREA &&
+		animationData.workEnd > animationData.workStart;
+	return {
+		fps,
+		frames,
+		seconds: frames / fps,
+		workStart: hasWorkArea ? animationData.workStart : null,
+		workEnd: hasWorkArea ? Math.min(animationData.workEnd, frames) : null,
+	};
+}
+
+/**
+ * Finds the runtime's instance of the selected timeline, if it has been played or paused
+ * @returns {object | null} The runtime animation ({name, playing, instance, loopValue})
+ */
+function getLiveAnimation() {
+	const riveInstance = options.getRiveInstance();
+	if (!riveInstance || !riveInstance.animator || !animation) return null;
+	return riveInstance.animator.animations.find((a) => a.name === animation.name) || null;
+}
+
+/**
+ * The range playback stays within, in seconds
+ * @returns {{start: number, end: number}}
+ */
+function getPlaybackRange() {
+	const timing = getAnimationTiming(animation);
+	if (loopRegion.enabled) {
+		return { start: loopRegion.inFrame / timing.fps, end: loopRegion.outFrame / timing.fps };
+	}
+	return { start: 0, end: timing.seconds };
+}
+
+/**
+ * Whether playback is driven by the scrubber rather than the runtime. The runtime can only play at
+ * normal speed over the whole timeline or its work area.
+ * @returns {boolean}
+ */
+function isDriving() {
+	return playbackSpeed !== 1 || loopRegion.enabled;
+}
+
+/**
+ * Moves the paused timeline to an exact frame. Pauses it first, so the runtime has an instance
+ * of it and isn't advancing it.
+ * @param {number} frame - The frame to show
+ */
+function seekToFrame(frame) {
+	const riveInstance = options.getRiveInstance();
+	if (!riveInstance || !animation) return;
+	if (!options.onPause()) return;
+
+	const timing = getAnimationTiming(animation);
+	const clampedFrame = Math.min(Math.max(0, Math.round(frame)), timing.frames);
+	currentSeconds = clampedFrame / timing.fps;
+	try {
+		riveInstance.scrub(animation.name, currentSeconds);
+	} catch (error) {
+		logger.error(`Could not seek ${animation.name} to frame ${clampedFrame}:`, error);
+	}
+	render();
+}
+
+/**
+ * Advances a driven timeline by a frame's worth of time, wrapping within the playback range
+ * @param {object} liveAnimation - The runtime animation
+ * @param {number} elapsedSeconds - Seconds since the last frame
+ */
+function drive(liveAnimation, elapsedSeconds) {
+	const { start, end } = getPlaybackRange();
+	if (end <= start) return;
+
+	const fileSpeed = liveAnimation.animation && liveAnimation.animation.speed ? liveAnimation.animation.speed : 1;
+	let next = currentSeconds + elapsedSeconds * playbackSpeed * fileSpeed * direction;
+
+	if (next < start || next > end) {
+		if (loopRegion.enabled || liveAnimation.loopValue !== LOOP_ONE_SHOT) {
+			if (!loopRegion.enabled && liveAnimation.loopValue === LOOP_PING_PONG) {
+				direction = -direction;
+				next = next > end ? end - (next - end) : start + (start - next);
+			} else {
+				const length = end - start;
+				next = start + ((((next - start) % length) + length) % length);
+			}
+		} else {
+			next = Math.min(Math.max(next, start), end);
+			liveAnimation.playing = false;
+		}
+	}
+
+	currentSeconds = Math.min(Math.max(next, start), end);
+	options.getRiveInstance().animator.scrub([animation.name], currentSeconds);
+}
+
+/**
+ * Per-frame update: drives playback when needed and moves the playhead
+ * @param {number} time - The animation frame timestamp
+ */
+function tick(time) {
+	frameRequest = requestAnimationFrame(tick);
+	const elapsedSeconds = lastTickTime === null ? 0 : Math.min((time - lastTickTime) / 1000, 0.1);
+	lastTickTime = time;
+
+	const liveAnimation = getLiveAnimation();
+	if (liveAnimation && liveAnimation.playing) {
+		if (isDriving()) {
+			drive(liveAnimation, elapsedSeconds);
+		} else {
+			currentSeconds = liveAnimation.instance.time;
+		}
+	} else if (!liveAnimation) {
+		currentSeconds = 0;
+	}
+	render();
+}
+
+/**
+ * Updates the scrubber elements from the current state. The canvas panel can be closed and
+ * restored, so the elements are looked up each time.
+ */
+function render() {
+	const scrubber = document.getElementById("timelineScrubber");
+	if (!scrubber) return;
+
+	const visible = animation !== null;
+	if (scrubber.hidden === visible) {
+		scrubber.hidden = !visible;
+		const panel = scrubber.closest("#canvasComponent");
+		if (panel) panel.classList.toggle("timeline-scrubber-visible", visible);
+		options.onResize();
+	}
+	if (!visible) return;
+
+	const timing = getAnimationTiming(animation);
+	const frame = Math.round(currentSeconds * timing.fps);
+
+	const range = document.getElementById("scrubberRange");
+	if (range) {
+		range.max = String(timing.frames);
+		range.value = String(frame);
+	}
+
+	const readout = document.getElementById("scrubberReadout");
+	if (readout) {
+		readout.textContent = `${frame} / ${timing.frames} · ${currentSeconds.toFixed(2)}s / ${timing.seconds.toFixed(2)}s @ ${timing.fps} fps`;
+	}
+
+	const region = document.getElementById("scrubberLoopRegion");
+	if (region) {
+		const inFrame = loopRegion.enabled ? loopRegion.inFrame : timing.workStart;
+		const outFrame = loopRegion.enabled ? loopRegion.outFrame : timing.workEnd;
+		region.hidden = inFrame === null || timing.frames === 0;
+		if (!region.hidden) {
+			region.style.left = `${(inFrame / timing.frames) * 100}%`;
+			region.style.width = `${((outFrame - inFrame) / timing.frames) * 100}%`;
+			region.classList.toggle("work-area", !loopRegion.enabled);
+		}
+	}
+
+	const loopCheckbox = document.getElementById("scrubberLoopCheckbox");
+	if (loopCheckbox) loopCheckbox.checked = loopRegion.enabled;
+	const inInput = document.getElementById("scrubberLoopIn");
+	const outInput = document.getElementById("scrubberLoopOut");
+	[inInput, outInput].forEach((input) => {
+		if (input) input.max = String(timing.frames);
+	});
+	if (inInput && document.activeElement !== inInput) inInput.value = String(loopRegion.inFrame);
+	if (outInput && document.activeElement !== outInput) outInput.value = String(loopRegion.outFrame);
+
+	const speedSelect = document.getElementById("scrubberSpeedSelect");
+	if (speedSelect) speedSelect.value = String(playbackSpeed);
+}
+
+/**
+ * Sets the loop region from the In/Out inputs, keeping In before Out
+ */
+function readLoopRegionInputs() {
+	const timing = getAnimationTiming(animation);
+	const clamp = (value, fallback) => {
+		const frame = parseInt(value, 10);
+		return Number.isFinite(frame) ? Math.min(Math.max(0, frame), timing.frames) : fallback;
+	};
+	const inFrame = clamp(document.getElementById("scrubberLoopIn")?.value, loopRegion.inFrame);
+	const outFrame = clamp(document.getElementById("scrubberLoopOut")?.value, loopRegion.outFrame);
+	loopRegion.inFrame = Math.min(inFrame, outFrame);
+	loopRegion.outFrame = Math.max(inFrame, outFrame);
+}
+
+/**
+ * Handles clicks on the scrubber's buttons
+ * @param {MouseEvent} event - The click
+ */
+function handleScrubberClick(event) {
+	const button = event.target instanceof Element ? event.target.closest("#timelineScrubber button") : null;
+	if (!button || !animation) return;
+
+	const timing = getAnimationTiming(animation);
+	const frame = Math.round(currentSeconds * timing.fps);
+	switch (button.dataset.action) {
+		case "first":
+			seekToFrame(loopRegion.enabled ? loopRegion.inFrame : 0);
+			break;
+		case "previous":
+			seekToFrame(frame - 1);
+			break;
+		case "next":
+			seekToFrame(frame + 1);
+			break;
+		case "last":
+			seekToFrame(loopRegion.enabled ? loopRegion.outFrame : timing.frames);
+			break;
+		case "set-in":
+			loopRegion.inFrame = Math.min(frame, loopRegion.outFrame);
+			loopRegion.enabled = true;
+			render();
+			break;
+		case "set-out":
+			loopRegion.outFrame = Math.max(frame, loopRegion.inFrame);
+			loopRegion.enabled = true;
+			render();
+			break;
+	}
+}
+
+/**
+ * Handles the range, loop region and speed inputs
+ * @param {Event} event - The input or change event
+ */
+function handleScrubberInput(event) {
+	const target = event.target;
+	if (!(target instanceof Element) || !target.closest("#timelineScrubber") || !animation) return;
+
+	switch (target.id) {
+		case "scrubberRange":
+			if (event.type === "input") seekToFrame(parseInt(target.value, 10) || 0);
+			break;
+		case "scrubberLoopCheckbox":
+			loopRegion.enabled = target.checked;
+			direction = 1;
+			render();
+			break;
+		case "scrubberLoopIn":
+		case "scrubberLoopOut":
+			if (event.type === "change") {
+				readLoopRegionInputs();
+				render();
+			}
+			break;
+		case "scrubberSpeedSelect":
+			playbackSpeed = parseFloat(target.value) || 1;
+			logger.info(`Playback speed set to ${playbackSpeed}x`);
+			break;
+	}
+}
+
+/**
+ * Sets up the scrubber. Listens on the document so the controls keep working when the canvas
+ * panel is closed and restored.
+ * @param {object} callbacks
+ * @param {function(): object | null} callbacks.getRiveInstance - Returns the live Rive instance
+ * @param {function(): boolean} callbacks.onPause - Pauses the selected timeline (stopping any state
+ *   machine) so it can be seeked; returns false if it can't be
+ * @param {function(): void} callbacks.onResize - Called when the scrubber shows or hides, changing
+ *   the canvas size
+ */
+function initializeTimelineScrubber(callbacks) {
+	options = { ...options, ...callbacks };
+	document.addEventListener("click", handleScrubberClick, { passive: true });
+	document.addEventListener("input", handleScrubberInput, { passive: true });
+	document.addEventListener("change", handleScrubberInput, { passive: true });
+	logger.info("Timeline scrubber initialized");
+}
+
+/**
+ * Shows the scrubber for a timeline, or hides it
+ * @param {{name: string, fps: number, duration: number, workStart?: number, workEnd?: number} | null} animationData
+ *   - The timeline's parsed data, or null when no timeline is selected
+ */
+function setScrubberAnimation(animationData) {
+	const changed = (animationData && animationData.name) !== (animation && animation.name);
+	animation = animationData || null;
+
+	if (changed && animation) {
+		// Loop the work area by default, or the whole timeline if it has none
+		const timing = getAnimationTiming(animation);
+		loopRegion = {
+			enabled: false,
+			inFrame: timing.workStart ?? 0,
+			outFrame: timing.workEnd ?? timing.frames,
+		};
+		currentSeconds = 0;
+		direction = 1;
+	}
+
+	if (animation && frameRequest === null) {
+		lastTickTime = null;
+		frameRequest = requestAnimationFrame(tick);
+	} else if (!animation && frameRequest !== null) {
+		cancelAnimationFrame(frameRequest);
+		frameRequest = null;
+	}
+	render();
+}
+
+export { getAnimationTiming, initializeTimelineScrubber, setScrubberAnimation };
@@ -0,0 +1,256 @@
+/**
+ * @file assetFolder.js
+ * Maps a local folder onto the assets a Rive file doesn't embed: referenced assets, which are
+ * exported next to the .riv, and assets hosted on the Rive CDN. During loading each of these is
+ * looked up in the folder by unique filename, name or CDN UUID and decoded from the matching file.
+ * The folder comes from the File System Access API, a directory input or dropped files.
+ */
+
+import { createLogger } from "./debugger/debugLogger.js";
+import { getSfntBytes } from "./fontNameReader.js";
+
+const logger = createLogger("assetManager");
+
+// Only these files are kept from a folder, plus files without an extension (CDN UUIDs)
+const ASSET_EXTENSIONS = [
+	"png", "jpg", "jpeg", "webp", "gif", "svg",
+	"ttf", "otf", "woff",
+	"wav", "mp3", "flac", "ogg",
+];
+
+let folderName = "";
+let filesByName = new Map(); // Lower-case file name -> File
+let filesByStem = new Map(); // Lower-case file name without extension -> File
+const resolutions = new Map(); // Asset name -> {fileName, status: "loading" | "loaded" | "error", error?}
+let resolutionListener = null;
+
+/**
+ * Whether the browser can pick folders with the File System Access API (Chromium-based browsers)
+ * @returns {boolean}
+ */
+function isFolderPickerSupported() {
+	return typeof window !== "undefined" && "showDirectoryPicker" in window;
+}
+
+/**
+ * Strips the extension from a file name
+ * @param {string} fileName - The file name
+ * @returns {string}
+ */
+function getStem(fileName) {
+	return fileName.replace(/\.[^.]*$/, "");
+}
+
+/**
+ * Checks whether a file could be an asset
+ * @param {string} fileName - The file name
+ * @returns {boolean}
+ */
+function isAssetFileName(fileName) {
+	const match = /\.([^.]+)$/.exec(fileName);
+	return !match || ASSET_EXTENSIONS.includes(match[1].toLowerCase());
+}
+
+/**
+ * Sets the files assets are resolved from, replacing any previous folder
+ * @param {File[]} files - The folder's files; subfolders are flattened
+ * @param {string} name - Name shown for the folder
+ */
+function setAssetFolderFiles(files, name) {
+	filesByName = new Map();
+	filesByStem = new Map();
+	files.filter((file) => isAssetFileName(file.name)).forEach((file) => {
+		const key = file.name.toLowerCase();
+		// The first file found wins, so files at the top of the folder beat those in subfolders
+		if (!filesByName.has(key)) filesByName.set(key, file);
+		if (!filesByStem.has(getStem(key))) filesByStem.set(getStem(key), file);
+	});
+	folderName = name;
+	logger.info(`[FOLDER] Using "${name}" with ${filesByName.size} asset file(s)`);
+}
+
+/**
+ * Stops resolving assets from a folder
+ */
+function clearAssetFolder() {
+	filesByName = new Map();
+	filesByStem = new Map();
+	folderName = "";
+	logger.info("[FOLDER] Cleared asset folder");
+}
+
+/**
+ * Describes the current folder
+ * @returns {{name: string, fileCount: number} | null} The folder, or null if none is set
+ */
+function getAssetFolder() {
+	return folderName ? { name: folderName, fileCount: filesByName.size } : null;
+}
+
+/**
+ * Lists a directory's files, including those in subfolders, breadth first
+ * @param {FileSystemDirectoryHandle} directoryHandle - The directory
+ * @returns {Promise<File[]>}
+ */
+async function readDirectoryHandle(directoryHandle) {
+	const files = [];
+	const directories = [directoryHandle];
+	while (directories.length > 0) {
+		const directory = directories.shift();
+		for await (const handle of directory.values()) {
+			if (handle.kind === "directory") {
+				directories.push(handle);
+			} else if (isAssetFileName(handle.name)) {
+				files.push(await handle.getFile());
+			}
+		}
+	}
+	return files;
+}
+
+/**
+ * Lets the user pick a folder with the File System Access API and uses it for assets
+ * @returns {Promise<boolean>} True if a folder was picked, false if the picker was cancelled
+ */
+async function chooseAssetFolder() {
+	let directoryHandle;
+	try {
+		directoryHandle = await window.showDirectoryPicker({ id: "riveAssets", mode: "read" });
+	} catch (error) {
+		if (error.name === "AbortError") {
+			logger.info("[FOLDER] Folder selection cancelled by user");
+			return false;
+		}
+		throw error;
+	}
+	setAssetFolderFiles(await readDirectoryHandle(directoryHandle), directoryHandle.name);
+	return true;
+}
+
+/**
+ * Reads the files dropped in a drag and drop, including the contents of dropped folders. Entries
+ * must be taken from the DataTransfer during the drop event, so call this synchronously from it.
+ * @param {DataTransfer} dataTransfer - The drop event's data
+ * @returns {Promise<File[]>}
+ */
+function readDataTransferFiles(dataTransfer) {
+	const entries = Array.from(dataTransfer.items || [])
+		.filter((item) => item.kind === "file")
+		.map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+	if (entries.length === 0 || entries.some((entry) => !entry)) {
+		return Promise.resolve(Array.from(dataTransfer.files));
+	}
+
+	const readEntry = (entry) => {
+		if (entry.isFile) {
+			return new Promise((resolve, reject) => entry.file((file) => resolve([file]), reject));
+		}
+		// readEntries returns directories in batches, so keep reading until it returns none
+		const reader = entry.createReader();
+		const readBatch = () =>
+			new Promise((resolve, reject) => reader.readEntries(resolve, reject)).then((batch) =>
+				batch.length === 0
+					? []
+					: Promise.all(batch.map(readEntry)).then((files) =>
+							readBatch().then((rest) => files.flat().concat(rest)),
+						),
+			);
+		return readBatch();
+	};
+	return Promise.all(entries.map(readEntry)).then((files) => files.flat());
+}
+
+/**
+ * Finds the folder file for an asset, trying its unique filename, its name and its CDN UUID
+ * @param {Object} asset - The Rive file asset
+ * @returns {File | null}
+ */
+function findAssetFolderFile(asset) {
+	const candidates = [
+		asset.uniqueFilename,
+		asset.name && asset.fileExtension ? `${asset.name}.${asset.fileExtension}` : null,
+		asset.name,
+		asset.cdnUuid,
+	];
+	for (const candidate of candidates) {
+		if (!candidate) continue;
+		const key = candidate.toLowerCase();
+		const file = filesByName.get(key) || filesByStem.get(getStem(key));
+		if (file) return file;
+	}
+	return null;
+}
+
+/**
+ * Records how an asset was resolved and tells the listener
+ * @param {string} assetName - The asset name
+ * @param {{fileName: string, status: string, error?: string}} resolution - The resolution
+ */
+function setResolution(assetName, resolution) {
+	resolutions.set(assetName, resolution);
+	if (resolutionListener) resolutionListener(assetName, resolution);
+}
+
+/**
+ * Loads an asset from the folder, for use in an assetLoader. The file is read and decoded
+ * asynchronously, so the asset appears once it has loaded.
+ * @param {Object} asset - The Rive file asset
+ * @returns {boolean} True if the folder has the asset and will load it, false to let Rive load it
+ */
+function loadAssetFromFolder(asset) {
+	const file = folderName ? findAssetFolderFile(asset) : null;
+	if (!file) return false;
+
+	logger.debug(`[FOLDER] Resolving "${asset.name}" from ${file.name}`);
+	setResolution(asset.name, { fileName: file.name, status: "loading" });
+	file.arrayBuffer()
+		// The runtime only decodes TTF and OTF fonts, so WOFF files are unwrapped first
+		.then((buffer) => (asset.isFont ? getSfntBytes(new Uint8Array(buffer)) : new Uint8Array(buffer)))
+		.then((bytes) => {
+			asset.decode(bytes);
+			logger.info(`[FOLDER] Loaded "${asset.name}" from ${file.name}`);
+			setResolution(asset.name, { fileName: file.name, status: "loaded" });
+		})
+		.catch((error) => {
+			logger.error(`[FOLDER] Could not load "${asset.name}" from ${file.name}:`, error);
+			setResolution(asset.name, { fileName: file.name, status: "error", error: error.message });
+		});
+	return true;
+}
+
+/**
+ * Forgets how assets were resolved, before a file loads
+ */
+function resetAssetResolutions() {
+	resolutions.clear();
+}
+
+/**
+ * Gets how an asset was resolved from the folder
+ * @param {string} assetName - The asset name
+ * @returns {{fileName: string, status: string, error?: string} | undefined} Undefined if it wasn't
+ */
+function getAssetResolution(assetName) {
+	return resolutions.get(assetName);
+}
+
+/**
+ * Sets the function called whenever an asset's resolution changes
+ * @param {function(string, Object): void} listener - Called with the asset name and resolution
+ */
+function setResolutionListener(listener) {
+	resolutionListener = listener;
+}
+
+export {
+	isFolderPickerSupported,
+	setAssetFolderFiles,
+	clearAssetFolder,
+	getAssetFolder,
+	chooseAssetFolder,
+	readDataTransferFiles,
+	loadAssetFromFolder,
+	resetAssetResolutions,
+	getAssetResolution,
+	setResolutionListener,
+};
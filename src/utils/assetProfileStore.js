@@ -0,0 +1,185 @@
+/**
+ * @file assetProfileStore.js
+ * IndexedDB storage for asset profiles: named sets of asset replacements saved per .riv file. A
+ * replacement is either a URL or a local file, whose bytes are kept in a separate object store so
+ * listing profiles never reads file contents.
+ */
+
+import { createLogger } from "./debugger/debugLogger.js";
+
+const logger = createLogger("assetManager");
+
+const DB_NAME = "riveTesterAssetProfiles";
+const DB_VERSION = 1;
+const PROFILE_STORE = "profiles";
+const BYTES_STORE = "bytes";
+
+let databasePromise = null;
+
+/**
+ * Whether IndexedDB is available (it is not in some private browsing modes)
+ * @returns {boolean}
+ */
+function isAssetProfileStoreAvailable() {
+	return typeof indexedDB !== "undefined";
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request result
+ */
+function promisifyRequest(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * Resolves when a transaction completes
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+	return new Promise((resolve, reject) => {
+		transaction.oncomplete = () => resolve();
+		transaction.onerror = () => reject(transaction.error);
+		transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+	});
+}
+
+/**
+ * Opens the database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+	if (!databasePromise) {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			if (!db.objectStoreNames.contains(PROFILE_STORE)) {
+				const store = db.createObjectStore(PROFILE_STORE, { keyPath: "id", autoIncrement: true });
+				store.createIndex("file", "file");
+			}
+			if (!db.objectStoreNames.contains(BYTES_STORE)) {
+				db.createObjectStore(BYTES_STORE);
+			}
+		};
+		databasePromise = promisifyRequest(request).catch((error) => {
+			databasePromise = null;
+			throw error;
+		});
+	}
+	return databasePromise;
+}
+
+/**
+ * Key of a file replacement's bytes
+ * @param {number} profileId - Profile id
+ * @param {string} assetName - Asset name
+ * @returns {string}
+ */
+function bytesKey(profileId, assetName) {
+	return `${profileId}/${assetName}`;
+}
+
+/**
+ * Lists the profiles saved for a .riv file, without file bytes
+ * @param {string} file - Name of the .riv file
+ * @returns {Promise<Array<{id: number, file: string, name: string, savedAt: number,
+ *   entries: Array<{assetName: string, url?: string, fileName?: string, size?: number}>}>>} Sorted by name
+ */
+async function listAssetProfiles(file) {
+	const db = await openDatabase();
+	const transaction = db.transaction(PROFILE_STORE, "readonly");
+	const profiles = await promisifyRequest(
+		transaction.objectStore(PROFILE_STORE).index("file").getAll(file),
+	);
+	return profiles.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Saves a profile for a .riv file, replacing the file's profile with the same name
+ * @param {string} file - Name of the .riv file
+ * @param {string} name - Profile name
+ * @param {Array<{assetName: string, url?: string, fileName?: string, bytes?: Uint8Array}>} replacements -
+ *   Each replacement has a URL, or a file name and bytes
+ * @returns {Promise<object>} The saved profile, without bytes
+ */
+async function saveAssetProfile(file, name, replacements) {
+	const existing = (await listAssetProfiles(file)).find((profile) => profile.name === name);
+	const profile = {
+		...(existing ? { id: existing.id } : {}),
+		file,
+		name,
+		savedAt: Date.now(),
+		entries: replacements.map(({ assetName, url, fileName, bytes }) =>
+			url ? { assetName, url } : { assetName, fileName, size: bytes.length },
+		),
+	};
+
+	const db = await openDatabase();
+	const transaction = db.transaction([PROFILE_STORE, BYTES_STORE], "readwrite");
+	const idRequest = transaction.objectStore(PROFILE_STORE).put(profile);
+	idRequest.onsuccess = () => {
+		profile.id = idRequest.result;
+		const bytesStore = transaction.objectStore(BYTES_STORE);
+		existing?.entries.forEach((entry) => bytesStore.delete(bytesKey(profile.id, entry.assetName)));
+		replacements
+			.filter((replacement) => !replacement.url)
+			.forEach(({ assetName, bytes }) => bytesStore.put(bytes, bytesKey(profile.id, assetName)));
+	};
+	await transactionDone(transaction);
+
+	logger.debug(`[PROFILE] Saved profile "${name}" for ${file} (id ${profile.id})`);
+	return profile;
+}
+
+/**
+ * Reads a profile with the bytes of its file replacements
+ * @param {number} id - Profile id
+ * @returns {Promise<object | null>} The profile, with `bytes` on each file entry, or null if it is gone
+ */
+async function openAssetProfile(id) {
+	const db = await openDatabase();
+	const transaction = db.transaction([PROFILE_STORE, BYTES_STORE], "readonly");
+	const profile = await promisifyRequest(transaction.objectStore(PROFILE_STORE).get(id));
+	if (!profile) return null;
+
+	const bytesStore = transaction.objectStore(BYTES_STORE);
+	const entries = await Promise.all(
+		profile.entries.map(async (entry) =>
+			entry.url
+				? entry
+				: { ...entry, bytes: await promisifyRequest(bytesStore.get(bytesKey(id, entry.assetName))) },
+		),
+	);
+	return { ...profile, entries };
+}
+
+/**
+ * Removes a profile and its file bytes
+ * @param {number} id - Profile id
+ * @returns {Promise<void>}
+ */
+async function deleteAssetProfile(id) {
+	const db = await openDatabase();
+	const transaction = db.transaction([PROFILE_STORE, BYTES_STORE], "readwrite");
+	const store = transaction.objectStore(PROFILE_STORE);
+	const profile = await promisifyRequest(store.get(id));
+	if (profile) {
+		const bytesStore = transaction.objectStore(BYTES_STORE);
+		profile.entries.forEach((entry) => bytesStore.delete(bytesKey(id, entry.assetName)));
+		store.delete(id);
+	}
+	await transactionDone(transaction);
+}
+
+export {
+	isAssetProfileStoreAvailable,
+	listAssetProfiles,
+	saveAssetProfile,
+	openAssetProfile,
+	deleteAssetProfile,
+};
@@ -0,0 +1,67 @@
+/**
+ * @file audioInfoReader.js
+ * Reads the format, duration and channel count of an audio file, so audio assets can be listed
+ * with more than their name. The format comes from the file signature; the rest comes from
+ * decoding with an OfflineAudioContext, which doesn't need the page to be unlocked for audio.
+ */
+
+import { createLogger } from "./debugger/debugLogger.js";
+
+const logger = createLogger("assetManager");
+
+/**
+ * Reads a four character tag
+ * @param {Uint8Array} bytes - The audio data
+ * @param {number} offset - Byte offset of the tag
+ * @returns {string}
+ */
+function readTag(bytes, offset) {
+	return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+/**
+ * Identifies an audio file's format from its signature
+ * @param {Uint8Array} bytes - The audio file
+ * @returns {"WAV" | "MP3" | "AAC" | "M4A" | "Ogg" | "FLAC" | null} The format, or null if it isn't
+ *   recognised
+ */
+function detectAudioFormat(bytes) {
+	if (!bytes || bytes.length < 12) return null;
+	if (readTag(bytes, 0) === "RIFF" && readTag(bytes, 8) === "WAVE") return "WAV";
+	if (readTag(bytes, 0) === "OggS") return "Ogg";
+	if (readTag(bytes, 0) === "fLaC") return "FLAC";
+	if (readTag(bytes, 4) === "ftyp") return "M4A";
+	if (readTag(bytes, 0).startsWith("ID3")) return "MP3";
+	if (bytes[0] === 0xff && (bytes[1] & 0xf6) === 0xf0) return "AAC"; // ADTS frame header
+	if (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) return "MP3"; // MPEG frame sync
+	return null;
+}
+
+/**
+ * Reads an audio file's format, duration and channel count
+ * @param {Uint8Array} bytes - The audio file
+ * @returns {Promise<{format: string, duration?: number, channels?: number} | null>}
+ *   The details, or null if the bytes aren't a recognised audio file. Everything but the format is
+ *   missing when the browser can't decode the file. Duration is in seconds.
+ */
+async function readAudioInfo(bytes) {
+	const format = detectAudioFormat(bytes);
+	if (!format) return null;
+	if (typeof OfflineAudioContext === "undefined") return { format };
+
+	try {
+		const context = new OfflineAudioContext(1, 1, 44100);
+		// decodeAudioData takes ownership of the buffer, so decode a copy
+		const buffer = await context.decodeAudioData(bytes.slice().buffer);
+		return {
+			format,
+			duration: buffer.duration,
+			channels: buffer.numberOfChannels,
+		};
+	} catch (error) {
+		logger.warn("Could not decode audio:", error);
+		return { format };
+	}
+}
+
+export { detectAudioFormat, readAudioInfo };
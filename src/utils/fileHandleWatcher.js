@@ -0,0 +1,75 @@
+/**
+ * @file fileHandleWatcher.js
+ * Polls a File System Access API file handle and reports when the file changes. The browser
+ * doesn't offer change notifications for file handles, so this compares size and modification
+ * time on an interval.
+ */
+
+import { createLogger } from "./debugger/debugLogger.js";
+
+const logger = createLogger("fileWatcher");
+
+/**
+ * Whether the browser can open file handles to watch (Chromium-based browsers)
+ * @returns {boolean}
+ */
+function isFileWatchingSupported() {
+	return typeof window !== "undefined" && "showOpenFilePicker" in window;
+}
+
+/**
+ * Starts polling a file handle for changes. A change is reported once the file has had the same
+ * size and modification time for two polls in a row, so a file that is still being written
+ * isn't picked up half-finished.
+ * @param {FileSystemFileHandle} handle - The file to watch
+ * @param {File} initialFile - The file as it was last loaded, to compare against
+ * @param {object} callbacks
+ * @param {function(File): void} callbacks.onChange - Called with the updated file
+ * @param {function(Error): void} [callbacks.onError] - Called if the file can no longer be read; polling stops
+ * @param {number} [interval=500] - Polling interval in milliseconds
+ * @returns {{stop: function(): void}} Stops polling
+ */
+function watchFileHandle(handle, initialFile, { onChange, onError }, interval = 500) {
+	const stamp = (file) => `${file.size}:${file.lastModified}`;
+	let loadedStamp = stamp(initialFile);
+	let candidateStamp = null;
+	let polling = false;
+	let stopped = false;
+
+	const poll = async () => {
+		if (polling || stopped) return;
+		polling = true;
+		try {
+			const file = await handle.getFile();
+			if (stopped) return;
+			const currentStamp = stamp(file);
+			if (currentStamp === loadedStamp) {
+				candidateStamp = null;
+			} else if (currentStamp !== candidateStamp) {
+				candidateStamp = currentStamp; // Wait one more poll for the write to settle
+			} else {
+				loadedStamp = currentStamp;
+				candidateStamp = null;
+				logger.info(`${file.name} changed on disk`);
+				onChange(file);
+			}
+		} catch (error) {
+			logger.warn(`Stopped watching ${handle.name}:`, error);
+			stop();
+			if (onError) onError(error);
+		} finally {
+			polling = false;
+		}
+	};
+
+	const timer = setInterval(poll, interval);
+	const stop = () => {
+		stopped = true;
+		clearInterval(timer);
+	};
+
+	logger.info(`Watching ${handle.name} for changes`);
+	return { stop };
+}
+
+export { isFileWatchingSupported, watchFileHandle };
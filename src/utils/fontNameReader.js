@@ -0,0 +1,265 @@
+/**
+ * @file fontNameReader.js
+ * Reads the family and style names stored in a font file's OpenType `name` table, so fonts can be
+ * listed by their real names rather than their asset names. Handles TrueType and CFF fonts,
+ * collections (first font only) and WOFF. WOFF2 needs a Brotli decoder the browser doesn't
+ * expose, so it is reported by format only. Also unwraps WOFF into the raw sfnt data the Rive
+ * runtime's font decoder reads.
+ */
+
+import { createLogger } from "./debugger/debugLogger.js";
+
+const logger = createLogger("assetManager");
+
+const NAME_IDS = {
+	FAMILY: 1,
+	SUBFAMILY: 2,
+	FULL_NAME: 4,
+	TYPOGRAPHIC_FAMILY: 16,
+	TYPOGRAPHIC_SUBFAMILY: 17,
+};
+
+const WINDOWS_ENGLISH = 0x409;
+
+/**
+ * Reads a four character tag
+ * @param {DataView} view - The font data
+ * @param {number} offset - Byte offset of the tag
+ * @returns {string}
+ */
+function readTag(view, offset) {
+	return String.fromCharCode(
+		view.getUint8(offset),
+		view.getUint8(offset + 1),
+		view.getUint8(offset + 2),
+		view.getUint8(offset + 3),
+	);
+}
+
+/**
+ * Identifies a font file's format from its signature
+ * @param {Uint8Array} bytes - The font file
+ * @returns {"TrueType" | "OpenType" | "Collection" | "WOFF" | "WOFF2" | null} The format, or null if
+ *   the bytes aren't a font
+ */
+function detectFontFormat(bytes) {
+	if (!bytes || bytes.length < 12) return null;
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	const tag = readTag(view, 0);
+	if (tag === "OTTO") return "OpenType";
+	if (tag === "true" || view.getUint32(0) === 0x00010000) return "TrueType";
+	if (tag === "ttcf") return "Collection";
+	if (tag === "wOFF") return "WOFF";
+	if (tag === "wOF2") return "WOFF2";
+	return null;
+}
+
+/**
+ * Finds the `name` table in an sfnt font (TrueType, OpenType or a collection member)
+ * @param {DataView} view - The font data
+ * @param {number} fontOffset - Offset of the font's table directory
+ * @returns {Uint8Array | null} The table bytes
+ */
+function findSfntNameTable(view, fontOffset) {
+	const numTables = view.getUint16(fontOffset + 4);
+	for (let i = 0; i < numTables; i++) {
+		const record = fontOffset + 12 + i * 16;
+		if (readTag(view, record) === "name") {
+			const offset = view.getUint32(record + 8);
+			const length = view.getUint32(record + 12);
+			return new Uint8Array(view.buffer, view.byteOffset + offset, length);
+		}
+	}
+	return null;
+}
+
+/**
+ * Reads and, if needed, inflates a table of a WOFF font
+ * @param {DataView} view - The font data
+ * @param {number} record - Offset of the table's directory entry
+ * @returns {Promise<Uint8Array>} The table bytes
+ */
+async function readWoffTable(view, record) {
+	const offset = view.getUint32(record + 4);
+	const compressedLength = view.getUint32(record + 8);
+	const length = view.getUint32(record + 12);
+	const table = new Uint8Array(view.buffer, view.byteOffset + offset, compressedLength);
+	if (compressedLength === length) return table;
+
+	// Compressed tables are zlib streams
+	const stream = new Blob([table]).stream().pipeThrough(new DecompressionStream("deflate"));
+	return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Finds and, if needed, inflates the `name` table in a WOFF font
+ * @param {DataView} view - The font data
+ * @returns {Promise<Uint8Array | null>} The table bytes
+ */
+async function findWoffNameTable(view) {
+	const numTables = view.getUint16(12);
+	for (let i = 0; i < numTables; i++) {
+		const record = 44 + i * 20;
+		if (readTag(view, record) === "name") return readWoffTable(view, record);
+	}
+	return null;
+}
+
+/**
+ * Rebuilds the sfnt font wrapped in a WOFF file
+ * @param {DataView} view - The font data
+ * @returns {Promise<Uint8Array>} The TrueType or OpenType font
+ */
+async function unwrapWoff(view) {
+	const flavor = view.getUint32(4);
+	const numTables = view.getUint16(12);
+	const tables = [];
+	for (let i = 0; i < numTables; i++) {
+		const record = 44 + i * 20;
+		tables.push({
+			tag: view.getUint32(record),
+			checksum: view.getUint32(record + 16),
+			bytes: await readWoffTable(view, record),
+		});
+	}
+
+	// Tables are 4-byte aligned after a 12-byte header and a 16-byte record per table
+	const directoryLength = 12 + numTables * 16;
+	const totalLength = tables.reduce(
+		(length, table) => length + ((table.bytes.length + 3) & ~3),
+		directoryLength,
+	);
+	const sfnt = new Uint8Array(totalLength);
+	const out = new DataView(sfnt.buffer);
+	const entrySelector = Math.floor(Math.log2(numTables));
+	const searchRange = 2 ** entrySelector * 16;
+	out.setUint32(0, flavor);
+	out.setUint16(4, numTables);
+	out.setUint16(6, searchRange);
+	out.setUint16(8, entrySelector);
+	out.setUint16(10, numTables * 16 - searchRange);
+
+	let offset = directoryLength;
+	tables.forEach((table, i) => {
+		const record = 12 + i * 16;
+		out.setUint32(record, table.tag);
+		out.setUint32(record + 4, table.checksum);
+		out.setUint32(record + 8, offset);
+		out.setUint32(record + 12, table.bytes.length);
+		sfnt.set(table.bytes, offset);
+		offset += (table.bytes.length + 3) & ~3;
+	});
+	return sfnt;
+}
+
+/**
+ * Gets the raw sfnt data of a font file, which is what the Rive runtime decodes
+ * @param {Uint8Array} bytes - The font file
+ * @returns {Promise<Uint8Array>} TrueType, OpenType or collection bytes; WOFF is unwrapped
+ * @throws {Error} If the bytes are WOFF2 or aren't a font
+ */
+async function getSfntBytes(bytes) {
+	const format = detectFontFormat(bytes);
+	if (format === "WOFF") {
+		return unwrapWoff(new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+	}
+	if (format === "WOFF2") {
+		throw new Error("WOFF2 fonts aren't supported, use a TTF, OTF or WOFF file");
+	}
+	if (!format) {
+		throw new Error("Not a TTF, OTF or WOFF font file");
+	}
+	return bytes;
+}
+
+/**
+ * Decodes a name record's string
+ * @param {Uint8Array} bytes - The string bytes
+ * @param {number} platformId - The record's platform (0 Unicode, 1 Macintosh, 3 Windows)
+ * @returns {string}
+ */
+function decodeNameString(bytes, platformId) {
+	if (platformId === 1) {
+		return Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
+	}
+	return new TextDecoder("utf-16be").decode(bytes);
+}
+
+/**
+ * Reads the names from a `name` table, preferring English Windows names, then any Windows names,
+ * then Unicode and Macintosh names
+ * @param {Uint8Array} table - The table bytes
+ * @returns {Map<number, string>} Names by name ID
+ */
+function readNameRecords(table) {
+	const view = new DataView(table.buffer, table.byteOffset, table.byteLength);
+	const count = view.getUint16(2);
+	const stringOffset = view.getUint16(4);
+	const names = new Map();
+	const ranks = new Map();
+
+	for (let i = 0; i < count; i++) {
+		const record = 6 + i * 12;
+		if (record + 12 > table.byteLength) break;
+		const platformId = view.getUint16(record);
+		const encodingId = view.getUint16(record + 2);
+		const languageId = view.getUint16(record + 4);
+		const nameId = view.getUint16(record + 6);
+		const length = view.getUint16(record + 8);
+		const offset = stringOffset + view.getUint16(record + 10);
+		if (offset + length > table.byteLength) continue;
+
+		let rank;
+		if (platformId === 3 && (encodingId === 1 || encodingId === 10)) {
+			rank = languageId === WINDOWS_ENGLISH ? 0 : 1;
+		} else if (platformId === 0) {
+			rank = 2;
+		} else if (platformId === 1 && encodingId === 0) {
+			rank = 3;
+		} else {
+			continue;
+		}
+		if (ranks.has(nameId) && ranks.get(nameId) <= rank) continue;
+
+		names.set(nameId, decodeNameString(table.subarray(offset, offset + length), platformId));
+		ranks.set(nameId, rank);
+	}
+	return names;
+}
+
+/**
+ * Reads a font's format, family, style and full name
+ * @param {Uint8Array} bytes - The font file
+ * @returns {Promise<{format: string, family?: string, style?: string, fullName?: string} | null>} The
+ *   names, or null if the bytes aren't a font. Names are missing when they can't be read.
+ */
+async function readFontNames(bytes) {
+	const format = detectFontFormat(bytes);
+	if (!format) return null;
+
+	try {
+		const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		let table = null;
+		if (format === "TrueType" || format === "OpenType") {
+			table = findSfntNameTable(view, 0);
+		} else if (format === "Collection") {
+			table = findSfntNameTable(view, view.getUint32(12));
+		} else if (format === "WOFF") {
+			table = await findWoffNameTable(view);
+		}
+		if (!table) return { format };
+
+		const names = readNameRecords(table);
+		return {
+			format,
+			family: names.get(NAME_IDS.TYPOGRAPHIC_FAMILY) || names.get(NAME_IDS.FAMILY),
+			style: names.get(NAME_IDS.TYPOGRAPHIC_SUBFAMILY) || names.get(NAME_IDS.SUBFAMILY),
+			fullName: names.get(NAME_IDS.FULL_NAME),
+		};
+	} catch (error) {
+		logger.warn("Could not read font names:", error);
+		return { format };
+	}
+}
+
+export { detectFontFormat, readFontNames, getSfntBytes };
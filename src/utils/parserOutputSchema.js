@@ -0,0 +1,337 @@
+/**
+ * @file parserOutputSchema.js
+ * JSON Schema for the parser output, the object shown in the JSON Inspector and saved by
+ * "Save JSON". Every result carries the `schemaVersion` it was built against, so tools that read
+ * saved exports can check which shape they have.
+ *
+ * Bump PARSER_SCHEMA_VERSION whenever the output changes: the major version when a field is
+ * removed, renamed or changes type, the minor version when a field is added.
+ */
+
+const PARSER_SCHEMA_VERSION = "1.1.0";
+
+const nullableString = { type: ["string", "null"] };
+
+const parserOutputSchema = {
+	$schema: "https://json-schema.org/draft/2020-12/schema",
+	$id: `urn:rive-tester:parser-output:${PARSER_SCHEMA_VERSION}`,
+	title: "Rive Tester parser output",
+	type: "object",
+	required: [
+		"schemaVersion",
+		"artboards",
+		"assets",
+		"allViewModelDefinitionsAndInstances",
+		"enums",
+		"defaultElements",
+	],
+	properties: {
+		schemaVersion: { const: PARSER_SCHEMA_VERSION },
+		artboards: { type: "array", items: { $ref: "#/$defs/artboard" } },
+		assets: { type: "array", items: { $ref: "#/$defs/asset" } },
+		allViewModelDefinitionsAndInstances: {
+			type: "array",
+			items: { $ref: "#/$defs/viewModelInstanceEntry" },
+		},
+		enums: { type: "array", items: { $ref: "#/$defs/enum" } },
+		defaultElements: { $ref: "#/$defs/defaultElements" },
+	},
+	$defs: {
+		artboard: {
+			type: "object",
+			required: ["name", "animations", "stateMachines", "viewModels", "textRuns", "events", "nestedArtboards"],
+			properties: {
+				name: { type: "string" },
+				animations: { type: "array", items: { $ref: "#/$defs/animation" } },
+				stateMachines: { type: "array", items: { $ref: "#/$defs/stateMachine" } },
+				viewModels: { type: "array", items: { $ref: "#/$defs/viewModelInstance" } },
+				textRuns: { type: "array", items: { $ref: "#/$defs/textRun" } },
+				events: { type: "array", items: { $ref: "#/$defs/event" } },
+				nestedArtboards: { type: "array", items: { $ref: "#/$defs/nestedArtboard" } },
+			},
+		},
+		animation: {
+			type: "object",
+			required: ["name", "fps", "duration"],
+			properties: {
+				name: { type: "string" },
+				fps: { type: "number" },
+				duration: { type: "number" },
+				workStart: { type: "number" },
+				workEnd: { type: "number" },
+			},
+		},
+		stateMachine: {
+			type: "object",
+			required: ["name", "inputs", "layers"],
+			properties: {
+				name: { type: "string" },
+				inputs: {
+					type: "array",
+					items: {
+						type: "object",
+						required: ["name", "type"],
+						// Runtime input type codes: 56 number, 58 trigger, 59 boolean
+						properties: { name: { type: "string" }, type: { type: "integer" } },
+					},
+				},
+				layers: { type: "array", items: { $ref: "#/$defs/layer" } },
+				// Set when the file bytes could only be read in part, so layers may be missing
+				layersPartial: { type: "boolean" },
+			},
+		},
+		layer: {
+			type: "object",
+			required: ["name", "states"],
+			properties: {
+				name: { type: "string" },
+				states: { type: "array", items: { $ref: "#/$defs/state" } },
+			},
+		},
+		state: {
+			type: "object",
+			required: ["index", "name", "kind", "type", "animationName", "transitions"],
+			properties: {
+				index: { type: "integer" },
+				name: { type: "string" },
+				kind: { enum: ["animation", "entry", "exit", "any", "blend"] },
+				type: { type: "string" },
+				animationName: nullableString,
+				transitions: { type: "array", items: { $ref: "#/$defs/transition" } },
+				blendInput: nullableString,
+				blendAnimations: {
+					type: "array",
+					items: {
+						type: "object",
+						required: ["animationName"],
+						properties: {
+							animationName: nullableString,
+							value: { type: "number" },
+							input: nullableString,
+						},
+					},
+				},
+			},
+		},
+		transition: {
+			type: "object",
+			required: ["targetStateIndex", "targetState", "duration", "durationUnit", "disabled", "conditions"],
+			properties: {
+				targetStateIndex: { type: ["integer", "null"] },
+				targetState: nullableString,
+				duration: { type: "number" },
+				durationUnit: { enum: ["ms", "%"] },
+				disabled: { type: "boolean" },
+				conditions: { type: "array", items: { $ref: "#/$defs/condition" } },
+				exitTime: { type: "number" },
+				exitTimeUnit: { enum: ["ms", "%"] },
+				pauseOnExit: { type: "boolean" },
+				blend: { type: "boolean" },
+			},
+		},
+		condition: {
+			type: "object",
+			required: ["input", "inputType"],
+			properties: {
+				input: nullableString,
+				inputType: { enum: ["number", "trigger", "boolean", null] },
+				op: { type: "string" },
+				value: { type: ["number", "boolean"] },
+			},
+		},
+		textRun: {
+			type: "object",
+			required: ["name", "text", "path"],
+			properties: {
+				name: { type: "string" },
+				text: { type: "string" },
+				path: nullableString,
+			},
+		},
+		event: {
+			type: "object",
+			required: ["name", "type", "typeKey", "customProperties"],
+			properties: {
+				name: { type: "string" },
+				type: { enum: ["general", "openUrl"] },
+				typeKey: { type: "integer" },
+				customProperties: {
+					type: "array",
+					items: {
+						type: "object",
+						required: ["name", "type", "value"],
+						properties: {
+							name: { type: "string" },
+							type: { enum: ["boolean", "number", "string"] },
+							value: { type: ["boolean", "number", "string"] },
+						},
+					},
+				},
+				url: { type: "string" },
+				target: { type: "string" },
+			},
+		},
+		nestedArtboard: {
+			type: "object",
+			required: ["name", "path", "artboardName", "inputs", "nestedArtboards"],
+			properties: {
+				name: { type: "string" },
+				path: { type: "string" },
+				artboardName: { type: "string" },
+				inputs: {
+					type: "array",
+					items: {
+						type: "object",
+						required: ["name", "type", "stateMachine"],
+						properties: {
+							name: { type: "string" },
+							type: { enum: ["number", "trigger", "boolean"] },
+							stateMachine: { type: "string" },
+						},
+					},
+				},
+				nestedArtboards: { type: "array", items: { $ref: "#/$defs/nestedArtboard" } },
+			},
+		},
+		viewModelInstanceEntry: {
+			type: "object",
+			required: ["definitionName", "instanceName", "parsedData"],
+			properties: {
+				definitionName: { type: "string" },
+				instanceName: { type: "string" },
+				parsedData: { $ref: "#/$defs/viewModelInstance" },
+			},
+		},
+		viewModelInstance: {
+			type: "object",
+			required: ["instanceName", "sourceBlueprintName", "inputs", "nestedViewModels"],
+			properties: {
+				instanceName: { type: "string" },
+				sourceBlueprintName: { type: "string" },
+				inputs: { type: "array", items: { $ref: "#/$defs/viewModelProperty" } },
+				nestedViewModels: { type: "array", items: { $ref: "#/$defs/viewModelInstance" } },
+				error: { type: "string" },
+			},
+		},
+		viewModelProperty: {
+			type: "object",
+			required: ["name", "type", "value"],
+			properties: {
+				name: { type: "string" },
+				type: { type: "string" },
+				// Depends on type: boolean, number, string, ARGB color number, list item count, or "bindable"
+				value: {},
+				enumTypeName: nullableString,
+				enumValues: { type: "array", items: { type: "string" } },
+				listItems: { type: "array", items: { $ref: "#/$defs/viewModelInstance" } },
+				artboardTargets: { type: "array", items: { type: "string" } },
+				error: { type: "string" },
+			},
+		},
+		asset: {
+			type: "object",
+			required: ["name"],
+			properties: {
+				name: { type: "string" },
+				cdnUuid: { type: "string" },
+			},
+		},
+		enum: {
+			type: "object",
+			required: ["name", "values"],
+			properties: {
+				name: { type: "string" },
+				values: { type: "array", items: { type: "string" } },
+			},
+		},
+		defaultElements: {
+			type: "object",
+			required: ["artboardName", "stateMachineNames", "viewModelName"],
+			properties: {
+				artboardName: nullableString,
+				stateMachineNames: { type: "array", items: { type: "string" } },
+				viewModelName: nullableString,
+				src: nullableString,
+			},
+		},
+	},
+};
+
+/**
+ * Returns the JSON Schema type name of a value
+ * @param {*} value - The value to check.
+ * @returns {string} One of "null", "array", "integer", "number", "string", "boolean", "object", or "undefined".
+ */
+function jsonTypeOf(value) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+	if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+	return typeof value;
+}
+
+/**
+ * Checks a value against a schema node, recording every mismatch. Supports the keywords used
+ * by parserOutputSchema: $ref (to #/$defs), type, const, enum, required, properties and items.
+ * Properties set to undefined count as absent, as they do once the result is serialized.
+ * @param {*} value - The value to check.
+ * @param {object} schemaNode - The schema (or sub-schema) to check it against.
+ * @param {string} path - JSON path of the value, for error messages.
+ * @param {Array<{path: string, message: string}>} errors - Collected mismatches.
+ */
+function validateNode(value, schemaNode, path, errors) {
+	if (schemaNode.$ref) {
+		const defName = schemaNode.$ref.replace("#/$defs/", "");
+		validateNode(value, parserOutputSchema.$defs[defName], path, errors);
+		return;
+	}
+
+	if (schemaNode.type) {
+		const allowed = Array.isArray(schemaNode.type) ? schemaNode.type : [schemaNode.type];
+		const actual = jsonTypeOf(value);
+		if (!allowed.includes(actual) && !(actual === "integer" && allowed.includes("number"))) {
+			errors.push({ path, message: `expected ${allowed.join(" or ")}, got ${actual}` });
+			return;
+		}
+	}
+	if ("const" in schemaNode && value !== schemaNode.const) {
+		errors.push({ path, message: `expected ${JSON.stringify(schemaNode.const)}, got ${JSON.stringify(value)}` });
+	}
+	if (schemaNode.enum && !schemaNode.enum.includes(value)) {
+		errors.push({
+			path,
+			message: `expected one of ${schemaNode.enum.map((option) => JSON.stringify(option)).join(", ")}, got ${JSON.stringify(value)}`,
+		});
+	}
+
+	if (jsonTypeOf(value) === "object") {
+		(schemaNode.required || []).forEach((key) => {
+			if (value[key] === undefined) {
+				errors.push({ path, message: `missing required property "${key}"` });
+			}
+		});
+		Object.entries(schemaNode.properties || {}).forEach(([key, propertySchema]) => {
+			if (value[key] !== undefined) {
+				validateNode(value[key], propertySchema, `${path}.${key}`, errors);
+			}
+		});
+	}
+	if (Array.isArray(value) && schemaNode.items) {
+		value.forEach((item, index) => {
+			validateNode(item, schemaNode.items, `${path}[${index}]`, errors);
+		});
+	}
+}
+
+/**
+ * Validates a parser result against parserOutputSchema.
+ * @param {*} data - The parser result.
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}} The mismatches found, with
+ *   JSON paths such as `$.artboards[0].stateMachines[1].name`.
+ */
+function validateParserOutput(data) {
+	const errors = [];
+	validateNode(data, parserOutputSchema, "$", errors);
+	return { valid: errors.length === 0, errors };
+}
+
+export { PARSER_SCHEMA_VERSION, parserOutputSchema, validateParserOutput };
@@ -0,0 +1,264 @@
+/**
+ * @file recentFilesStore.js
+ * IndexedDB storage for the recent files library: the bytes of recently opened .riv files plus
+ * the artboard, state machine and display settings last used with each. Metadata and bytes are
+ * kept in separate object stores so listing the library never reads file contents.
+ */
+
+import { createLogger } from "./debugger/debugLogger.js";
+
+const logger = createLogger("recentFiles");
+
+const DB_NAME = "riveTesterRecentFiles";
+const DB_VERSION = 1;
+const META_STORE = "files";
+const BYTES_STORE = "bytes";
+
+/**
+ * Storage limits. Larger files are not stored, and the oldest unpinned files are evicted once
+ * there are more than maxFiles or they take more than maxTotalBytes. Pinned files are never evicted.
+ */
+const RECENT_FILE_LIMITS = {
+	maxFileBytes: 25 * 1024 * 1024,
+	maxTotalBytes: 150 * 1024 * 1024,
+	maxFiles: 12,
+};
+
+let databasePromise = null;
+
+/**
+ * Whether IndexedDB is available (it is not in some private browsing modes)
+ * @returns {boolean}
+ */
+function isRecentFilesStoreAvailable() {
+	return typeof indexedDB !== "undefined";
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request result
+ */
+function promisifyRequest(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * Resolves when a transaction completes
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+	return new Promise((resolve, reject) => {
+		transaction.oncomplete = () => resolve();
+		transaction.onerror = () => reject(transaction.error);
+		transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+	});
+}
+
+/**
+ * Opens the database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+	if (!databasePromise) {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			if (!db.objectStoreNames.contains(META_STORE)) {
+				db.createObjectStore(META_STORE, { keyPath: "id", autoIncrement: true });
+			}
+			if (!db.objectStoreNames.contains(BYTES_STORE)) {
+				db.createObjectStore(BYTES_STORE);
+			}
+		};
+		databasePromise = promisifyRequest(request).catch((error) => {
+			databasePromise = null;
+			throw error;
+		});
+	}
+	return databasePromise;
+}
+
+/**
+ * Sorts library entries: pinned first, then most recently opened
+ * @param {Array<object>} entries - Library entries
+ * @returns {Array<object>} The same entries, sorted
+ */
+function sortEntries(entries) {
+	return entries.sort((a, b) => {
+		if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+		return b.lastOpenedAt - a.lastOpenedAt;
+	});
+}
+
+/**
+ * Lists the files in the library, without their bytes
+ * @returns {Promise<Array<{id: number, name: string, size: number, pinned: boolean, addedAt: number,
+ *   lastOpenedAt: number, settings: object}>>} Pinned files first, then most recently opened.
+ */
+async function listRecentFiles() {
+	const db = await openDatabase();
+	const transaction = db.transaction(META_STORE, "readonly");
+	const entries = await promisifyRequest(transaction.objectStore(META_STORE).getAll());
+	return sortEntries(entries);
+}
+
+/**
+ * Evicts the oldest unpinned files until the library is within RECENT_FILE_LIMITS
+ * @param {IDBDatabase} db - The open database
+ */
+async function enforceLimits(db) {
+	const entries = await listRecentFiles();
+	let totalBytes = entries.reduce((total, entry) => total + entry.size, 0);
+	let count = entries.length;
+
+	const evictable = entries.filter((entry) => !entry.pinned).sort((a, b) => a.lastOpenedAt - b.lastOpenedAt);
+	const toEvict = [];
+	while (
+		evictable.length > 0 &&
+		(count > RECENT_FILE_LIMITS.maxFiles || totalBytes > RECENT_FILE_LIMITS.maxTotalBytes)
+	) {
+		const entry = evictable.shift();
+		toEvict.push(entry);
+		count--;
+		totalBytes -= entry.size;
+	}
+	if (toEvict.length === 0) return;
+
+	const transaction = db.transaction([META_STORE, BYTES_STORE], "readwrite");
+	toEvict.forEach((entry) => {
+		transaction.objectStore(META_STORE).delete(entry.id);
+		transaction.objectStore(BYTES_STORE).delete(entry.id);
+	});
+	await transactionDone(transaction);
+	logger.info(`Evicted ${toEvict.length} recent file(s) to stay within limits`);
+}
+
+/**
+ * Adds a file to the library, or refreshes the entry with the same name and size
+ * @param {string} name - File name
+ * @param {ArrayBuffer} bytes - File contents
+ * @returns {Promise<object>} The library entry, without bytes
+ * @throws {Error} If the file is larger than RECENT_FILE_LIMITS.maxFileBytes
+ */
+async function saveRecentFile(name, bytes) {
+	if (bytes.byteLength > RECENT_FILE_LIMITS.maxFileBytes) {
+		throw new Error(
+			`${name} is larger than the ${Math.round(RECENT_FILE_LIMITS.maxFileBytes / (1024 * 1024))} MB recent file limit`,
+		);
+	}
+
+	const db = await openDatabase();
+	const existing = (await listRecentFiles()).find(
+		(entry) => entry.name === name && entry.size === bytes.byteLength,
+	);
+	const now = Date.now();
+	const entry = existing
+		? { ...existing, lastOpenedAt: now }
+		: { name, size: bytes.byteLength, pinned: false, addedAt: now, lastOpenedAt: now, settings: {} };
+
+	const transaction = db.transaction([META_STORE, BYTES_STORE], "readwrite");
+	const idRequest = transaction.objectStore(META_STORE).put(entry);
+	idRequest.onsuccess = () => {
+		entry.id = idRequest.result;
+		transaction.objectStore(BYTES_STORE).put(bytes, entry.id);
+	};
+	await transactionDone(transaction);
+
+	await enforceLimits(db);
+	logger.debug(`Saved recent file ${name} (id ${entry.id})`);
+	return entry;
+}
+
+/**
+ * Reads a file from the library and marks it as just opened
+ * @param {number} id - Library entry id
+ * @returns {Promise<{entry: object, bytes: ArrayBuffer} | null>} The entry and its bytes, or null if it is gone
+ */
+async function openRecentFile(id) {
+	const db = await openDatabase();
+	const transaction = db.transaction([META_STORE, BYTES_STORE], "readwrite");
+	const entry = await promisifyRequest(transaction.objectStore(META_STORE).get(id));
+	const bytes = await promisifyRequest(transaction.objectStore(BYTES_STORE).get(id));
+	if (!entry || !bytes) return null;
+
+	entry.lastOpenedAt = Date.now();
+	transaction.objectStore(META_STORE).put(entry);
+	await transactionDone(transaction);
+	return { entry, bytes };
+}
+
+/**
+ * Applies changes to a library entry's metadata
+ * @param {number} id - Library entry id
+ * @param {function(object): void} update - Mutates the entry
+ * @returns {Promise<void>}
+ */
+async function updateEntry(id, update) {
+	const db = await openDatabase();
+	const transaction = db.transaction(META_STORE, "readwrite");
+	const store = transaction.objectStore(META_STORE);
+	const entry = await promisifyRequest(store.get(id));
+	if (entry) {
+		update(entry);
+		store.put(entry);
+	}
+	await transactionDone(transaction);
+}
+
+/**
+ * Stores the settings last used with a file
+ * @param {number} id - Library entry id
+ * @param {{artboard?: string, animation?: string, stateMachine?: string, fit?: string, alignment?: string,
+ *   background?: string}} settings - Settings to merge into the saved ones
+ * @returns {Promise<void>}
+ */
+function updateRecentFileSettings(id, settings) {
+	return updateEntry(id, (entry) => {
+		entry.settings = { ...entry.settings, ...settings };
+	});
+}
+
+/**
+ * Pins or unpins a file. Pinned files are listed first and never evicted.
+ * @param {number} id - Library entry id
+ * @param {boolean} pinned - Whether to pin the file
+ * @returns {Promise<void>}
+ */
+async function setRecentFilePinned(id, pinned) {
+	await updateEntry(id, (entry) => {
+		entry.pinned = pinned;
+	});
+	// Unpinning may put the library over its limits
+	if (!pinned) {
+		await enforceLimits(await openDatabase());
+	}
+}
+
+/**
+ * Removes a file from the library
+ * @param {number} id - Library entry id
+ * @returns {Promise<void>}
+ */
+async function deleteRecentFile(id) {
+	const db = await openDatabase();
+	const transaction = db.transaction([META_STORE, BYTES_STORE], "readwrite");
+	transaction.objectStore(META_STORE).delete(id);
+	transaction.objectStore(BYTES_STORE).delete(id);
+	await transactionDone(transaction);
+}
+
+export {
+	RECENT_FILE_LIMITS,
+	isRecentFilesStoreAvailable,
+	listRecentFiles,
+	saveRecentFile,
+	openRecentFile,
+	updateRecentFileSettings,
+	setRecentFilePinned,
+	deleteRecentFile,
+};
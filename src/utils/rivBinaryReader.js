@@ -0,0 +1,610 @@
+/**
+ * @file rivBinaryReader.js
+ * Reads structural information straight from .riv file bytes.
+ *
+ * The WASM runtime exposes state machine names and inputs, but not the layers,
+ * states and transitions behind them (bindings.cpp only reports the name of a
+ * state that changed), nor which artboards are nested inside which. This reader
+ * walks the binary object stream using the property table of contents stored
+ * in the file header, so unknown properties can be skipped by their field type.
+ * A property missing from both that table and the reader's own has no known
+ * length, so reading stops there and the result is marked partial.
+ */
+
+import { createLogger } from "./debugger/debugLogger.js";
+
+const logger = createLogger("parser");
+
+/** Core type keys of the objects this reader cares about */
+const TYPE_KEYS = {
+	ARTBOARD: 1,
+	LINEAR_ANIMATION: 31,
+	STATE_MACHINE: 53,
+	STATE_MACHINE_NUMBER: 56,
+	STATE_MACHINE_LAYER: 57,
+	STATE_MACHINE_TRIGGER: 58,
+	STATE_MACHINE_BOOL: 59,
+	ANIMATION_STATE: 61,
+	ANY_STATE: 62,
+	ENTRY_STATE: 63,
+	EXIT_STATE: 64,
+	STATE_TRANSITION: 65,
+	TRANSITION_TRIGGER_CONDITION: 68,
+	TRANSITION_NUMBER_CONDITION: 70,
+	TRANSITION_BOOL_CONDITION: 71,
+	BLEND_STATE_DIRECT: 73,
+	BLEND_ANIMATION_1D: 75,
+	BLEND_STATE_1D: 76,
+	BLEND_ANIMATION_DIRECT: 77,
+	BLEND_STATE_TRANSITION: 78,
+	NESTED_ARTBOARD: 92,
+	NESTED_STATE_MACHINE: 95,
+	NESTED_ARTBOARD_LAYOUT: 409,
+};
+
+/** Core property keys read by this reader */
+const PROPERTY_KEYS = {
+	COMPONENT_NAME: 4,
+	ANIMATION_NAME: 55,
+	STATE_MACHINE_COMPONENT_NAME: 138,
+	ANIMATION_STATE_ANIMATION_ID: 149,
+	TRANSITION_STATE_TO_ID: 151,
+	TRANSITION_FLAGS: 152,
+	CONDITION_INPUT_ID: 155,
+	CONDITION_OP_VALUE: 156,
+	NUMBER_CONDITION_VALUE: 157,
+	TRANSITION_DURATION: 158,
+	TRANSITION_EXIT_TIME: 160,
+	BLEND_ANIMATION_ANIMATION_ID: 165,
+	BLEND_ANIMATION_1D_VALUE: 166,
+	BLEND_STATE_1D_INPUT_ID: 167,
+	BLEND_ANIMATION_DIRECT_INPUT_ID: 168,
+	NESTED_ARTBOARD_ARTBOARD_ID: 197,
+	NESTED_ANIMATION_ANIMATION_ID: 198,
+};
+
+/** Field type ids used by the header's table of contents */
+const FIELD_TYPES = {
+	UINT: 0,
+	STRING: 1,
+	DOUBLE: 2,
+	COLOR: 3,
+};
+
+/**
+ * Field types for the properties above, used when a file's table of contents
+ * doesn't list them.
+ */
+const KNOWN_PROPERTY_FIELD_TYPES = {
+	[PROPERTY_KEYS.COMPONENT_NAME]: FIELD_TYPES.STRING,
+	[PROPERTY_KEYS.ANIMATION_NAME]: FIELD_TYPES.STRING,
+	[PROPERTY_KEYS.STATE_MACHINE_COMPONENT_NAME]: FIELD_TYPES.STRING,
+	[PROPERTY_KEYS.ANIMATION_STATE_ANIMATION_ID]: FIELD_TYPES.UINT,
+	[PROPERTY_KEYS.TRANSITION_STATE_TO_ID]: FIELD_TYPES.UINT,
+	[PROPERTY_KEYS.TRANSITION_FLAGS]: FIELD_TYPES.UINT,
+	[PROPERTY_KEYS.CONDITION_INPUT_ID]: FIELD_TYPES.UINT,
+	[PROPERTY_KEYS.CONDITION_OP_VALUE]: FIELD_TYPES.UINT,
+	[PROPERTY_KEYS.NUMBER_CONDITION_VALUE]: FIELD_TYPES.DOUBLE,
+	[PROPERTY_KEYS.TRANSITION_DURATION]: FIELD_TYPES.UINT,
+	[PROPERTY_KEYS.TRANSITION_EXIT_TIME]: FIELD_TYPES.UINT,
+	[PROPERTY_KEYS.BLEND_ANIMATION_ANIMATION_ID]: FIELD_TYPES.UINT,
+	[PROPERTY_KEYS.BLEND_ANIMATION_1D_VALUE]: FIELD_TYPES.DOUBLE,
+	[PROPERTY_KEYS.BLEND_STATE_1D_INPUT_ID]: FIELD_TYPES.UINT,
+	[PROPERTY_KEYS.BLEND_ANIMATION_DIRECT_INPUT_ID]: FIELD_TYPES.UINT,
+	[PROPERTY_KEYS.NESTED_ARTBOARD_ARTBOARD_ID]: FIELD_TYPES.UINT,
+	[PROPERTY_KEYS.NESTED_ANIMATION_ANIMATION_ID]: FIELD_TYPES.UINT,
+};
+
+/** StateTransition flag bits */
+const TRANSITION_FLAGS = {
+	DISABLED: 1 << 0,
+	DURATION_IS_PERCENTAGE: 1 << 1,
+	ENABLE_EXIT_TIME: 1 << 2,
+	EXIT_TIME_IS_PERCENTAGE: 1 << 3,
+	PAUSE_ON_EXIT: 1 << 4,
+	ENABLE_EARLY_EXIT: 1 << 5,
+};
+
+/** Operators of TransitionValueCondition.opValue */
+const CONDITION_OPS = ["==", "!=", "<=", ">=", "<", ">"];
+
+/** State kinds keyed by core type, with the runtime class name for each */
+const STATE_KINDS = {
+	[TYPE_KEYS.ANIMATION_STATE]: { kind: "animation", type: "AnimationState" },
+	[TYPE_KEYS.ANY_STATE]: { kind: "any", type: "AnyState" },
+	[TYPE_KEYS.ENTRY_STATE]: { kind: "entry", type: "EntryState" },
+	[TYPE_KEYS.EXIT_STATE]: { kind: "exit", type: "ExitState" },
+	[TYPE_KEYS.BLEND_STATE_1D]: { kind: "blend", type: "BlendState1D" },
+	[TYPE_KEYS.BLEND_STATE_DIRECT]: { kind: "blend", type: "BlendStateDirect" },
+};
+
+/** Input types keyed by core type, matching StateMachineInput.type names */
+const INPUT_TYPES = {
+	[TYPE_KEYS.STATE_MACHINE_NUMBER]: "number",
+	[TYPE_KEYS.STATE_MACHINE_TRIGGER]: "trigger",
+	[TYPE_KEYS.STATE_MACHINE_BOOL]: "boolean",
+};
+
+const SUPPORTED_MAJOR_VERSION = 7;
+
+/**
+ * Minimal little-endian reader over the .riv byte stream.
+ */
+class BinaryReader {
+	/**
+	 * @param {Uint8Array} bytes - The file bytes.
+	 */
+	constructor(bytes) {
+		this.bytes = bytes;
+		this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		this.offset = 0;
+		this.textDecoder = new TextDecoder("utf-8");
+	}
+
+	get isEOF() {
+		return this.offset >= this.bytes.length;
+	}
+
+	ensureAvailable(length) {
+		if (this.offset + length > this.bytes.length) {
+			throw new Error(`Unexpected end of file at offset ${this.offset}`);
+		}
+	}
+
+	readByte() {
+		this.ensureAvailable(1);
+		return this.bytes[this.offset++];
+	}
+
+	/** Reads an unsigned LEB128 integer */
+	readVarUint() {
+		let result = 0;
+		let multiplier = 1;
+		let byte;
+		do {
+			byte = this.readByte();
+			result += (byte & 0x7f) * multiplier;
+			multiplier *= 128;
+		} while (byte & 0x80);
+		return result;
+	}
+
+	readUint32() {
+		this.ensureAvailable(4);
+		const value = this.view.getUint32(this.offset, true);
+		this.offset += 4;
+		return value;
+	}
+
+	readFloat32() {
+		this.ensureAvailable(4);
+		const value = this.view.getFloat32(this.offset, true);
+		this.offset += 4;
+		return value;
+	}
+
+	readString() {
+		const length = this.readVarUint();
+		this.ensureAvailable(length);
+		const value = this.textDecoder.decode(
+			this.bytes.subarray(this.offset, this.offset + length),
+		);
+		this.offset += length;
+		return value;
+	}
+
+	/** Skips a string/bytes field without decoding it */
+	skipString() {
+		const length = this.readVarUint();
+		this.ensureAvailable(length);
+		this.offset += length;
+	}
+}
+
+/**
+ * Reads the .riv header: fingerprint, version, file id and the property
+ * table of contents mapping property keys to field types.
+ * @param {BinaryReader} reader - Reader positioned at the start of the file.
+ * @returns {{majorVersion: number, minorVersion: number, fileId: number, propertyFieldTypes: Map<number, number>}}
+ */
+function readHeader(reader) {
+	const fingerprint = String.fromCharCode(
+		reader.readByte(),
+		reader.readByte(),
+		reader.readByte(),
+		reader.readByte(),
+	);
+	if (fingerprint !== "RIVE") {
+		throw new Error("Not a Rive file (missing RIVE fingerprint)");
+	}
+
+	const majorVersion = reader.readVarUint();
+	const minorVersion = reader.readVarUint();
+	if (majorVersion !== SUPPORTED_MAJOR_VERSION) {
+		throw new Error(
+			`Unsupported Rive file version ${majorVersion}.${minorVersion}`,
+		);
+	}
+	const fileId = reader.readVarUint();
+
+	const propertyKeys = [];
+	for (;;) {
+		const propertyKey = reader.readVarUint();
+		if (propertyKey === 0) break;
+		propertyKeys.push(propertyKey);
+	}
+
+	// Field types are packed 2 bits per key, 4 keys per uint32
+	const propertyFieldTypes = new Map();
+	let currentInt = 0;
+	let currentBit = 8;
+	for (const propertyKey of propertyKeys) {
+		if (currentBit === 8) {
+			currentInt = reader.readUint32();
+			currentBit = 0;
+		}
+		propertyFieldTypes.set(propertyKey, (currentInt >>> currentBit) & 3);
+		currentBit += 2;
+	}
+
+	return { majorVersion, minorVersion, fileId, propertyFieldTypes };
+}
+
+/**
+ * Reads one property value of the given field type.
+ * @param {BinaryReader} reader - The reader.
+ * @param {number} fieldType - One of FIELD_TYPES.
+ * @param {boolean} keep - Whether the value is needed; strings are skipped otherwise.
+ * @returns {*} The value, or undefined when skipped.
+ */
+function readField(reader, fieldType, keep) {
+	switch (fieldType) {
+		case FIELD_TYPES.UINT:
+			return reader.readVarUint();
+		case FIELD_TYPES.STRING:
+			if (!keep) {
+				reader.skipString();
+				return undefined;
+			}
+			return reader.readString();
+		case FIELD_TYPES.DOUBLE:
+			return reader.readFloat32();
+		case FIELD_TYPES.COLOR:
+			return reader.readUint32();
+		default:
+			throw new Error(`Unknown field type ${fieldType}`);
+	}
+}
+
+/**
+ * Iterates every object in the file body.
+ * @param {Uint8Array} bytes - The .riv file bytes.
+ * @param {Set<number>} wantedTypes - Core types whose properties should be returned.
+ * @returns {{header: object, objects: Array<{typeKey: number, properties: Object<number, *>}>, partial: boolean}}
+ *   Every object in file order; properties are only populated for wanted types. `partial` is set
+ *   when a property of unknown field type stopped the read, leaving out the objects after it.
+ */
+function readObjects(bytes, wantedTypes) {
+	const reader = new BinaryReader(bytes);
+	const header = readHeader(reader);
+	const objects = [];
+
+	while (!reader.isEOF) {
+		const typeKey = reader.readVarUint();
+		const keep = wantedTypes.has(typeKey);
+		const properties = {};
+
+		for (;;) {
+			const propertyKey = reader.readVarUint();
+			if (propertyKey === 0) break;
+
+			let fieldType = header.propertyFieldTypes.get(propertyKey);
+			if (fieldType === undefined) {
+				fieldType = KNOWN_PROPERTY_FIELD_TYPES[propertyKey];
+			}
+			if (fieldType === undefined) {
+				// Without a field type the value's length is unknown, so nothing after it can be read
+				logger.warn(
+					`[rivBinaryReader] Unknown property ${propertyKey} on object type ${typeKey} at offset ${reader.offset}, structure after it is missing`,
+				);
+				objects.push({ typeKey, properties });
+				return { header, objects, partial: true };
+			}
+
+			const value = readField(reader, fieldType, keep);
+			if (keep) {
+				properties[propertyKey] = value;
+			}
+		}
+
+		objects.push({ typeKey, properties });
+	}
+
+	return { header, objects, partial: false };
+}
+
+/**
+ * Formats a transition condition for the parsed JSON.
+ * @param {object} condition - Raw condition object.
+ * @param {Array<object>} inputs - Inputs of the owning state machine.
+ * @returns {object} The condition description.
+ */
+function describeCondition(condition, inputs) {
+	const props = condition.properties;
+	const inputId = props[PROPERTY_KEYS.CONDITION_INPUT_ID] ?? -1;
+	const input = inputs[inputId] || null;
+	const opValue = props[PROPERTY_KEYS.CONDITION_OP_VALUE] ?? 0;
+	const description = {
+		input: input ? input.name : null,
+		inputType: input ? input.type : null,
+	};
+
+	switch (condition.typeKey) {
+		case TYPE_KEYS.TRANSITION_TRIGGER_CONDITION:
+			description.op = "fired";
+			break;
+		case TYPE_KEYS.TRANSITION_BOOL_CONDITION:
+			// Bool conditions compare against true; "!=" means the input must be false
+			description.op = "==";
+			description.value = opValue === 0;
+			break;
+		case TYPE_KEYS.TRANSITION_NUMBER_CONDITION:
+			description.op = CONDITION_OPS[opValue] || `op${opValue}`;
+			description.value = props[PROPERTY_KEYS.NUMBER_CONDITION_VALUE] ?? 0;
+			break;
+	}
+	return description;
+}
+
+/**
+ * Formats a transition for the parsed JSON.
+ * @param {object} transition - Raw transition object with collected conditions.
+ * @param {Array<object>} states - States of the owning layer, in file order.
+ * @param {Array<object>} inputs - Inputs of the owning state machine.
+ * @returns {object} The transition description.
+ */
+function describeTransition(transition, states, inputs) {
+	const props = transition.properties;
+	const flags = props[PROPERTY_KEYS.TRANSITION_FLAGS] ?? 0;
+	const targetIndex = props[PROPERTY_KEYS.TRANSITION_STATE_TO_ID] ?? -1;
+	const target = states[targetIndex] || null;
+
+	const description = {
+		targetStateIndex: target ? targetIndex : null,
+		targetState: target ? target.name : null,
+		duration: props[PROPERTY_KEYS.TRANSITION_DURATION] ?? 0,
+		durationUnit: flags & TRANSITION_FLAGS.DURATION_IS_PERCENTAGE ? "%" : "ms",
+		disabled: Boolean(flags & TRANSITION_FLAGS.DISABLED),
+		conditions: transition.conditions.map((condition) =>
+			describeCondition(condition, inputs),
+		),
+	};
+	if (flags & TRANSITION_FLAGS.ENABLE_EXIT_TIME) {
+		description.exitTime = props[PROPERTY_KEYS.TRANSITION_EXIT_TIME] ?? 0;
+		description.exitTimeUnit =
+			flags & TRANSITION_FLAGS.EXIT_TIME_IS_PERCENTAGE ? "%" : "ms";
+	}
+	if (flags & TRANSITION_FLAGS.PAUSE_ON_EXIT) {
+		description.pauseOnExit = true;
+	}
+	if (transition.typeKey === TYPE_KEYS.BLEND_STATE_TRANSITION) {
+		description.blend = true;
+	}
+	return description;
+}
+
+/**
+ * Reads the artboard structure of a .riv file: the layers, states and transitions
+ * of every state machine, and the nested artboards placed on each artboard.
+ *
+ * States are named after the animation they play, or after their kind for
+ * entry/exit/any states, matching the names reported by statechange events.
+ * Blend states are named "Blend 1D"/"Blend Direct" plus their index when unnamed.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - The .riv file bytes.
+ * @returns {{artboards: Array<{name: string, animations: Array<string>, stateMachines: Array<object>, nestedArtboards: Array<{name: string, artboardIndex: number, stateMachineIndices: Array<number>}>}>, partial: boolean}}
+ *   `artboards` has one entry per artboard in file order, each listing its state
+ *   machines with `inputs` and `layers` (`states` with `kind`, `animationName` and
+ *   `transitions`), and its nested artboards with the file index of the artboard
+ *   they reference and the indices of that artboard's state machines they run.
+ *   `partial` is set when an unknown property stopped the read: artboards and
+ *   state machines after it are missing, and the state machine being read when
+ *   it stopped is marked `partial` too.
+ */
+function readFileStructure(buffer) {
+	const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+	const wantedTypes = new Set([
+		TYPE_KEYS.ARTBOARD,
+		TYPE_KEYS.LINEAR_ANIMATION,
+		TYPE_KEYS.STATE_MACHINE,
+		TYPE_KEYS.STATE_MACHINE_LAYER,
+		TYPE_KEYS.STATE_TRANSITION,
+		TYPE_KEYS.BLEND_STATE_TRANSITION,
+		TYPE_KEYS.TRANSITION_TRIGGER_CONDITION,
+		TYPE_KEYS.TRANSITION_NUMBER_CONDITION,
+		TYPE_KEYS.TRANSITION_BOOL_CONDITION,
+		TYPE_KEYS.BLEND_ANIMATION_1D,
+		TYPE_KEYS.BLEND_ANIMATION_DIRECT,
+		TYPE_KEYS.NESTED_ARTBOARD,
+		TYPE_KEYS.NESTED_ARTBOARD_LAYOUT,
+		TYPE_KEYS.NESTED_STATE_MACHINE,
+		...Object.keys(STATE_KINDS).map(Number),
+		...Object.keys(INPUT_TYPES).map(Number),
+	]);
+
+	const { header, objects, partial } = readObjects(bytes, wantedTypes);
+	logger.debug(
+		`[rivBinaryReader] Read ${objects.length} objects (format ${header.majorVersion}.${header.minorVersion})`,
+	);
+
+	const artboards = [];
+	let artboard = null;
+	let nestedArtboard = null;
+	let stateMachine = null;
+	let layer = null;
+	let state = null;
+	let transition = null;
+
+	for (const object of objects) {
+		const props = object.properties;
+		const typeKey = object.typeKey;
+
+		if (typeKey === TYPE_KEYS.ARTBOARD) {
+			artboard = {
+				name: props[PROPERTY_KEYS.COMPONENT_NAME] ?? "",
+				animations: [],
+				stateMachines: [],
+				nestedArtboards: [],
+			};
+			artboards.push(artboard);
+			nestedArtboard = stateMachine = layer = state = transition = null;
+			continue;
+		}
+		if (!artboard) continue;
+
+		if (typeKey === TYPE_KEYS.LINEAR_ANIMATION) {
+			artboard.animations.push(props[PROPERTY_KEYS.ANIMATION_NAME] ?? "");
+		} else if (
+			typeKey === TYPE_KEYS.NESTED_ARTBOARD ||
+			typeKey === TYPE_KEYS.NESTED_ARTBOARD_LAYOUT
+		) {
+			nestedArtboard = {
+				name: props[PROPERTY_KEYS.COMPONENT_NAME] ?? "",
+				artboardIndex: props[PROPERTY_KEYS.NESTED_ARTBOARD_ARTBOARD_ID] ?? -1,
+				stateMachineIndices: [],
+			};
+			artboard.nestedArtboards.push(nestedArtboard);
+		} else if (typeKey === TYPE_KEYS.NESTED_STATE_MACHINE && nestedArtboard) {
+			// Nested animations are written right after the nested artboard that owns them
+			nestedArtboard.stateMachineIndices.push(
+				props[PROPERTY_KEYS.NESTED_ANIMATION_ANIMATION_ID] ?? -1,
+			);
+		} else if (typeKey === TYPE_KEYS.STATE_MACHINE) {
+			stateMachine = {
+				name: props[PROPERTY_KEYS.ANIMATION_NAME] ?? "",
+				inputs: [],
+				layers: [],
+			};
+			artboard.stateMachines.push(stateMachine);
+			layer = state = transition = null;
+		} else if (INPUT_TYPES[typeKey] && stateMachine) {
+			stateMachine.inputs.push({
+				name: props[PROPERTY_KEYS.STATE_MACHINE_COMPONENT_NAME] ?? "",
+				type: INPUT_TYPES[typeKey],
+			});
+		} else if (typeKey === TYPE_KEYS.STATE_MACHINE_LAYER && stateMachine) {
+			layer = {
+				name: props[PROPERTY_KEYS.STATE_MACHINE_COMPONENT_NAME] ?? "",
+				states: [],
+			};
+			stateMachine.layers.push(layer);
+			state = transition = null;
+		} else if (STATE_KINDS[typeKey] && layer) {
+			state = {
+				...STATE_KINDS[typeKey],
+				raw: object,
+				transitions: [],
+				blendAnimations: [],
+			};
+			layer.states.push(state);
+			transition = null;
+		} else if (
+			(typeKey === TYPE_KEYS.STATE_TRANSITION ||
+				typeKey === TYPE_KEYS.BLEND_STATE_TRANSITION) &&
+			state
+		) {
+			transition = { ...object, conditions: [] };
+			state.transitions.push(transition);
+		} else if (
+			(typeKey === TYPE_KEYS.TRANSITION_TRIGGER_CONDITION ||
+				typeKey === TYPE_KEYS.TRANSITION_NUMBER_CONDITION ||
+				typeKey === TYPE_KEYS.TRANSITION_BOOL_CONDITION) &&
+			transition
+		) {
+			transition.conditions.push(object);
+		} else if (
+			(typeKey === TYPE_KEYS.BLEND_ANIMATION_1D ||
+				typeKey === TYPE_KEYS.BLEND_ANIMATION_DIRECT) &&
+			state &&
+			state.kind === "blend"
+		) {
+			state.blendAnimations.push(object);
+		}
+	}
+
+	// Resolve indices into names now that every list is complete
+	for (const ab of artboards) {
+		for (const sm of ab.stateMachines) {
+			for (const ly of sm.layers) {
+				let blendCount = 0;
+				ly.states.forEach((st) => {
+					const props = st.raw.properties;
+					if (st.kind === "animation") {
+						const animationId =
+							props[PROPERTY_KEYS.ANIMATION_STATE_ANIMATION_ID] ?? -1;
+						st.animationName = ab.animations[animationId] ?? null;
+						st.name = st.animationName || "unknown";
+					} else if (st.kind === "blend") {
+						blendCount++;
+						st.name = `${st.type === "BlendState1D" ? "Blend 1D" : "Blend Direct"} ${blendCount}`;
+						st.animationName = null;
+						if (st.type === "BlendState1D") {
+							const input =
+								sm.inputs[props[PROPERTY_KEYS.BLEND_STATE_1D_INPUT_ID] ?? -1];
+							st.blendInput = input ? input.name : null;
+						}
+					} else {
+						st.name = st.kind;
+						st.animationName = null;
+					}
+				});
+
+				ly.states = ly.states.map((st, index) => {
+					const description = {
+						index,
+						name: st.name,
+						kind: st.kind,
+						type: st.type,
+						animationName: st.animationName,
+						transitions: st.transitions.map((tr) =>
+							describeTransition(tr, ly.states, sm.inputs),
+						),
+					};
+					if (st.kind === "blend") {
+						if (st.blendInput !== undefined) {
+							description.blendInput = st.blendInput;
+						}
+						description.blendAnimations = st.blendAnimations.map((blend) => {
+							const blendProps = blend.properties;
+							const entry = {
+								animationName:
+									ab.animations[
+										blendProps[PROPERTY_KEYS.BLEND_ANIMATION_ANIMATION_ID] ?? -1
+									] ?? null,
+							};
+							if (blend.typeKey === TYPE_KEYS.BLEND_ANIMATION_1D) {
+								entry.value = blendProps[PROPERTY_KEYS.BLEND_ANIMATION_1D_VALUE] ?? 0;
+							} else {
+								const input =
+									sm.inputs[
+										blendProps[PROPERTY_KEYS.BLEND_ANIMATION_DIRECT_INPUT_ID] ?? -1
+									];
+								entry.input = input ? input.name : null;
+							}
+							return entry;
+						});
+					}
+					return description;
+				});
+			}
+		}
+	}
+
+	if (partial && stateMachine) {
+		stateMachine.partial = true;
+	}
+
+	return { artboards, partial };
+}
+
+export { readFileStructure, TYPE_KEYS, PROPERTY_KEYS };
@@ -0,0 +1,370 @@
+/**
+ * @file riveDiff.js
+ * Structural diff between two parser results: artboards, animations, state machine inputs,
+ * ViewModel properties and enum values. Items are matched by name; an unmatched removed item and
+ * an unmatched added item that are each other's closest unique match are reported as a rename.
+ * Also formats the diff as a Markdown report.
+ */
+
+const STATUS = {
+	ADDED: "added",
+	REMOVED: "removed",
+	RENAMED: "renamed",
+	CHANGED: "changed",
+	UNCHANGED: "unchanged",
+};
+
+// A removed and an added item need at least this similarity to count as a rename
+const RENAME_THRESHOLD = 0.5;
+
+/**
+ * Jaccard similarity of two lists of names
+ * @param {string[]} a - First list.
+ * @param {string[]} b - Second list.
+ * @returns {number} 0 to 1; 0 when both lists are empty.
+ */
+function nameOverlap(a, b) {
+	const setA = new Set(a);
+	const setB = new Set(b);
+	const union = new Set([...setA, ...setB]);
+	if (union.size === 0) return 0;
+	let shared = 0;
+	setA.forEach((name) => {
+		if (setB.has(name)) shared++;
+	});
+	return shared / union.size;
+}
+
+/**
+ * How each kind of item is compared. `fields` are compared on matched items, `children` lists
+ * the nested item groups, and `similarity` scores a possible rename.
+ */
+const KINDS = {
+	artboard: {
+		children: (artboard) => [
+			["animation", artboard.animations],
+			["stateMachine", artboard.stateMachines],
+		],
+		similarity: (a, b) =>
+			nameOverlap(
+				[...a.animations.map((item) => item.name), ...a.stateMachines.map((item) => item.name)],
+				[...b.animations.map((item) => item.name), ...b.stateMachines.map((item) => item.name)],
+			),
+	},
+	animation: {
+		fields: ["duration", "fps", "workStart", "workEnd"],
+		similarity: (a, b) => (a.duration === b.duration && a.fps === b.fps ? 0.8 : 0),
+	},
+	stateMachine: {
+		children: (stateMachine) => [["input", stateMachine.inputs]],
+		similarity: (a, b) =>
+			nameOverlap(
+				a.inputs.map((item) => item.name),
+				b.inputs.map((item) => item.name),
+			),
+	},
+	input: {
+		fields: ["type"],
+		similarity: (a, b) => (a.type === b.type ? 0.6 : 0),
+	},
+	viewModel: {
+		children: (viewModel) => [["property", viewModel.properties]],
+		similarity: (a, b) =>
+			nameOverlap(
+				a.properties.map((item) => item.name),
+				b.properties.map((item) => item.name),
+			),
+	},
+	property: {
+		fields: ["type"],
+		similarity: (a, b) => (a.type === b.type ? 0.6 : 0),
+	},
+	enum: {
+		children: (dataEnum) => [["enumValue", dataEnum.values]],
+		similarity: (a, b) =>
+			nameOverlap(
+				a.values.map((item) => item.name),
+				b.values.map((item) => item.name),
+			),
+	},
+	enumValue: {
+		// Values have no other data, so only one replaced at the same position counts as a rename
+		similarity: (a, b) => (a.index === b.index ? 0.6 : 0),
+	},
+};
+
+/**
+ * Collects the ViewModel definitions in a parser result with their properties, taken from the
+ * first parsed instance of each definition.
+ * @param {object} parsedData - A parser result.
+ * @returns {Array<{name: string, properties: Array<{name: string, type: string}>}>} One entry per definition.
+ */
+function collectViewModels(parsedData) {
+	const viewModels = new Map();
+	(parsedData.allViewModelDefinitionsAndInstances || []).forEach((entry) => {
+		if (viewModels.has(entry.definitionName) || !entry.parsedData) return;
+		const instance = entry.parsedData;
+		viewModels.set(entry.definitionName, {
+			name: entry.definitionName,
+			properties: [
+				...(instance.inputs || []).map((input) => ({ name: input.name, type: input.type })),
+				...(instance.nestedViewModels || []).map((nested) => ({
+					name: nested.instanceName,
+					type: "viewModel",
+				})),
+			],
+		});
+	});
+	return [...viewModels.values()];
+}
+
+/**
+ * Collects the enums in a parser result, with each value as a named item.
+ * @param {object} parsedData - A parser result.
+ * @returns {Array<{name: string, values: Array<{name: string, index: number}>}>} One entry per enum.
+ */
+function collectEnums(parsedData) {
+	return (parsedData.enums || []).map((dataEnum) => ({
+		name: dataEnum.name,
+		values: (dataEnum.values || []).map((value, index) => ({ name: String(value), index })),
+	}));
+}
+
+/**
+ * Pairs removed and added items that are each other's unique best rename candidate.
+ * @param {string} kind - Key of KINDS.
+ * @param {Array<object>} removed - Items only in the first file.
+ * @param {Array<object>} added - Items only in the second file.
+ * @returns {Array<[object, object]>} Pairs of [removed item, added item].
+ */
+function findRenames(kind, removed, added) {
+	const similarity = KINDS[kind].similarity;
+	if (!similarity || removed.length === 0 || added.length === 0) return [];
+
+	const scores = removed.map((before) => added.map((after) => similarity(before, after)));
+	// Index of the single best match at or above the threshold, or -1 if none or tied
+	const uniqueBest = (values) => {
+		const best = Math.max(...values);
+		if (best < RENAME_THRESHOLD) return -1;
+		return values.filter((value) => value === best).length === 1 ? values.indexOf(best) : -1;
+	};
+
+	const pairs = [];
+	removed.forEach((before, removedIndex) => {
+		const addedIndex = uniqueBest(scores[removedIndex]);
+		if (addedIndex === -1) return;
+		const column = scores.map((row) => row[addedIndex]);
+		if (uniqueBest(column) === removedIndex) {
+			pairs.push([before, added[addedIndex]]);
+		}
+	});
+	return pairs;
+}
+
+/**
+ * Compares two matched items field by field and recurses into their child groups.
+ * @param {string} kind - Key of KINDS.
+ * @param {object} before - The item in the first file.
+ * @param {object} after - The item in the second file.
+ * @param {string} status - STATUS.RENAMED or STATUS.UNCHANGED, before field changes are considered.
+ * @returns {object} The diff node.
+ */
+function diffPair(kind, before, after, status) {
+	const spec = KINDS[kind];
+	const node = { kind, name: after.name, status, changes: [], children: [] };
+	if (status === STATUS.RENAMED) {
+		node.previousName = before.name;
+	}
+
+	(spec.fields || []).forEach((field) => {
+		if (before[field] !== after[field]) {
+			node.changes.push({ field, before: before[field] ?? null, after: after[field] ?? null });
+		}
+	});
+
+	if (spec.children) {
+		const beforeGroups = spec.children(before);
+		const afterGroups = spec.children(after);
+		beforeGroups.forEach(([childKind, beforeItems], groupIndex) => {
+			node.children.push(...diffLists(childKind, beforeItems || [], afterGroups[groupIndex][1] || []));
+		});
+	}
+
+	if (
+		node.status === STATUS.UNCHANGED &&
+		(node.changes.length > 0 || node.children.some((child) => child.status !== STATUS.UNCHANGED))
+	) {
+		node.status = STATUS.CHANGED;
+	}
+	return node;
+}
+
+/**
+ * Builds a node for an item that exists in only one of the files, including its children.
+ * @param {string} kind - Key of KINDS.
+ * @param {object} item - The item.
+ * @param {string} status - STATUS.ADDED or STATUS.REMOVED.
+ * @returns {object} The diff node.
+ */
+function diffOneSided(kind, item, status) {
+	const spec = KINDS[kind];
+	const node = { kind, name: item.name, status, changes: [], children: [] };
+	if (spec.children) {
+		spec.children(item).forEach(([childKind, items]) => {
+			(items || []).forEach((child) => node.children.push(diffOneSided(childKind, child, status)));
+		});
+	}
+	return node;
+}
+
+/**
+ * Diffs two lists of named items of the same kind.
+ * @param {string} kind - Key of KINDS.
+ * @param {Array<{name: string}>} beforeItems - Items in the first file.
+ * @param {Array<{name: string}>} afterItems - Items in the second file.
+ * @returns {Array<object>} Diff nodes in the second file's order, followed by removed items.
+ */
+function diffLists(kind, beforeItems, afterItems) {
+	const beforeByName = new Map(beforeItems.map((item) => [item.name, item]));
+	const afterNames = new Set(afterItems.map((item) => item.name));
+
+	const removed = beforeItems.filter((item) => !afterNames.has(item.name));
+	const added = afterItems.filter((item) => !beforeByName.has(item.name));
+	const renames = new Map(findRenames(kind, removed, added).map(([before, after]) => [after, before]));
+	const renamedFrom = new Set(renames.values());
+
+	const nodes = afterItems.map((after) => {
+		if (beforeByName.has(after.name)) {
+			return diffPair(kind, beforeByName.get(after.name), after, STATUS.UNCHANGED);
+		}
+		if (renames.has(after)) {
+			return diffPair(kind, renames.get(after), after, STATUS.RENAMED);
+		}
+		return diffOneSided(kind, after, STATUS.ADDED);
+	});
+	removed
+		.filter((before) => !renamedFrom.has(before))
+		.forEach((before) => nodes.push(diffOneSided(kind, before, STATUS.REMOVED)));
+	return nodes;
+}
+
+/**
+ * Counts the nodes of a diff tree by status, excluding unchanged nodes and the children of
+ * added or removed items (an added artboard counts once, not once per animation).
+ * @param {Array<object>} nodes - Diff nodes.
+ * @param {object} counts - Totals to add to.
+ * @returns {object} The updated totals.
+ */
+function countChanges(nodes, counts) {
+	nodes.forEach((node) => {
+		if (node.status === STATUS.UNCHANGED) return;
+		counts[node.status]++;
+		if (node.status !== STATUS.ADDED && node.status !== STATUS.REMOVED) {
+			countChanges(node.children, counts);
+		}
+	});
+	return counts;
+}
+
+/**
+ * Builds a structural diff between two parser results.
+ * @param {object} beforeData - Parser result of the earlier file.
+ * @param {object} afterData - Parser result of the later file.
+ * @param {{before?: string, after?: string}} [labels] - Names of the two files for the report.
+ * @returns {{generatedAt: string, files: {before: string | null, after: string | null}, summary: object,
+ *   artboards: Array<object>, viewModels: Array<object>, enums: Array<object>}} The diff. Each node has
+ *   `kind`, `name`, `status`, `changes` ({field, before, after}), `children`, and `previousName` when renamed.
+ */
+function diffParsedData(beforeData, afterData, labels = {}) {
+	const diff = {
+		generatedAt: new Date().toISOString(),
+		files: {
+			before: labels.before || beforeData.defaultElements?.src || null,
+			after: labels.after || afterData.defaultElements?.src || null,
+		},
+		summary: null,
+		artboards: diffLists("artboard", beforeData.artboards || [], afterData.artboards || []),
+		viewModels: diffLists("viewModel", collectViewModels(beforeData), collectViewModels(afterData)),
+		enums: diffLists("enum", collectEnums(beforeData), collectEnums(afterData)),
+	};
+	diff.summary = countChanges([...diff.artboards, ...diff.viewModels, ...diff.enums], {
+		[STATUS.ADDED]: 0,
+		[STATUS.REMOVED]: 0,
+		[STATUS.RENAMED]: 0,
+		[STATUS.CHANGED]: 0,
+	});
+	return diff;
+}
+
+const KIND_LABELS = {
+	artboard: "Artboard",
+	animation: "Animation",
+	stateMachine: "State machine",
+	input: "Input",
+	viewModel: "ViewModel",
+	property: "Property",
+	enum: "Enum",
+	enumValue: "Value",
+};
+
+/**
+ * Describes a diff node on one line, e.g. "Renamed Input `tap` → `press`"
+ * @param {object} node - A diff node.
+ * @returns {string} Markdown text.
+ */
+function describeNode(node) {
+	const status = node.status.charAt(0).toUpperCase() + node.status.slice(1);
+	const name =
+		node.status === STATUS.RENAMED
+			? `\`${node.previousName}\` → \`${node.name}\``
+			: `\`${node.name}\``;
+	const changes = node.changes
+		.map((change) => `${change.field} ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`)
+		.join(", ");
+	return `**${status}** ${KIND_LABELS[node.kind] || node.kind} ${name}${changes ? `: ${changes}` : ""}`;
+}
+
+/**
+ * Formats a diff as a Markdown report listing every difference.
+ * @param {object} diff - Result of diffParsedData.
+ * @returns {string} The report.
+ */
+function formatDiffAsMarkdown(diff) {
+	const lines = [
+		"# Rive File Comparison",
+		"",
+		`- **Before**: ${diff.files.before || "(unknown)"}`,
+		`- **After**: ${diff.files.after || "(unknown)"}`,
+		`- **Generated**: ${diff.generatedAt}`,
+		"",
+		`${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.renamed} renamed, ${diff.summary.changed} changed`,
+	];
+
+	const writeNodes = (nodes, depth) => {
+		nodes.forEach((node) => {
+			if (node.status === STATUS.UNCHANGED) return;
+			lines.push(`${"  ".repeat(depth)}- ${describeNode(node)}`);
+			// Children of added/removed items share their status, so listing them adds nothing
+			if (node.status !== STATUS.ADDED && node.status !== STATUS.REMOVED) {
+				writeNodes(node.children, depth + 1);
+			}
+		});
+	};
+
+	[
+		["Artboards", diff.artboards],
+		["ViewModels", diff.viewModels],
+		["Enums", diff.enums],
+	].forEach(([title, nodes]) => {
+		lines.push("", `## ${title}`, "");
+		if (nodes.every((node) => node.status === STATUS.UNCHANGED)) {
+			lines.push("No changes.");
+		} else {
+			writeNodes(nodes, 0);
+		}
+	});
+
+	return lines.join("\n") + "\n";
+}
+
+export { STATUS as DIFF_STATUS, diffParsedData, formatDiffAsMarkdown };
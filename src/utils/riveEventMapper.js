@@ -162,7 +162,8 @@ export function shouldLogEvent(eventType, logCustomEvents, logStateChangeEvents,
 		case EVENT_CATEGORIES.NESTED_VIEWMODEL:
 			return logNestedViewModelEvents;
 		case EVENT_CATEGORIES.NESTED_ARTBOARD:
-			return false; // Nested artboard events are disabled
+			// Only changes made through the nested input controls are logged; detection events stay disabled
+			return !!(eventData && eventData.eventSource === 'Nested Input Control') && logStateChangeEvents;
 		case EVENT_CATEGORIES.PLAYBACK:
 			return logPlaybackEvents;
 		case EVENT_CATEGORIES.SYSTEM:
@@ -198,6 +199,8 @@ function getEventCategory(eventType, eventData = null) {
 				return EVENT_CATEGORIES.NESTED_VIEWMODEL;
 			}
 			return EVENT_CATEGORIES.STATE_CHANGE;
+		case 'TextRunChanged':
+			return EVENT_CATEGORIES.STATE_CHANGE;
 		case 'NestedArtboardStateChanged':
 		case 'NestedStateMachineChanged':
 			return EVENT_CATEGORIES.NESTED_ARTBOARD;
@@ -214,6 +217,8 @@ function getEventCategory(eventType, eventData = null) {
 		case 'LoadError':
 		case 'load':
 		case 'loaderror':
+		case 'AudioStatusChange':
+		case 'audiostatuschange':
 			return EVENT_CATEGORIES.SYSTEM;
 		case 'Draw':
 		case 'Advance':
@@ -223,12 +228,21 @@ function getEventCategory(eventType, eventData = null) {
 		case 'AssetFileReplacement':
 		case 'AssetUrlReplacement':
 		case 'AssetImageSubstitution':
+		case 'AssetFontSubstitution':
+		case 'AssetAudioSubstitution':
+		case 'AssetFolderResolution':
+		case 'AssetExport':
+		case 'AssetExportAll':
 		case 'AssetReset':
 		case 'AssetInfo':
 		case 'AssetError':
 		case 'AssetFileReplacementError':
 		case 'AssetUrlReplacementError':
 		case 'AssetImageSubstitutionError':
+		case 'AssetFontSubstitutionError':
+		case 'AssetAudioSubstitutionError':
+		case 'AssetFolderResolutionError':
+		case 'AssetExportError':
 		case 'AssetResetError':
 			return EVENT_CATEGORIES.ASSET;
 		default:
@@ -346,6 +360,9 @@ export function formatRiveEvent(eventType, eventData, structuredControlData = nu
 			case 'ViewModelPropertyChanged':
 				result = formatViewModelPropertyChangedEvent(eventData, timestamp, color);
 				break;
+			case 'TextRunChanged':
+				result = formatTextRunChangedEvent(eventData, timestamp, color);
+				break;
 			case 'NestedArtboardStateChanged':
 			case 'NestedStateMachineChanged':
 				result = formatNestedArtboardEvent(eventType, eventData, timestamp, color);
@@ -364,6 +381,8 @@ export function formatRiveEvent(eventType, eventData, structuredControlData = nu
 			case 'LoadError':
 			case 'load':
 			case 'loaderror':
+			case 'AudioStatusChange':
+			case 'audiostatuschange':
 				result = formatSystemEvent(eventType, eventData, timestamp, color);
 				break;
 			case 'Draw':
@@ -375,12 +394,21 @@ export function formatRiveEvent(eventType, eventData, structuredControlData = nu
 			case 'AssetFileReplacement':
 			case 'AssetUrlReplacement':
 			case 'AssetImageSubstitution':
+			case 'AssetFontSubstitution':
+			case 'AssetAudioSubstitution':
+			case 'AssetFolderResolution':
+			case 'AssetExport':
+			case 'AssetExportAll':
 			case 'AssetReset':
 			case 'AssetInfo':
 			case 'AssetError':
 			case 'AssetFileReplacementError':
 			case 'AssetUrlReplacementError':
 			case 'AssetImageSubstitutionError':
+			case 'AssetFontSubstitutionError':
+			case 'AssetAudioSubstitutionError':
+			case 'AssetFolderResolutionError':
+			case 'AssetExportError':
 			case 'AssetResetError':
 				result = formatAssetEvent(eventType, eventData, timestamp, color);
 				break;
@@ -569,10 +597,43 @@ function formatViewModelPropertyChangedEvent(eventData, timestamp, color) {
 	};
 }
 
+/**
+ * Formats text run edits made from the Text controls
+ */
+function formatTextRunChangedEvent(eventData, timestamp, color) {
+	const runName = eventData.textRun || 'Unknown Text Run';
+	const value = eventData.value !== undefined ? eventData.value : '';
+	const fullPath = eventData.path ? `${eventData.path}/${runName}` : runName;
+	
+	return {
+		statusMessage: `TEXT: ${runName} = "${value}"`,
+		consoleMessage: `[${timestamp}] TEXT: ${fullPath} = "${value}" (${value.length} chars)`,
+		detailedMessage: `Text run '${fullPath}' changed to: "${value}"`
+	};
+}
+
 /**
  * Formats nested artboard events
  */
 function formatNestedArtboardEvent(eventType, eventData, timestamp, color) {
+	// Handle inputs set through the nested artboard input controls
+	if (eventData.eventSource === 'Nested Input Control') {
+		const path = eventData.nestedPath || 'unknown';
+		const inputName = eventData.inputName || 'input';
+		if (eventData.inputType === 'trigger') {
+			return {
+				statusMessage: `NESTED-AB: ${path}.${inputName} fired`,
+				consoleMessage: `[${timestamp}] NESTED-AB: ${path}.${inputName} fired (SM: ${eventData.stateMachineName || 'unknown'})`,
+				detailedMessage: `Trigger '${inputName}' fired on nested artboard '${path}'`
+			};
+		}
+		return {
+			statusMessage: `NESTED-AB: ${path}.${inputName} = ${eventData.currentValue}`,
+			consoleMessage: `[${timestamp}] NESTED-AB: ${path}.${inputName}: ${eventData.previousValue} -> ${eventData.currentValue} (SM: ${eventData.stateMachineName || 'unknown'})`,
+			detailedMessage: `Nested artboard '${path}' input '${inputName}' set from ${eventData.previousValue} to ${eventData.currentValue}`
+		};
+	}
+
 	// Handle path-based detection system events
 	if (eventData.eventSource === 'Path-Based Detection System') {
 		const pathCount = eventData.discoveredPaths || 0;
@@ -679,7 +740,7 @@ function formatPlaybackEvent(eventType, eventData, timestamp, color) {
  */
 function formatSystemEvent(eventType, eventData, timestamp, color) {
 	const eventTypeUpper = eventType.toUpperCase();
-	const eventName = eventData.name || eventData.animation || 'System';
+	const eventName = eventData.name || eventData.animation || eventData.status || 'System';
 	
 	return {
 		statusMessage: `SYS: ${eventTypeUpper}`,
@@ -733,6 +794,38 @@ function formatAssetEvent(eventType, eventData, timestamp, color) {
 			detailedMessage = `Asset "${assetName}" image successfully decoded and applied (Size: ${imageSize}, Format: ${eventData.imageFormat || 'Unknown'})`;
 			break;
 			
+		case 'AssetFontSubstitution':
+			const fontName = [eventData.fontFamily, eventData.fontStyle].filter(Boolean).join(' ') || 'Unknown Font';
+			statusMessage = `ASSET: ${assetName} substituted`;
+			consoleMessage = `[${timestamp}] ASSET SUBSTITUTE: ${assetName} font decoded and applied (${fontName})`;
+			detailedMessage = `Asset "${assetName}" font successfully decoded and applied (Font: ${fontName}, Format: ${eventData.fontFormat || 'Unknown'})`;
+			break;
+			
+		case 'AssetAudioSubstitution':
+			const duration = eventData.duration !== undefined ? `${eventData.duration.toFixed(2)}s` : 'Unknown Duration';
+			statusMessage = `ASSET: ${assetName} substituted`;
+			consoleMessage = `[${timestamp}] ASSET SUBSTITUTE: ${assetName} audio decoded and applied (${duration})`;
+			detailedMessage = `Asset "${assetName}" audio successfully decoded and applied (Duration: ${duration}, Format: ${eventData.audioFormat || 'Unknown'})`;
+			break;
+			
+		case 'AssetFolderResolution':
+			statusMessage = `ASSET: ${assetName} ← folder`;
+			consoleMessage = `[${timestamp}] ASSET FOLDER: ${assetName} loaded from "${eventData.fileName}" (${assetType})`;
+			detailedMessage = `Asset "${assetName}" loaded from asset folder file "${eventData.fileName}" (Type: ${assetType})`;
+			break;
+			
+		case 'AssetExport':
+			statusMessage = `ASSET: ${assetName} exported`;
+			consoleMessage = `[${timestamp}] ASSET EXPORT: ${assetName} saved as "${eventData.fileName}" (${assetType})`;
+			detailedMessage = `Asset "${assetName}" exported as "${eventData.fileName}" (Type: ${assetType}, Size: ${eventData.fileSize || 'Unknown'} bytes)`;
+			break;
+			
+		case 'AssetExportAll':
+			statusMessage = `ASSET: ${eventData.assetCount} exported`;
+			consoleMessage = `[${timestamp}] ASSET EXPORT: ${eventData.assetCount} embedded asset(s) saved as "${eventData.fileName}"`;
+			detailedMessage = `${eventData.assetCount} embedded asset(s) exported as "${eventData.fileName}" (Size: ${eventData.fileSize || 'Unknown'} bytes)`;
+			break;
+			
 		case 'AssetReset':
 			statusMessage = `ASSET: ${assetName} reset`;
 			consoleMessage = `[${timestamp}] ASSET RESET: ${assetName} restored to original (${assetType})`;
@@ -749,6 +842,10 @@ function formatAssetEvent(eventType, eventData, timestamp, color) {
 		case 'AssetFileReplacementError':
 		case 'AssetUrlReplacementError':
 		case 'AssetImageSubstitutionError':
+		case 'AssetFontSubstitutionError':
+		case 'AssetAudioSubstitutionError':
+		case 'AssetFolderResolutionError':
+		case 'AssetExportError':
 		case 'AssetResetError':
 			const errorMsg = eventData.error || eventData.errorMessage || 'Unknown Error';
 			statusMessage = `ASSET ERROR: ${assetName}`;
@@ -0,0 +1,1305 @@
+/**
+ * @file riveFileExtractor.js
+ * Extracts artboard, animation, state machine, asset, enum and ViewModel information from a
+ * loaded Rive file. It has no DOM dependencies, so the same traversal runs on the page
+ * (parser.js), in the parser worker (parserWorker.js) and under Node (scripts/parse-riv.js).
+ *
+ * Exposed globally as window.riveFileExtractor for parser.js (a classic script).
+ */
+
+import { createLogger } from "./debugger/debugLogger.js";
+import { readFileStructure } from "./rivBinaryReader.js";
+import { PARSER_SCHEMA_VERSION } from "./parserOutputSchema.js";
+
+const logger = createLogger("parser");
+
+/**
+ * Recursively parses a ViewModel instance to extract its properties and nested ViewModels
+ * This function safely handles enum properties and other complex structures that might cause WASM aborts
+ * @param {object} vmInstance - The ViewModel instance to parse
+ * @param {string} instanceName - The name of the instance
+ * @param {object} vmDefinition - The ViewModel definition/blueprint
+ * @param {string[]} fileArtboardNames - Names of all artboards in the file, used as targets for artboard properties
+ * @returns {object} Parsed ViewModel instance data
+ */
+function parseViewModelInstanceRecursive(vmInstance, instanceName, vmDefinition, fileArtboardNames = []) {
+	logger.debug(`Starting recursive parsing of ViewModel instance: ${instanceName}`);
+	
+	const result = {
+		instanceName: instanceName,
+		sourceBlueprintName: vmDefinition ? vmDefinition.name : "Unknown",
+		inputs: [],
+		nestedViewModels: [],
+	};
+
+	if (!vmInstance) {
+		logger.warn(`ViewModel instance is null for ${instanceName}`);
+		return result;
+	}
+
+	try {
+		// Safely get properties with comprehensive error handling
+		let properties = [];
+		try {
+			if (vmInstance.properties && Array.isArray(vmInstance.properties)) {
+				properties = vmInstance.properties;
+				logger.debug(`Found ${properties.length} properties on ${instanceName}`);
+			} else if (typeof vmInstance.getProperties === "function") {
+				properties = vmInstance.getProperties();
+				logger.debug(`Retrieved ${properties.length} properties via getProperties() for ${instanceName}`);
+			} else {
+				logger.warn(`No properties found on ViewModel instance ${instanceName}`);
+			}
+		} catch (propertiesError) {
+			logger.error(`Error accessing properties for ${instanceName}:`, propertiesError);
+			// Continue with empty properties array
+		}
+
+		// Process each property with individual error handling
+		for (let i = 0; i < properties.length; i++) {
+			const prop = properties[i];
+			if (!prop || !prop.name) {
+				logger.warn(`Property ${i} is invalid for ${instanceName}`);
+				continue;
+			}
+
+			logger.debug(`Processing property ${prop.name} (type: ${prop.type}) for ${instanceName}`);
+
+			try {
+				// Handle different property types with specific error handling
+				if (prop.type === "viewModel") {
+					// Handle nested ViewModels
+					try {
+						logger.debug(`Attempting to access nested ViewModel: ${prop.name}`);
+						
+						let nestedVmInstance = null;
+						if (typeof vmInstance.viewModel === "function") {
+							nestedVmInstance = vmInstance.viewModel(prop.name);
+						} else if (vmInstance[prop.name] && typeof vmInstance[prop.name] === "object") {
+							nestedVmInstance = vmInstance[prop.name];
+						}
+
+						if (nestedVmInstance) {
+							logger.debug(`Successfully accessed nested ViewModel: ${prop.name}`);
+							
+							// Recursively parse nested ViewModel with error boundary
+							try {
+								const nestedResult = parseViewModelInstanceRecursive(
+									nestedVmInstance,
+									prop.name,
+									null, // We don't have the nested definition
+									fileArtboardNames,
+								);
+								result.nestedViewModels.push(nestedResult);
+								logger.debug(`Successfully parsed nested ViewModel: ${prop.name}`);
+							} catch (nestedParseError) {
+								logger.error(`Error parsing nested ViewModel ${prop.name}:`, nestedParseError);
+								// Add placeholder for failed nested ViewModel
+								result.nestedViewModels.push({
+									instanceName: prop.name,
+									sourceBlueprintName: "ParseError",
+									inputs: [],
+									nestedViewModels: [],
+									error: nestedParseError.message
+								});
+							}
+						} else {
+							logger.warn(`Could not access nested ViewModel: ${prop.name}`);
+						}
+					} catch (nestedVmError) {
+						logger.error(`Error accessing nested ViewModel ${prop.name}:`, nestedVmError);
+					}
+				} else {
+					// Handle regular properties (non-viewModel types)
+					const inputEntry = {
+						name: prop.name,
+						type: prop.type,
+						value: null,
+						enumTypeName: null,
+						enumValues: [],
+					};
+
+					try {
+						// Safely get property value based on type
+						switch (prop.type) {
+							case "boolean":
+								try {
+									if (typeof vmInstance.boolean === "function") {
+										const boolProp = vmInstance.boolean(prop.name);
+										inputEntry.value = boolProp ? boolProp.value : null;
+									}
+								} catch (boolError) {
+									logger.warn(`Error accessing boolean property ${prop.name}:`, boolError);
+								}
+								break;
+
+							case "number":
+								try {
+									if (typeof vmInstance.number === "function") {
+										const numProp = vmInstance.number(prop.name);
+										inputEntry.value = numProp ? numProp.value : null;
+									}
+								} catch (numError) {
+									logger.warn(`Error accessing number property ${prop.name}:`, numError);
+								}
+								break;
+
+							case "string":
+								try {
+									if (typeof vmInstance.string === "function") {
+										const stringProp = vmInstance.string(prop.name);
+										inputEntry.value = stringProp ? stringProp.value : null;
+									}
+								} catch (stringError) {
+									logger.warn(`Error accessing string property ${prop.name}:`, stringError);
+								}
+								break;
+
+							case "color":
+								try {
+									if (typeof vmInstance.color === "function") {
+										const colorProp = vmInstance.color(prop.name);
+										inputEntry.value = colorProp ? colorProp.value : null;
+									}
+								} catch (colorError) {
+									logger.warn(`Error accessing color property ${prop.name}:`, colorError);
+								}
+								break;
+
+							case "enumType":
+								// CRITICAL: This is where WASM aborts often occur with newer files
+								logger.debug(`CRITICAL: Attempting to access enum property ${prop.name} - this may cause WASM abort`);
+								
+								try {
+									// Try multiple approaches to safely access enum properties
+									let enumProp = null;
+									let enumValues = [];
+									
+									// Approach 1: Direct enum access
+									if (typeof vmInstance.enum === "function") {
+										try {
+											enumProp = vmInstance.enum(prop.name);
+											if (enumProp) {
+												inputEntry.value = enumProp.value;
+												if (enumProp.values && Array.isArray(enumProp.values)) {
+													enumValues = [...enumProp.values];
+												}
+												logger.debug(`Successfully accessed enum ${prop.name} via enum() method`);
+											}
+										} catch (enumDirectError) {
+											// Use WASM-specific error logging
+											if (logger.wasmError) {
+												logger.wasmError(enumDirectError, {
+													operation: 'enum_access',
+													propertyName: prop.name,
+													instanceName: instanceName,
+													approach: 'direct_enum_access'
+												});
+											} else {
+												logger.warn(`Direct enum access failed for ${prop.name}:`, enumDirectError);
+											}
+											
+											// Approach 2: Fallback to string access
+											try {
+												if (typeof vmInstance.string === "function") {
+													const stringFallback = vmInstance.string(prop.name);
+													if (stringFallback) {
+														inputEntry.value = stringFallback.value;
+														logger.debug(`Fallback: accessed enum ${prop.name} via string() method`);
+													}
+												}
+											} catch (stringFallbackError) {
+												if (logger.wasmError) {
+													logger.wasmError(stringFallbackError, {
+														operation: 'enum_access',
+														propertyName: prop.name,
+														instanceName: instanceName,
+														approach: 'string_fallback'
+													});
+												} else {
+													logger.error(`Both enum and string access failed for ${prop.name}:`, stringFallbackError);
+												}
+											}
+										}
+									} else {
+										logger.warn(`enum() method not available for ${prop.name}, trying string fallback`);
+										
+										// Direct fallback to string if enum method doesn't exist
+										try {
+											if (typeof vmInstance.string === "function") {
+												const stringProp = vmInstance.string(prop.name);
+												inputEntry.value = stringProp ? stringProp.value : null;
+											}
+										} catch (stringError) {
+											if (logger.wasmError) {
+												logger.wasmError(stringError, {
+													operation: 'enum_access',
+													propertyName: prop.name,
+													instanceName: instanceName,
+													approach: 'string_only'
+												});
+											} else {
+												logger.error(`String fallback failed for enum ${prop.name}:`, stringError);
+											}
+										}
+									}
+
+									// Try to determine enum type name from property declaration
+									try {
+										if (prop.enumDefinition && prop.enumDefinition.name) {
+											inputEntry.enumTypeName = prop.enumDefinition.name;
+										} else if (prop.enumName) {
+											inputEntry.enumTypeName = prop.enumName;
+										} else if (prop.definition && prop.definition.name) {
+											inputEntry.enumTypeName = prop.definition.name;
+										} else if (prop.typeName) {
+											inputEntry.enumTypeName = prop.typeName;
+										} else {
+											// Fallback to property name
+											inputEntry.enumTypeName = prop.name;
+											logger.warn(`Could not determine enum type name for ${prop.name}, using property name as fallback`);
+										}
+									} catch (enumTypeError) {
+										if (logger.wasmError) {
+											logger.wasmError(enumTypeError, {
+												operation: 'enum_access',
+												propertyName: prop.name,
+												instanceName: instanceName,
+												approach: 'type_name_detection'
+											});
+										} else {
+											logger.error(`Error determining enum type for ${prop.name}:`, enumTypeError);
+										}
+										inputEntry.enumTypeName = prop.name;
+									}
+
+									inputEntry.enumValues = enumValues;
+									
+									logger.debug(`Completed enum property processing for ${prop.name}`);
+									
+								} catch (enumCriticalError) {
+									// Use enhanced WASM error logging for critical errors
+									if (logger.wasmError) {
+										logger.wasmError(enumCriticalError, {
+											operation: 'enum_access',
+											propertyName: prop.name,
+											instanceName: instanceName,
+											approach: 'critical_failure',
+											vmDefinition: vmDefinition ? vmDefinition.name : 'unknown'
+										});
+									} else {
+										logger.error(`CRITICAL ERROR processing enum property ${prop.name}:`, enumCriticalError);
+									}
+									
+									// This might be where the WASM abort occurs - provide safe fallback
+									inputEntry.value = null;
+									inputEntry.enumTypeName = prop.name;
+									inputEntry.enumValues = [];
+									inputEntry.error = enumCriticalError.message;
+								}
+								break;
+
+							case "trigger":
+								try {
+									if (typeof vmInstance.trigger === "function") {
+										const triggerProp = vmInstance.trigger(prop.name);
+										// Triggers don't have values, just existence
+										inputEntry.value = triggerProp ? true : false;
+									}
+								} catch (triggerError) {
+									logger.warn(`Error accessing trigger property ${prop.name}:`, triggerError);
+								}
+								break;
+
+							case "list":
+								try {
+									if (typeof vmInstance.list === "function") {
+										const listProp = vmInstance.list(prop.name);
+										const itemCount = listProp && typeof listProp.length === "number" ? listProp.length : 0;
+										// List value is the item count; each item is a ViewModel instance of its own
+										inputEntry.value = itemCount;
+										inputEntry.listItems = [];
+										for (let itemIndex = 0; itemIndex < itemCount; itemIndex++) {
+											try {
+												const itemInstance = listProp.instanceAt(itemIndex);
+												inputEntry.listItems.push(
+													parseViewModelInstanceRecursive(
+														itemInstance,
+														`${prop.name}[${itemIndex}]`,
+														null,
+														fileArtboardNames,
+													),
+												);
+											} catch (listItemError) {
+												logger.warn(`Error parsing item ${itemIndex} of list property ${prop.name}:`, listItemError);
+											}
+										}
+									}
+								} catch (listError) {
+									logger.warn(`Error accessing list property ${prop.name}:`, listError);
+								}
+								break;
+
+							case "image":
+								// Image properties are write-only at runtime; record that the property is bindable
+								try {
+									if (typeof vmInstance.image === "function") {
+										const imageProp = vmInstance.image(prop.name);
+										inputEntry.value = imageProp ? "bindable" : null;
+									}
+								} catch (imageError) {
+									logger.warn(`Error accessing image property ${prop.name}:`, imageError);
+								}
+								break;
+
+							case "artboard":
+								// Artboard properties are write-only too; record which artboards can be bound
+								try {
+									if (typeof vmInstance.artboard === "function") {
+										const artboardProp = vmInstance.artboard(prop.name);
+										inputEntry.value = artboardProp ? "bindable" : null;
+									}
+								} catch (artboardPropError) {
+									logger.warn(`Error accessing artboard property ${prop.name}:`, artboardPropError);
+								}
+								inputEntry.artboardTargets = [...fileArtboardNames];
+								break;
+
+							default:
+								logger.warn(`Unknown property type ${prop.type} for ${prop.name}`);
+								break;
+						}
+					} catch (propertyAccessError) {
+						logger.error(`Error accessing property ${prop.name} of type ${prop.type}:`, propertyAccessError);
+						inputEntry.error = propertyAccessError.message;
+					}
+
+					result.inputs.push(inputEntry);
+					logger.debug(`Added property ${prop.name} to inputs`);
+				}
+			} catch (propError) {
+				logger.error(`Error processing property ${prop.name}:`, propError);
+				// Add error entry to maintain structure
+				result.inputs.push({
+					name: prop.name,
+					type: prop.type || "unknown",
+					value: null,
+					error: propError.message
+				});
+			}
+		}
+
+		logger.debug(`Completed parsing ${instanceName}: ${result.inputs.length} inputs, ${result.nestedViewModels.length} nested VMs`);
+		
+	} catch (criticalError) {
+		logger.error(`CRITICAL ERROR parsing ViewModel instance ${instanceName}:`, criticalError);
+		result.error = criticalError.message;
+		result.inputs = [];
+		result.nestedViewModels = [];
+	}
+
+	return result;
+}
+
+/**
+ * Adds the structure the runtime does not expose to the parsed result: layers, states
+ * and transitions of each state machine, and the tree of nested artboards with the
+ * state machine inputs and text runs reachable through them. It is read from the file bytes
+ * by rivBinaryReader.js.
+ *
+ * @param {object} result - The parser result being built (artboards with stateMachines, textRuns and nestedArtboards).
+ * @param {ArrayBuffer | Uint8Array | null} buffer - The .riv file bytes, or null if they could not be fetched.
+ */
+function attachFileStructure(result, buffer) {
+	if (!buffer) {
+		logger.warn("File structure unavailable (file bytes missing)");
+		return;
+	}
+
+	let fileArtboards;
+	let structurePartial;
+	try {
+		({ artboards: fileArtboards, partial: structurePartial } = readFileStructure(buffer));
+	} catch (readError) {
+		logger.warn("Could not read file structure from file bytes:", readError);
+		return;
+	}
+
+	// Text runs found by the runtime for each artboard, before nested ones are added
+	const ownTextRuns = new Map(
+		result.artboards.map((ab) => [ab.name, (ab.textRuns || []).slice()]),
+	);
+
+	result.artboards.forEach((artboardEntry) => {
+		const fileArtboard = fileArtboards.find((ab) => ab.name === artboardEntry.name);
+		if (!fileArtboard) {
+			logger.warn(`No state machine structure found for artboard ${artboardEntry.name}`);
+			if (structurePartial) {
+				artboardEntry.stateMachines.forEach((smEntry) => {
+					smEntry.layersPartial = true;
+				});
+			}
+			return;
+		}
+
+		// Animation ids resolve by index, so a mismatch here means the names below can't be trusted
+		const runtimeAnimationNames = artboardEntry.animations.map((anim) => anim.name);
+		if (
+			runtimeAnimationNames.length > 0 &&
+			runtimeAnimationNames.join("\n") !== fileArtboard.animations.join("\n")
+		) {
+			logger.warn(`Animation list read from file bytes differs from runtime for artboard ${artboardEntry.name}`);
+		}
+
+		artboardEntry.stateMachines.forEach((smEntry, smIndex) => {
+			const indexed = fileArtboard.stateMachines[smIndex];
+			const fileStateMachine =
+				indexed && indexed.name === smEntry.name
+					? indexed
+					: fileArtboard.stateMachines.find((sm) => sm.name === smEntry.name);
+			if (!fileStateMachine) {
+				logger.warn(`No structure found for state machine ${smEntry.name} on artboard ${artboardEntry.name}`);
+				if (structurePartial) smEntry.layersPartial = true;
+				return;
+			}
+			smEntry.layers = fileStateMachine.layers;
+			if (fileStateMachine.partial) smEntry.layersPartial = true;
+			logger.debug(
+				`State machine ${smEntry.name}: ${fileStateMachine.layers.length} layers, ` +
+					`${fileStateMachine.layers.reduce((count, layer) => count + layer.states.length, 0)} states`,
+			);
+		});
+
+		// Nested artboard tree, addressed by the path of nested artboard names. Inputs and
+		// text runs inside a nested artboard are reached at runtime through that path.
+		const buildNestedTree = (nestedArtboards, parentPath, visited) => {
+			const nodes = [];
+			nestedArtboards.forEach((nested) => {
+				const target = fileArtboards[nested.artboardIndex];
+				if (!target || !nested.name || visited.includes(target.name)) return;
+
+				const path = parentPath ? `${parentPath}/${nested.name}` : nested.name;
+				const inputs = [];
+				nested.stateMachineIndices.forEach((smIndex) => {
+					const nestedStateMachine = target.stateMachines[smIndex];
+					if (!nestedStateMachine) return;
+					nestedStateMachine.inputs.forEach((input) => {
+						inputs.push({
+							name: input.name,
+							type: input.type,
+							stateMachine: nestedStateMachine.name,
+						});
+					});
+				});
+
+				if (Array.isArray(artboardEntry.textRuns)) {
+					(ownTextRuns.get(target.name) || []).forEach((run) => {
+						artboardEntry.textRuns.push({ name: run.name, text: run.text, path });
+					});
+				}
+
+				nodes.push({
+					name: nested.name,
+					path: path,
+					artboardName: target.name,
+					inputs: inputs,
+					nestedArtboards: buildNestedTree(target.nestedArtboards, path, [...visited, target.name]),
+				});
+			});
+			return nodes;
+		};
+		artboardEntry.nestedArtboards = buildNestedTree(fileArtboard.nestedArtboards, "", [fileArtboard.name]);
+		if (artboardEntry.nestedArtboards.length > 0) {
+			logger.debug(`Artboard ${artboardEntry.name}: ${artboardEntry.nestedArtboards.length} nested artboards`);
+		}
+	});
+}
+
+/**
+ * Extracts artboards, animations, state machines, text runs, events, enums and ViewModels
+ * from a loaded Rive file. runOriginalClientParser passes its Rive instance; parseRiveBytes
+ * passes an object with the same members built on the low-level runtime.
+ *
+ * @param {object} riveSource - A loaded Rive instance, or an object with the same `runtime`, `file`, `artboard`,
+ *   `enums()`, `viewModelCount`, `viewModelByIndex()`, `defaultViewModel()` and `viewModelInstance` members.
+ * @param {Array<object>} collectedAssets - Assets reported by the asset loader while the file loaded.
+ * @param {function({stage: string, message: string, completed?: number, total?: number}): void} [onProgress] -
+ *   Called as each parsing stage starts and after each artboard.
+ * @returns {object} The parsed result, without the file structure read from the file bytes.
+ */
+function extractRiveFileData(riveSource, collectedAssets, onProgress) {
+	const reportProgress = typeof onProgress === "function" ? onProgress : () => {};
+
+	// Test file access
+	logger.debug("Testing Rive file access...");
+	let riveFile = null;
+	try {
+		riveFile = riveSource.file;
+		if (!riveFile) {
+			throw new Error("riveSource.file is null or undefined");
+		}
+		logger.debug("File access successful");
+	} catch (fileError) {
+		logger.error("Error accessing riveSource.file:", fileError);
+		throw new Error(`File access failed: ${fileError.message}`);
+	}
+
+	// Test artboard access
+	logger.debug("Testing artboard access...");
+	let defaultArtboardRiveObject = null;
+	try {
+		defaultArtboardRiveObject = riveSource.artboard;
+		if (!defaultArtboardRiveObject) {
+			logger.warn("No default artboard found");
+		} else {
+			logger.debug("Default artboard access successful:", defaultArtboardRiveObject.name);
+		}
+	} catch (artboardError) {
+		logger.error("Error accessing artboard:", artboardError);
+		// Continue without artboard
+	}
+
+	// --- Artboard Names (targets for artboard-typed ViewModel properties) ---
+	const fileArtboardNames = [];
+	try {
+		const fileArtboardCount = riveFile.artboardCount ? riveFile.artboardCount() : 0;
+		for (let i = 0; i < fileArtboardCount; i++) {
+			const artboardDef = riveFile.artboardByIndex(i);
+			try {
+				if (artboardDef && artboardDef.name) {
+					fileArtboardNames.push(artboardDef.name);
+				}
+			} finally {
+				// artboardByIndex builds a new wasm artboard instance each call
+				if (typeof artboardDef?.delete === "function") artboardDef.delete();
+			}
+		}
+		logger.debug(`Collected ${fileArtboardNames.length} artboard names`);
+	} catch (artboardNamesError) {
+		logger.error("Error collecting artboard names:", artboardNamesError);
+	}
+
+	const argbToHex = (a) => {
+		if (typeof a !== "number")
+			return `NOT_AN_ARGB_NUMBER (${typeof a}: ${a})`;
+		return (
+			"#" +
+			(a & 0xffffff).toString(16).padStart(6, "0").toUpperCase()
+		);
+	};
+
+	const result = {
+		// Shape described by parserOutputSchema.js
+		schemaVersion: PARSER_SCHEMA_VERSION,
+		artboards: [],
+		assets: collectedAssets,
+		allViewModelDefinitionsAndInstances: [],
+		enums: [], // Add enums field to store global enum definitions
+		// Add a new field to store default information
+		defaultElements: {
+			artboardName: null,
+			stateMachineNames: [],
+			viewModelName: null,
+		},
+	};
+
+	// --- Default Artboard Info ---
+	if (defaultArtboardRiveObject) {
+		result.defaultElements.artboardName = defaultArtboardRiveObject.name;
+		logger.debug(
+			`Default artboard name: ${defaultArtboardRiveObject.name}`,
+		);
+	}
+
+	// --- Default State Machine Info ---
+	// Get the default state machine names from the default artboard
+	if (defaultArtboardRiveObject) {
+		try {
+			logger.debug("Extracting state machine information...");
+			const smCount = defaultArtboardRiveObject.stateMachineCount();
+			logger.debug(`Found ${smCount} state machines`);
+			
+			for (let i = 0; i < smCount; i++) {
+				try {
+					const sm = defaultArtboardRiveObject.stateMachineByIndex(i);
+					if (sm && sm.name) {
+						result.defaultElements.stateMachineNames.push(sm.name);
+						logger.debug(`State machine ${i}: ${sm.name}`);
+					}
+				} catch (smError) {
+					logger.error(`Error accessing state machine ${i}:`, smError);
+					// Continue with next state machine
+				}
+			}
+		} catch (smCountError) {
+			logger.error("Error getting state machine count:", smCountError);
+		}
+	}
+
+	// --- Enum Definitions Parsing ---
+	logger.debug("Starting enum definitions parsing...");
+	reportProgress({ stage: "enums", message: "Reading enums" });
+	
+	try {
+		if (typeof riveSource.enums === "function") {
+			logger.debug("Attempting to access global enums via riveSource.enums()...");
+			const globalEnums = riveSource.enums();
+			
+			if (globalEnums && Array.isArray(globalEnums)) {
+				logger.debug(`Found ${globalEnums.length} global enum definitions`);
+				
+				for (let i = 0; i < globalEnums.length; i++) {
+					try {
+						const enumDef = globalEnums[i];
+						if (enumDef && enumDef.name) {
+							const enumEntry = {
+								name: enumDef.name,
+								values: enumDef.values || []
+							};
+							
+							result.enums.push(enumEntry);
+							logger.debug(`Enum ${i}: ${enumDef.name} with ${enumEntry.values.length} values: [${enumEntry.values.join(', ')}]`);
+						} else {
+							logger.warn(`Enum ${i} has no name or is invalid`);
+						}
+					} catch (enumError) {
+						logger.error(`Error processing enum ${i}:`, enumError);
+						// Continue with next enum
+					}
+				}
+			} else {
+				logger.warn("riveSource.enums() returned null or non-array result");
+			}
+		} else {
+			logger.warn("riveSource.enums() method not available");
+		}
+	} catch (enumParsingError) {
+		logger.error("Error during enum parsing:", enumParsingError);
+		// Continue with other parsing - enums are not critical
+	}
+
+	// --- ViewModel Definitions Parsing (CRITICAL SECTION) ---
+	logger.debug("Starting ViewModel definitions parsing - CRITICAL SECTION");
+	reportProgress({ stage: "viewModels", message: "Reading ViewModels" });
+	
+	const allFoundViewModelDefinitions = [];
+	let vmDefinitionCount = 0;
+	const MAX_VM_DEFS_TO_PROBE = 10;
+
+	// Test ViewModel access methods safely
+	// NOTE: During ViewModel discovery, you may see "Could not find View Model. Index X is out of range" 
+	// errors in the console. These are expected and come from the WASM runtime during the discovery process.
+	try {
+		logger.debug("Testing ViewModel access methods...");
+		
+		// Test viewModelCount first - try multiple approaches
+		if (typeof riveSource.viewModelCount === "function") {
+			try {
+				vmDefinitionCount = riveSource.viewModelCount();
+				logger.debug(`viewModelCount() returned: ${vmDefinitionCount}`);
+			} catch (vmCountError) {
+				logger.error("Error calling viewModelCount():", vmCountError);
+				vmDefinitionCount = 0;
+			}
+		} else if (riveFile && typeof riveFile.viewModelCount === "function") {
+			try {
+				vmDefinitionCount = riveFile.viewModelCount();
+				logger.debug(`riveFile.viewModelCount() returned: ${vmDefinitionCount}`);
+			} catch (vmCountError) {
+				logger.error("Error calling riveFile.viewModelCount():", vmCountError);
+				vmDefinitionCount = 0;
+			}
+		} else {
+			logger.warn("viewModelCount() method not available on riveSource or riveFile");
+		}
+
+		// Test viewModelByIndex access
+		if (typeof riveSource.viewModelByIndex === "function" && vmDefinitionCount > 0) {
+			logger.debug(`Attempting to access ${vmDefinitionCount} ViewModels via viewModelByIndex...`);
+			
+			for (let vmdIndex = 0; vmdIndex < vmDefinitionCount; vmdIndex++) {
+				try {
+					logger.debug(`Accessing ViewModel ${vmdIndex}...`);
+					const vmDef = riveSource.viewModelByIndex(vmdIndex);
+					
+					if (vmDef && vmDef.name) {
+						logger.debug(`ViewModel ${vmdIndex} name: ${vmDef.name}`);
+						allFoundViewModelDefinitions.push({
+							def: vmDef,
+							name: vmDef.name,
+						});
+					} else {
+						logger.debug(`ViewModel ${vmdIndex} has no name or is invalid`);
+					}
+				} catch (vmDefError) {
+					// Check if this is an expected "out of range" error from WASM discovery
+					if (vmDefError.message && vmDefError.message.includes("Could not find View Model") && vmDefError.message.includes("out of range")) {
+						logger.debug(`Reached end of ViewModels at index ${vmdIndex} (expected discovery boundary)`);
+						break; // This is expected - we've found all available ViewModels
+					} else {
+						logger.error(`CRITICAL ERROR accessing ViewModel ${vmdIndex}:`, vmDefError);
+						// This might be where the WASM abort occurs
+						throw new Error(`ViewModel access failed at index ${vmdIndex}: ${vmDefError.message}`);
+					}
+				}
+			}
+		} else if (riveFile && typeof riveFile.viewModelByIndex === "function") {
+			logger.debug("Falling back to riveFile.viewModelByIndex...");
+			// Fallback to riveFile.viewModelByIndex if riveSource.viewModelByIndex doesn't exist
+			// console.warn("[Original Parser] riveSource.viewModelByIndex() not found. Falling back to riveFile.viewModelByIndex(). Property access might be limited.");
+			let consecutiveDefinitionErrors = 0;
+			const MAX_CONSECUTIVE_VM_DEF_ERRORS = 3;
+			// Reset vmdIndex for this loop, but use vmDefinitionCount if available and reliable, or MAX_VM_DEFS_TO_PROBE
+			let loopLimit =
+				vmDefinitionCount > 0
+					? vmDefinitionCount
+					: MAX_VM_DEFS_TO_PROBE;
+			let vmdIndex = 0; // reset for this loop
+			while (
+				vmdIndex < loopLimit &&
+				consecutiveDefinitionErrors < MAX_CONSECUTIVE_VM_DEF_ERRORS
+			) {
+				try {
+					logger.debug(`Accessing riveFile ViewModel ${vmdIndex}...`);
+					const vmDef = riveFile.viewModelByIndex(vmdIndex);
+					if (vmDef && vmDef.name) {
+						allFoundViewModelDefinitions.push({
+							def: vmDef,
+							name: vmDef.name,
+						});
+						consecutiveDefinitionErrors = 0;
+						logger.debug(`riveFile ViewModel ${vmdIndex} name: ${vmDef.name}`);
+					} else {
+						consecutiveDefinitionErrors++;
+						logger.debug(`riveFile ViewModel ${vmdIndex} invalid, consecutive errors: ${consecutiveDefinitionErrors}`);
+					}
+					vmdIndex++;
+				} catch (e) {
+					// Check if this is an expected "out of range" error from WASM discovery
+					if (e.message && e.message.includes("Could not find View Model") && e.message.includes("out of range")) {
+						logger.debug(`Reached end of ViewModels at index ${vmdIndex} (expected discovery boundary)`);
+						break; // This is expected - we've found all available ViewModels
+					} else {
+						logger.error(
+							`Unexpected error in riveFile.viewModelByIndex loop (index ${vmdIndex}):`,
+							e,
+						);
+						// If it's an unexpected error, we might not want to continue
+						throw new Error(`riveFile ViewModel access failed at index ${vmdIndex}: ${e.message}`);
+					}
+				}
+			}
+		} else {
+			logger.error(
+				"Cannot parse ViewModel definitions: no viewModelByIndex method found on Rive instance or file.",
+			);
+		}
+
+		logger.info(`ViewModel discovery completed. Found ${allFoundViewModelDefinitions.length} definitions. (Note: Any "out of range" errors above are expected during discovery)`);
+
+	} catch (vmParsingError) {
+		logger.error("CRITICAL ERROR during ViewModel parsing:", vmParsingError);
+		// Don't throw here, continue with other parsing
+		logger.warn("Continuing with parsing despite ViewModel error...");
+	}
+
+	// --- ViewModel Instances Parsing (ANOTHER CRITICAL SECTION) ---
+	logger.debug("Starting ViewModel instances parsing...");
+	
+	try {
+		// Parse ViewModel instances for each definition found
+		for (const vmDefEntry of allFoundViewModelDefinitions) {
+			try {
+				logger.debug(`Processing ViewModel definition: ${vmDefEntry.name}`);
+				
+				const vmDef = vmDefEntry.def;
+				const vmDefName = vmDefEntry.name;
+
+				// Check if this ViewModel has instances
+				let instanceCount = 0;
+				try {
+					if (typeof vmDef.instanceCount === "number") {
+						instanceCount = vmDef.instanceCount;
+					} else if (typeof vmDef.instanceCount === "function") {
+						instanceCount = vmDef.instanceCount();
+					}
+					logger.debug(`ViewModel ${vmDefName} has ${instanceCount} instances`);
+				} catch (instanceCountError) {
+					logger.error(`Error getting instance count for ${vmDefName}:`, instanceCountError);
+					continue;
+				}
+
+				if (instanceCount > 0) {
+					// Process instances for this ViewModel
+					for (let instanceIndex = 0; instanceIndex < instanceCount; instanceIndex++) {
+						try {
+							logger.debug(`Processing instance ${instanceIndex} of ${vmDefName}...`);
+							
+							let vmInstance = null;
+							try {
+								vmInstance = vmDef.instanceByIndex(instanceIndex);
+							} catch (instanceAccessError) {
+								logger.error(`Error accessing instance ${instanceIndex} of ${vmDefName}:`, instanceAccessError);
+								continue;
+							}
+
+							if (vmInstance) {
+								// This is where the recursive parsing might cause issues
+								logger.debug(`Parsing instance ${instanceIndex} recursively...`);
+								
+								try {
+									const parsedInstance = parseViewModelInstanceRecursive(
+										vmInstance,
+										vmInstance.name || `${vmDefName}_instance_${instanceIndex}`,
+										vmDef,
+										fileArtboardNames,
+									);
+									
+									result.allViewModelDefinitionsAndInstances.push({
+										definitionName: vmDefName,
+										instanceName: vmInstance.name || `${vmDefName}_instance_${instanceIndex}`,
+										parsedData: parsedInstance,
+									});
+									
+									logger.debug(`Successfully parsed instance ${instanceIndex} of ${vmDefName}`);
+								} catch (recursiveParseError) {
+									logger.error(`CRITICAL ERROR during recursive parsing of ${vmDefName} instance ${instanceIndex}:`, recursiveParseError);
+									// This might be where the WASM abort occurs
+									throw new Error(`Recursive parsing failed for ${vmDefName} instance ${instanceIndex}: ${recursiveParseError.message}`);
+								}
+							}
+						} catch (instanceError) {
+							logger.error(`Error processing instance ${instanceIndex} of ${vmDefName}:`, instanceError);
+							// Continue with next instance
+						}
+					}
+				}
+			} catch (vmDefError) {
+				logger.error(`Error processing ViewModel definition ${vmDefEntry.name}:`, vmDefError);
+				// Continue with next definition
+			}
+		}
+		
+		logger.debug("ViewModel instances parsing completed successfully");
+		
+	} catch (vmInstancesError) {
+		logger.error("CRITICAL ERROR during ViewModel instances parsing:", vmInstancesError);
+		// Continue with other parsing
+	}
+
+	// --- Default ViewModel Instance (POTENTIAL CRITICAL SECTION) ---
+	logger.debug("Processing default ViewModel instance...");
+	
+	try {
+		if (defaultArtboardRiveObject) {
+			const defaultVmBlueprint = riveSource.defaultViewModel();
+			if (defaultVmBlueprint && defaultVmBlueprint.name) {
+				logger.debug(`Default ViewModel found: ${defaultVmBlueprint.name}`);
+				
+				let mainInstanceForDefaultArtboard = null;
+				let mainInstanceNameForOutput = "UnknownDefaultInstanceName";
+				
+				try {
+					if (riveSource.viewModelInstance) {
+						mainInstanceForDefaultArtboard = riveSource.viewModelInstance;
+						mainInstanceNameForOutput =
+							mainInstanceForDefaultArtboard.name ||
+							`${defaultVmBlueprint.name}_autoboundInstance`;
+						logger.debug(`Using riveSource.viewModelInstance: ${mainInstanceNameForOutput}`);
+					} else if (typeof defaultVmBlueprint.defaultInstance === "function") {
+						mainInstanceForDefaultArtboard = defaultVmBlueprint.defaultInstance();
+						if (mainInstanceForDefaultArtboard)
+							mainInstanceNameForOutput =
+								mainInstanceForDefaultArtboard.name ||
+								`${defaultVmBlueprint.name}_defaultVmDefInstance`;
+						logger.debug(`Using defaultVmBlueprint.defaultInstance(): ${mainInstanceNameForOutput}`);
+					}
+					
+					if (
+						defaultVmBlueprint.instanceCount === 1 &&
+						defaultVmBlueprint.instanceNames &&
+						defaultVmBlueprint.instanceNames.length === 1 &&
+						defaultVmBlueprint.instanceNames[0] === ""
+					) {
+						mainInstanceNameForOutput = "Instance";
+						logger.debug("Using simplified instance name: Instance");
+					}
+					
+					if (mainInstanceForDefaultArtboard) {
+						logger.debug(`Parsing default ViewModel instance recursively...`);
+						
+						try {
+							const parsedDefaultArtboardVm = parseViewModelInstanceRecursive(
+								mainInstanceForDefaultArtboard,
+								mainInstanceNameForOutput,
+								defaultVmBlueprint,
+								fileArtboardNames,
+							);
+							
+							let artboardEntryForDefault = result.artboards.find(
+								(ab) => ab.name === defaultArtboardRiveObject.name,
+							);
+							if (!artboardEntryForDefault) {
+								artboardEntryForDefault = {
+									name: defaultArtboardRiveObject.name,
+									animations: [],
+									stateMachines: [],
+									viewModels: [],
+									textRuns: [],
+									events: [],
+									nestedArtboards: [],
+								};
+								result.artboards.push(artboardEntryForDefault);
+							}
+							artboardEntryForDefault.viewModels.push(parsedDefaultArtboardVm);
+							
+							logger.debug("Default ViewModel instance parsed successfully");
+						} catch (defaultVmParseError) {
+							logger.error("CRITICAL ERROR parsing default ViewModel instance:", defaultVmParseError);
+							// Continue without default ViewModel
+						}
+					}
+				} catch (defaultVmAccessError) {
+					logger.error("Error accessing default ViewModel instance:", defaultVmAccessError);
+				}
+			}
+		}
+	} catch (defaultVmError) {
+		logger.error("Error processing default ViewModel:", defaultVmError);
+	}
+
+	// --- Artboard Info Loop (Animations, State Machine Names & Inputs from Contents) ---
+	logger.debug("Starting artboard information extraction...");
+	
+	try {
+		const artboardCount = riveFile.artboardCount ? riveFile.artboardCount() : 0;
+		logger.debug(`Processing ${artboardCount} artboards...`);
+		reportProgress({ stage: "artboards", message: "Reading artboards", completed: 0, total: artboardCount });
+		
+		for (let i = 0; i < artboardCount; i++) {
+			let artboardDef = null;
+			try {
+				logger.debug(`Processing artboard ${i}...`);
+				artboardDef = riveFile.artboardByIndex(i); // A new artboard instance, deleted once read
+				if (!artboardDef) {
+					logger.warn(`Artboard ${i} is null or undefined`);
+					continue;
+				}
+
+				let currentArtboardEntry = result.artboards.find(
+					(ab) => ab.name === artboardDef.name,
+				);
+				if (!currentArtboardEntry) {
+					currentArtboardEntry = {
+						name: artboardDef.name,
+						animations: [],
+						stateMachines: [],
+						viewModels: [],
+						textRuns: [],
+						events: [],
+						nestedArtboards: [],
+					};
+					result.artboards.push(currentArtboardEntry);
+				}
+
+				// Process animations
+				try {
+					const animationCount =
+						typeof artboardDef.animationCount === "function"
+							? artboardDef.animationCount()
+							: 0;
+					logger.debug(`Artboard ${artboardDef.name} has ${animationCount} animations`);
+					
+					for (let j = 0; j < animationCount; j++) {
+						try {
+							const animation = artboardDef.animationByIndex(j);
+							if (animation) {
+								currentArtboardEntry.animations.push({
+									name: animation.name,
+									fps: animation.fps,
+									duration: animation.duration,
+									workStart: animation.workStart,
+									workEnd: animation.workEnd,
+								});
+								logger.debug(`Animation ${j}: ${animation.name} (${animation.duration}s)`);
+							}
+						} catch (animError) {
+							logger.error(`Error processing animation ${j} of artboard ${artboardDef.name}:`, animError);
+						}
+					}
+				} catch (animCountError) {
+					logger.error(`Error getting animation count for artboard ${artboardDef.name}:`, animCountError);
+				}
+
+				// Process text runs (only named runs can be addressed at runtime)
+				try {
+					const textRunCount =
+						typeof artboardDef.textValueRunCount === "function"
+							? artboardDef.textValueRunCount()
+							: 0;
+					logger.debug(`Artboard ${artboardDef.name} has ${textRunCount} text runs`);
+
+					if (!currentArtboardEntry.textRuns) {
+						currentArtboardEntry.textRuns = [];
+					}
+					for (let t = 0; t < textRunCount; t++) {
+						try {
+							const textRun = artboardDef.textValueRunByIndex(t);
+							if (textRun && textRun.name) {
+								currentArtboardEntry.textRuns.push({
+									name: textRun.name,
+									text: textRun.text,
+									path: null,
+								});
+							}
+						} catch (textRunError) {
+							logger.error(`Error processing text run ${t} of artboard ${artboardDef.name}:`, textRunError);
+						}
+					}
+				} catch (textRunCountError) {
+					logger.error(`Error getting text run count for artboard ${artboardDef.name}:`, textRunCountError);
+				}
+
+				// Process events defined on the artboard (they are otherwise only seen when fired)
+				try {
+					const eventCount =
+						typeof artboardDef.eventCount === "function"
+							? artboardDef.eventCount()
+							: 0;
+					logger.debug(`Artboard ${artboardDef.name} has ${eventCount} events`);
+
+					if (!currentArtboardEntry.events) {
+						currentArtboardEntry.events = [];
+					}
+					for (let e = 0; e < eventCount; e++) {
+						try {
+							const riveEvent = artboardDef.eventByIndex(e);
+							if (!riveEvent) continue;
+
+							// Core types 128 (Event) and 131 (OpenUrlEvent), see EVENT_TYPES in riveEventMapper.js
+							const eventEntry = {
+								name: riveEvent.name,
+								type: riveEvent.type === 131 ? "openUrl" : "general",
+								typeKey: riveEvent.type,
+								customProperties: Object.entries(riveEvent.properties || {}).map(
+									([propName, propValue]) => ({
+										name: propName,
+										type: typeof propValue,
+										value: propValue,
+									}),
+								),
+							};
+							if (riveEvent.type === 131) {
+								eventEntry.url = riveEvent.url || "";
+								eventEntry.target = riveEvent.target || "_blank";
+							}
+							currentArtboardEntry.events.push(eventEntry);
+							logger.debug(`Event ${e}: ${eventEntry.name} (${eventEntry.type}, ${eventEntry.customProperties.length} custom properties)`);
+						} catch (eventError) {
+							logger.error(`Error processing event ${e} of artboard ${artboardDef.name}:`, eventError);
+						}
+					}
+				} catch (eventCountError) {
+					logger.error(`Error getting event count for artboard ${artboardDef.name}:`, eventCountError);
+				}
+
+				// Process state machines
+				try {
+					const smCountOnArtboard =
+						typeof artboardDef.stateMachineCount === "function"
+							? artboardDef.stateMachineCount()
+							: 0;
+					logger.debug(`Artboard ${artboardDef.name} has ${smCountOnArtboard} state machines`);
+					
+					for (let k = 0; k < smCountOnArtboard; k++) {
+						try {
+							const stateMachine = artboardDef.stateMachineByIndex(k);
+							if (stateMachine) {
+								const smName = stateMachine.name;
+								logger.debug(`State machine ${k}: ${smName}`);
+								
+								// Create state machine instance to get inputs
+								let smInstance = null;
+								try {
+									smInstance = new riveSource.runtime.StateMachineInstance(
+										stateMachine,
+										artboardDef,
+									);
+									
+									const inputsArray = [];
+									const inputCount = smInstance.inputCount();
+									logger.debug(`State machine ${smName} has ${inputCount} inputs`);
+									
+									for (let l = 0; l < inputCount; l++) {
+										try {
+											const input = smInstance.input(l);
+											inputsArray.push({
+												name: input.name,
+												type: input.type,
+											});
+											logger.debug(`Input ${l}: ${input.name} (type: ${input.type})`);
+										} catch (inputError) {
+											logger.error(`Error processing input ${l} of state machine ${smName}:`, inputError);
+										}
+									}
+									
+									currentArtboardEntry.stateMachines.push({
+										name: smName,
+										inputs: inputsArray,
+										layers: [],
+									});
+								} catch (smInstanceError) {
+									logger.error(`Error creating state machine instance for ${smName}:`, smInstanceError);
+									// Add state machine without inputs
+									currentArtboardEntry.stateMachines.push({
+										name: smName,
+										inputs: [],
+										layers: [],
+									});
+								} finally {
+									// The instance holds a reference to the artboard, so it goes first
+									if (typeof smInstance?.delete === "function") smInstance.delete();
+								}
+							}
+						} catch (smError) {
+							logger.error(`Error processing state machine ${k} of artboard ${artboardDef.name}:`, smError);
+						}
+					}
+				} catch (smCountError) {
+					logger.error(`Error getting state machine count for artboard ${artboardDef.name}:`, smCountError);
+				}
+				
+				logger.debug(`Completed processing artboard ${artboardDef.name}`);
+			} catch (artboardError) {
+				logger.error(`Error processing artboard ${i}:`, artboardError);
+			} finally {
+				if (typeof artboardDef?.delete === "function") artboardDef.delete();
+			}
+			reportProgress({ stage: "artboards", message: "Reading artboards", completed: i + 1, total: artboardCount });
+		}
+		
+		logger.debug("Artboard information extraction completed");
+	} catch (artboardLoopError) {
+		logger.error("Error during artboard loop:", artboardLoopError);
+	}
+
+	// --- Set Default ViewModel Name ---
+	if (allFoundViewModelDefinitions.length > 0) {
+		result.defaultElements.viewModelName =
+			allFoundViewModelDefinitions[0].name;
+		logger.debug(
+			`Default ViewModel name set to: ${result.defaultElements.viewModelName}`,
+		);
+	}
+
+	return result;
+}
+/**
+ * Builds an object with the members of a Rive instance that extractRiveFileData reads,
+ * backed by a file loaded through the low-level runtime.
+ * @param {object} rive - The Rive runtime package (`@rive-app/webgl2`), for its ViewModel and DataEnum wrappers.
+ * @param {object} runtime - The low-level runtime from rive.RuntimeLoader.
+ * @param {object} file - The runtime File.
+ * @returns {object} The parser source for extractRiveFileData. Its `artboard` is a wasm instance
+ *   the caller must delete once parsing is done.
+ */
+function createRiveFileSource(rive, runtime, file) {
+	const artboard = file.defaultArtboard();
+	return {
+		runtime: runtime,
+		file: file,
+		artboard: artboard,
+		// Matches runOriginalClientParser, whose Rive instance is not auto-bound
+		viewModelInstance: null,
+		viewModelCount: file.viewModelCount(),
+		enums: () => file.enums().map((dataEnum) => new rive.DataEnum(dataEnum)),
+		viewModelByIndex: (index) => {
+			const viewModel = file.viewModelByIndex(index);
+			return viewModel ? new rive.ViewModel(viewModel) : null;
+		},
+		defaultViewModel: () => {
+			const viewModel = artboard ? file.defaultArtboardViewModel(artboard) : null;
+			return viewModel ? new rive.ViewModel(viewModel) : null;
+		},
+	};
+}
+
+/**
+ * Parses .riv file bytes without a canvas, using the low-level runtime. Produces the same
+ * result as runOriginalClientParser, except for `defaultElements.src`, which callers set.
+ *
+ * @param {object} rive - The Rive runtime package (`@rive-app/webgl2`), with its wasm URL already set.
+ * @param {Uint8Array} bytes - The .riv file bytes.
+ * @param {function({stage: string, message: string, completed?: number, total?: number}): void} [onProgress] -
+ *   Called as each parsing stage starts and after each artboard.
+ * @returns {Promise<object>} The parsed result as plain JSON data.
+ * @throws {Error} With `phase` "load" if the runtime could not load the file, or "parsing" if extraction failed.
+ */
+async function parseRiveBytes(rive, bytes, onProgress) {
+	const reportProgress = typeof onProgress === "function" ? onProgress : () => {};
+
+	reportProgress({ stage: "runtime", message: "Loading Rive runtime" });
+	const runtime = await rive.RuntimeLoader.awaitInstance();
+
+	reportProgress({ stage: "file", message: "Loading file" });
+	const collectedAssets = [];
+	let file;
+	try {
+		const assetLoader = new runtime.CustomFileAssetLoader({
+			loadContents: (asset) => {
+				collectedAssets.push({
+					name: asset.name,
+					type: asset.type,
+					cdnUuid: asset.cdnUuid,
+				});
+				return false;
+			},
+		});
+		// Asset bytes are never needed for parsing, so skip the CDN
+		file = await runtime.load(bytes, assetLoader, false);
+		if (!file) {
+			throw new Error("Runtime returned no file");
+		}
+	} catch (loadError) {
+		logger.error("Problem loading file; may be corrupt!", loadError);
+		const error = new Error(`Problem loading file; may be corrupt! (${loadError.message || loadError})`);
+		error.phase = "load";
+		throw error;
+	}
+
+	let source = null;
+	try {
+		source = createRiveFileSource(rive, runtime, file);
+		const result = extractRiveFileData(source, collectedAssets, reportProgress);
+
+		reportProgress({ stage: "structure", message: "Reading state machine structure" });
+		attachFileStructure(result, bytes);
+
+		reportProgress({ stage: "done", message: "Parsing complete" });
+		return JSON.parse(JSON.stringify(result));
+	} catch (parseError) {
+		logger.error("CRITICAL ERROR during parsing phase:", parseError);
+		parseError.phase = "parsing";
+		throw parseError;
+	} finally {
+		// The artboard refers to the file's data, so delete it before releasing the file
+		if (source?.artboard && typeof source.artboard.delete === "function") {
+			source.artboard.delete();
+		}
+		if (typeof file.unref === "function") {
+			file.unref();
+		}
+	}
+}
+
+export {
+	parseViewModelInstanceRecursive,
+	attachFileStructure,
+	extractRiveFileData,
+	parseRiveBytes,
+};
+
+// parser.js is a classic script, so expose the extractor globally as well
+if (typeof window !== "undefined") {
+	window.riveFileExtractor = { extractRiveFileData, attachFileStructure };
+}
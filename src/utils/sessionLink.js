@@ -0,0 +1,79 @@
+/**
+ * @file sessionLink.js
+ * Encodes the playground setup (selection, display settings, ViewModel and state machine input
+ * values) into a `session` query parameter, so a link can reopen the playground exactly as it was.
+ * The file itself travels separately in the `src` parameter, and only when it has a URL.
+ */
+
+const SESSION_PARAM = "session";
+const SESSION_VERSION = 1;
+
+/**
+ * Encodes a string as base64url (URL safe, no padding)
+ * @param {string} text - The text to encode
+ * @returns {string}
+ */
+function toBase64Url(text) {
+	const bytes = new TextEncoder().encode(text);
+	let binary = "";
+	bytes.forEach((byte) => {
+		binary += String.fromCharCode(byte);
+	});
+	return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decodes a base64url string
+ * @param {string} encoded - The encoded text
+ * @returns {string}
+ */
+function fromBase64Url(encoded) {
+	const base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+	const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "="));
+	return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+/**
+ * Builds a link that reopens the playground with the given session
+ * @param {string} pageHref - The playground page URL
+ * @param {string | null} src - URL of the loaded file, or null for a local file
+ * @param {{file?: string, artboard?: string, animation?: string, stateMachine?: string, fit?: string,
+ *   alignment?: string, scale?: number, background?: string, viewModel?: object, inputs?: object}} session
+ *   - The playground setup
+ * @returns {string} The link
+ */
+function buildSessionLink(pageHref, src, session) {
+	const url = new URL(pageHref);
+	url.search = "";
+	url.hash = "";
+	if (src) {
+		url.searchParams.set("src", src);
+	}
+	url.searchParams.set(SESSION_PARAM, toBase64Url(JSON.stringify({ v: SESSION_VERSION, ...session })));
+	return url.href;
+}
+
+/**
+ * Reads the session from a page URL's query parameters
+ * @param {string} search - The query string, e.g. window.location.search
+ * @returns {object | null} The session, or null if the URL has none
+ * @throws {Error} If the session parameter is malformed or from an unsupported version
+ */
+function readSessionParameter(search) {
+	const encoded = new URLSearchParams(search).get(SESSION_PARAM);
+	if (!encoded) return null;
+
+	let session;
+	try {
+		session = JSON.parse(fromBase64Url(encoded));
+	} catch (error) {
+		throw new Error(`Session link is malformed (${error.message})`);
+	}
+	if (!session || typeof session !== "object" || session.v !== SESSION_VERSION) {
+		throw new Error("Session link is from an unsupported version");
+	}
+	delete session.v;
+	return session;
+}
+
+export { SESSION_PARAM, buildSessionLink, readSessionParameter };
@@ -0,0 +1,182 @@
+/**
+ * @file zipArchive.js
+ * Minimal zip support for bundling asset files. Archives are written uncompressed (assets are
+ * already compressed images, fonts and audio), and read with either no compression or deflate,
+ * which covers zips made by operating systems and common tools. Zip64 and encryption are not
+ * supported.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 of some bytes, as stored in zip headers
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+	if (!crcTable) {
+		crcTable = new Uint32Array(256);
+		for (let n = 0; n < 256; n++) {
+			let c = n;
+			for (let k = 0; k < 8; k++) {
+				c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+			}
+			crcTable[n] = c >>> 0;
+		}
+	}
+	let crc = 0xffffffff;
+	for (let i = 0; i < bytes.length; i++) {
+		crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date to MS-DOS date and time fields
+ * @param {Date} date - The date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+	return {
+		time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+		date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+	};
+}
+
+/**
+ * Creates an uncompressed zip archive
+ * @param {Array<{name: string, bytes: Uint8Array}>} entries - The files; names may contain "/" for folders
+ * @returns {Blob} The archive
+ */
+function createZip(entries) {
+	const encoder = new TextEncoder();
+	const { time, date } = toDosDateTime(new Date());
+	const parts = [];
+	const centralParts = [];
+	let offset = 0;
+
+	entries.forEach(({ name, bytes }) => {
+		const nameBytes = encoder.encode(name);
+		const crc = crc32(bytes);
+
+		const local = new DataView(new ArrayBuffer(30));
+		local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+		local.setUint16(4, 20, true); // Version needed to extract
+		local.setUint16(6, UTF8_FLAG, true);
+		local.setUint16(8, 0, true); // Stored
+		local.setUint16(10, time, true);
+		local.setUint16(12, date, true);
+		local.setUint32(14, crc, true);
+		local.setUint32(18, bytes.length, true);
+		local.setUint32(22, bytes.length, true);
+		local.setUint16(26, nameBytes.length, true);
+		local.setUint16(28, 0, true);
+		parts.push(local, nameBytes, bytes);
+
+		const central = new DataView(new ArrayBuffer(46));
+		central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+		central.setUint16(4, 20, true); // Version made by
+		central.setUint16(6, 20, true);
+		central.setUint16(8, UTF8_FLAG, true);
+		central.setUint16(10, 0, true);
+		central.setUint16(12, time, true);
+		central.setUint16(14, date, true);
+		central.setUint32(16, crc, true);
+		central.setUint32(20, bytes.length, true);
+		central.setUint32(24, bytes.length, true);
+		central.setUint16(28, nameBytes.length, true);
+		central.setUint32(42, offset, true);
+		centralParts.push(central, nameBytes);
+
+		offset += 30 + nameBytes.length + bytes.length;
+	});
+
+	const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+	const end = new DataView(new ArrayBuffer(22));
+	end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+	end.setUint16(8, entries.length, true);
+	end.setUint16(10, entries.length, true);
+	end.setUint32(12, centralSize, true);
+	end.setUint32(16, offset, true);
+
+	return new Blob([...parts, ...centralParts, end], { type: "application/zip" });
+}
+
+/**
+ * Inflates raw deflate data
+ * @param {Uint8Array} bytes - The compressed bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(bytes) {
+	const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+	return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads the files in a zip archive. Folders are skipped.
+ * @param {Uint8Array} bytes - The archive
+ * @returns {Promise<Array<{name: string, bytes: Uint8Array}>>} The files, in archive order
+ * @throws {Error} If the bytes aren't a supported zip archive
+ */
+async function readZip(bytes) {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+	// The end of central directory record is at the end, before an optional comment
+	let endOffset = -1;
+	for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+		if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+			endOffset = i;
+			break;
+		}
+	}
+	if (endOffset === -1) {
+		throw new Error("Not a zip archive");
+	}
+
+	const entryCount = view.getUint16(endOffset + 10, true);
+	let offset = view.getUint32(endOffset + 16, true);
+	const utf8 = new TextDecoder();
+	const latin1 = new TextDecoder("latin1");
+	const files = [];
+
+	for (let i = 0; i < entryCount; i++) {
+		if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+			throw new Error("Corrupt zip central directory");
+		}
+		const flags = view.getUint16(offset + 8, true);
+		const method = view.getUint16(offset + 10, true);
+		const compressedSize = view.getUint32(offset + 20, true);
+		const nameLength = view.getUint16(offset + 28, true);
+		const extraLength = view.getUint16(offset + 30, true);
+		const commentLength = view.getUint16(offset + 32, true);
+		const localOffset = view.getUint32(offset + 42, true);
+		const nameBytes = bytes.subarray(offset + 46, offset + 46 + nameLength);
+		const name = (flags & UTF8_FLAG ? utf8 : latin1).decode(nameBytes);
+		offset += 46 + nameLength + extraLength + commentLength;
+
+		if (name.endsWith("/")) continue;
+		if (flags & 0x0001) {
+			throw new Error(`${name} is encrypted`);
+		}
+
+		// Sizes in the local header may be zero when a data descriptor follows, so use the central ones
+		const dataOffset =
+			localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+		const data = bytes.subarray(dataOffset, dataOffset + compressedSize);
+		if (method === 0) {
+			files.push({ name, bytes: data.slice() });
+		} else if (method === 8) {
+			files.push({ name, bytes: await inflateRaw(data) });
+		} else {
+			throw new Error(`${name} uses an unsupported compression method (${method})`);
+		}
+	}
+	return files;
+}
+
+export { createZip, readZip };
@@ -0,0 +1,180 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateSync } from "node:zlib";
+
+import {
+	detectFontFormat,
+	getSfntBytes,
+	readFontNames,
+} from "../src/utils/fontNameReader.js";
+
+/**
+ * Builds a `name` table with Windows English records
+ * @param {Object<number, string>} names - Strings by name ID
+ * @returns {Uint8Array}
+ */
+function makeNameTable(names) {
+	const entries = Object.entries(names).map(([nameId, text]) => [
+		Number(nameId),
+		Buffer.from(text, "utf16le").swap16(),
+	]);
+	const header = Buffer.alloc(6 + entries.length * 12);
+	header.writeUInt16BE(entries.length, 2);
+	header.writeUInt16BE(header.length, 4);
+	let offset = 0;
+	entries.forEach(([nameId, text], i) => {
+		const record = 6 + i * 12;
+		header.writeUInt16BE(3, record); // Windows
+		header.writeUInt16BE(1, record + 2); // Unicode BMP
+		header.writeUInt16BE(0x409, record + 4); // English (US)
+		header.writeUInt16BE(nameId, record + 6);
+		header.writeUInt16BE(text.length, record + 8);
+		header.writeUInt16BE(offset, record + 10);
+		offset += text.length;
+	});
+	return new Uint8Array(
+		Buffer.concat([header, ...entries.map(([, text]) => text)]),
+	);
+}
+
+const tag = (text) => Buffer.from(text, "latin1").readUInt32BE(0);
+
+/**
+ * Builds a TrueType font from its tables, laid out the way getSfntBytes rebuilds WOFF fonts
+ * @param {Array<{tag: string, checksum: number, bytes: Uint8Array}>} tables - The tables, in order
+ * @returns {Uint8Array}
+ */
+function makeSfnt(tables) {
+	const directoryLength = 12 + tables.length * 16;
+	const padded = (length) => (length + 3) & ~3;
+	const sfnt = Buffer.alloc(
+		tables.reduce(
+			(length, table) => length + padded(table.bytes.length),
+			directoryLength,
+		),
+	);
+	const entrySelector = Math.floor(Math.log2(tables.length));
+	sfnt.writeUInt32BE(0x00010000, 0);
+	sfnt.writeUInt16BE(tables.length, 4);
+	sfnt.writeUInt16BE(2 ** entrySelector * 16, 6);
+	sfnt.writeUInt16BE(entrySelector, 8);
+	sfnt.writeUInt16BE(tables.length * 16 - 2 ** entrySelector * 16, 10);
+	let offset = directoryLength;
+	tables.forEach((table, i) => {
+		const record = 12 + i * 16;
+		sfnt.writeUInt32BE(tag(table.tag), record);
+		sfnt.writeUInt32BE(table.checksum, record + 4);
+		sfnt.writeUInt32BE(offset, record + 8);
+		sfnt.writeUInt32BE(table.bytes.length, record + 12);
+		sfnt.set(table.bytes, offset);
+		offset += padded(table.bytes.length);
+	});
+	return new Uint8Array(sfnt);
+}
+
+/**
+ * Wraps tables in a WOFF file, compressing the ones that get smaller
+ * @param {Array<{tag: string, checksum: number, bytes: Uint8Array}>} tables - The tables, in order
+ * @returns {Uint8Array}
+ */
+function makeWoff(tables) {
+	const header = Buffer.alloc(44 + tables.length * 20);
+	header.write("wOFF", 0, "latin1");
+	header.writeUInt32BE(0x00010000, 4);
+	header.writeUInt16BE(tables.length, 12);
+	const bodies = [];
+	let offset = header.length;
+	tables.forEach((table, i) => {
+		const compressed = deflateSync(table.bytes);
+		const body =
+			compressed.length < table.bytes.length
+				? compressed
+				: Buffer.from(table.bytes);
+		const record = 44 + i * 20;
+		header.writeUInt32BE(tag(table.tag), record);
+		header.writeUInt32BE(offset, record + 4);
+		header.writeUInt32BE(body.length, record + 8);
+		header.writeUInt32BE(table.bytes.length, record + 12);
+		header.writeUInt32BE(table.checksum, record + 16);
+		const padding = Buffer.alloc(((body.length + 3) & ~3) - body.length);
+		bodies.push(body, padding);
+		offset += body.length + padding.length;
+	});
+	return new Uint8Array(Buffer.concat([header, ...bodies]));
+}
+
+const TABLES = [
+	{
+		tag: "head",
+		checksum: 0x12345678,
+		bytes: new Uint8Array([1, 2, 3, 4, 5, 6, 7]),
+	},
+	{
+		tag: "name",
+		checksum: 0x9abcdef0,
+		bytes: makeNameTable({
+			1: "Test Sans",
+			2: "Bold",
+			4: "Test Sans Bold",
+			16: "Test Sans Family",
+		}),
+	},
+	{ tag: "zzzz", checksum: 1, bytes: new Uint8Array(300).fill(7) },
+];
+
+test("detects font formats from their signature", () => {
+	assert.equal(detectFontFormat(makeSfnt(TABLES)), "TrueType");
+	assert.equal(detectFontFormat(makeWoff(TABLES)), "WOFF");
+	assert.equal(
+		detectFontFormat(new TextEncoder().encode("OTTO00000000")),
+		"OpenType",
+	);
+	assert.equal(
+		detectFontFormat(new TextEncoder().encode("wOF200000000")),
+		"WOFF2",
+	);
+	assert.equal(
+		detectFontFormat(new TextEncoder().encode("hello world!")),
+		null,
+	);
+	assert.equal(detectFontFormat(new Uint8Array(4)), null);
+});
+
+test("unwraps WOFF into the same sfnt font", async () => {
+	const woff = makeWoff(TABLES);
+	assert.ok(
+		new DataView(woff.buffer).getUint32(44 + 2 * 20 + 8) < 300,
+		"the padding table is compressed",
+	);
+
+	assert.deepEqual(await getSfntBytes(woff), makeSfnt(TABLES));
+});
+
+test("passes sfnt fonts through and rejects other files", async () => {
+	const sfnt = makeSfnt(TABLES);
+	assert.equal(await getSfntBytes(sfnt), sfnt);
+	await assert.rejects(
+		getSfntBytes(new TextEncoder().encode("wOF200000000")),
+		/WOFF2 fonts aren't supported/,
+	);
+	await assert.rejects(
+		getSfntBytes(new TextEncoder().encode("hello world!")),
+		/Not a TTF, OTF or WOFF/,
+	);
+});
+
+test("reads names from TrueType and WOFF fonts, preferring typographic names", async () => {
+	const expected = {
+		family: "Test Sans Family",
+		style: "Bold",
+		fullName: "Test Sans Bold",
+	};
+	assert.deepEqual(await readFontNames(makeSfnt(TABLES)), {
+		format: "TrueType",
+		...expected,
+	});
+	assert.deepEqual(await readFontNames(makeWoff(TABLES)), {
+		format: "WOFF",
+		...expected,
+	});
+});
@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+	PARSER_SCHEMA_VERSION,
+	validateParserOutput,
+} from "../src/utils/parserOutputSchema.js";
+
+/**
+ * Builds the smallest parser result that matches the schema
+ * @param {object} overrides - Top-level fields to replace
+ * @returns {object}
+ */
+function makeOutput(overrides = {}) {
+	return {
+		schemaVersion: PARSER_SCHEMA_VERSION,
+		artboards: [
+			{
+				name: "Main",
+				animations: [{ name: "idle", fps: 60, duration: 60 }],
+				stateMachines: [
+					{
+						name: "SM",
+						inputs: [{ name: "tap", type: 58 }],
+						layers: [
+							{
+								name: "Layer 1",
+								states: [
+									{
+										index: 0,
+										name: "entry",
+										kind: "entry",
+										type: "EntryState",
+										animationName: null,
+										transitions: [],
+									},
+								],
+							},
+						],
+					},
+				],
+				viewModels: [],
+				textRuns: [],
+				events: [],
+				nestedArtboards: [],
+			},
+		],
+		assets: [],
+		allViewModelDefinitionsAndInstances: [],
+		enums: [{ name: "Mode", values: ["on", "off"] }],
+		defaultElements: {
+			artboardName: "Main",
+			stateMachineNames: ["SM"],
+			viewModelName: null,
+		},
+		...overrides,
+	};
+}
+
+test("accepts a well-formed result", () => {
+	assert.deepEqual(validateParserOutput(makeOutput()), {
+		valid: true,
+		errors: [],
+	});
+});
+
+test("reports missing required properties with their path", () => {
+	const output = makeOutput();
+	delete output.enums;
+	delete output.artboards[0].stateMachines[0].layers;
+
+	const { valid, errors } = validateParserOutput(output);
+	assert.equal(valid, false);
+	assert.deepEqual(errors, [
+		{ path: "$", message: 'missing required property "enums"' },
+		{
+			path: "$.artboards[0].stateMachines[0]",
+			message: 'missing required property "layers"',
+		},
+	]);
+});
+
+test("treats undefined properties as absent", () => {
+	const { errors } = validateParserOutput(makeOutput({ enums: undefined }));
+	assert.deepEqual(errors, [
+		{ path: "$", message: 'missing required property "enums"' },
+	]);
+});
+
+test("reports type, const and enum mismatches", () => {
+	const output = makeOutput({ schemaVersion: "0.0.0" });
+	output.artboards[0].animations[0].fps = "60";
+	output.artboards[0].stateMachines[0].layers[0].states[0].kind = "start";
+
+	const { errors } = validateParserOutput(output);
+	assert.deepEqual(
+		errors.map((error) => error.path),
+		[
+			"$.schemaVersion",
+			"$.artboards[0].animations[0].fps",
+			"$.artboards[0].stateMachines[0].layers[0].states[0].kind",
+		],
+	);
+	assert.match(errors[1].message, /expected number, got string/);
+});
+
+test("accepts integers where numbers are expected but not the reverse", () => {
+	const output = makeOutput();
+	output.artboards[0].animations[0].duration = 1.5;
+	output.artboards[0].stateMachines[0].inputs[0].type = 58.5;
+
+	const { errors } = validateParserOutput(output);
+	assert.deepEqual(errors, [
+		{
+			path: "$.artboards[0].stateMachines[0].inputs[0].type",
+			message: "expected integer, got number",
+		},
+	]);
+});
+
+test("accepts null for nullable strings", () => {
+	const output = makeOutput();
+	output.defaultElements.src = null;
+	assert.equal(validateParserOutput(output).valid, true);
+
+	output.defaultElements.src = 42;
+	assert.equal(validateParserOutput(output).valid, false);
+});
@@ -0,0 +1,218 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+	PROPERTY_KEYS,
+	TYPE_KEYS,
+	readFileStructure,
+} from "../src/utils/rivBinaryReader.js";
+
+const FIELD = { UINT: 0, STRING: 1, DOUBLE: 2, COLOR: 3 };
+
+/**
+ * Writes .riv bytes: a header with a table of contents, then objects
+ */
+class RivWriter {
+	constructor(tableOfContents = {}, { majorVersion = 7 } = {}) {
+		this.bytes = [];
+		this.bytes.push(..."RIVE".split("").map((char) => char.charCodeAt(0)));
+		this.varUint(majorVersion);
+		this.varUint(0);
+		this.varUint(0);
+
+		const keys = Object.keys(tableOfContents).map(Number);
+		keys.forEach((key) => this.varUint(key));
+		this.varUint(0);
+		for (let i = 0; i < keys.length; i += 4) {
+			let packed = 0;
+			keys.slice(i, i + 4).forEach((key, slot) => {
+				packed |= tableOfContents[key] << (slot * 2);
+			});
+			this.uint32(packed);
+		}
+	}
+
+	varUint(value) {
+		do {
+			let byte = value & 0x7f;
+			value >>>= 7;
+			if (value) byte |= 0x80;
+			this.bytes.push(byte);
+		} while (value);
+	}
+
+	uint32(value) {
+		const buffer = Buffer.alloc(4);
+		buffer.writeUInt32LE(value >>> 0);
+		this.bytes.push(...buffer);
+	}
+
+	float32(value) {
+		const buffer = Buffer.alloc(4);
+		buffer.writeFloatLE(value);
+		this.bytes.push(...buffer);
+	}
+
+	string(value) {
+		const encoded = Buffer.from(value);
+		this.varUint(encoded.length);
+		this.bytes.push(...encoded);
+	}
+
+	/**
+	 * Writes an object
+	 * @param {number} typeKey - Core type key
+	 * @param {Array<[number, number, *]>} properties - [key, field type, value] triples
+	 * @returns {RivWriter}
+	 */
+	object(typeKey, properties = []) {
+		this.varUint(typeKey);
+		properties.forEach(([key, fieldType, value]) => {
+			this.varUint(key);
+			if (fieldType === FIELD.STRING) this.string(value);
+			else if (fieldType === FIELD.DOUBLE) this.float32(value);
+			else if (fieldType === FIELD.COLOR) this.uint32(value);
+			else this.varUint(value);
+		});
+		this.varUint(0);
+		return this;
+	}
+
+	toBytes() {
+		return new Uint8Array(this.bytes);
+	}
+}
+
+// Artboard width and height, which the reader has no field types for
+const WIDTH = 7;
+const HEIGHT = 8;
+const TABLE_OF_CONTENTS = { [WIDTH]: FIELD.DOUBLE, [HEIGHT]: FIELD.DOUBLE };
+
+const name = (value) => [PROPERTY_KEYS.COMPONENT_NAME, FIELD.STRING, value];
+const smName = (value) => [
+	PROPERTY_KEYS.STATE_MACHINE_COMPONENT_NAME,
+	FIELD.STRING,
+	value,
+];
+
+/**
+ * Writes an artboard with one animation and a state machine that goes
+ * entry → idle → exit when its "on" input is false
+ * @param {RivWriter} writer - The writer
+ * @param {string} artboardName - The artboard name
+ * @returns {RivWriter}
+ */
+function writeArtboard(writer, artboardName) {
+	return writer
+		.object(TYPE_KEYS.ARTBOARD, [
+			name(artboardName),
+			[WIDTH, FIELD.DOUBLE, 100],
+			[HEIGHT, FIELD.DOUBLE, 50],
+		])
+		.object(TYPE_KEYS.LINEAR_ANIMATION, [
+			[PROPERTY_KEYS.ANIMATION_NAME, FIELD.STRING, "idle"],
+		])
+		.object(TYPE_KEYS.STATE_MACHINE, [
+			[PROPERTY_KEYS.ANIMATION_NAME, FIELD.STRING, "SM"],
+		])
+		.object(TYPE_KEYS.STATE_MACHINE_BOOL, [smName("on")])
+		.object(TYPE_KEYS.STATE_MACHINE_LAYER, [smName("Layer 1")])
+		.object(TYPE_KEYS.ENTRY_STATE)
+		.object(TYPE_KEYS.STATE_TRANSITION, [
+			[PROPERTY_KEYS.TRANSITION_STATE_TO_ID, FIELD.UINT, 3],
+		])
+		.object(TYPE_KEYS.ANY_STATE)
+		.object(TYPE_KEYS.EXIT_STATE)
+		.object(TYPE_KEYS.ANIMATION_STATE, [
+			[PROPERTY_KEYS.ANIMATION_STATE_ANIMATION_ID, FIELD.UINT, 0],
+		])
+		.object(TYPE_KEYS.STATE_TRANSITION, [
+			[PROPERTY_KEYS.TRANSITION_STATE_TO_ID, FIELD.UINT, 2],
+			[PROPERTY_KEYS.TRANSITION_DURATION, FIELD.UINT, 250],
+		])
+		.object(TYPE_KEYS.TRANSITION_BOOL_CONDITION, [
+			[PROPERTY_KEYS.CONDITION_INPUT_ID, FIELD.UINT, 0],
+			[PROPERTY_KEYS.CONDITION_OP_VALUE, FIELD.UINT, 1],
+		]);
+}
+
+test("reads the layers, states and transitions of a state machine", () => {
+	const { artboards, partial } = readFileStructure(
+		writeArtboard(new RivWriter(TABLE_OF_CONTENTS), "Main").toBytes(),
+	);
+
+	assert.equal(partial, false);
+	assert.equal(artboards.length, 1);
+	const [stateMachine] = artboards[0].stateMachines;
+	assert.deepEqual(stateMachine.inputs, [{ name: "on", type: "boolean" }]);
+
+	const [layer] = stateMachine.layers;
+	assert.equal(layer.name, "Layer 1");
+	assert.deepEqual(
+		layer.states.map((state) => [state.name, state.kind]),
+		[
+			["entry", "entry"],
+			["any", "any"],
+			["exit", "exit"],
+			["idle", "animation"],
+		],
+	);
+	assert.deepEqual(layer.states[3].transitions, [
+		{
+			targetStateIndex: 2,
+			targetState: "exit",
+			duration: 250,
+			durationUnit: "ms",
+			disabled: false,
+			conditions: [
+				{ input: "on", inputType: "boolean", op: "==", value: false },
+			],
+		},
+	]);
+});
+
+test("skips properties it doesn't know using the table of contents", () => {
+	const UNKNOWN_STRING = 9001;
+	const UNKNOWN_COLOR = 9002;
+	const writer = new RivWriter({
+		...TABLE_OF_CONTENTS,
+		[UNKNOWN_STRING]: FIELD.STRING,
+		[UNKNOWN_COLOR]: FIELD.COLOR,
+	});
+	writer.object(5000, [
+		[UNKNOWN_STRING, FIELD.STRING, "skip me"],
+		[UNKNOWN_COLOR, FIELD.COLOR, 0xff00ff00],
+	]);
+	writeArtboard(writer, "Main");
+
+	const { artboards, partial } = readFileStructure(writer.toBytes());
+	assert.equal(partial, false);
+	assert.equal(artboards[0].stateMachines[0].layers[0].states.length, 4);
+});
+
+test("stops at a property of unknown type and marks the result partial", () => {
+	const writer = writeArtboard(new RivWriter(TABLE_OF_CONTENTS), "First");
+	writer.object(5000, [[9003, FIELD.UINT, 1]]);
+	writeArtboard(writer, "Second");
+
+	const { artboards, partial } = readFileStructure(writer.toBytes());
+	assert.equal(partial, true);
+	assert.deepEqual(
+		artboards.map((artboard) => artboard.name),
+		["First"],
+	);
+	assert.equal(artboards[0].stateMachines[0].partial, true);
+	assert.equal(artboards[0].stateMachines[0].layers[0].states.length, 4);
+});
+
+test("rejects files that aren't Rive files or have an unsupported version", () => {
+	assert.throws(
+		() => readFileStructure(new TextEncoder().encode("NOPE1234")),
+		/Not a Rive file/,
+	);
+	assert.throws(
+		() =>
+			readFileStructure(new RivWriter({}, { majorVersion: 6 }).toBytes()),
+		/Unsupported Rive file version 6/,
+	);
+});
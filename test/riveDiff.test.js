@@ -0,0 +1,166 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+	DIFF_STATUS,
+	diffParsedData,
+	formatDiffAsMarkdown,
+} from "../src/utils/riveDiff.js";
+
+/**
+ * Builds a parser result with one artboard and one ViewModel
+ * @param {{animations?: Array<object>, inputs?: Array<object>, properties?: Array<object>, enums?: Array<object>}} parts
+ * @returns {object}
+ */
+function makeParsedData({
+	animations = [],
+	inputs = [],
+	properties = [],
+	enums = [],
+} = {}) {
+	return {
+		artboards: [
+			{
+				name: "Main",
+				animations,
+				stateMachines: [{ name: "SM", inputs }],
+			},
+		],
+		allViewModelDefinitionsAndInstances: [
+			{
+				definitionName: "Card",
+				parsedData: { inputs: properties, nestedViewModels: [] },
+			},
+		],
+		enums,
+		defaultElements: {},
+	};
+}
+
+const idle = { name: "idle", fps: 60, duration: 60 };
+const walk = { name: "walk", fps: 30, duration: 90 };
+
+test("reports identical files as unchanged", () => {
+	const data = makeParsedData({
+		animations: [idle],
+		inputs: [{ name: "tap", type: 58 }],
+	});
+	const diff = diffParsedData(data, structuredClone(data));
+
+	assert.deepEqual(diff.summary, {
+		added: 0,
+		removed: 0,
+		renamed: 0,
+		changed: 0,
+	});
+	assert.equal(diff.artboards[0].status, DIFF_STATUS.UNCHANGED);
+});
+
+test("reports added, removed and changed items", () => {
+	const before = makeParsedData({
+		animations: [idle, walk],
+		properties: [{ name: "title", type: "string" }],
+	});
+	const after = makeParsedData({
+		animations: [{ ...idle, duration: 120 }],
+		properties: [
+			{ name: "title", type: "string" },
+			{ name: "count", type: "number" },
+		],
+	});
+	const diff = diffParsedData(before, after);
+
+	const [artboard] = diff.artboards;
+	assert.equal(artboard.status, DIFF_STATUS.CHANGED);
+	const byName = Object.fromEntries(
+		artboard.children.map((node) => [node.name, node]),
+	);
+	assert.equal(byName.idle.status, DIFF_STATUS.CHANGED);
+	assert.deepEqual(byName.idle.changes, [
+		{ field: "duration", before: 60, after: 120 },
+	]);
+	assert.equal(byName.walk.status, DIFF_STATUS.REMOVED);
+
+	const [viewModel] = diff.viewModels;
+	assert.deepEqual(
+		viewModel.children.map((node) => [node.name, node.status]),
+		[
+			["title", DIFF_STATUS.UNCHANGED],
+			["count", DIFF_STATUS.ADDED],
+		],
+	);
+	assert.deepEqual(diff.summary, {
+		added: 1,
+		removed: 1,
+		renamed: 0,
+		changed: 3,
+	});
+});
+
+test("pairs a removed and an added item of the same shape as a rename", () => {
+	const before = makeParsedData({ inputs: [{ name: "tap", type: 58 }] });
+	const after = makeParsedData({ inputs: [{ name: "press", type: 58 }] });
+	const [input] = diffParsedData(before, after).artboards[0].children[0]
+		.children;
+
+	assert.equal(input.status, DIFF_STATUS.RENAMED);
+	assert.equal(input.previousName, "tap");
+	assert.equal(input.name, "press");
+});
+
+test("doesn't guess a rename when two candidates match equally well", () => {
+	const before = makeParsedData({ inputs: [{ name: "tap", type: 58 }] });
+	const after = makeParsedData({
+		inputs: [
+			{ name: "press", type: 58 },
+			{ name: "click", type: 58 },
+		],
+	});
+	const statuses = diffParsedData(
+		before,
+		after,
+	).artboards[0].children[0].children.map((node) => node.status);
+
+	assert.deepEqual(statuses, [
+		DIFF_STATUS.ADDED,
+		DIFF_STATUS.ADDED,
+		DIFF_STATUS.REMOVED,
+	]);
+});
+
+test("treats an enum value replaced at the same position as a rename", () => {
+	const before = makeParsedData({
+		enums: [{ name: "Mode", values: ["on", "off"] }],
+	});
+	const after = makeParsedData({
+		enums: [{ name: "Mode", values: ["on", "auto", "eco"] }],
+	});
+	const [mode] = diffParsedData(before, after).enums;
+
+	assert.equal(mode.status, DIFF_STATUS.CHANGED);
+	assert.deepEqual(
+		mode.children.map((node) => [
+			node.previousName ?? null,
+			node.name,
+			node.status,
+		]),
+		[
+			[null, "on", DIFF_STATUS.UNCHANGED],
+			["off", "auto", DIFF_STATUS.RENAMED],
+			[null, "eco", DIFF_STATUS.ADDED],
+		],
+	);
+});
+
+test("formats a diff as Markdown", () => {
+	const before = makeParsedData({ inputs: [{ name: "tap", type: 58 }] });
+	const after = makeParsedData({ inputs: [{ name: "press", type: 58 }] });
+	const markdown = formatDiffAsMarkdown(
+		diffParsedData(before, after, { before: "a.riv", after: "b.riv" }),
+	);
+
+	assert.match(markdown, /^# Rive File Comparison\n/);
+	assert.match(markdown, /- \*\*Before\*\*: a\.riv/);
+	assert.match(markdown, /\*\*Renamed\*\* Input `tap` → `press`/);
+	assert.match(markdown, /## Enums\n\nNo changes\./);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+	SESSION_PARAM,
+	buildSessionLink,
+	readSessionParameter,
+} from "../src/utils/sessionLink.js";
+
+const PAGE = "https://example.com/playground/index.html?old=1#panel";
+
+test("round-trips a session through a link", () => {
+	const session = {
+		file: "card.riv",
+		artboard: "Main",
+		scale: 1.5,
+		viewModel: { title: "Hello", count: 3 },
+		inputs: { SM: { isHover: true } },
+	};
+	const link = new URL(
+		buildSessionLink(PAGE, "https://cdn.example.com/card.riv", session),
+	);
+
+	assert.equal(
+		link.origin + link.pathname,
+		"https://example.com/playground/index.html",
+	);
+	assert.equal(link.hash, "");
+	assert.equal(link.searchParams.get("old"), null);
+	assert.equal(
+		link.searchParams.get("src"),
+		"https://cdn.example.com/card.riv",
+	);
+	assert.deepEqual(readSessionParameter(link.search), session);
+});
+
+test("leaves out src for local files", () => {
+	const link = new URL(buildSessionLink(PAGE, null, { file: "local.riv" }));
+	assert.equal(link.searchParams.has("src"), false);
+});
+
+test("encodes the session as unpadded base64url", () => {
+	// Non-ASCII text and these characters produce "+", "/" and "=" in plain base64
+	const session = { viewModel: { title: "Grüße ✓ ??>>~~" } };
+	for (let padding = 0; padding < 3; padding++) {
+		session.file = "x".repeat(padding);
+		const encoded = new URL(
+			buildSessionLink(PAGE, null, session),
+		).searchParams.get(SESSION_PARAM);
+
+		assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+		assert.deepEqual(
+			readSessionParameter(`?${SESSION_PARAM}=${encoded}`),
+			session,
+		);
+	}
+});
+
+test("returns null when the URL has no session", () => {
+	assert.equal(readSessionParameter("?src=card.riv"), null);
+});
+
+test("rejects malformed and unsupported sessions", () => {
+	assert.throws(
+		() => readSessionParameter(`?${SESSION_PARAM}=not-json`),
+		/Session link is malformed/,
+	);
+
+	const future = Buffer.from(JSON.stringify({ v: 99 })).toString("base64url");
+	assert.throws(
+		() => readSessionParameter(`?${SESSION_PARAM}=${future}`),
+		/unsupported version/,
+	);
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crc32, deflateRawSync } from "node:zlib";
+
+import { createZip, readZip } from "../src/utils/zipArchive.js";
+
+const encoder = new TextEncoder();
+
+/**
+ * Builds a zip the way other tools do: a folder entry, then a deflated file with a latin1 name
+ * and an archive comment
+ * @param {string} name - The file name
+ * @param {Uint8Array} bytes - The file contents
+ * @returns {Uint8Array}
+ */
+function makeDeflatedZip(name, bytes) {
+	const folderName = Buffer.from("fonts/", "latin1");
+	const fileName = Buffer.from(name, "latin1");
+	const data = deflateRawSync(bytes);
+	const comment = Buffer.from("made elsewhere");
+
+	const local = (nameBytes, method, body) => {
+		const header = Buffer.alloc(30);
+		header.writeUInt32LE(0x04034b50, 0);
+		header.writeUInt16LE(method, 8);
+		header.writeUInt16LE(nameBytes.length, 26);
+		return Buffer.concat([header, nameBytes, body]);
+	};
+	const central = (nameBytes, method, size, localOffset) => {
+		const header = Buffer.alloc(46);
+		header.writeUInt32LE(0x02014b50, 0);
+		header.writeUInt16LE(method, 10);
+		header.writeUInt32LE(size, 20);
+		header.writeUInt16LE(nameBytes.length, 28);
+		header.writeUInt32LE(localOffset, 42);
+		return Buffer.concat([header, nameBytes]);
+	};
+
+	const folderLocal = local(folderName, 0, Buffer.alloc(0));
+	const fileLocal = local(fileName, 8, data);
+	const directory = Buffer.concat([
+		central(folderName, 0, 0, 0),
+		central(fileName, 8, data.length, folderLocal.length),
+	]);
+	const end = Buffer.alloc(22);
+	end.writeUInt32LE(0x06054b50, 0);
+	end.writeUInt16LE(2, 10);
+	end.writeUInt32LE(directory.length, 12);
+	end.writeUInt32LE(folderLocal.length + fileLocal.length, 16);
+	end.writeUInt16LE(comment.length, 20);
+	return new Uint8Array(
+		Buffer.concat([folderLocal, fileLocal, directory, end, comment]),
+	);
+}
+
+test("reads back the files it writes", async () => {
+	const entries = [
+		{
+			name: "images/hero.png",
+			bytes: new Uint8Array([137, 80, 78, 71, 0, 255]),
+		},
+		{ name: "fonts/Grüße.ttf", bytes: encoder.encode("font data") },
+		{ name: "empty.txt", bytes: new Uint8Array(0) },
+	];
+	const archive = new Uint8Array(await createZip(entries).arrayBuffer());
+
+	assert.deepEqual(await readZip(archive), entries);
+});
+
+test("stores each file's CRC-32", async () => {
+	const bytes = encoder.encode("The quick brown fox jumps over the lazy dog");
+	const archive = new Uint8Array(
+		await createZip([{ name: "fox.txt", bytes }]).arrayBuffer(),
+	);
+	const view = new DataView(archive.buffer);
+
+	assert.equal(view.getUint32(14, true), crc32(bytes));
+	assert.equal(view.getUint32(14, true), 0x414fa339);
+});
+
+test("reads deflated files and skips folders", async () => {
+	const bytes = encoder.encode("abc".repeat(1000));
+	const files = await readZip(makeDeflatedZip("café.otf", bytes));
+
+	assert.deepEqual(files, [{ name: "café.otf", bytes }]);
+});
+
+test("rejects bytes that aren't a zip", async () => {
+	await assert.rejects(
+		readZip(encoder.encode("not a zip archive at all")),
+		/Not a zip archive/,
+	);
+});